@@ -60,12 +60,21 @@ class NFTScannerDemo {
     });
   }
 
+  /** One-line summary of a failed call: the tool error code or the JSON-RPC error. */
+  describeFailure(response) {
+    if (response.result?.isError) {
+      const { error } = JSON.parse(response.result.content[0].text);
+      return `${error.code}: ${error.message}`;
+    }
+    return response.error?.message;
+  }
+
   async runDemo() {
     try {
       await this.startServer();
       
       console.log('🎯 NFT Scanner MCP Demo - Real-time Blockchain Data\n');
-      console.log('=' * 60 + '\n');
+      console.log('='.repeat(60) + '\n');
 
       // Demo 1: Get available tools
       console.log('📋 Available NFT Tools:');
@@ -83,18 +92,28 @@ class NFTScannerDemo {
         name: 'getNFTCollectionDetails',
         arguments: {
           contractAddress: '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
-          chain: 'ethereum'
+          chain: 'ethereum',
+          validate: true
         }
       });
       
-      if (baycDetails.result?.content?.[0]?.text) {
+      if (baycDetails.result?.content?.[0]?.text && !baycDetails.result.isError) {
         const data = JSON.parse(baycDetails.result.content[0].text);
         console.log(`Collection: ${data.collectionDetails.name}`);
         console.log(`Total Supply: ${data.collectionDetails.totalSupply}`);
-        console.log(`Floor Price: ${data.collectionDetails.marketStats.floorPrice} ETH`);
-        console.log(`Total Volume: ${data.collectionDetails.marketStats.totalVolume} ETH`);
-        console.log(`Owners: ${data.collectionDetails.marketStats.numOwners}`);
-        console.log(`7-Day Volume: ${data.collectionDetails.marketStats.sevenDayVolume} ETH`);
+        console.log(`Floor Price: ${data.collectionDetails.marketStats?.floorPrice ?? 'N/A'} ETH`);
+        console.log(`Total Volume: ${data.collectionDetails.marketStats?.totalVolume ?? 'N/A'} ETH`);
+        console.log(`Owners: ${data.collectionDetails.marketStats?.numOwners ?? 'N/A'}`);
+        console.log(`7-Day Volume: ${data.collectionDetails.marketStats?.sevenDayVolume ?? 'N/A'} ETH`);
+        data.warnings.forEach(warning => {
+          console.log(`  ⚠️ ${warning.source} unavailable (${warning.code}): ${warning.message}`);
+        });
+        console.log(`Validation: ${data.validation.status}${data.validation.reason ? ` (${data.validation.reason})` : ''}`);
+        data.validation.discrepancies?.forEach(discrepancy => {
+          console.log(`  - ${discrepancy.type}: ${JSON.stringify(discrepancy.values)}`);
+        });
+      } else {
+        console.log(`Failed: ${this.describeFailure(baycDetails)}`);
       }
       console.log('\n');
 
@@ -108,7 +127,7 @@ class NFTScannerDemo {
         }
       });
       
-      if (punksFloor.result?.content?.[0]?.text) {
+      if (punksFloor.result?.content?.[0]?.text && !punksFloor.result.isError) {
         const data = JSON.parse(punksFloor.result.content[0].text);
         console.log(`CryptoPunks Floor Price:`);
         console.log(`- OpenSea: ${data.floorPrice.openSea?.floorPrice || 'N/A'} ${data.floorPrice.openSea?.priceCurrency || ''}`);
@@ -123,11 +142,12 @@ class NFTScannerDemo {
         arguments: {
           contractAddress: '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
           tokenId: '1000',
-          chain: 'ethereum'
+          chain: 'ethereum',
+          resolveMetadata: true
         }
       });
       
-      if (nftMetadata.result?.content?.[0]?.text) {
+      if (nftMetadata.result?.content?.[0]?.text && !nftMetadata.result.isError) {
         const data = JSON.parse(nftMetadata.result.content[0].text);
         console.log(`Token: ${data.metadata.name}`);
         console.log(`Description: ${data.metadata.description}`);
@@ -138,6 +158,9 @@ class NFTScannerDemo {
             console.log(`  - ${attr.trait_type}: ${attr.value}`);
           });
         }
+        if (data.resolution?.status === 'resolved') {
+          console.log(`Resolved ${data.resolution.tokenUri} via ${data.resolution.gateway || data.resolution.resolvedUrl}`);
+        }
       }
       console.log('\n');
 
@@ -152,7 +175,7 @@ class NFTScannerDemo {
         }
       });
       
-      if (searchResults.result?.content?.[0]?.text) {
+      if (searchResults.result?.content?.[0]?.text && !searchResults.result.isError) {
         const data = JSON.parse(searchResults.result.content[0].text);
         console.log(`Found ${data.resultCount} collections:`);
         data.collections.slice(0, 3).forEach((collection, index) => {
@@ -175,37 +198,325 @@ class NFTScannerDemo {
         }
       });
       
-      if (transfers.result?.content?.[0]?.text) {
+      if (transfers.result?.content?.[0]?.text && !transfers.result.isError) {
         const data = JSON.parse(transfers.result.content[0].text);
         console.log(`Recent ${data.transferCount} transfers:`);
         data.transfers.slice(0, 3).forEach((transfer, index) => {
-          console.log(`${index + 1}. Token #${transfer.tokenId}`);
+          console.log(`${index + 1}. Token #${transfer.tokenId} (${transfer.type})`);
           console.log(`   From: ${transfer.from}`);
           console.log(`   To: ${transfer.to}`);
-          console.log(`   Block: ${transfer.blockNumber}`);
+          console.log(`   Block: ${transfer.blockNumber} at ${transfer.timestamp}`);
         });
       }
       console.log('\n');
 
       // Demo 7: Get Wallet NFTs
-      console.log('👛 Getting NFTs for a sample wallet...');
+      console.log('👛 Getting NFTs for vitalik.eth...');
       const walletNFTs = await this.sendRequest('tools/call', {
         name: 'getWalletNFTs',
         arguments: {
-          walletAddress: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045', // vitalik.eth
+          walletAddress: 'vitalik.eth',
           chain: 'ethereum',
           limit: 5
         }
       });
       
-      if (walletNFTs.result?.content?.[0]?.text) {
+      if (walletNFTs.result?.content?.[0]?.text && !walletNFTs.result.isError) {
         const data = JSON.parse(walletNFTs.result.content[0].text);
+        console.log(`ENS: ${data.resolvedNames.walletAddress.name} -> ${data.walletAddress}`);
         console.log(`Wallet has ${data.totalNFTs} total NFTs (showing ${data.nftsReturned}):`);
         data.nfts.slice(0, 3).forEach((nft, index) => {
           console.log(`${index + 1}. ${nft.name || `Token #${nft.tokenId}`}`);
           console.log(`   Collection: ${nft.collection.name}`);
           console.log(`   Contract: ${nft.contractAddress}`);
         });
+        if (data.nextCursor) {
+          console.log(`More NFTs available, next cursor: ${data.nextCursor}`);
+        }
+      }
+      console.log('\n');
+
+      // Demo 8: Value the Wallet's NFTs
+      console.log('📈 Valuing the sample wallet across chains...');
+      const portfolio = await this.sendRequest('tools/call', {
+        name: 'getWalletPortfolioValue',
+        arguments: {
+          walletAddress: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'
+        }
+      });
+
+      if (portfolio.result?.content?.[0]?.text && !portfolio.result.isError) {
+        const data = JSON.parse(portfolio.result.content[0].text);
+        console.log(`Total value: ${data.summary.totalValueETH} ETH ($${data.summary.totalValueUSD})`);
+        console.log(`Illiquid share: ${(data.summary.illiquidShare * 100).toFixed(1)}%`);
+        data.collections.slice(0, 3).forEach((collection, index) => {
+          console.log(`${index + 1}. ${collection.name || collection.contractAddress} on ${collection.chain}`);
+          console.log(`   ${collection.tokenCount} tokens at ${collection.floorPriceETH} ETH floor = ${collection.valueETH} ETH`);
+        });
+      }
+      console.log('\n');
+
+      // Demo 9: Get Recent Sales Across Marketplaces
+      console.log('💰 Getting Recent BAYC Sales on Blur...');
+      const sales = await this.sendRequest('tools/call', {
+        name: 'getNFTSales',
+        arguments: {
+          contractAddress: '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
+          marketplace: 'blur',
+          limit: 5,
+          chain: 'ethereum'
+        }
+      });
+
+      if (sales.result?.content?.[0]?.text && !sales.result.isError) {
+        const data = JSON.parse(sales.result.content[0].text);
+        console.log(`Recent ${data.salesCount} sales from ${data.dataSources.join(', ')}:`);
+        data.sales.slice(0, 3).forEach((sale, index) => {
+          console.log(`${index + 1}. Token #${sale.asset.tokenId} on ${sale.marketplace}`);
+          console.log(`   Price: ${sale.totalPriceDecimal} ${sale.paymentToken.symbol} (${sale.totalPriceETH} ETH, $${sale.totalPriceUSD})`);
+          console.log(`   Seen by: ${sale.sources.join(', ')}`);
+        });
+      }
+      console.log('\n');
+
+      // Demo 10: Rank a Token by Trait Rarity
+      console.log('💎 Ranking BAYC #8817 by trait rarity...');
+      const rarity = await this.sendRequest('tools/call', {
+        name: 'getNFTRarity',
+        arguments: {
+          contractAddress: '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
+          tokenId: '8817',
+          chain: 'ethereum'
+        }
+      });
+
+      if (rarity.result?.content?.[0]?.text && !rarity.result.isError) {
+        const data = JSON.parse(rarity.result.content[0].text);
+        console.log(`Rank ${data.rank} of ${data.tokenCount} (top ${data.topPercent}%) by ${data.method}`);
+        data.traits.slice(0, 3).forEach((trait) => {
+          console.log(`   ${trait.traitType}: ${trait.value} (${(trait.frequency * 100).toFixed(2)}%)`);
+        });
+      }
+      console.log('\n');
+
+      // Demo 11: Read the Contract Directly (needs RPC_URLS)
+      console.log('⛓️  Reading BAYC #8817 straight from the contract...');
+      const onChain = await this.sendRequest('tools/call', {
+        name: 'getOnChainNFTData',
+        arguments: {
+          contractAddress: '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
+          tokenId: '8817',
+          chain: 'ethereum'
+        }
+      });
+
+      if (onChain.result?.content?.[0]?.text && !onChain.result.isError) {
+        const data = JSON.parse(onChain.result.content[0].text);
+        console.log(`${data.contract.name} (${data.contract.contractType}), supply ${data.contract.totalSupply}`);
+        console.log(`   Owner: ${data.token.owner}`);
+        console.log(`   Token URI: ${data.token.tokenUri}`);
+      } else {
+        console.log(`Skipped: ${this.describeFailure(onChain)}`);
+      }
+      console.log('\n');
+
+      // Demo 12: Read a Token as an MCP Resource
+      console.log('📎 Reading nft://ethereum/token/.../8817 as a resource...');
+      const resource = await this.sendRequest('resources/read', {
+        uri: 'nft://ethereum/token/0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D/8817'
+      });
+
+      if (resource.result?.contents?.[0]?.text) {
+        const data = JSON.parse(resource.result.contents[0].text);
+        console.log(`${data.metadata.name || `#${data.tokenId}`} via ${data.dataSource} (cache ${data.cache.hit ? 'hit' : 'miss'})`);
+      }
+      const listed = await this.sendRequest('resources/list');
+      listed.result?.resources.forEach((entry) => {
+        console.log(`   ${entry.uri} - ${entry.name}`);
+      });
+      console.log('\n');
+
+      // Demo 13: Watch a Collection for Floor Moves and Sales
+      console.log('🔔 Watching BAYC for floor moves of 3% or more...');
+      const watch = await this.sendRequest('tools/call', {
+        name: 'watchNFT',
+        arguments: {
+          uri: 'nft://ethereum/collection/0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
+          floorChangePercent: 3
+        }
+      });
+
+      if (watch.result?.content?.[0]?.text && !watch.result.isError) {
+        const data = JSON.parse(watch.result.content[0].text);
+        console.log(`Watching ${data.watch.uri}`);
+        console.log(`   Current floor: ${data.watch.floorETH ?? 'N/A'} ETH${data.watch.lastError ? ` (${data.watch.lastError})` : ''}`);
+        console.log('   Changes arrive as notifications/resources/updated and in getWatchEvents');
+      }
+      console.log('\n');
+
+      // Demo 14: Research Prompts
+      console.log('🧭 Available research prompts:');
+      const prompts = await this.sendRequest('prompts/list');
+      prompts.result?.prompts.forEach((prompt) => {
+        console.log(`   ${prompt.name}(${prompt.arguments.map(arg => arg.name).join(', ')}): ${prompt.description}`);
+      });
+      console.log('\n');
+
+      // Demo 15: Supported Chains
+      console.log('🌐 Supported chains and where wallet holdings can be read:');
+      const chains = await this.sendRequest('tools/call', {
+        name: 'listSupportedChains',
+        arguments: { includeTestnets: false }
+      });
+
+      if (chains.result?.content?.[0]?.text && !chains.result.isError) {
+        const data = JSON.parse(chains.result.content[0].text);
+        data.chains.forEach((chain) => {
+          const ownership = chain.capabilities.ownership;
+          const sources = ownership?.available.length ? ownership.available.join(', ') : `needs ${ownership?.unconfigured.join(' or ') || 'a provider'}`;
+          console.log(`   ${chain.name} (${[chain.chainId, chain.nativeCurrency].filter(Boolean).join(', ')}): ${sources}`);
+        });
+      }
+      console.log('\n');
+
+      // Demo 16: Solana wallet through the same tool
+      console.log('☀️ Getting NFTs held by a Solana wallet...');
+      const solanaNFTs = await this.sendRequest('tools/call', {
+        name: 'getWalletNFTs',
+        arguments: {
+          walletAddress: '86xCnPeV69n6t3DnyGvkKobf9FdN2H9oiVDdaMpo2MMY',
+          chain: 'solana',
+          limit: 5
+        }
+      });
+
+      if (solanaNFTs.result?.content?.[0]?.text && !solanaNFTs.result.isError) {
+        const data = JSON.parse(solanaNFTs.result.content[0].text);
+        console.log(`Wallet has ${data.totalNFTs ?? 'unknown'} total NFTs (showing ${data.nftsReturned}):`);
+        data.nfts.slice(0, 3).forEach((nft, index) => {
+          console.log(`${index + 1}. ${nft.name || nft.tokenId} [${nft.tokenType}]`);
+          console.log(`   Collection: ${nft.collection.name || nft.contractAddress}`);
+          console.log(`   Mint: ${nft.tokenId}`);
+        });
+      } else {
+        console.log(`Skipped: ${this.describeFailure(solanaNFTs)}`);
+      }
+      console.log('\n');
+
+      // Demo 17: Wash Trading and Organic Volume
+      console.log('🧼 Checking recent BAYC sales for wash trading...');
+      const washTrading = await this.sendRequest('tools/call', {
+        name: 'detectWashTrading',
+        arguments: {
+          contractAddress: '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
+          limit: 200
+        }
+      });
+
+      if (washTrading.result?.content?.[0]?.text && !washTrading.result.isError) {
+        const data = JSON.parse(washTrading.result.content[0].text);
+        console.log(`${data.flaggedCount} of ${data.salesAnalyzed} sales flagged`);
+        console.log(`   Organic volume: ${data.volume.organicETH} of ${data.volume.totalETH} ETH (${(data.volume.organicShare * 100).toFixed(1)}%)`);
+        data.flagged.slice(0, 3).forEach((sale) => {
+          console.log(`   #${sale.tokenId} ${sale.severity}: ${sale.reasons.map(reason => reason.code).join(', ')}`);
+        });
+      } else {
+        console.log(`Skipped: ${this.describeFailure(washTrading)}`);
+      }
+      console.log('\n');
+
+      // Demo 18: Holder Distribution
+      console.log('🐋 Analyzing BAYC holders...');
+      const holders = await this.sendRequest('tools/call', {
+        name: 'getCollectionHolders',
+        arguments: {
+          contractAddress: '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
+          topN: 5,
+          alsoHolds: ['0x60E4d786628Fea6478F785A6d7e704777c86a7c6']
+        }
+      });
+
+      if (holders.result?.content?.[0]?.text && !holders.result.isError) {
+        const data = JSON.parse(holders.result.content[0].text);
+        console.log(`${data.holderCount} holders of ${data.tokensHeld} tokens (Gini ${data.concentration.gini}, top 10 hold ${(data.concentration.top10Share * 100).toFixed(1)}%)`);
+        data.topHolders.slice(0, 3).forEach((holder, index) => {
+          console.log(`${index + 1}. ${holder.address}: ${holder.balance} tokens${holder.heldSince ? ` since ${holder.heldSince.slice(0, 10)}` : ''}`);
+        });
+        data.crossHoldings?.collections.forEach((collection) => {
+          console.log(`   ${collection.sharedHolders} also hold ${collection.contractAddress}`);
+        });
+      } else {
+        console.log(`Skipped: ${this.describeFailure(holders)}`);
+      }
+      console.log('\n');
+
+      // Demo 19: Price History
+      console.log('📈 Building BAYC daily price history...');
+      const history = await this.sendRequest('tools/call', {
+        name: 'getCollectionPriceHistory',
+        arguments: {
+          contractAddress: '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
+          interval: 'day',
+          fromDate: new Date(Date.now() - 14 * 86400 * 1000).toISOString(),
+          excludeWashTrades: true
+        }
+      });
+
+      if (history.result?.content?.[0]?.text && !history.result.isError) {
+        const data = JSON.parse(history.result.content[0].text);
+        const { floor, averagePrice, volume } = data.indicators;
+        console.log(`${data.salesAnalyzed} sales over ${data.buckets.length} days (${data.washTradesExcluded} wash trades excluded), ${volume.totalETH} ETH volume`);
+        if (floor) console.log(`Floor: ${floor.first} → ${floor.last} ETH (${floor.changePercent ?? 'n/a'}%)`);
+        if (averagePrice) console.log(`Average sale: ${averagePrice.last} ETH, ${averagePrice.movingAverage} ETH ${data.movingAverageWindow}-day average`);
+      } else {
+        console.log(`Skipped: ${this.describeFailure(history)}`);
+      }
+      console.log('\n');
+
+      // Demo 20: Batch Floor Prices
+      console.log('📦 Fetching floor prices for a watchlist in one call...');
+      const floors = await this.sendRequest('tools/call', {
+        name: 'getNFTFloorPriceBatch',
+        arguments: {
+          contractAddresses: [
+            '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
+            '0x60E4d786628Fea6478F785A6d7e704777c86a7c6',
+            '0xED5AF388653567Af2F388E6224dC7C4b3241C544'
+          ]
+        }
+      });
+
+      if (floors.result?.content?.[0]?.text && !floors.result.isError) {
+        const data = JSON.parse(floors.result.content[0].text);
+        console.log(`${data.succeeded} of ${data.requested} collections answered`);
+        data.results.forEach((item) => {
+          const floor = item.result && Object.values(item.result.floorPrice).find(quote => quote?.floorPrice !== undefined);
+          console.log(`   ${item.contractAddress}: ${item.error ? item.error.code : `${floor?.floorPrice ?? 'n/a'} ${floor?.priceCurrency || 'ETH'}`}`);
+        });
+      } else {
+        console.log(`Skipped: ${this.describeFailure(floors)}`);
+      }
+      console.log('\n');
+
+      // Demo 21: Collection Comparison
+      console.log('⚖️ Comparing BAYC, MAYC and Azuki...');
+      const comparison = await this.sendRequest('tools/call', {
+        name: 'compareCollections',
+        arguments: {
+          contractAddresses: [
+            '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
+            '0x60E4d786628Fea6478F785A6d7e704777c86a7c6'
+          ],
+          queries: ['azuki'],
+          rankBy: 'floorETH',
+          includeHolderOverlap: false
+        }
+      });
+
+      if (comparison.result?.content?.[1]?.text && !comparison.result.isError) {
+        console.log(comparison.result.content[1].text);
+      } else {
+        console.log(`Skipped: ${this.describeFailure(comparison)}`);
       }
       console.log('\n');
 
@@ -216,9 +527,21 @@ class NFTScannerDemo {
       console.log('- NFT metadata and ownership tracking');
       console.log('- Blockchain transfer history');
       console.log('- Cross-marketplace data aggregation');
-      console.log('- Multi-chain support (Ethereum, Polygon, Arbitrum, Optimism)');
-      console.log('- Wallet portfolio analysis');
+      console.log('- Multi-chain support (Ethereum, Polygon, Arbitrum, Optimism, Base, Zora, Blast, Polygon zkEVM, Linea and testnets)');
+      console.log('- Solana NFTs (Metaplex, Core and compressed) via DAS, with Magic Eden market data');
+      console.log('- Wallet portfolio analysis and valuation');
       console.log('- NFT collection search functionality');
+      console.log('- Trait rarity ranking');
+      console.log('- Wash-trade detection with organic volume');
+      console.log('- Holder distribution, concentration and cross-collection holders');
+      console.log('- Floor, volume and price history with trend indicators');
+      console.log('- Batch calls for many collections, tokens or wallets');
+      console.log('- Collection comparison and ranking with Markdown tables');
+      console.log('- nft:// resources for collections, tokens and wallets');
+      console.log('- Background watches with update notifications');
+      console.log('- Research prompts for due diligence, wallets and token pricing');
+      console.log('- Input validation with EIP-55 checksums and ENS names');
+      console.log('- Typed error codes and partial results with warnings');
       
       console.log('\n📊 Data Sources Used:');
       console.log('- Alchemy NFT API (Primary blockchain data)');
@@ -0,0 +1,93 @@
+/**
+ * Minimal ABI encoding for the handful of static NFT contract calls the
+ * RPC provider makes. Selectors are the first four bytes of the keccak-256
+ * hash of each signature.
+ */
+
+export const SELECTORS = {
+  name: '0x06fdde03', // name()
+  symbol: '0x95d89b41', // symbol()
+  totalSupply: '0x18160ddd', // totalSupply()
+  ownerOf: '0x6352211e', // ownerOf(uint256)
+  balanceOf: '0x70a08231', // balanceOf(address)
+  balanceOf1155: '0x00fdd58e', // balanceOf(address,uint256)
+  tokenURI: '0xc87b56dd', // tokenURI(uint256)
+  uri: '0x0e89341c', // uri(uint256)
+  supportsInterface: '0x01ffc9a7', // supportsInterface(bytes4)
+  royaltyInfo: '0x2a55205a', // royaltyInfo(uint256,uint256)
+  resolver: '0x0178b8bf', // resolver(bytes32), ENS registry
+  addr: '0x3b3b57de', // addr(bytes32), ENS resolver
+};
+
+// ERC-165 interface IDs
+export const INTERFACE_IDS = {
+  erc721: '0x80ac58cd',
+  erc721Metadata: '0x5b5e139f',
+  erc721Enumerable: '0x780e9d63',
+  erc1155: '0xd9b67a26',
+  erc1155MetadataURI: '0x0e89341c',
+  erc2981: '0x2a55205a',
+};
+
+const WORD = 64;
+
+export function encodeUint(value) {
+  const number = BigInt(value);
+  if (number < 0n) throw new Error(`Cannot ABI-encode negative integer: ${value}`);
+  return number.toString(16).padStart(WORD, '0');
+}
+
+export function encodeAddress(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) throw new Error(`Invalid address: ${address}`);
+  return address.slice(2).toLowerCase().padStart(WORD, '0');
+}
+
+export function encodeBytes4(value) {
+  return value.slice(2).padEnd(WORD, '0');
+}
+
+/** Call data for `selector` followed by already-encoded static arguments. */
+export function encodeCall(selector, ...words) {
+  return selector + words.join('');
+}
+
+function words(data) {
+  const hex = data.startsWith('0x') ? data.slice(2) : data;
+  const result = [];
+  for (let i = 0; i + WORD <= hex.length; i += WORD) {
+    result.push(hex.slice(i, i + WORD));
+  }
+  return result;
+}
+
+export function decodeUint(data, index = 0) {
+  const word = words(data)[index];
+  if (word === undefined) throw new Error('ABI decode: missing uint word');
+  return BigInt(`0x${word}`);
+}
+
+export function decodeBool(data) {
+  return decodeUint(data) !== 0n;
+}
+
+export function decodeAddress(data, index = 0) {
+  const word = words(data)[index];
+  if (word === undefined) throw new Error('ABI decode: missing address word');
+  return `0x${word.slice(24)}`;
+}
+
+/**
+ * Decode a single dynamic `string` return value. Some older contracts
+ * return `bytes32` instead, which is read as a NUL-padded string.
+ */
+export function decodeString(data) {
+  const hex = data.startsWith('0x') ? data.slice(2) : data;
+  if (hex.length === WORD) {
+    return Buffer.from(hex, 'hex').toString('utf8').replace(/\0+$/, '');
+  }
+
+  const offset = Number(decodeUint(data, 0)) * 2;
+  const length = Number(BigInt(`0x${hex.slice(offset, offset + WORD)}`));
+  const start = offset + WORD;
+  return Buffer.from(hex.slice(start, start + length * 2), 'hex').toString('utf8');
+}
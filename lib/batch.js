@@ -0,0 +1,42 @@
+import { toScannerError } from './errors.js';
+
+/**
+ * Batch tools: one call covering many collections, tokens or wallets.
+ *
+ * Each item runs as its own single-item call, all at once, with pacing left
+ * to the request scheduler's per-provider budgets. Items settle separately,
+ * so one failure is reported against its item while the rest succeed.
+ */
+
+// Most items one batch call takes
+export const MAX_BATCH_SIZE = 50;
+
+/**
+ * Run every item of a batch and collect per-item results.
+ *
+ * @param {object[]} items - arguments of each single-item call
+ * @param {(item: object) => Promise<{ value: any, cache?: object }>} run
+ * @param {(item: object) => object} describe - the fields identifying an item in its result, e.g. its address
+ * @returns {Promise<{ requested: number, succeeded: number, failed: number, partial: boolean, results: object[] }>}
+ *   results in input order, each `{ ...describe(item), result, cache }` or `{ ...describe(item), error }`
+ */
+export async function settleBatch(items, run, describe) {
+  const settled = await Promise.allSettled(items.map(item => run(item)));
+
+  const results = settled.map((outcome, index) => {
+    const identity = describe(items[index]);
+    if (outcome.status === 'fulfilled') {
+      return { ...identity, result: outcome.value.value, cache: outcome.value.cache };
+    }
+    return { ...identity, error: toScannerError(outcome.reason).toJSON() };
+  });
+  const failed = results.filter(result => result.error).length;
+
+  return {
+    requested: items.length,
+    succeeded: items.length - failed,
+    failed,
+    partial: failed > 0,
+    results,
+  };
+}
@@ -0,0 +1,270 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Tool response cache.
+ *
+ * Entries are keyed by tool name plus normalized arguments and expire after a
+ * per-tool TTL chosen by how quickly the underlying data changes. Tools without
+ * a TTL are never cached.
+ */
+
+// Seconds each tool's response stays fresh
+export const DEFAULT_TTLS = {
+  getNFTCollectionDetails: 300,
+  getNFTMetadata: 3600,
+  getNFTTransfers: 60,
+  getNFTSales: 60,
+  getNFTOrders: 60,
+  getWalletNFTs: 300,
+  getWalletPortfolioValue: 300,
+  getNFTFloorPrice: 30,
+  getOnChainNFTData: 30,
+  searchNFTCollections: 3600,
+  getCollectionTraits: 3600,
+  getNFTRarity: 3600,
+  detectWashTrading: 300,
+  getCollectionHolders: 3600,
+  getCollectionPriceHistory: 300,
+  compareCollections: 300,
+  // Collection-wide token walk shared by the rarity tools
+  traitIndex: 86400,
+};
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const FILE_WRITE_DELAY = 1000;
+
+/**
+ * Parse TTL overrides such as "getNFTFloorPrice:15,getNFTMetadata:7200".
+ */
+export function parseTtlOverrides(value) {
+  const ttls = { ...DEFAULT_TTLS };
+  if (!value) return ttls;
+
+  for (const entry of value.split(',')) {
+    const [tool, seconds] = entry.split(':').map(part => part?.trim());
+    if (!tool || seconds === undefined) continue;
+
+    const ttl = Number(seconds);
+    if (!Number.isFinite(ttl) || ttl < 0) {
+      throw new Error(`Invalid cache TTL for ${tool}: ${seconds}`);
+    }
+    ttls[tool] = ttl;
+  }
+  return ttls;
+}
+
+function normalizeTokenId(tokenId) {
+  const value = String(tokenId).trim();
+  try {
+    return BigInt(value).toString();
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Build a cache key that is stable across argument order, address casing and
+ * hex/decimal token IDs.
+ */
+export function cacheKey(tool, args = {}) {
+  const normalized = { chain: 'ethereum' };
+
+  for (const key of Object.keys(args).sort()) {
+    let value = args[key];
+    if (value === undefined || value === null) continue;
+
+    if (typeof value === 'string') {
+      value = value.trim();
+      // Base58 Solana addresses are case-sensitive
+      if (/address$/i.test(key) && value.startsWith('0x')) value = value.toLowerCase();
+    }
+    if (key === 'tokenId') value = normalizeTokenId(value);
+
+    normalized[key] = value;
+  }
+
+  return `${tool}:${JSON.stringify(normalized)}`;
+}
+
+export class MemoryStore {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, entry) {
+    // Re-insert so Map order tracks write time and the oldest entry is evicted first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  flush() {}
+}
+
+/**
+ * Memory store mirrored to a JSON file so cached responses survive restarts.
+ * Writes are batched and go through a temporary file to avoid torn reads.
+ */
+export class JsonFileStore extends MemoryStore {
+  constructor({ filePath, maxEntries } = {}) {
+    super({ maxEntries });
+    this.filePath = path.resolve(filePath);
+    this.writeTimer = null;
+    this.load();
+  }
+
+  load() {
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Ignoring unreadable cache file ${this.filePath}:`, error.message);
+      }
+      return;
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(saved)) {
+      if (entry.expiresAt > now) {
+        super.set(key, entry);
+      }
+    }
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.scheduleWrite();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this.scheduleWrite();
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleWrite();
+  }
+
+  scheduleWrite() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => this.flush(), FILE_WRITE_DELAY);
+    this.writeTimer.unref();
+  }
+
+  flush() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.entries)));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`Failed to write cache file ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+export class ResponseCache {
+  constructor({ store = new MemoryStore(), ttls = DEFAULT_TTLS } = {}) {
+    this.store = store;
+    this.ttls = ttls;
+  }
+
+  ttlFor(tool) {
+    return this.ttls[tool] || 0;
+  }
+
+  /**
+   * Return a fresh cached response for the call or run `fetcher` and cache
+   * its result. Results flagged `partial` are returned but not cached.
+   * @returns {Promise<{ value: any, cache: { hit: boolean, ageSeconds: number, ttlSeconds: number, cachedAt?: string } }>}
+   */
+  async wrap(tool, args, fetcher) {
+    const ttlSeconds = this.ttlFor(tool);
+    if (ttlSeconds === 0) {
+      return { value: await fetcher(), cache: { hit: false, ageSeconds: 0, ttlSeconds } };
+    }
+
+    const key = cacheKey(tool, args);
+    const now = Date.now();
+    const entry = this.store.get(key);
+
+    if (entry && entry.expiresAt > now) {
+      return {
+        value: entry.value,
+        cache: {
+          hit: true,
+          ageSeconds: Math.round((now - entry.storedAt) / 1000),
+          ttlSeconds,
+          cachedAt: new Date(entry.storedAt).toISOString(),
+        },
+      };
+    }
+
+    const value = await fetcher();
+    // Degraded answers are not kept, so the next call retries the failed source
+    if (value?.partial) {
+      return { value, cache: { hit: false, ageSeconds: 0, ttlSeconds: 0 } };
+    }
+
+    const storedAt = Date.now();
+    this.store.set(key, { value, storedAt, expiresAt: storedAt + ttlSeconds * 1000 });
+    return { value, cache: { hit: false, ageSeconds: 0, ttlSeconds } };
+  }
+
+  /** Whether a fresh response for the call is cached. */
+  has(tool, args) {
+    const ttlSeconds = this.ttlFor(tool);
+    const entry = ttlSeconds > 0 ? this.store.get(cacheKey(tool, args)) : undefined;
+    return Boolean(entry && entry.expiresAt > Date.now());
+  }
+
+  /** Drop a cached response, e.g. once a watch has seen the data change. */
+  invalidate(tool, args) {
+    this.store.delete(cacheKey(tool, args));
+  }
+
+  flush() {
+    this.store.flush();
+  }
+}
+
+/**
+ * Build the cache from configuration: `store` is "memory" (default) or
+ * "file", in which case entries are persisted to `filePath`.
+ */
+export function createResponseCache({ store = 'memory', filePath, ttlOverrides, maxEntries } = {}) {
+  const ttls = parseTtlOverrides(ttlOverrides);
+
+  switch (store) {
+    case 'memory':
+      return new ResponseCache({ store: new MemoryStore({ maxEntries }), ttls });
+    case 'file':
+      return new ResponseCache({
+        store: new JsonFileStore({ filePath: filePath || '.nft-scanner-cache.json', maxEntries }),
+        ttls,
+      });
+    default:
+      throw new Error(`Unknown CACHE_STORE: ${store} (expected memory or file)`);
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Chain registry: one entry per network the server can query, with the
+ * identifiers each upstream uses for it. Providers, tool schemas, resource
+ * URIs and prompts all read their chain lists from here, so adding a network
+ * is a single entry.
+ *
+ * `alchemy` is the Alchemy network subdomain, `opensea` the OpenSea API v2
+ * chain slug and `nftscan` the NFTScan API host; a missing field means that
+ * provider does not cover the chain. `rpcUrl` is a public endpoint used for
+ * contract reads when RPC_URLS has no entry for the chain.
+ *
+ * `family` is "evm" unless set. Solana has no chain ID, contract reads or
+ * hex addresses; its NFTs are served by the DAS and Magic Eden providers.
+ */
+
+export const CHAINS = {
+  ethereum: {
+    chainId: 1,
+    name: 'Ethereum',
+    nativeCurrency: 'ETH',
+    explorerUrl: 'https://etherscan.io',
+    rpcUrl: 'https://ethereum-rpc.publicnode.com',
+    alchemy: 'eth-mainnet',
+    opensea: 'ethereum',
+    nftscan: 'restapi.nftscan.com',
+  },
+  polygon: {
+    chainId: 137,
+    name: 'Polygon',
+    nativeCurrency: 'POL',
+    explorerUrl: 'https://polygonscan.com',
+    rpcUrl: 'https://polygon-rpc.com',
+    alchemy: 'polygon-mainnet',
+    opensea: 'matic',
+    nftscan: 'polygonapi.nftscan.com',
+  },
+  arbitrum: {
+    chainId: 42161,
+    name: 'Arbitrum One',
+    nativeCurrency: 'ETH',
+    explorerUrl: 'https://arbiscan.io',
+    rpcUrl: 'https://arb1.arbitrum.io/rpc',
+    alchemy: 'arb-mainnet',
+    opensea: 'arbitrum',
+    nftscan: 'arbitrumapi.nftscan.com',
+  },
+  optimism: {
+    chainId: 10,
+    name: 'OP Mainnet',
+    nativeCurrency: 'ETH',
+    explorerUrl: 'https://optimistic.etherscan.io',
+    rpcUrl: 'https://mainnet.optimism.io',
+    alchemy: 'opt-mainnet',
+    opensea: 'optimism',
+    nftscan: 'optimismapi.nftscan.com',
+  },
+  base: {
+    chainId: 8453,
+    name: 'Base',
+    nativeCurrency: 'ETH',
+    explorerUrl: 'https://basescan.org',
+    rpcUrl: 'https://mainnet.base.org',
+    alchemy: 'base-mainnet',
+    opensea: 'base',
+    nftscan: 'baseapi.nftscan.com',
+  },
+  zora: {
+    chainId: 7777777,
+    name: 'Zora',
+    nativeCurrency: 'ETH',
+    explorerUrl: 'https://explorer.zora.energy',
+    rpcUrl: 'https://rpc.zora.energy',
+    alchemy: 'zora-mainnet',
+    opensea: 'zora',
+  },
+  blast: {
+    chainId: 81457,
+    name: 'Blast',
+    nativeCurrency: 'ETH',
+    explorerUrl: 'https://blastscan.io',
+    rpcUrl: 'https://rpc.blast.io',
+    alchemy: 'blast-mainnet',
+    opensea: 'blast',
+  },
+  'polygon-zkevm': {
+    chainId: 1101,
+    name: 'Polygon zkEVM',
+    nativeCurrency: 'ETH',
+    explorerUrl: 'https://zkevm.polygonscan.com',
+    rpcUrl: 'https://zkevm-rpc.com',
+    alchemy: 'polygonzkevm-mainnet',
+  },
+  linea: {
+    chainId: 59144,
+    name: 'Linea',
+    nativeCurrency: 'ETH',
+    explorerUrl: 'https://lineascan.build',
+    rpcUrl: 'https://rpc.linea.build',
+    alchemy: 'linea-mainnet',
+    nftscan: 'lineaapi.nftscan.com',
+  },
+  sepolia: {
+    chainId: 11155111,
+    name: 'Sepolia',
+    testnet: true,
+    nativeCurrency: 'ETH',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+    alchemy: 'eth-sepolia',
+  },
+  holesky: {
+    chainId: 17000,
+    name: 'Holesky',
+    testnet: true,
+    nativeCurrency: 'ETH',
+    explorerUrl: 'https://holesky.etherscan.io',
+    rpcUrl: 'https://ethereum-holesky-rpc.publicnode.com',
+    alchemy: 'eth-holesky',
+  },
+  solana: {
+    name: 'Solana',
+    family: 'solana',
+    nativeCurrency: 'SOL',
+    explorerUrl: 'https://solscan.io',
+  },
+};
+
+// Chains every tool accepts
+export const CHAIN_NAMES = Object.keys(CHAINS);
+
+// Chains scanned when a multi-chain tool is not given a list
+export const MAINNET_CHAINS = CHAIN_NAMES.filter(name => !CHAINS[name].testnet);
+
+/** Registry entry for a chain, or undefined for one the server does not know. */
+export function getChain(name) {
+  return Object.hasOwn(CHAINS, name) ? CHAINS[name] : undefined;
+}
+
+/** "evm" or "solana". Chains outside the registry (RPC_URLS devnets) are EVM. */
+export function chainFamily(name) {
+  return getChain(name)?.family ?? 'evm';
+}
+
+/** Schema description for a `chain` argument. */
+export function describeChains(prefix = 'Blockchain network') {
+  return `${prefix}: ${CHAIN_NAMES.join(', ')}. Use listSupportedChains for chain IDs and provider coverage`;
+}
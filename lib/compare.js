@@ -0,0 +1,183 @@
+import { crossHoldings } from './holders.js';
+
+/**
+ * Side-by-side comparison of collections: one row of normalized metrics per
+ * collection, a ranking by any metric and a Markdown rendering for chat.
+ *
+ * Floors are converted to ETH so quotes from different marketplaces compare.
+ * Volumes stay in the currency the marketplace reports them in (ETH on EVM
+ * chains, SOL on Solana), which is the same for every row on one chain.
+ * Ratios are fractions between 0 and 1.
+ */
+
+export const COMPARISON_METRICS = {
+  floorETH: { label: 'Floor (ETH)', format: 'price' },
+  oneDayVolume: { label: '24h volume', format: 'price' },
+  sevenDayVolume: { label: '7d volume', format: 'price' },
+  thirtyDayVolume: { label: '30d volume', format: 'price' },
+  totalVolume: { label: 'Total volume', format: 'price' },
+  holders: { label: 'Holders', format: 'count' },
+  supply: { label: 'Supply', format: 'count' },
+  holderRatio: { label: 'Holders/supply', format: 'ratio' },
+  listingRatio: { label: 'Listed', format: 'ratio' },
+  royaltyBasisPoints: { label: 'Royalty', format: 'basisPoints' },
+  holderOverlap: { label: 'Holder overlap', format: 'ratio' },
+};
+
+export const DEFAULT_RANK_METRIC = 'sevenDayVolume';
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+function toNumber(value) {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? null : number;
+}
+
+const ratio = (part, whole) => (part !== null && whole > 0 ? round(part / whole) : null);
+
+/**
+ * One comparison row.
+ *
+ * @param {object} input
+ * @param {string} input.contractAddress
+ * @param {object} [input.details] - getNFTCollectionDetails result
+ * @param {{ priceETH: number, marketplace: string }} [input.floor] - lowest floor in ETH
+ * @param {{ share: number, sharedHolders: number }} [input.overlap] - from holderOverlap
+ * @param {number} [input.holderCount] - owners counted from the owner list, when stats carry none
+ */
+export function comparisonRow({ contractAddress, details, floor, overlap, holderCount }) {
+  const collection = details?.collectionDetails;
+  const stats = collection?.marketStats || {};
+  const supply = toNumber(collection?.totalSupply);
+  const holders = toNumber(stats.numOwners) ?? holderCount ?? null;
+  const listed = toNumber(stats.listedCount);
+
+  return {
+    contractAddress,
+    name: collection?.name,
+    verified: collection?.verified,
+    floorETH: floor ? round(floor.priceETH) : toNumber(stats.floorPriceETH),
+    floorMarketplace: floor?.marketplace,
+    volumeCurrency: stats.priceCurrency || 'ETH',
+    oneDayVolume: toNumber(stats.oneDayVolume),
+    sevenDayVolume: toNumber(stats.sevenDayVolume),
+    thirtyDayVolume: toNumber(stats.thirtyDayVolume),
+    totalVolume: toNumber(stats.totalVolume),
+    oneDayVolumeChange: toNumber(stats.oneDayChange),
+    sevenDayVolumeChange: toNumber(stats.sevenDayChange),
+    holders,
+    supply,
+    holderRatio: ratio(holders, supply),
+    listedCount: listed,
+    listingRatio: ratio(listed, supply),
+    royaltyBasisPoints: toNumber(collection?.royalties?.sellerFeeBasisPoints),
+    holderOverlap: overlap ? overlap.share : null,
+    sharedHolders: overlap ? overlap.sharedHolders : null,
+  };
+}
+
+/**
+ * Holders each collection shares with the others compared.
+ *
+ * @param {{ contractAddress: string, holders: object[] }[]} lists - merged holders of every collection whose owners loaded
+ * @returns {{ byCollection: Map<string, { share: number, sharedHolders: number }>, pairs: object[] }}
+ *   `byCollection` is keyed by lowercased address; `pairs` lists each pair once
+ */
+export function holderOverlap(lists) {
+  const byCollection = new Map();
+  const pairs = [];
+  // A lone owner list has nothing to overlap with
+  if (lists.length < 2) return { byCollection, pairs };
+
+  lists.forEach(({ contractAddress, holders }, index) => {
+    const others = lists.filter((_, other) => other !== index);
+    const shared = crossHoldings(holders, others, 0);
+    byCollection.set(contractAddress.toLowerCase(), {
+      sharedHolders: shared.sharedHolderCount,
+      share: holders.length > 0 ? round(shared.sharedHolderCount / holders.length) : 0,
+    });
+
+    shared.collections.forEach((other) => {
+      if (lists.findIndex(list => list.contractAddress === other.contractAddress) < index) return;
+      pairs.push({
+        contractAddresses: [contractAddress, other.contractAddress],
+        sharedHolders: other.sharedHolders,
+      });
+    });
+  });
+
+  return { byCollection, pairs };
+}
+
+/**
+ * Sort rows by a metric and number them. Rows without a value for it go
+ * last, unranked.
+ * @param {'asc'|'desc'} order
+ */
+export function rankRows(rows, metric, order) {
+  const direction = order === 'asc' ? 1 : -1;
+  const valued = rows.filter(row => row[metric] !== null && row[metric] !== undefined);
+  const missing = rows.filter(row => row[metric] === null || row[metric] === undefined);
+
+  return [
+    ...valued.sort((a, b) => direction * (a[metric] - b[metric])).map((row, index) => ({ rank: index + 1, ...row })),
+    ...missing.map(row => ({ rank: null, ...row })),
+  ];
+}
+
+function formatValue(value, format) {
+  if (value === null || value === undefined) return '–';
+  switch (format) {
+    case 'count':
+      return Math.round(value).toLocaleString('en-US');
+    case 'ratio':
+      return `${(value * 100).toFixed(1)}%`;
+    case 'basisPoints':
+      return `${(value / 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+    default:
+      return Number(value.toPrecision(4)).toLocaleString('en-US', { maximumFractionDigits: 4 });
+  }
+}
+
+// Pipes and line breaks would split a table cell
+const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+
+const shortAddress = (address) => (address.length > 14 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address);
+
+/**
+ * Markdown tables for chat: the ranked comparison, then the holders each
+ * pair of collections shares.
+ */
+export function renderComparison({ rows, rankBy, pairs = [] }) {
+  const metrics = Object.keys(COMPARISON_METRICS).filter(metric => rows.some(row => row[metric] !== null && row[metric] !== undefined));
+  const nameOf = (row) => cell(row.name || shortAddress(row.contractAddress));
+  const currency = rows.find(row => row.volumeCurrency)?.volumeCurrency;
+
+  const header = ['#', 'Collection', ...metrics.map(metric => {
+    const { label, format } = COMPARISON_METRICS[metric];
+    const title = format === 'price' && metric !== 'floorETH' && currency ? `${label} (${currency})` : label;
+    return metric === rankBy ? `**${title}**` : title;
+  })];
+  const lines = [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map((_, index) => (index < 2 ? '---' : '---:')).join(' | ')} |`,
+    ...rows.map(row => `| ${[
+      row.rank ?? '–',
+      nameOf(row),
+      ...metrics.map(metric => formatValue(row[metric], COMPARISON_METRICS[metric].format)),
+    ].join(' | ')} |`),
+  ];
+
+  if (pairs.length > 0) {
+    const names = new Map(rows.map(row => [row.contractAddress.toLowerCase(), nameOf(row)]));
+    const named = (address) => names.get(address.toLowerCase()) || shortAddress(address);
+    lines.push(
+      '',
+      '| Collections | Shared holders |',
+      '| --- | ---: |',
+      ...pairs.map(({ contractAddresses: [a, b], sharedHolders }) => `| ${named(a)} / ${named(b)} | ${formatValue(sharedHolders, 'count')} |`),
+    );
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,211 @@
+import { toScannerError } from './errors.js';
+
+/**
+ * Cross-source validation: re-fetches the same collection or token from an
+ * independent indexer (NFTScan) and reports field-level disagreements with
+ * the primary sources.
+ */
+
+export const REFERENCE_PROVIDER = 'nftscan';
+
+// Floor prices from different indexers differing by more than this are flagged
+const FLOOR_SPREAD_TOLERANCE = 0.05;
+// Owner counts drift between indexing runs; only larger gaps are flagged
+const OWNER_COUNT_TOLERANCE = 0.02;
+
+function normalizeText(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function relativeSpread(a, b) {
+  const high = Math.max(a, b);
+  return high === 0 ? 0 : Math.abs(a - b) / high;
+}
+
+/**
+ * Compare one field across two sources and append a discrepancy when the
+ * values disagree. Fields missing from either side are not compared.
+ */
+function compareField(discrepancies, { field, type, primary, reference, tolerance }) {
+  if (primary.value === undefined || primary.value === null) return;
+  if (reference.value === undefined || reference.value === null) return;
+
+  const values = {
+    [primary.source]: primary.value,
+    [reference.source]: reference.value,
+  };
+
+  if (tolerance === undefined) {
+    if (normalizeText(primary.value) !== normalizeText(reference.value)) {
+      discrepancies.push({ field, type, values });
+    }
+    return;
+  }
+
+  const a = toNumber(primary.value);
+  const b = toNumber(reference.value);
+  if (a === undefined || b === undefined) return;
+
+  const spread = relativeSpread(a, b);
+  if (spread > tolerance) {
+    discrepancies.push({
+      field,
+      type,
+      values,
+      spreadPercent: Number((spread * 100).toFixed(2)),
+    });
+  }
+}
+
+export function compareCollectionData({ metadata, stats }, reference) {
+  const discrepancies = [];
+  const source = (result) => result.provider.label;
+
+  if (reference.metadata) {
+    compareField(discrepancies, {
+      field: 'name',
+      type: 'name_mismatch',
+      primary: { source: source(metadata), value: metadata.data.name },
+      reference: { source: source(reference.metadata), value: reference.metadata.data.name },
+    });
+    compareField(discrepancies, {
+      field: 'totalSupply',
+      type: 'supply_mismatch',
+      primary: { source: source(metadata), value: toNumber(metadata.data.totalSupply) },
+      reference: { source: source(reference.metadata), value: toNumber(reference.metadata.data.totalSupply) },
+      tolerance: 0,
+    });
+    compareField(discrepancies, {
+      field: 'contractType',
+      type: 'token_type_mismatch',
+      primary: { source: source(metadata), value: metadata.data.contractType },
+      reference: { source: source(reference.metadata), value: reference.metadata.data.contractType },
+    });
+  }
+
+  if (stats && reference.stats) {
+    compareField(discrepancies, {
+      field: 'marketStats.floorPrice',
+      type: 'floor_spread',
+      primary: { source: source(stats), value: stats.data.floorPrice },
+      reference: { source: source(reference.stats), value: reference.stats.data.floorPrice },
+      tolerance: FLOOR_SPREAD_TOLERANCE,
+    });
+    compareField(discrepancies, {
+      field: 'marketStats.numOwners',
+      type: 'owner_count_mismatch',
+      primary: { source: source(stats), value: stats.data.numOwners },
+      reference: { source: source(reference.stats), value: reference.stats.data.numOwners },
+      tolerance: OWNER_COUNT_TOLERANCE,
+    });
+  }
+
+  return discrepancies;
+}
+
+export function compareTokenData({ metadata }, reference) {
+  const discrepancies = [];
+  const primarySource = metadata.provider.label;
+  const referenceSource = reference.metadata.provider.label;
+
+  compareField(discrepancies, {
+    field: 'owner',
+    type: 'owner_mismatch',
+    primary: { source: primarySource, value: metadata.data.owner },
+    reference: { source: referenceSource, value: reference.metadata.data.owner },
+  });
+  compareField(discrepancies, {
+    field: 'name',
+    type: 'name_mismatch',
+    primary: { source: primarySource, value: metadata.data.name },
+    reference: { source: referenceSource, value: reference.metadata.data.name },
+  });
+  compareField(discrepancies, {
+    field: 'tokenUri',
+    type: 'token_uri_mismatch',
+    primary: { source: primarySource, value: metadata.data.tokenUri },
+    reference: { source: referenceSource, value: reference.metadata.data.tokenUri },
+  });
+  compareField(discrepancies, {
+    field: 'attributes',
+    type: 'attribute_count_mismatch',
+    primary: { source: primarySource, value: metadata.data.attributes?.length },
+    reference: { source: referenceSource, value: reference.metadata.data.attributes?.length },
+    tolerance: 0,
+  });
+
+  return discrepancies;
+}
+
+/**
+ * Fetch reference data for every capability in `primary` from the reference
+ * provider and compare it with `compare`. Never throws: when the reference
+ * source cannot be used the report says why.
+ */
+async function validate(registry, args, primary, compare) {
+  const reference = registry.get(REFERENCE_PROVIDER);
+  const comparedWith = [...new Set(
+    Object.values(primary)
+      .filter(result => result && result.provider !== reference)
+      .map(result => result.provider.label)
+  )];
+  const report = {
+    referenceSource: reference?.label || REFERENCE_PROVIDER,
+    comparedWith,
+  };
+
+  if (!reference || !reference.isConfigured()) {
+    return { ...report, status: 'unavailable', reason: 'NFTScan API key not configured' };
+  }
+  if (!reference.supportsChain(args.chain)) {
+    return { ...report, status: 'unavailable', reason: `NFTScan does not cover ${args.chain}` };
+  }
+  if (comparedWith.length === 0) {
+    return { ...report, status: 'unavailable', reason: 'Primary data already came from NFTScan' };
+  }
+
+  const referenceData = {};
+  try {
+    await Promise.all(Object.entries(primary).map(async ([key, result]) => {
+      if (!result || result.provider === reference) return;
+      referenceData[key] = { provider: reference, data: await reference[result.capability](args) };
+    }));
+  } catch (error) {
+    return { ...report, status: 'unavailable', reason: error.message, code: toScannerError(error).code };
+  }
+
+  const discrepancies = compare(primary, referenceData);
+  return {
+    ...report,
+    status: discrepancies.length > 0 ? 'discrepancies' : 'consistent',
+    discrepancyCount: discrepancies.length,
+    discrepancies,
+  };
+}
+
+export function validateCollection(registry, args, { metadata, stats }) {
+  return validate(
+    registry,
+    args,
+    {
+      metadata: metadata && { ...metadata, capability: 'collectionMetadata' },
+      stats: stats && { ...stats, capability: 'collectionStats' },
+    },
+    compareCollectionData
+  );
+}
+
+export function validateToken(registry, args, { metadata }) {
+  return validate(
+    registry,
+    args,
+    { metadata: { ...metadata, capability: 'tokenMetadata' } },
+    compareTokenData
+  );
+}
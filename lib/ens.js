@@ -0,0 +1,69 @@
+import { keccak_256 } from '@noble/hashes/sha3';
+import { SELECTORS, decodeAddress, encodeCall } from './abi.js';
+import { InvalidArgumentError } from './errors.js';
+import { toChecksumAddress } from './validation.js';
+
+/**
+ * ENS forward resolution (name -> address) on Ethereum mainnet: look up the
+ * name's resolver in the ENS registry, then ask the resolver for `addr`.
+ */
+
+// ENS registry, the same address on mainnet and testnets
+export const ENS_REGISTRY = '0x00000000000C2E074eC69A0bFb2997BA6C7d2e1e';
+
+const ZERO_ADDRESS = `0x${'0'.repeat(40)}`;
+
+// Seconds a resolved name is reused before asking the chain again
+const CACHE_SECONDS = 600;
+
+/**
+ * EIP-137 namehash. Names are lowercased; full ENSIP-15 normalization
+ * (emoji, confusables) is not applied.
+ */
+export function namehash(name) {
+  let node = new Uint8Array(32);
+  const labels = name.toLowerCase().split('.').filter(Boolean);
+  for (const label of labels.reverse()) {
+    const combined = new Uint8Array(64);
+    combined.set(node, 0);
+    combined.set(keccak_256(label), 32);
+    node = keccak_256(combined);
+  }
+  return Buffer.from(node).toString('hex');
+}
+
+export class EnsResolver {
+  /**
+   * @param {object} options
+   * @param {(to: string, data: string) => Promise<string>} options.call - eth_call against Ethereum mainnet
+   */
+  constructor({ call }) {
+    this.call = call;
+    this.cache = new Map();
+  }
+
+  /**
+   * Resolve an ENS name to a checksummed address.
+   * @throws {InvalidArgumentError} when the name has no resolver or address
+   */
+  async resolve(name) {
+    const key = name.trim().toLowerCase();
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.address;
+
+    const node = namehash(key);
+    const resolver = decodeAddress(await this.call(ENS_REGISTRY, encodeCall(SELECTORS.resolver, node)));
+    if (resolver === ZERO_ADDRESS) {
+      throw new InvalidArgumentError(`ENS name ${name} is not registered or has no resolver`);
+    }
+
+    const address = decodeAddress(await this.call(resolver, encodeCall(SELECTORS.addr, node)));
+    if (address === ZERO_ADDRESS) {
+      throw new InvalidArgumentError(`ENS name ${name} does not resolve to an address`);
+    }
+
+    const checksummed = toChecksumAddress(address);
+    this.cache.set(key, { address: checksummed, expiresAt: Date.now() + CACHE_SECONDS * 1000 });
+    return checksummed;
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Typed errors for tool failures.
+ *
+ * Every failure carries a machine-readable `code` so a client can tell "no
+ * sales" from "OpenSea is down" or "no API key": fix the input, configure a
+ * key, retry later, or give up.
+ */
+
+export const ERROR_CODES = {
+  INVALID_INPUT: 'INVALID_INPUT',
+  MISSING_CREDENTIALS: 'MISSING_CREDENTIALS',
+  RATE_LIMITED: 'RATE_LIMITED',
+  NOT_FOUND: 'NOT_FOUND',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+// Codes where the same call may succeed later without any change
+const RETRYABLE = new Set([ERROR_CODES.RATE_LIMITED, ERROR_CODES.UPSTREAM_UNAVAILABLE]);
+
+// When providers fail differently, the first code in this list present wins
+const PRECEDENCE = [
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.UPSTREAM_UNAVAILABLE,
+  ERROR_CODES.NOT_FOUND,
+  ERROR_CODES.INVALID_INPUT,
+  ERROR_CODES.INTERNAL_ERROR,
+  ERROR_CODES.MISSING_CREDENTIALS,
+];
+
+export class NFTScannerError extends Error {
+  /**
+   * @param {string} code - one of ERROR_CODES
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.provider] - provider the failure came from
+   * @param {number} [details.status] - upstream HTTP status
+   * @param {number} [details.retryAfterSeconds] - upstream's Retry-After hint
+   * @param {object[]} [details.failures] - per-provider failures behind a combined error
+   * @param {Error} [details.cause]
+   */
+  constructor(code, message, { provider, status, retryAfterSeconds, failures, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.failures = failures;
+  }
+
+  get retryable() {
+    return RETRYABLE.has(this.code);
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      provider: this.provider,
+      status: this.status,
+      retryAfterSeconds: this.retryAfterSeconds,
+      failures: this.failures,
+    };
+  }
+}
+
+/** Thrown for arguments the caller has to fix. */
+export class InvalidArgumentError extends NFTScannerError {
+  constructor(message) {
+    super(ERROR_CODES.INVALID_INPUT, message);
+  }
+}
+
+/**
+ * Error for a non-2xx upstream response.
+ */
+export function httpError(provider, status, statusText, retryAfterSeconds) {
+  const message = `HTTP ${status}: ${statusText}`;
+  let code = ERROR_CODES.UPSTREAM_UNAVAILABLE;
+  if (status === 401 || status === 403) code = ERROR_CODES.MISSING_CREDENTIALS;
+  else if (status === 404) code = ERROR_CODES.NOT_FOUND;
+  else if (status === 429) code = ERROR_CODES.RATE_LIMITED;
+  else if (status === 400 || status === 422) code = ERROR_CODES.INVALID_INPUT;
+
+  return new NFTScannerError(code, message, { provider, status, retryAfterSeconds });
+}
+
+/**
+ * The typed form of any thrown value. Errors that were never classified are
+ * reported as INTERNAL_ERROR.
+ * @returns {NFTScannerError}
+ */
+export function toScannerError(error) {
+  if (error instanceof NFTScannerError) return error;
+  return new NFTScannerError(ERROR_CODES.INTERNAL_ERROR, error?.message ?? String(error), { cause: error });
+}
+
+/**
+ * Prefix an error's message with what was being attempted, keeping its code
+ * and details.
+ */
+export function withContext(error, context) {
+  const typed = toScannerError(error);
+  return new NFTScannerError(typed.code, `${context}: ${typed.message}`, {
+    provider: typed.provider,
+    status: typed.status,
+    retryAfterSeconds: typed.retryAfterSeconds,
+    failures: typed.failures,
+    cause: typed,
+  });
+}
+
+/**
+ * Combine the failures of every provider tried for one request into a single
+ * error. A failure that may clear on retry outranks a permanent one, and any
+ * answer from a configured provider outranks another's missing API key.
+ *
+ * @param {{ source: string, code: string, message: string }[]} failures - as built by toWarning
+ */
+export function combineFailures(failures) {
+  const codes = new Set(failures.map(failure => failure.code));
+  const code = PRECEDENCE.find(candidate => codes.has(candidate)) ?? ERROR_CODES.INTERNAL_ERROR;
+  const message = failures.map(failure => `${failure.source}: ${failure.message}`).join('; ');
+  return new NFTScannerError(code, message, { failures });
+}
+
+/**
+ * A `warnings` entry for data left out of an otherwise successful response,
+ * also used for the per-provider `failures` of a combined error.
+ *
+ * @param {string} source - the provider, chain or lookup that failed
+ * @param {unknown} error
+ * @returns {{ source: string, code: string, message: string }}
+ */
+export function toWarning(source, error) {
+  const { code, message } = toScannerError(error);
+  return { source, code, message };
+}
+
+/**
+ * Append warnings not already listed, so a failure hit by several lookups of
+ * one call is reported once.
+ */
+export function addWarnings(warnings, additions) {
+  for (const warning of additions) {
+    const listed = warnings.some(existing =>
+      existing.source === warning.source && existing.code === warning.code && existing.message === warning.message
+    );
+    if (!listed) warnings.push(warning);
+  }
+}
@@ -0,0 +1,253 @@
+import { ZERO_ADDRESS } from './transfers.js';
+
+/**
+ * Holder distribution for a collection: balances per wallet, concentration,
+ * how long tokens have been held and overlap with other collections.
+ *
+ * Owner lists come from the `collectionOwners` capability, or are replayed
+ * from a collection's complete transfer history. Holding durations date each
+ * token from the latest transfer into its current owner, so they are only as
+ * deep as the transfer scan behind them; tokens whose acquisition the scan
+ * did not reach are reported as unresolved.
+ */
+
+export const HOLDING_BUCKETS = [
+  { label: 'under 1 week', minDays: 0, maxDays: 7 },
+  { label: '1 week to 1 month', minDays: 7, maxDays: 30 },
+  { label: '1 to 6 months', minDays: 30, maxDays: 182 },
+  { label: '6 to 12 months', minDays: 182, maxDays: 365 },
+  { label: 'over 1 year', minDays: 365 },
+];
+
+export const BALANCE_BUCKETS = [
+  { label: '1', min: 1, max: 1 },
+  { label: '2-5', min: 2, max: 5 },
+  { label: '6-20', min: 6, max: 20 },
+  { label: '21+', min: 21 },
+];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+const timeOf = (event) => (event.timestamp ? Date.parse(event.timestamp) / 1000 : undefined);
+
+function tokenKey(tokenId) {
+  try {
+    return BigInt(tokenId).toString();
+  } catch {
+    return String(tokenId);
+  }
+}
+
+// ERC-1155 transfer amounts arrive as hex or decimal strings; ERC-721 ones carry none
+function amountOf(value) {
+  try {
+    return Number(BigInt(value));
+  } catch {
+    return 1;
+  }
+}
+
+/**
+ * Merge `collectionOwners` items, which may list a wallet more than once, into
+ * holders sorted by balance, largest first.
+ *
+ * @param {{ ownerAddress: string, tokens: { tokenId: string, balance: number }[] }[]} items
+ * @returns {{ address: string, balance: number, tokens: { tokenId: string, balance: number }[] }[]}
+ */
+export function mergeOwners(items) {
+  const holders = new Map();
+  for (const { ownerAddress, tokens } of items) {
+    if (!ownerAddress) continue;
+    const key = ownerAddress.toLowerCase();
+    if (!holders.has(key)) holders.set(key, { address: ownerAddress, balance: 0, tokens: [] });
+    const holder = holders.get(key);
+    for (const token of tokens) {
+      if (!(token.balance > 0)) continue;
+      holder.balance += token.balance;
+      holder.tokens.push(token);
+    }
+  }
+
+  return [...holders.values()]
+    .filter(holder => holder.balance > 0)
+    .sort((a, b) => b.balance - a.balance);
+}
+
+/**
+ * Owners replayed from a collection's complete transfer history, in the
+ * `collectionOwners` item shape. Mints credit the recipient and burns debit
+ * the sender like any other transfer; the zero address is never an owner.
+ */
+export function ownersFromTransfers(transfers) {
+  const chronological = [...transfers].sort((a, b) => (a.blockNumber ?? 0) - (b.blockNumber ?? 0));
+  const balances = new Map();
+  const move = (owner, tokenId, amount) => {
+    if (!owner || owner.toLowerCase() === ZERO_ADDRESS) return;
+    const key = `${owner.toLowerCase()}:${tokenId}`;
+    const entry = balances.get(key) ?? { ownerAddress: owner, tokenId, balance: 0 };
+    entry.balance += amount;
+    balances.set(key, entry);
+  };
+
+  for (const transfer of chronological) {
+    if (transfer.tokenId === undefined) continue;
+    const tokenId = tokenKey(transfer.tokenId);
+    const amount = amountOf(transfer.value);
+    move(transfer.from, tokenId, -amount);
+    move(transfer.to, tokenId, amount);
+  }
+
+  return [...balances.values()]
+    .filter(entry => entry.balance > 0)
+    .map(({ ownerAddress, tokenId, balance }) => ({ ownerAddress, tokens: [{ tokenId, balance }] }));
+}
+
+/** Gini coefficient of a list of balances: 0 when equal, towards 1 when one wallet holds everything. */
+export function giniCoefficient(balances) {
+  const sorted = balances.filter(balance => balance > 0).sort((a, b) => a - b);
+  const total = sorted.reduce((sum, balance) => sum + balance, 0);
+  if (sorted.length === 0 || total === 0) return 0;
+
+  const weighted = sorted.reduce((sum, balance, index) => sum + (index + 1) * balance, 0);
+  return (2 * weighted) / (sorted.length * total) - (sorted.length + 1) / sorted.length;
+}
+
+/**
+ * Concentration metrics and the balance distribution of merged holders.
+ */
+export function summarizeHolders(holders) {
+  const balances = holders.map(holder => holder.balance);
+  const total = balances.reduce((sum, balance) => sum + balance, 0);
+  const share = (count) => (total > 0 ? round(balances.slice(0, count).reduce((sum, balance) => sum + balance, 0) / total) : 0);
+  const ascending = [...balances].sort((a, b) => a - b);
+  const middle = Math.floor(ascending.length / 2);
+
+  return {
+    holderCount: holders.length,
+    tokensHeld: total,
+    concentration: {
+      gini: round(giniCoefficient(balances)),
+      top1Share: share(1),
+      top10Share: share(10),
+      averageBalance: holders.length > 0 ? round(total / holders.length) : 0,
+      medianBalance: ascending.length === 0
+        ? 0
+        : ascending.length % 2 ? ascending[middle] : (ascending[middle - 1] + ascending[middle]) / 2,
+    },
+    balanceDistribution: BALANCE_BUCKETS.map(({ label, min, max = Infinity }) => {
+      const inBucket = holders.filter(holder => holder.balance >= min && holder.balance <= max);
+      return {
+        label,
+        holders: inBucket.length,
+        tokens: inBucket.reduce((sum, holder) => sum + holder.balance, 0),
+      };
+    }),
+  };
+}
+
+/**
+ * When each holder acquired its tokens, from transfers scanned newest first.
+ *
+ * @param {object[]} holders - from mergeOwners
+ * @param {object[]} transfers
+ * @param {object} options
+ * @param {boolean} options.complete - whether the transfers reach back to the collection's first mint
+ * @param {number} [options.now] - unix seconds
+ * @returns {{ acquiredAt: Map<string, number>, durations: object }} - `acquiredAt` maps each
+ *   holder's lowercased address to its longest-held token's acquisition time, for holders whose
+ *   every token was dated
+ */
+export function holdingDurations(holders, transfers, { complete, now = Date.now() / 1000 }) {
+  const latestInbound = new Map();
+  let coverageSince;
+  for (const transfer of transfers) {
+    const time = timeOf(transfer);
+    if (time === undefined) continue;
+    coverageSince = Math.min(coverageSince ?? time, time);
+    if (!transfer.to || transfer.tokenId === undefined) continue;
+
+    const key = `${tokenKey(transfer.tokenId)}:${transfer.to.toLowerCase()}`;
+    latestInbound.set(key, Math.max(latestInbound.get(key) ?? time, time));
+  }
+
+  const buckets = HOLDING_BUCKETS.map(bucket => ({ ...bucket, tokens: 0, holders: 0 }));
+  const bucketOf = (seconds) => buckets.find(({ maxDays = Infinity }) => seconds / 86400 < maxDays);
+  const unresolved = { tokens: 0, holders: 0 };
+  const acquiredAt = new Map();
+
+  for (const holder of holders) {
+    const owner = holder.address.toLowerCase();
+    let oldest;
+    let dated = true;
+    for (const token of holder.tokens) {
+      const time = latestInbound.get(`${tokenKey(token.tokenId)}:${owner}`);
+      if (time === undefined) {
+        unresolved.tokens += token.balance;
+        dated = false;
+        continue;
+      }
+      bucketOf(now - time).tokens += token.balance;
+      oldest = Math.min(oldest ?? time, time);
+    }
+
+    // A holder is placed by its longest-held token, which an undated token may beat
+    if (dated && oldest !== undefined) {
+      bucketOf(now - oldest).holders += 1;
+      acquiredAt.set(owner, oldest);
+    } else {
+      unresolved.holders += 1;
+    }
+  }
+
+  return {
+    acquiredAt,
+    durations: {
+      transfersScanned: transfers.length,
+      complete,
+      coverageSince: coverageSince !== undefined ? new Date(coverageSince * 1000).toISOString() : undefined,
+      buckets,
+      unresolved,
+    },
+  };
+}
+
+/**
+ * Holders of a collection who also hold others.
+ *
+ * @param {object[]} holders - from mergeOwners
+ * @param {{ contractAddress: string, holders: object[] }[]} others - merged holders of each other collection
+ * @param {number} limit - most wallets listed
+ */
+export function crossHoldings(holders, others, limit) {
+  const ownerSets = others.map(({ contractAddress, holders: otherHolders }) => ({
+    contractAddress,
+    holderCount: otherHolders.length,
+    owners: new Set(otherHolders.map(holder => holder.address.toLowerCase())),
+  }));
+
+  const shared = holders
+    .map(holder => ({
+      address: holder.address,
+      balance: holder.balance,
+      alsoHolds: ownerSets
+        .filter(({ owners }) => owners.has(holder.address.toLowerCase()))
+        .map(({ contractAddress }) => contractAddress),
+    }))
+    .filter(holder => holder.alsoHolds.length > 0)
+    .sort((a, b) => b.alsoHolds.length - a.alsoHolds.length || b.balance - a.balance);
+
+  return {
+    collections: ownerSets.map(({ contractAddress, holderCount, owners }) => {
+      const sharedHolders = holders.filter(holder => owners.has(holder.address.toLowerCase())).length;
+      return {
+        contractAddress,
+        holderCount,
+        sharedHolders,
+        shareOfHolders: holders.length > 0 ? round(sharedHolders / holders.length) : 0,
+      };
+    }),
+    holdersOfAll: shared.filter(holder => holder.alsoHolds.length === others.length).length,
+    sharedHolderCount: shared.length,
+    holders: shared.slice(0, limit),
+    truncated: shared.length > limit,
+  };
+}
@@ -0,0 +1,361 @@
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * HTTP front end serving many MCP clients from one process.
+ *
+ * Routes:
+ * - POST/GET/DELETE /mcp: MCP Streamable HTTP, one session per client
+ * - GET /sse and POST /messages: legacy HTTP+SSE transport
+ * - GET /health: liveness and session counts, never authenticated
+ *
+ * Each session gets its own MCP server instance from `createServer`, while
+ * providers, cache and rate limits stay shared by the whole process.
+ */
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const SWEEP_INTERVAL = 60 * 1000;
+
+// SSE messages kept per session for clients resuming with Last-Event-ID
+const MAX_STORED_EVENTS = 500;
+
+export const DEFAULT_HTTP_PORT = 3000;
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+export const DEFAULT_SESSION_IDLE_MINUTES = 30;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID',
+  'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+  'Access-Control-Max-Age': '86400',
+};
+
+export function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function sendJson(res, status, body, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, message, headers) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code: -32000, message }, id: null }, headers);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size === 0) return resolve(undefined);
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Per-session Streamable HTTP event store. Lets a client that lost its SSE
+ * stream reconnect with `Last-Event-ID` and receive the notifications it
+ * missed, e.g. resource updates from watches.
+ */
+class SessionEventStore {
+  constructor() {
+    this.events = [];
+    this.counter = 0;
+  }
+
+  async storeEvent(streamId, message) {
+    const eventId = `${streamId}_${++this.counter}`;
+    this.events.push({ eventId, streamId, message });
+    if (this.events.length > MAX_STORED_EVENTS) this.events.shift();
+    return eventId;
+  }
+
+  async getStreamIdForEventId(eventId) {
+    return this.events.find(event => event.eventId === eventId)?.streamId;
+  }
+
+  async replayEventsAfter(lastEventId, { send }) {
+    const index = this.events.findIndex(event => event.eventId === lastEventId);
+    if (index === -1) throw new Error(`Event ${lastEventId} is no longer available`);
+
+    const { streamId } = this.events[index];
+    for (const event of this.events.slice(index + 1)) {
+      if (event.streamId === streamId) await send(event.eventId, event.message);
+    }
+    return streamId;
+  }
+}
+
+export class HttpTransportServer {
+  /**
+   * @param {object} options
+   * @param {() => import('@modelcontextprotocol/sdk/server/index.js').Server} options.createServer - builds a fresh MCP server per session
+   * @param {string} [options.host]
+   * @param {number} [options.port]
+   * @param {string[]} [options.authTokens] - accepted bearer tokens; empty disables auth
+   * @param {string[]} [options.corsOrigins] - allowed browser origins, or ["*"]
+   * @param {number} [options.sessionIdleMinutes] - close sessions idle this long
+   */
+  constructor({
+    createServer,
+    host = DEFAULT_HTTP_HOST,
+    port = DEFAULT_HTTP_PORT,
+    authTokens = [],
+    corsOrigins = [],
+    sessionIdleMinutes = DEFAULT_SESSION_IDLE_MINUTES,
+  }) {
+    this.createServer = createServer;
+    this.host = host;
+    this.port = port;
+    this.authTokens = authTokens;
+    this.corsOrigins = corsOrigins;
+    this.sessionIdleMs = sessionIdleMinutes * 60 * 1000;
+    this.sessions = new Map();
+    this.startedAt = Date.now();
+    this.httpServer = http.createServer((req, res) => {
+      this.route(req, res).catch((error) => {
+        console.error('[HTTP]', error);
+        sendRpcError(res, error.status || 500, error.status ? error.message : 'Internal server error');
+      });
+    });
+  }
+
+  listen() {
+    if (this.authTokens.length === 0 && !LOOPBACK_HOSTS.includes(this.host)) {
+      console.error(`Warning: serving MCP on ${this.host} without MCP_AUTH_TOKENS; anyone who can reach it can use your API keys`);
+    }
+
+    this.sweeper = setInterval(() => this.closeIdleSessions(), SWEEP_INTERVAL);
+    this.sweeper.unref();
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve(this.httpServer.address());
+      });
+    });
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    await Promise.all([...this.sessions.keys()].map(id => this.closeSession(id)));
+    await new Promise(resolve => this.httpServer.close(() => resolve()));
+  }
+
+  corsHeaders(req) {
+    const origin = req.headers.origin;
+    if (!origin || this.corsOrigins.length === 0) return {};
+    if (this.corsOrigins.includes('*')) return { 'Access-Control-Allow-Origin': '*', ...CORS_HEADERS };
+    if (this.corsOrigins.includes(origin)) return { 'Access-Control-Allow-Origin': origin, Vary: 'Origin', ...CORS_HEADERS };
+    return {};
+  }
+
+  /** The configured bearer token a request presents, if any. */
+  authToken(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return match ? this.authTokens.find(token => tokensMatch(match[1].trim(), token)) : undefined;
+  }
+
+  /**
+   * Transport options refusing requests whose Host header is not this
+   * loopback server, so a web page on a domain rebound to 127.0.0.1 cannot
+   * reach it from the user's browser.
+   */
+  rebindingProtection() {
+    if (!LOOPBACK_HOSTS.includes(this.host)) return {};
+    const { port } = this.httpServer.address();
+    return {
+      enableDnsRebindingProtection: true,
+      allowedHosts: ['127.0.0.1', 'localhost', '[::1]'].map(name => `${name}:${port}`),
+    };
+  }
+
+  /**
+   * A session by ID, only for the token that created it, so one client
+   * cannot drive another's session with a leaked or guessed ID.
+   */
+  ownSession(sessionId, kind, owner) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.kind !== kind || session.owner !== owner) return undefined;
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  async route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const cors = this.corsHeaders(req);
+    for (const [name, value] of Object.entries(cors)) res.setHeader(name, value);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (url.pathname === '/health' && req.method === 'GET') {
+      sendJson(res, 200, this.health());
+      return;
+    }
+
+    const owner = this.authToken(req);
+    if (this.authTokens.length > 0 && !owner) {
+      sendRpcError(res, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    switch (url.pathname) {
+      case '/mcp':
+        return this.handleStreamable(req, res, owner);
+      case '/sse':
+        if (req.method === 'GET') return this.openSseSession(req, res, owner);
+        break;
+      case '/messages':
+        if (req.method === 'POST') return this.handleSseMessage(req, res, url.searchParams.get('sessionId'), owner);
+        break;
+      default:
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+    sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  health() {
+    const sessions = [...this.sessions.values()];
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      sessions: {
+        streamableHttp: sessions.filter(session => session.kind === 'streamable').length,
+        sse: sessions.filter(session => session.kind === 'sse').length,
+      },
+    };
+  }
+
+  /**
+   * Count a listening GET stream against its session. A client that only
+   * listens sends nothing, so its idle time starts when the stream drops.
+   */
+  trackStream(session, res) {
+    session.openStreams += 1;
+    res.on('close', () => {
+      session.openStreams -= 1;
+      session.lastSeen = Date.now();
+    });
+  }
+
+  async handleStreamable(req, res, owner) {
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (sessionId) {
+      const session = this.ownSession(sessionId, 'streamable', owner);
+      if (!session) {
+        sendRpcError(res, 404, 'Session not found');
+        return;
+      }
+      if (req.method === 'GET') this.trackStream(session, res);
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendRpcError(res, 400, 'Bad Request: missing Mcp-Session-Id header (send initialize first)');
+      return;
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      eventStore: new SessionEventStore(),
+      ...this.rebindingProtection(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, { kind: 'streamable', transport, server, owner, lastSeen: Date.now(), openStreams: 0 });
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) this.sessions.delete(transport.sessionId);
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async openSseSession(req, res, owner) {
+    const transport = new SSEServerTransport('/messages', res, this.rebindingProtection());
+    // The SDK only checks the headers of posted messages; check the stream's too
+    const invalid = transport.validateRequestHeaders(req);
+    if (invalid) {
+      sendRpcError(res, 403, invalid);
+      return;
+    }
+
+    const server = this.createServer();
+    // The stream lives as long as the session, which closes with it
+    this.sessions.set(transport.sessionId, { kind: 'sse', transport, server, owner, lastSeen: Date.now(), openStreams: 1 });
+    res.on('close', () => this.closeSession(transport.sessionId));
+    await server.connect(transport);
+  }
+
+  async handleSseMessage(req, res, sessionId, owner) {
+    const session = sessionId && this.ownSession(sessionId, 'sse', owner);
+    if (!session) {
+      sendRpcError(res, 404, 'Session not found');
+      return;
+    }
+    await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  async closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    this.sessions.delete(sessionId);
+    try {
+      await session.server.close();
+    } catch (error) {
+      console.error(`[HTTP] closing session ${sessionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Close sessions idle past the cutoff. A session with a stream open is
+   * still connected and kept however long it stays quiet. Watches do not
+   * keep a session open: a client that went away without DELETE has the
+   * idle timeout to reconnect before its watches stop with the session.
+   */
+  closeIdleSessions() {
+    const cutoff = Date.now() - this.sessionIdleMs;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.lastSeen >= cutoff || session.openStreams > 0) continue;
+      this.closeSession(sessionId);
+    }
+  }
+}
@@ -0,0 +1,313 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+
+/**
+ * Resolves token URIs to metadata without relying on an indexer.
+ *
+ * `ipfs://` and `ar://` URIs (and HTTP URLs pointing at a public IPFS
+ * gateway) are tried against each configured gateway in turn. `data:` URIs
+ * are decoded in place, ERC-1155 `{id}` placeholders are substituted, and
+ * every download is bounded by a timeout and a size limit.
+ *
+ * Token URIs are chosen by whoever deployed the contract, so URLs taken from
+ * them may not reach loopback, link-local or private addresses, whether
+ * directly, through DNS or through a redirect. Configured gateways and
+ * `allowedHosts` are exempt.
+ */
+
+export const DEFAULT_IPFS_GATEWAYS = ['https://ipfs.io', 'https://dweb.link', 'https://gateway.pinata.cloud'];
+export const DEFAULT_ARWEAVE_GATEWAYS = ['https://arweave.net', 'https://ar-io.net'];
+export const DEFAULT_TIMEOUT_MS = 10000;
+export const DEFAULT_MAX_BYTES = 1024 * 1024;
+
+const MAX_REDIRECTS = 5;
+
+// Addresses a token URI must not reach: unspecified, loopback, private, shared, link-local, multicast and reserved
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6, e.g. ::ffff:127.0.0.1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup that refuses private answers, so a name cannot be rebound to one between check and connect
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(new Error(`${hostname} resolves to private address ${blocked.address}`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup }),
+};
+
+export function parseGatewayList(value, defaults) {
+  if (!value) return defaults;
+  const gateways = value.split(',').map(url => url.trim().replace(/\/+$/, '')).filter(Boolean);
+  for (const gateway of gateways) {
+    if (!/^https?:\/\//.test(gateway)) throw new Error(`Invalid gateway URL: ${gateway}`);
+  }
+  return gateways;
+}
+
+/**
+ * ERC-1155 clients replace `{id}` with the token ID as 64 lowercase hex
+ * characters, without a 0x prefix. IDs that are not integers (e.g. Solana
+ * mints) are substituted as given.
+ */
+export function substituteTokenId(uri, tokenId) {
+  if (tokenId === undefined || !uri.includes('{id}')) return uri;
+  let id;
+  try {
+    id = BigInt(tokenId).toString(16).padStart(64, '0');
+  } catch {
+    id = String(tokenId);
+  }
+  return uri.replaceAll('{id}', id);
+}
+
+/**
+ * Decode a `data:` URI into its MIME type and UTF-8 text.
+ */
+export function decodeDataUri(uri) {
+  const match = /^data:([^,]*?),(.*)$/s.exec(uri);
+  if (!match) throw new Error('Malformed data: URI');
+
+  const [, header, payload] = match;
+  const parts = header.split(';').map(part => part.trim().toLowerCase());
+  const mimeType = parts[0] || 'text/plain';
+  if (parts.includes('base64')) {
+    return { mimeType, text: Buffer.from(payload, 'base64').toString('utf8') };
+  }
+  try {
+    return { mimeType, text: decodeURIComponent(payload) };
+  } catch {
+    // On-chain JSON is often left unencoded, and a bare % (as in "100%") is not a valid escape
+    return { mimeType, text: payload };
+  }
+}
+
+const abbreviate = (uri) => (uri.length > 64 ? `${uri.slice(0, 64)}...` : uri);
+
+// Path after /ipfs/ (or /ipns/) in gateway URLs, e.g. https://ipfs.io/ipfs/Qm.../1.json
+const GATEWAY_PATH = /^https?:\/\/[^/]+\/(ipfs|ipns)\/(.+)$/;
+
+export class MetadataResolver {
+  constructor({
+    ipfsGateways = DEFAULT_IPFS_GATEWAYS,
+    arweaveGateways = DEFAULT_ARWEAVE_GATEWAYS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxBytes = DEFAULT_MAX_BYTES,
+    allowedHosts = [],
+  } = {}) {
+    this.ipfsGateways = ipfsGateways;
+    this.arweaveGateways = arweaveGateways;
+    this.timeoutMs = timeoutMs;
+    this.maxBytes = maxBytes;
+    this.allowedHosts = new Set(allowedHosts.map(host => host.toLowerCase()));
+    this.trustedOrigins = new Set([...ipfsGateways, ...arweaveGateways].map(gateway => new URL(gateway).origin));
+  }
+
+  /** Whether a URL may reach private addresses: configured gateways and allowed hosts. */
+  trusted(url) {
+    return this.trustedOrigins.has(url.origin) || this.allowedHosts.has(url.hostname.toLowerCase());
+  }
+
+  /**
+   * URLs to try for a URI, as `{ url, gateway }`, in failover order.
+   * `gateway` is undefined for plain HTTP URLs fetched as given, and the
+   * URL's own origin for gateway links tried as given first.
+   */
+  candidates(uri) {
+    if (uri.startsWith('ipfs://')) {
+      const path = uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+      return this.ipfsGateways.map(gateway => ({ url: `${gateway}/ipfs/${path}`, gateway }));
+    }
+    if (uri.startsWith('ar://')) {
+      const path = uri.slice('ar://'.length);
+      return this.arweaveGateways.map(gateway => ({ url: `${gateway}/${path}`, gateway }));
+    }
+    if (/^https?:\/\//.test(uri)) {
+      const pinned = GATEWAY_PATH.exec(uri);
+      if (!pinned) return [{ url: uri, gateway: undefined }];
+
+      // Try the URL as given, then the configured gateways
+      const [, namespace, path] = pinned;
+      const alternatives = this.ipfsGateways
+        .map(gateway => ({ url: `${gateway}/${namespace}/${path}`, gateway }))
+        .filter(candidate => candidate.url !== uri);
+      return [{ url: uri, gateway: new URL(uri).origin }, ...alternatives];
+    }
+    throw new Error(`Unsupported URI scheme: ${uri.slice(0, 40)}`);
+  }
+
+  /** Browser-loadable URL for an image URI (first gateway for ipfs:// and ar://). */
+  imageUrl(uri) {
+    if (!uri || uri.startsWith('data:')) return undefined;
+    try {
+      return this.candidates(uri)[0].url;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Fetch a URL, following redirects one hop at a time so each hop is
+   * checked before it is requested.
+   */
+  async fetchChecked(url, signal) {
+    let current = new URL(url);
+    for (let redirects = 0; ; redirects++) {
+      if (current.protocol !== 'http:' && current.protocol !== 'https:') {
+        throw new Error(`refusing to follow a redirect to ${current.protocol}`);
+      }
+      const trusted = this.trusted(current);
+      // IP literals skip DNS, so the lookup guard never sees them
+      if (!trusted && isPrivateAddress(current.hostname.replace(/^\[|\]$/g, ''))) {
+        throw new Error(`refusing to fetch private address ${current.hostname}`);
+      }
+
+      const response = await fetch(current.href, {
+        signal,
+        redirect: 'manual',
+        agent: trusted ? undefined : publicAgents[current.protocol],
+        headers: { Accept: 'application/json, */*' },
+      });
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) return response;
+
+      if (redirects >= MAX_REDIRECTS) throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+      current = new URL(location, current);
+    }
+  }
+
+  async download(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await this.fetchChecked(url, controller.signal);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const declared = Number(response.headers.get('content-length'));
+      if (declared > this.maxBytes) {
+        throw new Error(`response is ${declared} bytes, over the ${this.maxBytes} byte limit`);
+      }
+
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > this.maxBytes) {
+          controller.abort();
+          throw new Error(`response exceeds the ${this.maxBytes} byte limit`);
+        }
+        chunks.push(chunk);
+      }
+
+      return {
+        mimeType: response.headers.get('content-type')?.split(';')[0].trim(),
+        text: Buffer.concat(chunks).toString('utf8'),
+        bytes: size,
+      };
+    } catch (error) {
+      throw error.name === 'AbortError' ? new Error(`timed out after ${this.timeoutMs}ms`) : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Describe an image URI: decoded markup for inline SVG, otherwise a
+   * fetchable URL.
+   */
+  describeImage(uri) {
+    if (!uri) return undefined;
+    // `image_data` holds raw SVG markup
+    if (uri.trimStart().startsWith('<svg')) {
+      return { mimeType: 'image/svg+xml', svg: uri };
+    }
+    if (!uri.startsWith('data:')) {
+      return { original: uri, url: this.imageUrl(uri) };
+    }
+
+    try {
+      const { mimeType, text } = decodeDataUri(uri);
+      if (mimeType === 'image/svg+xml' && Buffer.byteLength(text) <= this.maxBytes) {
+        return { original: abbreviate(uri), mimeType, svg: text };
+      }
+      return { original: abbreviate(uri), mimeType };
+    } catch (error) {
+      return { original: abbreviate(uri), error: error.message };
+    }
+  }
+
+  /**
+   * Resolve a token URI to its metadata JSON.
+   *
+   * @returns {Promise<{ tokenUri: string, resolvedUrl?: string, gateway?: string, metadata?: object, image?: object, attempts: { url: string, error: string }[] }>}
+   */
+  async resolve(tokenUri, tokenId) {
+    const uri = substituteTokenId(tokenUri.trim(), tokenId);
+    const result = { tokenUri: uri, attempts: [] };
+
+    let document;
+    if (uri.startsWith('data:')) {
+      document = decodeDataUri(uri);
+      result.resolvedUrl = 'data:';
+    } else {
+      for (const candidate of this.candidates(uri)) {
+        try {
+          document = await this.download(candidate.url);
+          result.resolvedUrl = candidate.url;
+          result.gateway = candidate.gateway;
+          break;
+        } catch (error) {
+          result.attempts.push({ url: candidate.url, error: error.message });
+        }
+      }
+      if (!document) {
+        throw new Error(`Could not resolve ${uri}: ${result.attempts.map(attempt => `${attempt.url} (${attempt.error})`).join('; ')}`);
+      }
+    }
+
+    // Some tokens point straight at an image rather than a JSON document
+    if (document.mimeType?.startsWith('image/')) {
+      result.image = uri.startsWith('data:')
+        ? this.describeImage(uri)
+        : { original: uri, url: result.resolvedUrl, mimeType: document.mimeType };
+      return result;
+    }
+
+    try {
+      result.metadata = JSON.parse(document.text);
+    } catch {
+      throw new Error(`Token URI ${uri.slice(0, 80)} did not return JSON metadata`);
+    }
+    result.image = this.describeImage(result.metadata.image || result.metadata.image_url || result.metadata.image_data);
+    return result;
+  }
+}
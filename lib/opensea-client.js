@@ -0,0 +1,336 @@
+import { getChain } from './chains.js';
+import { ERROR_CODES, InvalidArgumentError, NFTScannerError } from './errors.js';
+import { fromBaseUnits } from './prices.js';
+
+/**
+ * OpenSea API v2 client.
+ *
+ * v2 addresses collections by slug rather than contract address, so most
+ * calls go through `resolveCollectionSlug()` first. All HTTP goes through the
+ * injected `request` function, which lets the client run against recorded
+ * fixture responses instead of the live API.
+ */
+
+const OPENSEA_API_URL = 'https://api.opensea.io/api/v2';
+
+// OpenSea caps page sizes per endpoint
+const EVENTS_PAGE_SIZE = 50;
+const COLLECTIONS_PAGE_SIZE = 100;
+
+// Collection search walks this many pages of the collection list at most
+const SEARCH_SCAN_PAGES = 3;
+
+// Marketplace fee recipient, listed in `fees` next to creator royalties
+const OPENSEA_FEE_RECIPIENT = '0x0000a26b00c1f0df003000390027140000faa719';
+
+export const OPENSEA_EVENT_TYPES = ['sale', 'listing', 'offer', 'transfer', 'order', 'cancel', 'redemption'];
+
+function toISOString(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : undefined;
+}
+
+export class OpenSeaClient {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey - OpenSea API key, sent as X-API-KEY
+   * @param {(url: string, options?: object) => Promise<any>} options.request - HTTP JSON request function
+   */
+  constructor({ apiKey, request }) {
+    this.apiKey = apiKey;
+    this.request = request;
+    this.slugs = new Map();
+  }
+
+  supportsChain(chain) {
+    return Boolean(getChain(chain)?.opensea);
+  }
+
+  getChain(chain) {
+    const name = getChain(chain)?.opensea;
+    if (!name) {
+      throw new InvalidArgumentError(`OpenSea API does not support chain ${chain}`);
+    }
+    return name;
+  }
+
+  get(path, params) {
+    const query = params ? `?${params}` : '';
+    const headers = {};
+    if (this.apiKey) {
+      headers['X-API-KEY'] = this.apiKey;
+    }
+    return this.request(`${OPENSEA_API_URL}${path}${query}`, { headers });
+  }
+
+  slugKey(chain, address) {
+    return `${this.getChain(chain)}:${address.toLowerCase()}`;
+  }
+
+  async getContract(chain, address) {
+    const contract = await this.get(`/chain/${this.getChain(chain)}/contract/${address}`);
+    if (contract.collection) {
+      this.slugs.set(this.slugKey(chain, address), contract.collection);
+    }
+    return contract;
+  }
+
+  async resolveCollectionSlug(chain, address) {
+    const key = this.slugKey(chain, address);
+    if (!this.slugs.has(key)) {
+      const contract = await this.getContract(chain, address);
+      if (!contract.collection) {
+        throw new NFTScannerError(ERROR_CODES.NOT_FOUND, `No OpenSea collection found for contract ${address}`, { provider: 'opensea' });
+      }
+    }
+    return this.slugs.get(key);
+  }
+
+  getCollection(slug) {
+    return this.get(`/collections/${slug}`);
+  }
+
+  getCollectionStats(slug) {
+    return this.get(`/collections/${slug}/stats`);
+  }
+
+  /**
+   * Fetch one page of events for a collection, or for a single NFT when
+   * `tokenId` is given.
+   * @returns {Promise<{ asset_events: object[], next?: string }>}
+   */
+  getEvents({ slug, chain, contractAddress, tokenId, eventTypes = [], after, before, limit = EVENTS_PAGE_SIZE, next }) {
+    const params = new URLSearchParams({ limit: Math.min(limit, EVENTS_PAGE_SIZE).toString() });
+    for (const eventType of eventTypes) {
+      if (!OPENSEA_EVENT_TYPES.includes(eventType)) {
+        throw new InvalidArgumentError(`Unknown OpenSea event type: ${eventType} (expected one of ${OPENSEA_EVENT_TYPES.join(', ')})`);
+      }
+      params.append('event_type', eventType);
+    }
+    if (after) params.append('after', after.toString());
+    if (before) params.append('before', before.toString());
+    if (next) params.append('next', next);
+
+    const path = tokenId
+      ? `/events/chain/${this.getChain(chain)}/contract/${contractAddress}/nfts/${tokenId}`
+      : `/events/collection/${slug}`;
+    return this.get(path, params);
+  }
+
+  listCollections({ chain, orderBy = 'seven_day_volume', limit = COLLECTIONS_PAGE_SIZE, next } = {}) {
+    const params = new URLSearchParams({
+      order_by: orderBy,
+      limit: Math.min(limit, COLLECTIONS_PAGE_SIZE).toString(),
+    });
+    if (chain) params.append('chain', this.getChain(chain));
+    if (next) params.append('next', next);
+    return this.get('/collections', params);
+  }
+
+  /**
+   * Follow `next` cursors until `limit` items are collected or pages run out.
+   * `fetchPage` is told how many items are still wanted so pages never
+   * overshoot and the returned cursor resumes exactly after the last item.
+   * @param {(cursor?: string, remaining?: number) => Promise<object>} fetchPage
+   * @param {(page: object) => object[]} getItems
+   * @returns {Promise<{ items: object[], next?: string }>}
+   */
+  async paginate(fetchPage, getItems, { limit, maxPages = Infinity, cursor } = {}) {
+    const items = [];
+    let next = cursor;
+    let pages = 0;
+
+    do {
+      const page = await fetchPage(next, limit - items.length);
+      items.push(...getItems(page));
+      next = page.next || undefined;
+      pages += 1;
+    } while (next && items.length < limit && pages < maxPages);
+
+    return { items: items.slice(0, limit), next };
+  }
+
+  async collectEvents(params, limit) {
+    return this.paginate(
+      (next, remaining) => this.getEvents({ ...params, limit: remaining, next }),
+      (page) => page.asset_events || [],
+      { limit, cursor: params.next }
+    );
+  }
+
+  /**
+   * OpenSea v2 has no text search, so match the query against a collection
+   * slug or contract address directly and otherwise scan the most active
+   * collections for name matches.
+   */
+  async searchCollections({ query, chain, limit }) {
+    const matches = new Map();
+    const add = (collection) => {
+      if (collection?.collection && !matches.has(collection.collection)) {
+        matches.set(collection.collection, collection);
+      }
+    };
+
+    try {
+      if (/^0x[0-9a-fA-F]{40}$/.test(query)) {
+        add(await this.getCollection(await this.resolveCollectionSlug(chain, query)));
+      } else {
+        add(await this.getCollection(query.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-')));
+      }
+    } catch (error) {
+      // Not a slug or address; fall through to the name scan. Anything else
+      // (rate limits, bad keys, outages) would fail the scan too.
+      if (error?.code !== ERROR_CODES.NOT_FOUND) throw error;
+    }
+
+    const needle = query.trim().toLowerCase();
+    if (matches.size < limit) {
+      const { items } = await this.paginate(
+        (next) => this.listCollections({ chain, next }),
+        (page) => (page.collections || []).filter(collection =>
+          collection.name?.toLowerCase().includes(needle) || collection.collection?.includes(needle)
+        ),
+        { limit, maxPages: SEARCH_SCAN_PAGES }
+      );
+      items.forEach(add);
+    }
+
+    return [...matches.values()].slice(0, limit);
+  }
+}
+
+export function mapCollectionMetadata(collection, contract = {}) {
+  const royalty = collection.fees?.find(fee => fee.recipient?.toLowerCase() !== OPENSEA_FEE_RECIPIENT);
+
+  return {
+    name: collection.name || contract.name,
+    description: collection.description,
+    totalSupply: collection.total_supply ?? contract.total_supply,
+    slug: collection.collection,
+    contractType: contract.contract_standard?.toUpperCase(),
+    verified: collection.safelist_status === 'verified',
+    imageUrl: collection.image_url,
+    social: {
+      website: collection.project_url,
+      discord: collection.discord_url,
+      twitter: collection.twitter_username,
+      instagram: collection.instagram_username,
+    },
+    royalties: {
+      sellerFeeBasisPoints: royalty ? Math.round(royalty.fee * 100) : undefined,
+      royaltyRecipient: royalty?.recipient,
+    },
+  };
+}
+
+export function mapCollectionStats(stats) {
+  const interval = (name) => stats.intervals?.find(entry => entry.interval === name) || {};
+  const oneDay = interval('one_day');
+  const sevenDay = interval('seven_day');
+  const thirtyDay = interval('thirty_day');
+
+  return {
+    floorPrice: stats.total?.floor_price,
+    floorPriceETH: stats.total?.floor_price_symbol === 'ETH' ? stats.total?.floor_price : undefined,
+    totalVolume: stats.total?.volume,
+    totalSales: stats.total?.sales,
+    averagePrice: stats.total?.average_price,
+    marketCap: stats.total?.market_cap,
+    numOwners: stats.total?.num_owners,
+    oneDayVolume: oneDay.volume,
+    oneDayChange: oneDay.volume_change,
+    sevenDayVolume: sevenDay.volume,
+    sevenDayChange: sevenDay.volume_change,
+    thirtyDayVolume: thirtyDay.volume,
+  };
+}
+
+export function mapSaleEvent(event) {
+  return {
+    eventType: event.event_type,
+    auctionType: undefined,
+    totalPrice: event.payment?.quantity,
+    paymentToken: {
+      symbol: event.payment?.symbol,
+      address: event.payment?.token_address,
+      decimals: event.payment?.decimals,
+    },
+    seller: event.seller,
+    buyer: event.buyer,
+    quantity: event.quantity,
+    transactionHash: event.transaction,
+    blockHash: undefined,
+    blockNumber: undefined,
+    timestamp: toISOString(event.closing_date || event.event_timestamp),
+    asset: {
+      tokenId: event.nft?.identifier,
+      name: event.nft?.name,
+      imageUrl: event.nft?.image_url,
+    },
+    marketplace: 'OpenSea',
+  };
+}
+
+export function mapOrderEvent(event) {
+  const orderType = event.order_type || event.event_type;
+  return {
+    eventType: orderType,
+    // Item, collection and trait offers all count as offers
+    type: orderType === 'listing' ? 'listing' : 'offer',
+    orderHash: event.order_hash,
+    price: event.payment?.quantity,
+    priceDecimal: fromBaseUnits(event.payment?.quantity, event.payment?.decimals ?? 18),
+    paymentToken: {
+      symbol: event.payment?.symbol,
+      address: event.payment?.token_address,
+      decimals: event.payment?.decimals,
+    },
+    maker: event.maker,
+    taker: event.taker,
+    quantity: event.quantity,
+    startDate: toISOString(event.start_date),
+    expirationDate: toISOString(event.expiration_date),
+    timestamp: toISOString(event.event_timestamp),
+    asset: {
+      tokenId: event.asset?.identifier,
+      name: event.asset?.name,
+      imageUrl: event.asset?.image_url,
+    },
+    marketplace: 'OpenSea',
+  };
+}
+
+export function mapTransferEvent(event) {
+  return {
+    blockNumber: undefined,
+    transactionHash: event.transaction,
+    from: event.from_address,
+    to: event.to_address,
+    tokenId: event.nft?.identifier,
+    value: event.quantity,
+    asset: event.nft?.collection,
+    category: event.nft?.token_standard,
+    rawContract: {
+      address: event.nft?.contract,
+    },
+    metadata: {
+      eventType: event.event_type,
+    },
+    timestamp: toISOString(event.event_timestamp),
+  };
+}
+
+export function mapSearchResult(collection) {
+  return {
+    slug: collection.collection,
+    name: collection.name,
+    description: collection.description,
+    imageUrl: collection.image_url,
+    contractAddress: collection.contracts?.[0]?.address,
+    totalSupply: collection.total_supply,
+    verified: collection.safelist_status === 'verified',
+    externalUrl: collection.project_url,
+    discordUrl: collection.discord_url,
+    twitterUsername: collection.twitter_username,
+    createdDate: collection.created_date,
+  };
+}
@@ -0,0 +1,112 @@
+import { InvalidArgumentError } from './errors.js';
+
+/**
+ * Cursor pagination for list capabilities (transfers, sales, ownership).
+ *
+ * Providers page with their own native cursors (Alchemy `pageKey`, OpenSea
+ * and NFTScan `next`). Tools hand out an opaque cursor that also records which
+ * provider issued it, so follow-up pages go back to the same source even if
+ * the fallback order would pick a different one. Providers may return more
+ * items than asked for (Alchemy owner pages, flattened ERC-1155 batches), so
+ * a cursor can also point partway into a page: the native cursor of that page
+ * and how many of its items were already returned.
+ */
+
+// Upper bound on items collected by `all: true`, overridable via PAGINATION_MAX_ITEMS
+export const DEFAULT_MAX_ITEMS = 10000;
+
+/**
+ * @param {string} provider
+ * @param {any} cursor - native cursor; null for a provider's first page
+ * @param {number} [skip] - items of that page already returned
+ */
+export function encodeCursor(provider, cursor, skip = 0) {
+  return Buffer.from(JSON.stringify({ p: provider, c: cursor, ...(skip > 0 && { s: skip }) })).toString('base64url');
+}
+
+export function decodeCursor(token) {
+  try {
+    const { p, c, s = 0 } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (typeof p !== 'string' || c === undefined || !Number.isInteger(s) || s < 0) throw new Error('missing fields');
+    return { provider: p, cursor: c ?? undefined, skip: s };
+  } catch (error) {
+    throw new InvalidArgumentError(`Invalid cursor: ${token}`);
+  }
+}
+
+/**
+ * Follow one provider's native cursors until `target` items are collected.
+ * Provider methods receive `{ ...args, limit, cursor }`, may return fewer or
+ * more items than asked for, and resolve to `{ items, next, totalCount? }`.
+ * Pass `firstPage` when the first page has already been fetched.
+ *
+ * @param {object} options
+ * @param {number} [options.skip] - items at the start of the first page returned by an earlier call
+ * @returns {Promise<{ items: object[], next?: { cursor: any, skip: number }, totalCount?: number, pagesFetched: number }>}
+ *   `next` is where the following call resumes
+ */
+export async function collectPages(provider, capability, args, { target, cursor, skip = 0, firstPage }) {
+  let pageCursor = cursor;
+  let page = firstPage || await provider[capability]({ ...args, limit: skip + target, cursor: pageCursor });
+  const totalCount = page.totalCount;
+  const items = [];
+  let offset = skip;
+  let pagesFetched = 1;
+
+  for (;;) {
+    const taken = page.items.slice(offset, offset + target - items.length);
+    items.push(...taken);
+    offset += taken.length;
+    if (items.length >= target || !page.next) break;
+
+    pageCursor = page.next;
+    page = await provider[capability]({ ...args, limit: target - items.length, cursor: pageCursor });
+    offset = 0;
+    pagesFetched += 1;
+  }
+
+  let next;
+  if (offset < page.items.length) {
+    // The last page held more than was wanted; its remainder comes first next time
+    next = { cursor: pageCursor, skip: offset };
+  } else if (page.next) {
+    next = { cursor: page.next, skip: 0 };
+  }
+
+  return { items, next, totalCount, pagesFetched };
+}
+
+/**
+ * Collect up to `limit` items (or up to `maxItems` when `all` is set) from a
+ * paged capability. Without a cursor the registry picks the provider; with
+ * one, the provider that issued it serves the rest.
+ *
+ * @returns {Promise<{ provider, items: object[], nextCursor?: string, totalCount?: number, pagesFetched: number, truncated: boolean }>}
+ */
+export async function fetchPages(registry, capability, args, { limit, all = false, cursor, maxItems = DEFAULT_MAX_ITEMS }) {
+  const target = all ? maxItems : Math.min(limit, maxItems);
+
+  let provider;
+  let result;
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    provider = registry.get(decoded.provider);
+    if (!provider || !provider.supports(capability)) {
+      throw new InvalidArgumentError(`Cursor was issued by ${decoded.provider}, which cannot serve ${capability}`);
+    }
+    result = await collectPages(provider, capability, args, { target, cursor: decoded.cursor, skip: decoded.skip });
+  } else {
+    let firstPage;
+    ({ provider, data: firstPage } = await registry.call(capability, { ...args, limit: target }));
+    result = await collectPages(provider, capability, args, { target, firstPage });
+  }
+
+  return {
+    provider,
+    items: result.items,
+    nextCursor: result.next ? encodeCursor(provider.name, result.next.cursor ?? null, result.next.skip) : undefined,
+    totalCount: result.totalCount,
+    pagesFetched: result.pagesFetched,
+    truncated: Boolean(all && result.next),
+  };
+}
@@ -0,0 +1,150 @@
+import { priceSymbol } from './prices.js';
+import { NONE_VALUE, TRAIT_COUNT_TYPE } from './rarity.js';
+
+/**
+ * Helpers for valuing a wallet's NFT holdings.
+ *
+ * Holdings are grouped by collection and valued in ETH by one of:
+ * - floor: every token at the collection's lowest marketplace floor
+ * - lastSale: each token at its own most recent sale, falling back to floor
+ * - traitFloor: each token at the highest estimated floor among its traits,
+ *   never below the collection floor. Trait floors are estimated from the
+ *   cheapest recent sale of a token carrying the trait, since no provider
+ *   exposes live per-trait listings.
+ */
+
+export const VALUATION_METHODS = ['floor', 'lastSale', 'traitFloor'];
+
+function decimalTokenId(tokenId) {
+  try {
+    return BigInt(tokenId).toString();
+  } catch {
+    return String(tokenId);
+  }
+}
+
+/**
+ * Group owned NFTs (ownership capability items) by contract.
+ * @returns {Map<string, { contractAddress, name, symbol, tokens: { tokenId: string, balance: number }[], tokenCount: number }>}
+ */
+export function groupHoldings(nfts) {
+  const groups = new Map();
+  for (const nft of nfts) {
+    const key = nft.contractAddress.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, {
+        contractAddress: nft.contractAddress,
+        name: nft.collection?.name,
+        symbol: nft.collection?.symbol,
+        tokens: [],
+        tokenCount: 0,
+      });
+    }
+    const group = groups.get(key);
+    const balance = Number(nft.balance) || 1;
+    group.tokens.push({ tokenId: decimalTokenId(nft.tokenId), balance });
+    group.tokenCount += balance;
+  }
+  return groups;
+}
+
+/**
+ * Lowest positive floor across the marketplaces in a floorPrice result
+ * (`{ openSea: { floorPrice, priceCurrency }, looksRare: ..., ... }`), in
+ * ETH. Floors in another currency, such as SOL on Solana, are converted
+ * through `usdPrices` and skipped when it has no rate for them.
+ *
+ * @param {object} floorPrice
+ * @param {Map<string, number>} [usdPrices] - USD price per price symbol, including ETH
+ */
+export function lowestFloor(floorPrice, usdPrices) {
+  let lowest;
+  for (const [marketplace, quote] of Object.entries(floorPrice || {})) {
+    const price = Number(quote?.floorPrice);
+    if (!price || price <= 0) continue;
+    const priceETH = toETH(price, quote.priceCurrency, usdPrices);
+    if (priceETH === undefined) continue;
+    if (!lowest || priceETH < lowest.priceETH) {
+      lowest = { priceETH, marketplace };
+    }
+  }
+  return lowest;
+}
+
+/** Currencies other than ETH quoted in a floorPrice result, whose rates lowestFloor needs. */
+export function floorCurrencies(floorPrice) {
+  const currencies = Object.values(floorPrice || {}).map(quote => quote?.priceCurrency);
+  return [...new Set(currencies.filter(currency => currency && priceSymbol(currency) !== 'ETH'))];
+}
+
+function toETH(amount, currency, usdPrices) {
+  if (!currency || priceSymbol(currency) === 'ETH') return amount;
+  const tokenUsd = usdPrices?.get(priceSymbol(currency));
+  const ethUsd = usdPrices?.get('ETH');
+  return tokenUsd !== undefined && ethUsd ? (amount * tokenUsd) / ethUsd : undefined;
+}
+
+/**
+ * Estimate each trait value's floor as the cheapest recent sale (in ETH) of
+ * a token carrying it. Keys are `traitType: value`.
+ *
+ * @param {object[]} sales - aggregated sales with `asset.tokenId` and `totalPriceETH`
+ * @param {{ tokenId: string, traits: [string, string][] }[]} tokens - trait index entries
+ */
+export function estimateTraitFloors(sales, tokens) {
+  const traitsById = new Map(tokens.map(token => [token.tokenId, token.traits]));
+  const floors = new Map();
+
+  for (const sale of sales) {
+    if (!(sale.totalPriceETH > 0)) continue;
+    const traits = traitsById.get(decimalTokenId(sale.asset?.tokenId));
+    if (!traits) continue;
+
+    // Bundles sell several tokens for one price, so price each token at its share
+    const price = sale.totalPriceETH / (Number(sale.quantity) || 1);
+    for (const [traitType, value] of traits) {
+      if (traitType === TRAIT_COUNT_TYPE || value === NONE_VALUE) continue;
+      const key = `${traitType}: ${value}`;
+      if (!floors.has(key) || price < floors.get(key)) floors.set(key, price);
+    }
+  }
+  return floors;
+}
+
+/**
+ * A token's trait-floor value and the trait that set it.
+ */
+export function traitFloorValue(traits = [], traitFloors, collectionFloor = 0) {
+  let best = { priceETH: collectionFloor, trait: undefined };
+  for (const [traitType, value] of traits) {
+    const key = `${traitType}: ${value}`;
+    const floor = traitFloors.get(key);
+    if (floor !== undefined && floor > best.priceETH) {
+      best = { priceETH: floor, trait: key };
+    }
+  }
+  return best;
+}
+
+/**
+ * Wallet totals over valued collections. A collection counts as illiquid
+ * when it has no floor or recorded no sales volume in the last seven days.
+ */
+export function summarizePortfolio(collections, ethUsd) {
+  const round = (value) => Math.round(value * 1e6) / 1e6;
+
+  const totalETH = collections.reduce((sum, collection) => sum + (collection.valueETH || 0), 0);
+  const illiquidETH = collections
+    .filter(collection => !collection.liquid)
+    .reduce((sum, collection) => sum + (collection.valueETH || 0), 0);
+
+  return {
+    collectionCount: collections.length,
+    tokenCount: collections.reduce((sum, collection) => sum + collection.tokenCount, 0),
+    unpricedCollections: collections.filter(collection => collection.valueETH === undefined).length,
+    totalValueETH: round(totalETH),
+    totalValueUSD: ethUsd ? Math.round(totalETH * ethUsd * 100) / 100 : undefined,
+    illiquidValueETH: round(illiquidETH),
+    illiquidShare: totalETH > 0 ? round(illiquidETH / totalETH) : 0,
+  };
+}
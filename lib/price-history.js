@@ -0,0 +1,204 @@
+import { MemoryStore } from './cache.js';
+import { floorCurrencies, lowestFloor } from './portfolio.js';
+
+/**
+ * Floor, volume and price time series for a collection.
+ *
+ * Sales give each bucket its volume, count and prices. Floors come from
+ * snapshots the server records whenever a provider returns a collection's
+ * floor (getNFTFloorPrice, portfolio valuations, watches); a bucket without
+ * a snapshot falls back to its lowest sale, marked by `floorSource`. Empty
+ * buckets hold nulls so every series lines up with `buckets`.
+ */
+
+export const INTERVALS = { hour: 3600, day: 86400 };
+
+export const DEFAULT_RETENTION_DAYS = 90;
+
+// Repeat observations of an unchanged floor closer together than this are not stored
+const MIN_SNAPSHOT_SECONDS = 60;
+
+const MAX_SNAPSHOTS = 5000;
+
+const round = (value, digits = 6) => (value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const percentChange = (from, to) => (from > 0 && to !== null && to !== undefined ? round(((to - from) / from) * 100, 2) : null);
+
+/**
+ * Floor snapshots per collection, kept for `retentionDays` in a cache store
+ * (a JsonFileStore to keep them across restarts). Each snapshot holds the
+ * raw per-marketplace quotes so floors in SOL or other currencies can be
+ * converted when read.
+ */
+export class FloorHistory {
+  /**
+   * @param {object} [options]
+   * @param {MemoryStore} [options.store]
+   * @param {number} [options.retentionDays]
+   */
+  constructor({ store = new MemoryStore(), retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+    this.store = store;
+    this.retentionSeconds = retentionDays * 86400;
+  }
+
+  key(chain, contractAddress) {
+    const address = contractAddress.startsWith('0x') ? contractAddress.toLowerCase() : contractAddress;
+    return `${chain}:${address}`;
+  }
+
+  /**
+   * Store a floorPrice capability result.
+   * @param {number} [time] - unix seconds, default now
+   */
+  record(chain, contractAddress, floorPrice, time = Math.floor(Date.now() / 1000)) {
+    const quotes = {};
+    for (const [marketplace, quote] of Object.entries(floorPrice || {})) {
+      const price = Number(quote?.floorPrice);
+      if (price > 0) quotes[marketplace] = [price, quote.priceCurrency || 'ETH'];
+    }
+    if (Object.keys(quotes).length === 0) return;
+
+    const key = this.key(chain, contractAddress);
+    const snapshots = (this.store.get(key)?.snapshots || []).filter(snapshot => snapshot.t > time - this.retentionSeconds);
+    const last = snapshots[snapshots.length - 1];
+    if (last && time - last.t < MIN_SNAPSHOT_SECONDS && JSON.stringify(last.quotes) === JSON.stringify(quotes)) return;
+
+    snapshots.push({ t: time, quotes });
+    this.store.set(key, {
+      expiresAt: (time + this.retentionSeconds) * 1000,
+      snapshots: snapshots.slice(-MAX_SNAPSHOTS),
+    });
+  }
+
+  /** Snapshots in a time window, oldest first, as `{ time, floorPrice }` in the floorPrice capability shape. */
+  snapshots(chain, contractAddress, fromTime, toTime) {
+    return (this.store.get(this.key(chain, contractAddress))?.snapshots || [])
+      .filter(snapshot => snapshot.t >= fromTime && snapshot.t <= toTime)
+      .map(snapshot => ({
+        time: snapshot.t,
+        floorPrice: Object.fromEntries(Object.entries(snapshot.quotes).map(([marketplace, [floorPrice, priceCurrency]]) => [
+          marketplace,
+          { floorPrice, priceCurrency },
+        ])),
+      }));
+  }
+
+  flush() {
+    this.store.flush();
+  }
+}
+
+/** Currencies other than ETH quoted across snapshots, whose rates the series needs. */
+export function snapshotCurrencies(snapshots) {
+  return [...new Set(snapshots.flatMap(snapshot => floorCurrencies(snapshot.floorPrice)))];
+}
+
+// Mean of the last `window` values, skipping gaps
+function movingAverages(values, window) {
+  return values.map((_, index) => {
+    const present = values.slice(Math.max(0, index - window + 1), index + 1).filter(value => value !== null);
+    return present.length > 0 ? round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+  });
+}
+
+/**
+ * Summary of one series: change from its first to last value, range, latest
+ * moving average, and volatility as the standard deviation of the percent
+ * changes between consecutive values.
+ */
+function describeSeries(values, averages) {
+  const present = values.filter(value => value !== null);
+  if (present.length === 0) return null;
+
+  const returns = present.slice(1).map((value, index) => (value - present[index]) / present[index]);
+  const mean = returns.reduce((sum, value) => sum + value, 0) / (returns.length || 1);
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length || 1);
+
+  return {
+    first: present[0],
+    last: present[present.length - 1],
+    changePercent: percentChange(present[0], present[present.length - 1]),
+    high: Math.max(...present),
+    low: Math.min(...present),
+    movingAverage: [...averages].reverse().find(value => value !== null) ?? null,
+    volatilityPercent: returns.length > 0 ? round(Math.sqrt(variance) * 100, 2) : null,
+  };
+}
+
+/**
+ * Bucket sales and floor snapshots into a time series with indicators.
+ *
+ * @param {object} options
+ * @param {object[]} options.sales - aggregated sales priced with `totalPriceETH`
+ * @param {{ time: number, floorPrice: object }[]} options.snapshots - from FloorHistory.snapshots
+ * @param {number} options.fromTime - unix seconds
+ * @param {number} options.toTime - unix seconds
+ * @param {'hour'|'day'} options.interval
+ * @param {number} options.movingAverageWindow - buckets averaged
+ * @param {Map<string, number>} [options.usdPrices] - rates for non-ETH floors
+ */
+export function buildPriceSeries({ sales, snapshots, fromTime, toTime, interval, movingAverageWindow, usdPrices }) {
+  const step = INTERVALS[interval];
+  const first = Math.floor(fromTime / step) * step;
+  const buckets = [];
+  for (let start = first; start <= toTime; start += step) {
+    buckets.push({ start, prices: [], volumeETH: 0, salesCount: 0, floors: [] });
+  }
+  const bucketAt = (time) => buckets[Math.floor((time - first) / step)];
+
+  for (const sale of sales) {
+    const time = Date.parse(sale.timestamp) / 1000;
+    const bucket = Number.isFinite(time) && bucketAt(time);
+    if (!bucket) continue;
+    bucket.salesCount += 1;
+    if (sale.totalPriceETH === undefined) continue;
+    bucket.volumeETH += sale.totalPriceETH;
+    bucket.prices.push(sale.totalPriceETH / (Number(sale.quantity) || 1));
+  }
+
+  for (const snapshot of snapshots) {
+    const bucket = bucketAt(snapshot.time);
+    const floor = bucket && lowestFloor(snapshot.floorPrice, usdPrices);
+    if (floor) bucket.floors.push(floor.priceETH);
+  }
+
+  const rows = buckets.map(({ start, prices, volumeETH, salesCount, floors }) => {
+    const lowestSale = prices.length > 0 ? Math.min(...prices) : null;
+    // The last snapshot in a bucket is its closing floor
+    const floorETH = floors.length > 0 ? floors[floors.length - 1] : lowestSale;
+    return {
+      start: new Date(start * 1000).toISOString(),
+      floorETH: round(floorETH),
+      floorSource: floors.length > 0 ? 'snapshot' : (lowestSale !== null ? 'lowestSale' : null),
+      floorObservations: floors.length,
+      salesCount,
+      volumeETH: round(volumeETH),
+      averagePriceETH: prices.length > 0 ? round(prices.reduce((sum, price) => sum + price, 0) / prices.length) : null,
+      minPriceETH: round(lowestSale),
+      maxPriceETH: prices.length > 0 ? round(Math.max(...prices)) : null,
+    };
+  });
+
+  const floorAverages = movingAverages(rows.map(row => row.floorETH), movingAverageWindow);
+  const priceAverages = movingAverages(rows.map(row => row.averagePriceETH), movingAverageWindow);
+  rows.forEach((row, index) => {
+    row.floorMovingAverage = floorAverages[index];
+    row.averagePriceMovingAverage = priceAverages[index];
+  });
+
+  // Volume trend compares the later half of the range with the earlier half
+  const half = Math.floor(rows.length / 2);
+  const volumeOf = (part) => part.reduce((sum, row) => sum + row.volumeETH, 0);
+
+  return {
+    buckets: rows,
+    indicators: {
+      floor: describeSeries(rows.map(row => row.floorETH), floorAverages),
+      averagePrice: describeSeries(rows.map(row => row.averagePriceETH), priceAverages),
+      volume: {
+        totalETH: round(volumeOf(rows)),
+        salesCount: rows.reduce((sum, row) => sum + row.salesCount, 0),
+        changePercent: half > 0 ? percentChange(volumeOf(rows.slice(0, half)), volumeOf(rows.slice(-half))) : null,
+      },
+    },
+  };
+}
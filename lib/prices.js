@@ -0,0 +1,109 @@
+import { toWarning } from './errors.js';
+
+/**
+ * USD prices for sale payment tokens, from Alchemy's Prices API.
+ */
+
+const PRICES_TTL = 60 * 1000;
+
+// Wrapped and pool tokens priced as the asset they track
+const PRICE_ALIASES = {
+  WETH: 'ETH',
+  'BLUR POOL': 'ETH',
+  BETH: 'ETH',
+  WMATIC: 'MATIC',
+  WPOL: 'POL',
+};
+
+// Used when no price source is configured
+const STABLECOINS = new Set(['USDC', 'USDT', 'DAI']);
+
+export function priceSymbol(symbol) {
+  const upper = symbol?.toUpperCase();
+  return PRICE_ALIASES[upper] || upper;
+}
+
+/**
+ * Convert an integer amount in a token's smallest unit (e.g. wei) into a
+ * decimal number using the token's decimals.
+ */
+export function fromBaseUnits(amount, decimals = 18) {
+  if (amount === undefined || amount === null || amount === '') return undefined;
+
+  let value;
+  try {
+    value = BigInt(amount);
+  } catch {
+    return Number(amount);
+  }
+
+  const base = 10n ** BigInt(decimals);
+  const whole = value / base;
+  const fraction = value % base;
+  return Number(whole) + Number(fraction) / Number(base);
+}
+
+export class PriceOracle {
+  /**
+   * @param {object} options
+   * @param {string} [options.apiKey] - Alchemy API key
+   * @param {(url: string, options?: object) => Promise<any>} options.request - HTTP JSON request function
+   */
+  constructor({ apiKey, request }) {
+    this.apiKey = apiKey;
+    this.request = request;
+    this.prices = new Map();
+  }
+
+  /**
+   * USD prices keyed by price symbol. Symbols the source cannot price are
+   * left out rather than failing the whole lookup. A failed lookup is
+   * returned in `warnings`, as is any expired price served because it could
+   * not be refreshed.
+   * @returns {Promise<{ rates: Map<string, number>, warnings: object[] }>}
+   */
+  async getUsdPrices(symbols) {
+    const wanted = [...new Set(symbols.filter(Boolean).map(priceSymbol))];
+    const now = Date.now();
+    const missing = wanted.filter(symbol => !(this.prices.get(symbol)?.expiresAt > now));
+    const warnings = [];
+
+    if (missing.length > 0) {
+      if (this.apiKey) {
+        try {
+          const params = new URLSearchParams();
+          missing.forEach(symbol => params.append('symbols', symbol));
+          const response = await this.request(`https://api.g.alchemy.com/prices/v1/${this.apiKey}/tokens/by-symbol?${params}`);
+
+          for (const entry of response.data || []) {
+            const usd = entry.prices?.find(price => price.currency === 'usd');
+            if (usd) {
+              this.prices.set(entry.symbol.toUpperCase(), { value: Number(usd.value), fetchedAt: now, expiresAt: now + PRICES_TTL });
+            }
+          }
+        } catch (error) {
+          warnings.push(toWarning('prices', error));
+        }
+      }
+
+      for (const symbol of missing) {
+        if (!this.prices.has(symbol) && STABLECOINS.has(symbol)) {
+          this.prices.set(symbol, { value: 1, fetchedAt: now, expiresAt: now + PRICES_TTL });
+        }
+      }
+    }
+
+    const rates = new Map();
+    const stale = [];
+    for (const symbol of wanted) {
+      const price = this.prices.get(symbol);
+      if (!price) continue;
+      rates.set(symbol, price.value);
+      if (price.expiresAt <= now) stale.push(`${symbol} from ${new Date(price.fetchedAt).toISOString()}`);
+    }
+    if (stale.length > 0) {
+      warnings.push({ source: 'prices', code: 'STALE', message: `USD rates could not be refreshed; using ${stale.join(', ')}` });
+    }
+    return { rates, warnings };
+  }
+}
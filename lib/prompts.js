@@ -0,0 +1,142 @@
+import { describeChains } from './chains.js';
+
+/**
+ * MCP prompts: canned research workflows that tell the model which tools to
+ * call, in what order, and how to lay out the report, so the same question
+ * gets the same kind of answer whoever asks it.
+ */
+
+const chainArgument = {
+  name: 'chain',
+  description: `${describeChains()}. Defaults to ethereum`,
+  required: false,
+};
+
+export const PROMPTS = {
+  collectionDueDiligence: {
+    description: 'Due diligence report on an NFT collection: market health, trading activity, holder behaviour and red flags',
+    arguments: [
+      { name: 'contractAddress', description: 'Contract address of the collection', required: true },
+      chainArgument,
+    ],
+    build: ({ contractAddress, chain }) => `Prepare a due diligence report on the NFT collection ${contractAddress} on ${chain}.
+
+Gather data with these tools, in order:
+1. getNFTCollectionDetails with { "contractAddress": "${contractAddress}", "chain": "${chain}", "validate": true } for metadata, supply, royalties and market stats. Note any validation discrepancies between providers.
+2. getNFTFloorPrice with { "contractAddress": "${contractAddress}", "chain": "${chain}" } for the current floor per marketplace.
+3. getNFTSales with { "contractAddress": "${contractAddress}", "chain": "${chain}", "limit": 100 } for recent sales: prices in ETH and USD, marketplaces, buyers and sellers.
+4. getNFTTransfers with { "contractAddress": "${contractAddress}", "chain": "${chain}", "limit": 100 } and look at typeCounts: the mix of mints, sales, plain transfers and burns.
+5. getCollectionTraits with { "contractAddress": "${contractAddress}", "chain": "${chain}" } to see how traits are distributed.
+6. detectWashTrading with { "contractAddress": "${contractAddress}", "chain": "${chain}" } for flagged wash trades and organic volume.
+7. getCollectionHolders with { "contractAddress": "${contractAddress}", "chain": "${chain}" } for holder count, concentration and how long holders have held.
+8. getCollectionPriceHistory with { "contractAddress": "${contractAddress}", "chain": "${chain}", "excludeWashTrades": true } for the 30-day floor, volume and price trend.
+
+Write the report with these sections:
+- Overview: name, contract type, supply, royalties, verification status.
+- Market: floor by marketplace, 7-day and total volume, owner count, and how recent sale prices compare with the floor, and the 30-day floor and volume trend.
+- Holders: holder count, Gini and top-10 share, and the share of long-term holders.
+- Activity: how often the collection trades, which marketplaces dominate, and whether volume comes from many wallets or a few. Base volume figures on organic volume and state the share detectWashTrading flagged.
+- Red flags: wash trades by reason, sales far from the floor, concentrated ownership, unverified contracts, provider discrepancies.
+- Verdict: a short, plain-language summary an analyst without blockchain background can act on.
+
+Quote the numbers you relied on and name the data source of each. If a tool fails or returns partial data, say so rather than filling gaps with assumptions.`,
+  },
+
+  walletActivity: {
+    description: "Explain a wallet's NFT holdings and recent activity in plain language",
+    arguments: [
+      { name: 'walletAddress', description: 'Wallet address to explain', required: true },
+      chainArgument,
+    ],
+    build: ({ walletAddress, chain }) => `Explain the NFT activity of wallet ${walletAddress} on ${chain}.
+
+Gather data with these tools, in order:
+1. getWalletNFTs with { "walletAddress": "${walletAddress}", "chain": "${chain}", "all": true } for everything the wallet holds.
+2. getWalletPortfolioValue with { "walletAddress": "${walletAddress}", "chains": ["${chain}"] } for what the holdings are worth and how much of that value is illiquid.
+3. For the three to five collections that make up most of the value, call getNFTTransfers with { "contractAddress": <collection>, "chain": "${chain}", "toAddress": "${walletAddress}" } and again with "fromAddress": "${walletAddress}" to see what the wallet bought, received, sold and sent.
+4. For the same collections, call getNFTSales with { "contractAddress": <collection>, "chain": "${chain}", "limit": 50 } and match sales to the wallet's transfers by transactionHash to find prices paid and received.
+
+Write the explanation with these sections:
+- Holdings: collections held, token counts, estimated value in ETH and USD.
+- Activity: what the wallet has been doing recently (minting, buying, selling, moving tokens between wallets), with dates.
+- Profit and loss: realised gains or losses where buy and sell prices are both known. Say which tokens could not be priced.
+- Behaviour: whether the wallet looks like a collector, a flipper, a minter or a market maker, and why.
+
+Keep the language plain; explain any blockchain term the first time it appears. If a tool fails or returns partial data, say so.`,
+  },
+
+  tokenPriceVsTraits: {
+    description: "Evaluate whether a token's price is justified by its traits and rarity",
+    arguments: [
+      { name: 'contractAddress', description: 'Contract address of the collection', required: true },
+      { name: 'tokenId', description: 'Token ID to evaluate', required: true },
+      chainArgument,
+    ],
+    build: ({ contractAddress, tokenId, chain }) => `Evaluate the price of token ${tokenId} in collection ${contractAddress} on ${chain} against its traits.
+
+Gather data with these tools, in order:
+1. getNFTMetadata with { "contractAddress": "${contractAddress}", "tokenId": "${tokenId}", "chain": "${chain}" } for the token's name, traits and owner.
+2. getNFTRarity with { "contractAddress": "${contractAddress}", "tokenId": "${tokenId}", "chain": "${chain}" } for its rarity rank, score and rarest traits.
+3. getCollectionTraits with { "contractAddress": "${contractAddress}", "chain": "${chain}" } for how common each of its traits is.
+4. getNFTFloorPrice with { "contractAddress": "${contractAddress}", "chain": "${chain}" } for the collection floor.
+5. getNFTSales with { "contractAddress": "${contractAddress}", "tokenId": "${tokenId}", "chain": "${chain}", "all": true } for this token's own sale history.
+6. getNFTSales with { "contractAddress": "${contractAddress}", "chain": "${chain}", "limit": 200 } for recent collection sales. Use getNFTMetadata on a handful of them to find comparable tokens sharing its rarest traits.
+7. getNFTTransfers with { "contractAddress": "${contractAddress}", "tokenId": "${tokenId}", "chain": "${chain}" } to check how often it changed hands outside marketplaces.
+
+Write the evaluation with these sections:
+- Token: traits, rarity rank (and top percent), and which traits drive it.
+- Price history: its previous sales in ETH and USD, with dates.
+- Comparables: recent sales of tokens with the same rare traits, and the premium they fetched over the floor.
+- Fair value: a price range in ETH, how it compares with the floor and the last sale, and how confident you are given the number of comparables.
+
+State your assumptions. If a tool fails or returns partial data, say so rather than guessing.`,
+  },
+};
+
+/**
+ * Prompt listing for prompts/list.
+ */
+export function listPrompts() {
+  return Object.entries(PROMPTS).map(([name, { description, arguments: args }]) => ({
+    name,
+    description,
+    arguments: args,
+  }));
+}
+
+/**
+ * Render a prompt for prompts/get.
+ *
+ * @param {string} name
+ * @param {Object<string, string>} args
+ * @param {string[]} chains - chains a prompt may target
+ */
+export function renderPrompt(name, args = {}, chains) {
+  const prompt = PROMPTS[name];
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name} (expected one of ${Object.keys(PROMPTS).join(', ')})`);
+  }
+
+  const values = { chain: 'ethereum' };
+  for (const argument of prompt.arguments) {
+    const value = args[argument.name]?.trim();
+    if (value) {
+      values[argument.name] = value;
+    } else if (argument.required) {
+      throw new Error(`Prompt ${name} requires the ${argument.name} argument`);
+    }
+  }
+  if (!chains.includes(values.chain)) {
+    throw new Error(`Unsupported chain "${values.chain}" (expected one of ${chains.join(', ')})`);
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text: prompt.build(values) },
+      },
+    ],
+  };
+}
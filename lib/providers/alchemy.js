@@ -0,0 +1,481 @@
+import { NFTDataProvider } from './base.js';
+import { ERROR_CODES, InvalidArgumentError, NFTScannerError } from '../errors.js';
+import { getChain } from '../chains.js';
+import { matchesTransferFilters } from '../transfers.js';
+
+// Compute units Alchemy bills per NFT API and JSON-RPC method
+const COMPUTE_UNITS = {
+  getContractMetadata: 80,
+  getNFTMetadata: 80,
+  getNFTMetadataBatch: 200,
+  getNFTs: 480,
+  getNFTsForCollection: 480,
+  getOwnersForCollection: 480,
+  getFloorPrice: 200,
+  getNFTSales: 180,
+  alchemy_getAssetTransfers: 150,
+  eth_blockNumber: 10,
+  eth_getBlockByNumber: 16,
+};
+
+// Largest page each paged method returns
+const MAX_TRANSFERS_PAGE = 1000;
+const MAX_NFTS_PAGE = 100;
+const MAX_SALES_PAGE = 1000;
+
+// Most tokens one getNFTMetadataBatch request takes
+const MAX_METADATA_BATCH = 100;
+
+// Block timestamps remembered for date-to-block searches and sale times
+const MAX_BLOCK_TIMESTAMPS = 5000;
+
+// Marketplace filters getNFTSales understands. OpenSea sales span both
+// `seaport` and `wyvern`, so that filter is applied after fetching instead.
+const SALES_MARKETPLACES = ['looksrare', 'blur', 'x2y2', 'cryptopunks'];
+
+// Date-bounded scans carry the window's block bounds in their native cursor
+// so later pages skip the block search
+function pageCursor(pageKey, bounds) {
+  if (!pageKey) return undefined;
+  return bounds.from === undefined && bounds.to === undefined ? pageKey : { pageKey, blocks: bounds };
+}
+
+const pageKeyOf = (cursor) => (typeof cursor === 'object' ? cursor?.pageKey : cursor);
+
+// Token metadata from a getNFTMetadata response or getNFTMetadataBatch entry
+function toTokenMetadata(response) {
+  return {
+    name: response.title || response.metadata?.name,
+    description: response.description || response.metadata?.description,
+    image: response.metadata?.image || response.media?.[0]?.gateway,
+    attributes: response.metadata?.attributes || [],
+    tokenType: response.id?.tokenMetadata?.tokenType || response.tokenType,
+    // v2 returns the URI as { raw, gateway }
+    tokenUri: typeof response.tokenUri === 'string' ? response.tokenUri : response.tokenUri?.raw,
+    owner: response.ownerships?.[0]?.ownerAddress,
+    mintedAt: response.timeLastUpdated,
+    contractMetadata: {
+      name: response.contract?.name || response.contractMetadata?.name,
+      symbol: response.contract?.symbol || response.contractMetadata?.symbol,
+      totalSupply: response.contract?.totalSupply || response.contractMetadata?.totalSupply,
+    },
+    rawMetadata: response.metadata,
+  };
+}
+
+/**
+ * Alchemy NFT API provider. Primary source for on-chain indexed data:
+ * contract and token metadata, transfers, wallet holdings and floor prices.
+ */
+export class AlchemyProvider extends NFTDataProvider {
+  constructor(options) {
+    super(options);
+    this.blockTimestamps = new Map();
+  }
+
+  get name() {
+    return 'alchemy';
+  }
+
+  get label() {
+    return 'Alchemy NFT API';
+  }
+
+  get capabilities() {
+    return ['collectionMetadata', 'tokenMetadata', 'tokenMetadataBatch', 'collectionTokens', 'transfers', 'sales', 'ownership', 'floorPrice', 'valueTransfers', 'collectionOwners'];
+  }
+
+  supportsChain(chain) {
+    return Boolean(getChain(chain)?.alchemy);
+  }
+
+  getNetwork(chain) {
+    const network = getChain(chain)?.alchemy;
+    if (!network) {
+      throw new InvalidArgumentError(`${this.label} does not support chain ${chain}`);
+    }
+    return network;
+  }
+
+  nftUrl(chain, method) {
+    this.requireApiKey();
+    return `https://${this.getNetwork(chain)}.g.alchemy.com/nft/v2/${this.apiKey}/${method}`;
+  }
+
+  nftRequest(chain, method, params, options = {}) {
+    const query = params ? `?${params}` : '';
+    return this.request(`${this.nftUrl(chain, method)}${query}`, {
+      ...options,
+      cost: COMPUTE_UNITS[method],
+    });
+  }
+
+  async collectionMetadata({ contractAddress, chain }) {
+    const params = new URLSearchParams({
+      contractAddress: contractAddress,
+    });
+
+    const response = await this.nftRequest(chain, 'getContractMetadata', params);
+    const metadata = response.contractMetadata || {};
+
+    return {
+      name: metadata.name || metadata.openSea?.collectionName,
+      description: metadata.openSea?.description,
+      totalSupply: metadata.totalSupply,
+      symbol: metadata.symbol,
+      contractType: metadata.tokenType,
+      verified: metadata.openSea?.safelistRequestStatus === 'verified',
+      imageUrl: metadata.openSea?.imageUrl,
+      social: {
+        website: metadata.openSea?.externalUrl,
+        discord: metadata.openSea?.discordUrl,
+        twitter: metadata.openSea?.twitterUsername,
+      },
+    };
+  }
+
+  async tokenMetadata({ contractAddress, tokenId, chain }) {
+    const params = new URLSearchParams({
+      contractAddress: contractAddress,
+      tokenId: tokenId,
+    });
+
+    return toTokenMetadata(await this.nftRequest(chain, 'getNFTMetadata', params));
+  }
+
+  /**
+   * Metadata for many tokens through getNFTMetadataBatch, in chunks of
+   * MAX_METADATA_BATCH. Tokens missing from the response come back as null.
+   */
+  async tokenMetadataBatch({ tokens, chain }) {
+    const byToken = new Map();
+    for (let start = 0; start < tokens.length; start += MAX_METADATA_BATCH) {
+      const chunk = tokens.slice(start, start + MAX_METADATA_BATCH);
+      const response = await this.nftRequest(chain, 'getNFTMetadataBatch', undefined, {
+        method: 'POST',
+        body: JSON.stringify({
+          tokens: chunk.map(({ contractAddress, tokenId }) => ({ contractAddress, tokenId })),
+          refreshCache: false,
+        }),
+      });
+
+      for (const nft of response || []) {
+        if (!nft.contract?.address || nft.id?.tokenId === undefined) continue;
+        byToken.set(`${nft.contract.address.toLowerCase()}:${BigInt(nft.id.tokenId)}`, toTokenMetadata(nft));
+      }
+    }
+
+    return tokens.map(({ contractAddress, tokenId }) => byToken.get(`${contractAddress.toLowerCase()}:${BigInt(tokenId)}`) ?? null);
+  }
+
+  async collectionTokens({ contractAddress, limit, cursor, chain }) {
+    const params = new URLSearchParams({
+      contractAddress: contractAddress,
+      withMetadata: 'true',
+      limit: Math.min(limit, MAX_NFTS_PAGE).toString(),
+    });
+    if (cursor) {
+      params.append('startToken', cursor);
+    }
+
+    const response = await this.nftRequest(chain, 'getNFTsForCollection', params);
+
+    const items = response.nfts.map(nft => ({
+      tokenId: BigInt(nft.id.tokenId).toString(),
+      name: nft.title || nft.metadata?.name,
+      attributes: nft.metadata?.attributes || [],
+    }));
+
+    return { items, next: response.nextToken };
+  }
+
+  rpcUrl(chain) {
+    this.requireApiKey();
+    return `https://${this.getNetwork(chain)}.g.alchemy.com/v2/${this.apiKey}`;
+  }
+
+  async rpc(chain, method, params) {
+    const response = await this.request(this.rpcUrl(chain), {
+      method: 'POST',
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+      cost: COMPUTE_UNITS[method],
+    });
+
+    if (response.error) {
+      throw new NFTScannerError(ERROR_CODES.UPSTREAM_UNAVAILABLE, `${method} failed: ${response.error.message}`, { provider: this.name });
+    }
+    return response.result;
+  }
+
+  async blockTimestamp(chain, blockNumber) {
+    const key = `${chain}:${blockNumber}`;
+    if (!this.blockTimestamps.has(key)) {
+      const block = await this.rpc(chain, 'eth_getBlockByNumber', [`0x${blockNumber.toString(16)}`, false]);
+      if (this.blockTimestamps.size >= MAX_BLOCK_TIMESTAMPS) {
+        this.blockTimestamps.delete(this.blockTimestamps.keys().next().value);
+      }
+      this.blockTimestamps.set(key, parseInt(block.timestamp, 16));
+    }
+    return this.blockTimestamps.get(key);
+  }
+
+  /**
+   * Binary-search the first block mined at or after `timestamp` (unix seconds).
+   */
+  async findBlockAtOrAfter(chain, timestamp) {
+    let low = 0;
+    let high = parseInt(await this.rpc(chain, 'eth_blockNumber', []), 16);
+
+    if (await this.blockTimestamp(chain, high) < timestamp) {
+      return high + 1;
+    }
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (await this.blockTimestamp(chain, middle) < timestamp) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Block bounds of a date window: `from` is its first block, `to` its last.
+   * A cursor from an earlier page already carries them.
+   */
+  async blockBounds(chain, { fromTime, toTime }, cursor) {
+    if (cursor?.blocks) return cursor.blocks;
+    const blocks = {};
+    if (fromTime !== undefined) blocks.from = await this.findBlockAtOrAfter(chain, fromTime);
+    if (toTime !== undefined) blocks.to = (await this.findBlockAtOrAfter(chain, toTime + 1)) - 1;
+    return blocks;
+  }
+
+  /**
+   * Transfers via `alchemy_getAssetTransfers`. Date bounds are translated to
+   * block bounds once per scan so Alchemy only reads the requested window;
+   * token and exact timestamp filters are applied to each page afterwards.
+   */
+  async transfers({ contractAddress, tokenId, limit, cursor, chain, order = 'desc', fromBlock, toBlock, fromTime, toTime, fromAddress, toAddress }) {
+    const bounds = await this.blockBounds(chain, { fromTime, toTime }, cursor);
+    let startBlock = fromBlock;
+    let endBlock = toBlock;
+    if (bounds.from !== undefined) {
+      startBlock = Math.max(startBlock ?? 0, bounds.from);
+    }
+    if (bounds.to !== undefined) {
+      endBlock = endBlock === undefined ? bounds.to : Math.min(endBlock, bounds.to);
+    }
+
+    if (startBlock !== undefined && endBlock !== undefined && startBlock > endBlock) {
+      return { items: [] };
+    }
+
+    const filter = {
+      fromBlock: `0x${(startBlock ?? 0).toString(16)}`,
+      toBlock: endBlock === undefined ? 'latest' : `0x${endBlock.toString(16)}`,
+      contractAddresses: [contractAddress],
+      category: ['erc721', 'erc1155'],
+      order,
+      withMetadata: true,
+      excludeZeroValue: false,
+      // Alchemy cannot filter by token, so single-token scans read full pages
+      maxCount: `0x${(tokenId ? MAX_TRANSFERS_PAGE : Math.min(limit, MAX_TRANSFERS_PAGE)).toString(16)}`,
+    };
+
+    if (fromAddress) filter.fromAddress = fromAddress;
+    if (toAddress) filter.toAddress = toAddress;
+    if (cursor) filter.pageKey = pageKeyOf(cursor);
+
+    const response = await this.rpc(chain, 'alchemy_getAssetTransfers', [filter]);
+
+    const items = response.transfers.flatMap(transfer => {
+      // ERC-1155 batch transfers carry several token IDs in one entry
+      const tokens = transfer.erc1155Metadata?.length
+        ? transfer.erc1155Metadata.map(token => ({ tokenId: token.tokenId, value: token.value }))
+        : [{ tokenId: transfer.erc721TokenId || transfer.tokenId, value: transfer.value }];
+
+      return tokens.map(token => ({
+        blockNumber: parseInt(transfer.blockNum, 16),
+        transactionHash: transfer.hash,
+        from: transfer.from,
+        to: transfer.to,
+        tokenId: token.tokenId ? BigInt(token.tokenId).toString() : undefined,
+        value: token.value,
+        asset: transfer.asset,
+        category: transfer.category,
+        rawContract: transfer.rawContract,
+        metadata: {
+          uniqueId: transfer.uniqueId,
+        },
+        timestamp: transfer.metadata?.blockTimestamp,
+      }));
+    }).filter(transfer => matchesTransferFilters(transfer, { tokenId, fromTime, toTime }));
+
+    return { items, next: pageCursor(response.pageKey, bounds) };
+  }
+
+  /**
+   * Native currency and ERC-20 payments from one wallet to another, newest
+   * first, up to `toBlock` when given.
+   */
+  async valueTransfers({ fromAddress, toAddress, limit, cursor, chain, toBlock }) {
+    const filter = {
+      fromBlock: '0x0',
+      toBlock: toBlock === undefined ? 'latest' : `0x${Number(toBlock).toString(16)}`,
+      fromAddress,
+      toAddress,
+      category: ['external', 'erc20'],
+      order: 'desc',
+      withMetadata: true,
+      excludeZeroValue: true,
+      maxCount: `0x${Math.min(limit, MAX_TRANSFERS_PAGE).toString(16)}`,
+    };
+    if (cursor) filter.pageKey = cursor;
+
+    const response = await this.rpc(chain, 'alchemy_getAssetTransfers', [filter]);
+
+    const items = response.transfers.map(transfer => ({
+      blockNumber: parseInt(transfer.blockNum, 16),
+      transactionHash: transfer.hash,
+      from: transfer.from,
+      to: transfer.to,
+      value: transfer.value,
+      asset: transfer.asset,
+      category: transfer.category,
+      timestamp: transfer.metadata?.blockTimestamp,
+    }));
+
+    return { items, next: response.pageKey };
+  }
+
+  /**
+   * Marketplace sales decoded by Alchemy from on-chain Seaport, Wyvern,
+   * LooksRare, X2Y2, Blur and CryptoPunks events. The price is the sum of
+   * the seller, protocol and royalty fees.
+   */
+  async sales({ contractAddress, tokenId, marketplace, limit, cursor, chain, fromTime, toTime }) {
+    const params = new URLSearchParams({
+      contractAddress: contractAddress,
+      order: 'desc',
+      limit: Math.min(limit, MAX_SALES_PAGE).toString(),
+    });
+    if (tokenId) params.append('tokenId', tokenId);
+    if (SALES_MARKETPLACES.includes(marketplace)) params.append('marketplace', marketplace);
+    const bounds = await this.blockBounds(chain, { fromTime, toTime }, cursor);
+    if (bounds.from !== undefined) params.append('fromBlock', bounds.from.toString());
+    if (bounds.to !== undefined) params.append('toBlock', bounds.to.toString());
+    if (cursor) params.append('pageKey', pageKeyOf(cursor));
+
+    const response = await this.nftRequest(chain, 'getNFTSales', params);
+    const sales = response.nftSales || [];
+
+    const blocks = [...new Set(sales.map(sale => sale.blockNumber))];
+    const timestamps = new Map(await Promise.all(
+      blocks.map(async (block) => [block, await this.blockTimestamp(chain, block)])
+    ));
+
+    const items = sales.map(sale => {
+      const fees = [sale.sellerFee, sale.protocolFee, sale.royaltyFee].filter(fee => fee?.amount);
+      return {
+        eventType: 'sale',
+        totalPrice: fees.reduce((total, fee) => total + BigInt(fee.amount), 0n).toString(),
+        paymentToken: {
+          symbol: sale.sellerFee?.symbol,
+          decimals: sale.sellerFee?.decimals,
+        },
+        fees: {
+          seller: sale.sellerFee?.amount,
+          protocol: sale.protocolFee?.amount,
+          royalty: sale.royaltyFee?.amount,
+        },
+        seller: sale.sellerAddress,
+        buyer: sale.buyerAddress,
+        quantity: sale.quantity,
+        transactionHash: sale.transactionHash,
+        blockNumber: sale.blockNumber,
+        timestamp: new Date(timestamps.get(sale.blockNumber) * 1000).toISOString(),
+        asset: {
+          tokenId: sale.tokenId,
+        },
+        marketplace: sale.marketplace,
+      };
+    });
+
+    return { items, next: pageCursor(response.pageKey, bounds) };
+  }
+
+  /**
+   * Every owner of a collection with their token balances. Alchemy returns
+   * up to 50,000 owners per page and ignores `limit`.
+   */
+  async collectionOwners({ contractAddress, cursor, chain }) {
+    const params = new URLSearchParams({
+      contractAddress: contractAddress,
+      withTokenBalances: 'true',
+    });
+    if (cursor) params.append('pageKey', cursor);
+
+    const response = await this.nftRequest(chain, 'getOwnersForCollection', params);
+
+    const items = response.ownerAddresses.map(owner => ({
+      ownerAddress: owner.ownerAddress,
+      tokens: owner.tokenBalances.map(token => ({
+        tokenId: BigInt(token.tokenId).toString(),
+        balance: Number(token.balance),
+      })),
+    }));
+
+    return { items, next: response.pageKey || undefined };
+  }
+
+  async ownership({ walletAddress, limit, cursor, chain }) {
+    const params = new URLSearchParams({
+      owner: walletAddress,
+      pageSize: Math.min(limit, MAX_NFTS_PAGE).toString(),
+      withMetadata: 'true',
+    });
+    if (cursor) {
+      params.append('pageKey', cursor);
+    }
+
+    const response = await this.nftRequest(chain, 'getNFTs', params);
+
+    const items = response.ownedNfts.map(nft => ({
+      contractAddress: nft.contract.address,
+      tokenId: nft.id.tokenId,
+      tokenType: nft.id.tokenMetadata?.tokenType,
+      name: nft.title || nft.metadata?.name,
+      description: nft.description || nft.metadata?.description,
+      image: nft.metadata?.image || nft.media?.[0]?.gateway,
+      attributes: nft.metadata?.attributes || [],
+      collection: {
+        name: nft.contract.name || nft.contractMetadata?.name,
+        symbol: nft.contract.symbol || nft.contractMetadata?.symbol,
+      },
+      balance: nft.balance,
+      rawMetadata: nft.metadata,
+    }));
+
+    return {
+      items,
+      next: response.pageKey,
+      totalCount: response.totalCount,
+    };
+  }
+
+  async floorPrice({ contractAddress, chain }) {
+    const params = new URLSearchParams({
+      contractAddress: contractAddress,
+    });
+
+    const response = await this.nftRequest(chain, 'getFloorPrice', params);
+
+    return {
+      openSea: response.openSea,
+      looksRare: response.looksRare,
+      blur: response.blur,
+    };
+  }
+}
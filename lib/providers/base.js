@@ -0,0 +1,56 @@
+import { ERROR_CODES, NFTScannerError } from '../errors.js';
+
+/**
+ * Base class for NFT data providers.
+ *
+ * A provider wraps one upstream API (Alchemy, OpenSea, NFTScan, ...) and
+ * exposes a subset of the capabilities listed in `CAPABILITIES`. Every
+ * capability method takes a single argument object and returns data that is
+ * already mapped into the server's output shapes, so tools never touch raw
+ * upstream JSON.
+ */
+export class NFTDataProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.apiKey] - API key for the upstream service
+   * @param {(url: string, options?: object) => Promise<any>} options.request - HTTP JSON request function
+   */
+  constructor({ apiKey, request }) {
+    this.apiKey = apiKey;
+    this.request = request;
+  }
+
+  /** Short identifier used in priority configuration, e.g. "alchemy". */
+  get name() {
+    throw new Error('Provider must define a name');
+  }
+
+  /** Human readable source label reported as `dataSource`. */
+  get label() {
+    return this.name;
+  }
+
+  /** Capabilities implemented by this provider. */
+  get capabilities() {
+    return [];
+  }
+
+  /** Whether the provider has the credentials it needs to make requests. */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  supportsChain(chain) {
+    return true;
+  }
+
+  requireApiKey() {
+    if (!this.apiKey) {
+      throw new NFTScannerError(ERROR_CODES.MISSING_CREDENTIALS, `${this.label}: API key not configured`, { provider: this.name });
+    }
+  }
+}
@@ -0,0 +1,252 @@
+import { NFTDataProvider } from './base.js';
+import { chainFamily } from '../chains.js';
+import { ERROR_CODES, NFTScannerError } from '../errors.js';
+
+// DAS pages hold at most 1000 assets
+const MAX_PAGE = 1000;
+
+// Metaplex asset interfaces, reported as tokenType the way EVM tokens report ERC721/ERC1155
+const TOKEN_TYPES = {
+  V1_NFT: 'METAPLEX_NFT',
+  V1_PRINT: 'METAPLEX_EDITION',
+  ProgrammableNFT: 'METAPLEX_PNFT',
+  MplCoreAsset: 'METAPLEX_CORE',
+  MplCoreCollection: 'METAPLEX_CORE',
+};
+
+// Keyset pagination: the DAS cursor is only returned for assets sorted by ID
+const SORT_BY_ID = { sortBy: 'id', sortDirection: 'asc' };
+
+const collectionOf = (asset) => asset.grouping?.find(group => group.group_key === 'collection');
+
+function tokenType(asset) {
+  if (asset.compression?.compressed) return 'METAPLEX_CNFT';
+  return TOKEN_TYPES[asset.interface] || asset.interface;
+}
+
+function imageOf(asset) {
+  return asset.content?.links?.image || asset.content?.files?.[0]?.cdn_uri || asset.content?.files?.[0]?.uri;
+}
+
+// A mint without a verified collection is its own collection
+function inCollection(asset, contractAddress) {
+  return asset.id === contractAddress || collectionOf(asset)?.group_value === contractAddress;
+}
+
+function toTokenMetadata(asset) {
+  const collection = collectionOf(asset);
+  const metadata = asset.content?.metadata || {};
+  return {
+    name: metadata.name,
+    description: metadata.description,
+    image: imageOf(asset),
+    attributes: metadata.attributes || [],
+    tokenType: tokenType(asset),
+    tokenUri: asset.content?.json_uri || undefined,
+    owner: asset.ownership?.owner,
+    contractMetadata: {
+      name: collection?.collection_metadata?.name,
+      symbol: collection?.collection_metadata?.symbol,
+    },
+    rawMetadata: asset.content?.metadata,
+  };
+}
+
+/**
+ * Solana NFTs through the Digital Asset Standard (DAS) API, the JSON-RPC
+ * extension served by Helius, Triton and other Solana RPC providers. DAS
+ * indexes Metaplex token metadata, Core assets and compressed NFTs alike.
+ *
+ * On Solana a collection is addressed by its collection mint and a token by
+ * its own mint address, which stands in for the token ID. An NFT without a
+ * verified collection is its own collection.
+ */
+export class SolanaDasProvider extends NFTDataProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.url] - DAS-enabled Solana RPC endpoint, API key included
+   * @param {(url: string, options?: object) => Promise<any>} options.request
+   */
+  constructor({ url, request }) {
+    super({ request });
+    this.url = url;
+  }
+
+  get name() {
+    return 'das';
+  }
+
+  get label() {
+    return 'Solana DAS API';
+  }
+
+  get capabilities() {
+    return ['collectionMetadata', 'tokenMetadata', 'tokenMetadataBatch', 'collectionTokens', 'ownership', 'collectionOwners'];
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  supportsChain(chain) {
+    return chainFamily(chain) === 'solana';
+  }
+
+  async call(method, params) {
+    if (!this.url) {
+      throw new NFTScannerError(ERROR_CODES.MISSING_CREDENTIALS, `${this.label}: SOLANA_DAS_URL not configured`, { provider: this.name });
+    }
+
+    const response = await this.request(this.url, {
+      method: 'POST',
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    });
+
+    if (response.error) {
+      const notFound = /not found/i.test(response.error.message);
+      throw new NFTScannerError(
+        notFound ? ERROR_CODES.NOT_FOUND : ERROR_CODES.UPSTREAM_UNAVAILABLE,
+        `${method} failed: ${response.error.message}`,
+        { provider: this.name }
+      );
+    }
+    return response.result;
+  }
+
+  /** Mint of any one token in a collection, or undefined for an empty one. */
+  async sampleMint(collectionAddress) {
+    const page = await this.call('getAssetsByGroup', { groupKey: 'collection', groupValue: collectionAddress, page: 1, limit: 1 });
+    return page.items?.[0]?.id;
+  }
+
+  async collectionMetadata({ contractAddress }) {
+    const [collection, members] = await Promise.all([
+      this.call('getAsset', { id: contractAddress }),
+      this.call('getAssetsByGroup', {
+        groupKey: 'collection',
+        groupValue: contractAddress,
+        page: 1,
+        limit: 1,
+        options: { showGrandTotal: true },
+      }),
+    ]);
+    const metadata = collection.content?.metadata || {};
+    const royaltyRecipient = collection.creators?.find(creator => creator.share > 0)?.address;
+
+    return {
+      name: metadata.name,
+      description: metadata.description,
+      totalSupply: members.grand_total,
+      symbol: metadata.symbol,
+      contractType: tokenType(collection),
+      imageUrl: imageOf(collection),
+      social: {
+        website: collection.content?.links?.external_url,
+      },
+      royalties: {
+        sellerFeeBasisPoints: collection.royalty?.basis_points,
+        royaltyRecipient,
+      },
+    };
+  }
+
+  async tokenMetadata({ contractAddress, tokenId }) {
+    const asset = await this.call('getAsset', { id: tokenId, options: { showCollectionMetadata: true } });
+    const collection = collectionOf(asset);
+    if (!inCollection(asset, contractAddress)) {
+      throw new NFTScannerError(
+        ERROR_CODES.NOT_FOUND,
+        `Token ${tokenId} is not in collection ${contractAddress}${collection ? ` (its collection is ${collection.group_value})` : '; pass the mint itself for NFTs without a collection'}`,
+        { provider: this.name }
+      );
+    }
+    return toTokenMetadata(asset);
+  }
+
+  /**
+   * Metadata for many mints through getAssetBatch. Mints the indexer does
+   * not know, or that belong to another collection, come back as null.
+   */
+  async tokenMetadataBatch({ tokens }) {
+    const assets = [];
+    for (let start = 0; start < tokens.length; start += MAX_PAGE) {
+      const ids = tokens.slice(start, start + MAX_PAGE).map(token => token.tokenId);
+      assets.push(...await this.call('getAssetBatch', { ids, options: { showCollectionMetadata: true } }));
+    }
+
+    return tokens.map(({ contractAddress }, index) => {
+      const asset = assets[index];
+      return asset && inCollection(asset, contractAddress) ? toTokenMetadata(asset) : null;
+    });
+  }
+
+  async listAssets(method, { options, ...params }, limit, cursor) {
+    const pageSize = Math.min(limit, MAX_PAGE);
+    const page = await this.call(method, {
+      ...params,
+      limit: pageSize,
+      sortBy: SORT_BY_ID,
+      ...(cursor && { cursor }),
+      // Counting the grand total costs the indexer a scan, so only the first page asks
+      options: { ...options, showGrandTotal: !cursor },
+    });
+    const items = page.items || [];
+    return { items, next: items.length === pageSize ? page.cursor : undefined, totalCount: page.grand_total };
+  }
+
+  async collectionTokens({ contractAddress, limit, cursor }) {
+    const page = await this.listAssets('getAssetsByGroup', { groupKey: 'collection', groupValue: contractAddress }, limit, cursor);
+
+    const items = page.items.map(asset => ({
+      tokenId: asset.id,
+      name: asset.content?.metadata?.name,
+      attributes: asset.content?.metadata?.attributes || [],
+    }));
+
+    return { items, next: page.next };
+  }
+
+  // One entry per asset; owners of several tokens are merged by the caller
+  async collectionOwners({ contractAddress, limit, cursor }) {
+    const page = await this.listAssets('getAssetsByGroup', { groupKey: 'collection', groupValue: contractAddress }, limit, cursor);
+
+    const items = page.items.map(asset => ({
+      ownerAddress: asset.ownership?.owner,
+      tokens: [{ tokenId: asset.id, balance: 1 }],
+    }));
+
+    return { items, next: page.next, totalCount: page.totalCount };
+  }
+
+  async ownership({ walletAddress, limit, cursor }) {
+    const page = await this.listAssets(
+      'getAssetsByOwner',
+      { ownerAddress: walletAddress, options: { showCollectionMetadata: true } },
+      limit,
+      cursor
+    );
+
+    const items = page.items.map(asset => {
+      const collection = collectionOf(asset);
+      const metadata = asset.content?.metadata || {};
+      return {
+        contractAddress: collection?.group_value || asset.id,
+        tokenId: asset.id,
+        tokenType: tokenType(asset),
+        name: metadata.name,
+        description: metadata.description,
+        image: imageOf(asset),
+        attributes: metadata.attributes || [],
+        collection: {
+          name: collection?.collection_metadata?.name,
+          symbol: collection?.collection_metadata?.symbol ?? metadata.symbol,
+        },
+        // Fungible-edition assets report the wallet's token balance
+        balance: asset.token_info?.balance !== undefined ? String(asset.token_info.balance) : '1',
+        rawMetadata: asset.content?.metadata,
+      };
+    });
+
+    return { items, next: page.next, totalCount: page.totalCount };
+  }
+}
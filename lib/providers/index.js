@@ -0,0 +1,201 @@
+import { ERROR_CODES, InvalidArgumentError, combineFailures, toWarning } from '../errors.js';
+import { AlchemyProvider } from './alchemy.js';
+import { OpenSeaProvider } from './opensea.js';
+import { NFTScanProvider } from './nftscan.js';
+import { RpcProvider, parseRpcUrls } from './rpc.js';
+import { SolanaDasProvider } from './das.js';
+import { MagicEdenProvider } from './magiceden.js';
+
+export { NFTDataProvider } from './base.js';
+export { AlchemyProvider, OpenSeaProvider, NFTScanProvider, RpcProvider, SolanaDasProvider, MagicEdenProvider, parseRpcUrls };
+
+/**
+ * Capabilities a provider may implement:
+ * - collectionMetadata: name, symbol, supply, contract type, social links, royalties
+ * - collectionStats: floor, volume, sales and owner statistics
+ * - tokenMetadata: metadata, attributes and owner of a single token
+ * - tokenMetadataBatch: tokenMetadata for many tokens in few requests, null
+ *   for any token the provider has no entry for
+ * - collectionTokens: every token of a collection with its attributes
+ * - transfers: transfer history for a collection or token
+ * - sales: marketplace sale events
+ * - orders: marketplace listing and offer events
+ * - ownership: NFTs held by a wallet
+ * - floorPrice: current floor price per marketplace
+ * - search: collections matching a text query, with warnings for details
+ *   a match is missing
+ * - contractReads: direct contract calls (owner, balance, token URI, supply,
+ *   interface support and ERC-2981 royalties)
+ * - valueTransfers: native currency and ERC-20 payments between two wallets
+ * - collectionOwners: every wallet holding a collection, with token balances
+ */
+export const CAPABILITIES = [
+  'collectionMetadata',
+  'collectionStats',
+  'tokenMetadata',
+  'tokenMetadataBatch',
+  'collectionTokens',
+  'transfers',
+  'sales',
+  'orders',
+  'ownership',
+  'floorPrice',
+  'search',
+  'contractReads',
+  'valueTransfers',
+  'collectionOwners',
+];
+
+// Providers are tried in this order unless NFT_PROVIDER_PRIORITY overrides it.
+// das and magiceden only serve Solana, where the EVM providers never apply.
+export const DEFAULT_PRIORITY = {
+  collectionMetadata: ['alchemy', 'opensea', 'nftscan', 'rpc', 'das'],
+  collectionStats: ['opensea', 'nftscan', 'magiceden'],
+  tokenMetadata: ['alchemy', 'nftscan', 'rpc', 'das'],
+  tokenMetadataBatch: ['alchemy', 'das'],
+  collectionTokens: ['alchemy', 'nftscan', 'das'],
+  transfers: ['alchemy', 'nftscan', 'opensea'],
+  sales: ['opensea', 'alchemy', 'nftscan', 'magiceden'],
+  orders: ['opensea'],
+  ownership: ['alchemy', 'nftscan', 'das'],
+  floorPrice: ['alchemy', 'opensea', 'nftscan', 'magiceden'],
+  search: ['opensea', 'nftscan'],
+  contractReads: ['rpc'],
+  valueTransfers: ['alchemy'],
+  collectionOwners: ['alchemy', 'das'],
+};
+
+/**
+ * Parse a priority override such as
+ * "sales:nftscan,opensea;floorPrice:opensea,alchemy".
+ * Capabilities not mentioned keep their default order.
+ */
+export function parsePriorityConfig(value) {
+  const priority = { ...DEFAULT_PRIORITY };
+  if (!value) return priority;
+
+  for (const entry of value.split(';')) {
+    const [capability, providers] = entry.split(':').map(part => part?.trim());
+    if (!capability || !providers) continue;
+
+    if (!CAPABILITIES.includes(capability)) {
+      throw new Error(`Unknown provider capability in NFT_PROVIDER_PRIORITY: ${capability}`);
+    }
+    priority[capability] = providers.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  return priority;
+}
+
+/**
+ * Holds the configured providers and dispatches capability calls to them in
+ * priority order, falling back to the next provider when one is not
+ * configured, does not cover the chain, or fails.
+ */
+export class ProviderRegistry {
+  constructor(providers, priority = DEFAULT_PRIORITY) {
+    this.providers = new Map(providers.map(provider => [provider.name, provider]));
+    this.priority = priority;
+    this.observers = [];
+  }
+
+  /**
+   * Call `listener(args, data, provider)` after every successful call of a
+   * capability. A throwing listener is logged and never fails the call.
+   */
+  observe(capability, listener) {
+    this.observers.push({ capability, listener });
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /** Providers able to serve a capability on a chain, in priority order. */
+  resolve(capability, chain) {
+    const order = this.priority[capability] || [];
+    return order
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.supports(capability) && provider.supportsChain(chain));
+  }
+
+  /** Providers that are configured and able to serve a capability on a chain. */
+  available(capability, chain) {
+    return this.resolve(capability, chain).filter(provider => provider.isConfigured());
+  }
+
+  /**
+   * Run a capability against the first provider that succeeds.
+   * @returns {Promise<{ provider: NFTDataProvider, data: any }>}
+   * @throws {NFTScannerError} listing every provider's failure when none succeeds
+   */
+  async call(capability, args) {
+    const candidates = this.resolve(capability, args.chain);
+    if (candidates.length === 0) {
+      throw new InvalidArgumentError(`No provider supports ${capability} on ${args.chain}`);
+    }
+
+    const failures = [];
+    for (const provider of candidates) {
+      if (!provider.isConfigured()) {
+        failures.push({ source: provider.label, code: ERROR_CODES.MISSING_CREDENTIALS, message: 'API key not configured' });
+        continue;
+      }
+
+      try {
+        const data = await provider[capability](args);
+        for (const observer of this.observers) {
+          if (observer.capability !== capability) continue;
+          try {
+            observer.listener(args, data, provider);
+          } catch (error) {
+            console.error(`${capability} observer failed:`, error.message);
+          }
+        }
+        return { provider, data };
+      } catch (error) {
+        failures.push(toWarning(provider.label, error));
+      }
+    }
+
+    throw combineFailures(failures);
+  }
+}
+
+/**
+ * Build the default registry from API keys, RPC endpoints and an optional
+ * priority override. `request(provider, url, options)` performs HTTP on
+ * behalf of the named provider. With `publicRpc`, chains missing from
+ * `rpcUrls` are read through the chain registry's public endpoints.
+ * `solanaDasUrl` is a DAS-enabled Solana RPC endpoint.
+ */
+export function createProviderRegistry({
+  alchemyApiKey,
+  openSeaApiKey,
+  nftScanApiKey,
+  magicEdenApiKey,
+  rpcUrls,
+  publicRpc = false,
+  solanaDasUrl,
+  priority,
+  request,
+}) {
+  const forProvider = (name) => (url, options) => request(name, url, options);
+  const das = new SolanaDasProvider({ url: solanaDasUrl, request: forProvider('das') });
+
+  return new ProviderRegistry(
+    [
+      new AlchemyProvider({ apiKey: alchemyApiKey, request: forProvider('alchemy') }),
+      new OpenSeaProvider({ apiKey: openSeaApiKey, request: forProvider('opensea') }),
+      new NFTScanProvider({ apiKey: nftScanApiKey, request: forProvider('nftscan') }),
+      new RpcProvider({ urls: parseRpcUrls(rpcUrls), publicFallback: publicRpc, request: forProvider('rpc') }),
+      das,
+      new MagicEdenProvider({
+        apiKey: magicEdenApiKey,
+        request: forProvider('magiceden'),
+        // Magic Eden symbols are looked up from a token, so find one in the collection through DAS
+        sampleMint: (collectionAddress) => (das.isConfigured() ? das.sampleMint(collectionAddress) : undefined),
+      }),
+    ],
+    parsePriorityConfig(priority)
+  );
+}
@@ -0,0 +1,168 @@
+import { NFTDataProvider } from './base.js';
+import { chainFamily } from '../chains.js';
+import { ERROR_CODES, NFTScannerError } from '../errors.js';
+
+const API_BASE = 'https://api-mainnet.magiceden.dev/v2';
+
+const LAMPORTS_PER_SOL = 1e9;
+
+// Magic Eden activity pages hold at most 500 entries
+const MAX_ACTIVITIES_PAGE = 500;
+
+// Activity types that are completed sales
+const SALE_TYPES = new Set(['buyNow', 'acceptBid']);
+
+const toSOL = (lamports) => (lamports === undefined || lamports === null ? undefined : Number(lamports) / LAMPORTS_PER_SOL);
+
+/**
+ * Magic Eden API v2 provider for Solana market data: floor price, volume,
+ * holder counts and sales.
+ *
+ * Magic Eden names collections by a symbol (e.g. "mad_lads") rather than
+ * the on-chain collection address the tools take, so the symbol is looked up
+ * from a token of the collection: the address itself when it is a token
+ * mint, otherwise any mint `sampleMint` finds in the collection.
+ */
+export class MagicEdenProvider extends NFTDataProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.apiKey] - optional; raises Magic Eden's rate limit
+   * @param {(url: string, options?: object) => Promise<any>} options.request
+   * @param {(collectionAddress: string) => Promise<string|undefined>} [options.sampleMint] - a token mint in a collection
+   */
+  constructor({ apiKey, request, sampleMint }) {
+    super({ apiKey, request });
+    this.sampleMint = sampleMint;
+    this.symbols = new Map();
+  }
+
+  get name() {
+    return 'magiceden';
+  }
+
+  get label() {
+    return 'Magic Eden API';
+  }
+
+  get capabilities() {
+    return ['collectionStats', 'sales', 'floorPrice'];
+  }
+
+  // The public API works without a key, at a lower rate limit
+  isConfigured() {
+    return true;
+  }
+
+  supportsChain(chain) {
+    return chainFamily(chain) === 'solana';
+  }
+
+  call(path) {
+    return this.request(`${API_BASE}${path}`, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+    });
+  }
+
+  async collectionOfMint(mint) {
+    try {
+      return (await this.call(`/tokens/${mint}`)).collection;
+    } catch (error) {
+      if (error.code === ERROR_CODES.NOT_FOUND || error.code === ERROR_CODES.INVALID_INPUT) return undefined;
+      throw error;
+    }
+  }
+
+  async resolveSymbol(collectionAddress) {
+    if (this.symbols.has(collectionAddress)) return this.symbols.get(collectionAddress);
+
+    let symbol = await this.collectionOfMint(collectionAddress);
+    if (!symbol && this.sampleMint) {
+      const mint = await this.sampleMint(collectionAddress);
+      if (mint) symbol = await this.collectionOfMint(mint);
+    }
+    if (!symbol) {
+      throw new NFTScannerError(ERROR_CODES.NOT_FOUND, `No Magic Eden collection found for ${collectionAddress}`, { provider: this.name });
+    }
+
+    this.symbols.set(collectionAddress, symbol);
+    return symbol;
+  }
+
+  async collectionStats({ contractAddress }) {
+    const symbol = await this.resolveSymbol(contractAddress);
+    const [stats, holders] = await Promise.all([
+      this.call(`/collections/${symbol}/stats`),
+      // Holder stats are missing for some collections; the market stats stand alone
+      this.call(`/collections/${symbol}/holder_stats`).catch(error => {
+        if (error.code === ERROR_CODES.NOT_FOUND) return {};
+        throw error;
+      }),
+    ]);
+
+    return {
+      symbol,
+      floorPrice: toSOL(stats.floorPrice),
+      priceCurrency: 'SOL',
+      totalVolume: toSOL(stats.volumeAll),
+      averagePrice: toSOL(stats.avgPrice24hr),
+      listedCount: stats.listedCount,
+      totalSupply: holders.totalSupply,
+      numOwners: holders.uniqueHolders,
+    };
+  }
+
+  async floorPrice({ contractAddress }) {
+    const symbol = await this.resolveSymbol(contractAddress);
+    const stats = await this.call(`/collections/${symbol}/stats`);
+
+    return {
+      magicEden: {
+        floorPrice: toSOL(stats.floorPrice),
+        priceCurrency: 'SOL',
+        collectionUrl: `https://magiceden.io/marketplace/${symbol}`,
+        retrievedAt: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Sales from Magic Eden's activity feed, newest first. The cursor is the
+   * activity offset; time bounds are applied to each page.
+   */
+  async sales({ contractAddress, tokenId, limit, cursor, fromTime, toTime }) {
+    const offset = Number(cursor) || 0;
+    const pageSize = Math.min(limit, MAX_ACTIVITIES_PAGE);
+    const path = tokenId
+      ? `/tokens/${tokenId}/activities`
+      : `/collections/${await this.resolveSymbol(contractAddress)}/activities`;
+    const activities = await this.call(`${path}?offset=${offset}&limit=${pageSize}`);
+
+    const items = activities
+      .filter(activity => SALE_TYPES.has(activity.type))
+      .filter(activity => (fromTime === undefined || activity.blockTime >= fromTime) && (toTime === undefined || activity.blockTime <= toTime))
+      .map(activity => ({
+        eventType: 'sale',
+        totalPrice: Math.round(Number(activity.price) * LAMPORTS_PER_SOL).toString(),
+        paymentToken: {
+          symbol: 'SOL',
+          decimals: 9,
+        },
+        seller: activity.seller,
+        buyer: activity.buyer,
+        quantity: 1,
+        transactionHash: activity.signature,
+        blockNumber: activity.slot,
+        timestamp: activity.blockTime ? new Date(activity.blockTime * 1000).toISOString() : undefined,
+        asset: {
+          tokenId: activity.tokenMint,
+        },
+        // Magic Eden also reports sales settled on Tensor and other Solana marketplaces
+        marketplace: activity.source || 'magiceden',
+      }));
+
+    // Activities are newest first, so a page reaching past fromTime is the last one needed
+    const oldest = activities[activities.length - 1]?.blockTime;
+    const exhausted = activities.length < pageSize || (fromTime !== undefined && oldest < fromTime);
+    return { items, next: exhausted ? undefined : String(offset + activities.length) };
+  }
+}
@@ -0,0 +1,303 @@
+import { NFTDataProvider } from './base.js';
+import { ERROR_CODES, InvalidArgumentError, NFTScannerError } from '../errors.js';
+import { getChain } from '../chains.js';
+import { isPastWindow, matchesTransferFilters } from '../transfers.js';
+
+// NFTScan pages hold at most 100 items
+const MAX_PAGE = 100;
+
+// Holdings are listed per token standard; ownership pages through them in this order
+const ERC_TYPES = ['erc721', 'erc1155'];
+
+/**
+ * NFTScan API provider. Independent indexer used as a fallback source and
+ * to cross-check Alchemy and OpenSea data.
+ */
+export class NFTScanProvider extends NFTDataProvider {
+  get name() {
+    return 'nftscan';
+  }
+
+  get label() {
+    return 'NFTScan API';
+  }
+
+  get capabilities() {
+    return ['collectionMetadata', 'collectionStats', 'tokenMetadata', 'collectionTokens', 'transfers', 'sales', 'ownership', 'search'];
+  }
+
+  supportsChain(chain) {
+    return Boolean(getChain(chain)?.nftscan);
+  }
+
+  async call(chain, path, options = {}) {
+    this.requireApiKey();
+
+    const host = getChain(chain)?.nftscan;
+    if (!host) {
+      throw new InvalidArgumentError(`${this.label} does not support chain ${chain}`);
+    }
+
+    const response = await this.request(`https://${host}/api/v2${path}`, {
+      ...options,
+      headers: { 'X-API-KEY': this.apiKey },
+    });
+
+    if (response.code !== 200) {
+      throw new NFTScannerError(ERROR_CODES.UPSTREAM_UNAVAILABLE, `NFTScan error ${response.code}: ${response.msg}`, { provider: this.name, status: response.code });
+    }
+    return response.data;
+  }
+
+  async collectionMetadata({ contractAddress, chain }) {
+    const collection = await this.call(chain, `/collections/${contractAddress}?show_attribute=false`);
+
+    return {
+      name: collection.name,
+      description: collection.description,
+      totalSupply: collection.items_total,
+      symbol: collection.symbol,
+      contractType: collection.erc_type?.toUpperCase(),
+      verified: Boolean(collection.verified || collection.opensea_verified),
+      imageUrl: collection.logo_url,
+      social: {
+        website: collection.website,
+        discord: collection.discord,
+        twitter: collection.twitter,
+        instagram: collection.instagram,
+      },
+      royalties: {
+        sellerFeeBasisPoints: collection.royalty,
+      },
+    };
+  }
+
+  async collectionStats({ contractAddress, chain }) {
+    const stats = await this.call(chain, `/statistics/collection/${contractAddress}`);
+
+    return {
+      floorPrice: stats.floor_price,
+      floorPriceETH: stats.floor_price,
+      totalVolume: stats.total_volume,
+      totalSales: stats.sales_total,
+      averagePrice: stats.average_price,
+      marketCap: stats.market_cap,
+      numOwners: stats.owners,
+      oneDayVolume: stats.volume_24h,
+      oneDayChange: stats.volume_change_24h,
+      sevenDayVolume: stats.volume_7d,
+      sevenDayChange: stats.volume_change_7d,
+    };
+  }
+
+  async tokenMetadata({ contractAddress, tokenId, chain }) {
+    const asset = await this.call(chain, `/assets/${contractAddress}/${tokenId}?show_attribute=true`);
+    return this.mapAsset(asset);
+  }
+
+  /**
+   * NFTScan only filters by event type server side; block, date and address
+   * filters are applied to each page, and paging stops once a page sorted in
+   * the requested order has moved past the window.
+   */
+  async collectionTokens({ contractAddress, limit, cursor, chain }) {
+    const params = new URLSearchParams({
+      show_attribute: 'true',
+      limit: Math.min(limit, MAX_PAGE).toString(),
+    });
+    if (cursor) {
+      params.append('cursor', cursor);
+    }
+
+    const page = await this.call(chain, `/assets/${contractAddress}?${params}`);
+
+    const items = page.content.map(asset => {
+      const { name, attributes } = this.mapAsset(asset);
+      return { tokenId: asset.token_id, name, attributes };
+    });
+
+    return { items, next: page.next || undefined };
+  }
+
+  async transfers({ contractAddress, tokenId, limit, cursor, chain, order = 'desc', ...filters }) {
+    const path = tokenId
+      ? `/transactions/${contractAddress}/${tokenId}`
+      : `/transactions/${contractAddress}`;
+    const params = new URLSearchParams({
+      event_type: 'Mint;Transfer;Sale;Burn',
+      sort_direction: order,
+      limit: Math.min(limit, MAX_PAGE).toString(),
+    });
+    if (cursor) {
+      params.append('cursor', cursor);
+    }
+
+    const response = await this.call(chain, `${path}?${params}`);
+
+    const items = response.content.map(transaction => ({
+      blockNumber: transaction.block_number,
+      transactionHash: transaction.hash,
+      from: transaction.from,
+      to: transaction.to,
+      tokenId: transaction.token_id,
+      value: transaction.amount,
+      asset: transaction.contract_name,
+      category: transaction.erc_type,
+      rawContract: {
+        address: transaction.contract_address,
+      },
+      metadata: {
+        eventType: transaction.event_type,
+        exchangeName: transaction.exchange_name,
+      },
+      timestamp: new Date(transaction.timestamp).toISOString(),
+    }));
+
+    return {
+      items: items.filter(transfer => matchesTransferFilters(transfer, filters)),
+      next: isPastWindow(items, { order, ...filters }) ? undefined : response.next || undefined,
+    };
+  }
+
+  /**
+   * Sales are NFTScan transactions of type Sale; `exchange_name` names the
+   * marketplace that settled them.
+   */
+  async sales({ contractAddress, tokenId, limit, cursor, chain, fromTime, toTime }) {
+    const path = tokenId
+      ? `/transactions/${contractAddress}/${tokenId}`
+      : `/transactions/${contractAddress}`;
+    const params = new URLSearchParams({
+      event_type: 'Sale',
+      sort_direction: 'desc',
+      limit: Math.min(limit, MAX_PAGE).toString(),
+    });
+    if (cursor) {
+      params.append('cursor', cursor);
+    }
+
+    const response = await this.call(chain, `${path}?${params}`);
+
+    const items = response.content.map(transaction => ({
+      eventType: 'sale',
+      totalPrice: transaction.trade_value,
+      totalPriceDecimal: transaction.trade_price,
+      paymentToken: {
+        symbol: transaction.trade_symbol,
+        address: transaction.trade_symbol_address,
+      },
+      seller: transaction.from,
+      buyer: transaction.to,
+      quantity: transaction.amount,
+      transactionHash: transaction.hash,
+      blockNumber: transaction.block_number,
+      timestamp: new Date(transaction.timestamp).toISOString(),
+      asset: {
+        tokenId: transaction.token_id,
+        name: transaction.contract_name,
+      },
+      marketplace: transaction.exchange_name,
+    }));
+
+    return {
+      items: items.filter(sale => matchesTransferFilters(sale, { fromTime, toTime })),
+      next: isPastWindow(items, { fromTime }) ? undefined : response.next || undefined,
+    };
+  }
+
+  /**
+   * NFTScan lists ERC-721 and ERC-1155 holdings separately, so the native
+   * cursor records which standard is being paged as well as NFTScan's own
+   * cursor within it.
+   */
+  async ownership({ walletAddress, limit, cursor, chain }) {
+    const { ercType = ERC_TYPES[0], next } = cursor || {};
+    const params = new URLSearchParams({
+      erc_type: ercType,
+      limit: Math.min(limit, MAX_PAGE).toString(),
+      show_attribute: 'true',
+    });
+    if (next) {
+      params.append('cursor', next);
+    }
+
+    const page = await this.call(chain, `/account/own/${walletAddress}?${params}`);
+
+    const items = page.content.map(asset => {
+      const { contractMetadata, owner, mintedAt, tokenUri, ...nft } = this.mapAsset(asset);
+      return {
+        contractAddress: asset.contract_address,
+        tokenId: asset.token_id,
+        ...nft,
+        collection: {
+          name: contractMetadata.name,
+        },
+        balance: asset.amount,
+      };
+    });
+
+    const nextType = ERC_TYPES[ERC_TYPES.indexOf(ercType) + 1];
+    let nextCursor;
+    if (page.next) {
+      nextCursor = { ercType, next: page.next };
+    } else if (nextType) {
+      nextCursor = { ercType: nextType };
+    }
+
+    return { items, next: nextCursor };
+  }
+
+  mapAsset(asset) {
+    let rawMetadata;
+    try {
+      rawMetadata = asset.metadata_json ? JSON.parse(asset.metadata_json) : undefined;
+    } catch {
+      rawMetadata = undefined;
+    }
+
+    return {
+      name: asset.name || rawMetadata?.name,
+      description: rawMetadata?.description,
+      image: asset.image_uri || rawMetadata?.image,
+      attributes: asset.attributes?.map(attribute => ({
+        trait_type: attribute.attribute_name,
+        value: attribute.attribute_value,
+      })) || rawMetadata?.attributes || [],
+      tokenType: asset.erc_type?.toUpperCase(),
+      tokenUri: asset.token_uri,
+      owner: asset.owner,
+      mintedAt: asset.mint_timestamp ? new Date(asset.mint_timestamp).toISOString() : undefined,
+      contractMetadata: {
+        name: asset.contract_name,
+      },
+      rawMetadata,
+    };
+  }
+
+  async search({ query, limit, chain }) {
+    const collections = await this.call(chain, '/collections/filters', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: query,
+        name_fuzzy_search: true,
+        limit: Math.min(limit, 50),
+        show_attribute: false,
+      }),
+    });
+
+    const items = collections.map(collection => ({
+      name: collection.name,
+      description: collection.description,
+      imageUrl: collection.logo_url,
+      contractAddress: collection.contract_address,
+      totalSupply: collection.items_total,
+      floorPrice: collection.floor_price,
+      numOwners: collection.owners_total,
+      verified: Boolean(collection.verified || collection.opensea_verified),
+      externalUrl: collection.website,
+      discordUrl: collection.discord,
+      twitterUsername: collection.twitter,
+    }));
+    return { items, warnings: [] };
+  }
+}
@@ -0,0 +1,110 @@
+import { NFTDataProvider } from './base.js';
+import { ERROR_CODES, InvalidArgumentError, NFTScannerError, toWarning } from '../errors.js';
+import { matchesTransferFilters } from '../transfers.js';
+import {
+  OpenSeaClient,
+  mapCollectionMetadata,
+  mapCollectionStats,
+  mapOrderEvent,
+  mapSaleEvent,
+  mapSearchResult,
+  mapTransferEvent,
+} from '../opensea-client.js';
+
+/**
+ * OpenSea API v2 provider. Marketplace data: collection stats, social links,
+ * royalties, sale, transfer, listing and offer events and collection search.
+ */
+export class OpenSeaProvider extends NFTDataProvider {
+  constructor(options) {
+    super(options);
+    this.client = new OpenSeaClient(options);
+  }
+
+  get name() {
+    return 'opensea';
+  }
+
+  get label() {
+    return 'OpenSea API';
+  }
+
+  get capabilities() {
+    return ['collectionMetadata', 'collectionStats', 'transfers', 'sales', 'orders', 'search'];
+  }
+
+  supportsChain(chain) {
+    return this.client.supportsChain(chain);
+  }
+
+  async collectionMetadata({ contractAddress, chain }) {
+    const contract = await this.client.getContract(chain, contractAddress);
+    if (!contract.collection) {
+      throw new NFTScannerError(ERROR_CODES.NOT_FOUND, `No OpenSea collection found for contract ${contractAddress}`, { provider: this.name });
+    }
+
+    const collection = await this.client.getCollection(contract.collection);
+    return mapCollectionMetadata(collection, contract);
+  }
+
+  async collectionStats({ contractAddress, chain }) {
+    const slug = await this.client.resolveCollectionSlug(chain, contractAddress);
+    return mapCollectionStats(await this.client.getCollectionStats(slug));
+  }
+
+  async events({ contractAddress, tokenId, chain, eventTypes, limit, cursor, after, before }) {
+    const slug = tokenId ? undefined : await this.client.resolveCollectionSlug(chain, contractAddress);
+    return this.client.collectEvents({ slug, chain, contractAddress, tokenId, eventTypes, after, before, next: cursor }, limit);
+  }
+
+  // OpenSea events come newest first and carry no block numbers
+  async transfers({ order = 'desc', fromBlock, toBlock, fromTime, toTime, fromAddress, toAddress, ...args }) {
+    if (order !== 'desc') {
+      throw new InvalidArgumentError('OpenSea events are only available newest first');
+    }
+    if (fromBlock !== undefined || toBlock !== undefined) {
+      throw new InvalidArgumentError('OpenSea events cannot be filtered by block');
+    }
+
+    const { items, next } = await this.events({ ...args, eventTypes: ['transfer'], after: fromTime, before: toTime });
+    return {
+      items: items.map(mapTransferEvent).filter(transfer => matchesTransferFilters(transfer, { fromAddress, toAddress })),
+      next,
+    };
+  }
+
+  async sales({ marketplace, fromTime, toTime, ...args }) {
+    // OpenSea only reports sales made on OpenSea
+    if (marketplace && marketplace !== 'opensea') {
+      return { items: [] };
+    }
+    const { items, next } = await this.events({ ...args, eventTypes: ['sale'], after: fromTime, before: toTime });
+    return { items: items.map(mapSaleEvent), next };
+  }
+
+  async orders({ type = 'all', fromTime, toTime, ...args }) {
+    const eventTypes = type === 'all' ? ['listing', 'offer'] : [type];
+    const { items, next } = await this.events({ ...args, eventTypes, after: fromTime, before: toTime });
+    return { items: items.map(mapOrderEvent), next };
+  }
+
+  async search({ query, limit, chain }) {
+    const collections = await this.client.searchCollections({ query, chain, limit: Math.min(limit, 50) });
+
+    // v2 collection listings carry no stats, so fetch them per match
+    const warnings = [];
+    const items = await Promise.all(collections.map(async (collection) => {
+      const result = mapSearchResult(collection);
+      try {
+        const stats = mapCollectionStats(await this.client.getCollectionStats(collection.collection));
+        result.floorPrice = stats.floorPrice;
+        result.totalVolume = stats.totalVolume;
+        result.numOwners = stats.numOwners;
+      } catch (error) {
+        warnings.push(toWarning(`collectionStats (${collection.collection})`, error));
+      }
+      return result;
+    }));
+    return { items, warnings };
+  }
+}
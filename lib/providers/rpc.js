@@ -0,0 +1,267 @@
+import { NFTDataProvider } from './base.js';
+import { chainFamily, getChain } from '../chains.js';
+import { ERROR_CODES, NFTScannerError } from '../errors.js';
+import {
+  INTERFACE_IDS,
+  SELECTORS,
+  decodeAddress,
+  decodeBool,
+  decodeString,
+  decodeUint,
+  encodeAddress,
+  encodeBytes4,
+  encodeCall,
+  encodeUint,
+} from '../abi.js';
+
+// royaltyInfo is queried for this sale price so the amount reads as basis points
+const ROYALTY_BASIS = 10000n;
+
+/**
+ * Parse RPC endpoints such as "ethereum=http://127.0.0.1:8545,polygon=https://polygon-rpc.com".
+ */
+export function parseRpcUrls(value) {
+  const urls = {};
+  if (!value) return urls;
+
+  for (const entry of value.split(',')) {
+    const separator = entry.indexOf('=');
+    if (separator === -1) continue;
+    const chain = entry.slice(0, separator).trim();
+    const url = entry.slice(separator + 1).trim();
+    if (!chain || !url) continue;
+    if (!/^(https?|wss?):\/\//.test(url)) {
+      throw new Error(`Invalid RPC_URLS entry for ${chain}: ${url}`);
+    }
+    urls[chain] = url;
+  }
+  return urls;
+}
+
+/**
+ * Reads NFT contracts directly over JSON-RPC (`eth_call`). Answers come from
+ * chain state rather than an indexer, so they are authoritative, and any
+ * node works, including a local node or an Anvil fork for offline testing.
+ */
+export class RpcProvider extends NFTDataProvider {
+  /**
+   * @param {object} options
+   * @param {Object<string, string>} options.urls - RPC endpoint per chain
+   * @param {boolean} [options.publicFallback] - use the chain registry's public endpoint for chains without one
+   * @param {(url: string, options?: object) => Promise<any>} options.request
+   */
+  constructor({ urls = {}, publicFallback = false, request }) {
+    super({ request });
+    this.urls = urls;
+    this.publicFallback = publicFallback;
+  }
+
+  get name() {
+    return 'rpc';
+  }
+
+  get label() {
+    return 'JSON-RPC';
+  }
+
+  get capabilities() {
+    return ['collectionMetadata', 'tokenMetadata', 'contractReads'];
+  }
+
+  isConfigured() {
+    return this.publicFallback || Object.keys(this.urls).length > 0;
+  }
+
+  // eth_call has no Solana equivalent, whatever RPC_URLS names
+  supportsChain(chain) {
+    return chainFamily(chain) === 'evm' && Boolean(this.urlFor(chain));
+  }
+
+  /** Endpoint for a chain: its RPC_URLS entry, else the public one when allowed. */
+  urlFor(chain) {
+    if (Object.hasOwn(this.urls, chain)) return this.urls[chain];
+    return this.publicFallback ? getChain(chain)?.rpcUrl : undefined;
+  }
+
+  async rpc(chain, method, params) {
+    const url = this.urlFor(chain);
+    if (!url) {
+      throw new NFTScannerError(ERROR_CODES.MISSING_CREDENTIALS, `${this.label}: no RPC URL configured for ${chain}`, { provider: this.name });
+    }
+
+    const response = await this.request(url, {
+      method: 'POST',
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    });
+
+    if (response.error) {
+      // A revert is the contract's answer (missing function or token), not a node failure
+      const reverted = response.error.code === 3 || /revert/i.test(response.error.message);
+      throw new NFTScannerError(
+        reverted ? ERROR_CODES.NOT_FOUND : ERROR_CODES.UPSTREAM_UNAVAILABLE,
+        `${method} failed: ${response.error.message}`,
+        { provider: this.name }
+      );
+    }
+    return response.result;
+  }
+
+  async ethCall(chain, to, data) {
+    const result = await this.rpc(chain, 'eth_call', [{ to, data }, 'latest']);
+    if (!result || result === '0x') {
+      throw new NFTScannerError(ERROR_CODES.NOT_FOUND, 'call returned no data (not a contract, or the function is not implemented)', { provider: this.name });
+    }
+    return result;
+  }
+
+  /**
+   * Run a read and return undefined when it reverts, so optional functions
+   * (royaltyInfo, totalSupply, ...) do not fail the whole lookup. Node and
+   * network failures still throw rather than passing for a missing function.
+   */
+  async tryCall(chain, to, data, decode) {
+    let result;
+    try {
+      result = await this.ethCall(chain, to, data);
+    } catch (error) {
+      if (error.code === ERROR_CODES.NOT_FOUND) return undefined;
+      throw error;
+    }
+    try {
+      return decode(result);
+    } catch {
+      return undefined;
+    }
+  }
+
+  async supportsInterface(chain, contractAddress, interfaceId) {
+    const data = encodeCall(SELECTORS.supportsInterface, encodeBytes4(interfaceId));
+    return (await this.tryCall(chain, contractAddress, data, decodeBool)) === true;
+  }
+
+  /** ERC-165 interface support for the standards the server cares about. */
+  async detectInterfaces(chain, contractAddress) {
+    const entries = await Promise.all(
+      Object.entries(INTERFACE_IDS).map(async ([name, id]) => [name, await this.supportsInterface(chain, contractAddress, id)])
+    );
+    const interfaces = Object.fromEntries(entries);
+
+    let contractType;
+    if (interfaces.erc721) contractType = 'ERC721';
+    else if (interfaces.erc1155) contractType = 'ERC1155';
+
+    return { contractType, interfaces };
+  }
+
+  async readContract(chain, contractAddress) {
+    const [name, symbol, totalSupply, { contractType, interfaces }] = await Promise.all([
+      this.tryCall(chain, contractAddress, SELECTORS.name, decodeString),
+      this.tryCall(chain, contractAddress, SELECTORS.symbol, decodeString),
+      this.tryCall(chain, contractAddress, SELECTORS.totalSupply, data => decodeUint(data).toString()),
+      this.detectInterfaces(chain, contractAddress),
+    ]);
+    return { name, symbol, totalSupply, contractType, interfaces };
+  }
+
+  /**
+   * ERC-2981 royalty for a token: receiver and basis points, read with a
+   * notional sale price so contracts with per-token rates are honoured.
+   */
+  async royaltyInfo(chain, contractAddress, tokenId = 0) {
+    const data = encodeCall(SELECTORS.royaltyInfo, encodeUint(tokenId), encodeUint(ROYALTY_BASIS));
+    return this.tryCall(chain, contractAddress, data, result => ({
+      receiver: decodeAddress(result, 0),
+      sellerFeeBasisPoints: Number(decodeUint(result, 1)),
+    }));
+  }
+
+  async readTokenUri(chain, contractAddress, tokenId, contractType) {
+    const selectors = contractType === 'ERC1155'
+      ? [SELECTORS.uri, SELECTORS.tokenURI]
+      : [SELECTORS.tokenURI, SELECTORS.uri];
+    for (const selector of selectors) {
+      const uri = await this.tryCall(chain, contractAddress, encodeCall(selector, encodeUint(tokenId)), decodeString);
+      if (uri) return uri;
+    }
+    return undefined;
+  }
+
+  async collectionMetadata({ contractAddress, chain }) {
+    const [contract, royalty] = await Promise.all([
+      this.readContract(chain, contractAddress),
+      this.royaltyInfo(chain, contractAddress),
+    ]);
+
+    if (!contract.contractType && !contract.name && !contract.totalSupply) {
+      throw new NFTScannerError(ERROR_CODES.NOT_FOUND, `${contractAddress} does not look like an NFT contract on ${chain}`, { provider: this.name });
+    }
+
+    return {
+      name: contract.name,
+      totalSupply: contract.totalSupply,
+      symbol: contract.symbol,
+      contractType: contract.contractType,
+      royalties: royalty && {
+        sellerFeeBasisPoints: royalty.sellerFeeBasisPoints,
+        recipient: royalty.receiver,
+      },
+    };
+  }
+
+  /**
+   * Token facts readable from the contract itself. The metadata JSON behind
+   * `tokenUri` is not fetched here, so name, image and attributes are absent.
+   */
+  async tokenMetadata({ contractAddress, tokenId, chain }) {
+    const { contract, token } = await this.contractReads({ contractAddress, tokenId, chain });
+
+    if (token.owner === undefined && token.tokenUri === undefined) {
+      throw new NFTScannerError(ERROR_CODES.NOT_FOUND, `Token ${tokenId} not found on ${contractAddress}`, { provider: this.name });
+    }
+
+    return {
+      attributes: [],
+      tokenType: contract.contractType,
+      tokenUri: token.tokenUri,
+      owner: token.owner,
+      contractMetadata: {
+        name: contract.name,
+        symbol: contract.symbol,
+        totalSupply: contract.totalSupply,
+      },
+    };
+  }
+
+  /**
+   * Direct contract reads: interface detection, name, symbol and supply,
+   * plus, when given, a token's owner, URI and royalty, and an address's
+   * balance (of the token for ERC-1155, of the collection for ERC-721).
+   */
+  async contractReads({ contractAddress, tokenId, ownerAddress, chain }) {
+    const contract = await this.readContract(chain, contractAddress);
+    const result = { contract };
+
+    if (tokenId !== undefined) {
+      const [owner, tokenUri, royalty] = await Promise.all([
+        contract.contractType === 'ERC1155'
+          ? undefined
+          : this.tryCall(chain, contractAddress, encodeCall(SELECTORS.ownerOf, encodeUint(tokenId)), decodeAddress),
+        this.readTokenUri(chain, contractAddress, tokenId, contract.contractType),
+        contract.interfaces.erc2981 ? this.royaltyInfo(chain, contractAddress, tokenId) : undefined,
+      ]);
+      result.token = { tokenId: BigInt(tokenId).toString(), owner, tokenUri, royalty };
+    } else if (contract.interfaces.erc2981) {
+      result.contract.royalty = await this.royaltyInfo(chain, contractAddress);
+    }
+
+    if (ownerAddress) {
+      const data = contract.contractType === 'ERC1155' && tokenId !== undefined
+        ? encodeCall(SELECTORS.balanceOf1155, encodeAddress(ownerAddress), encodeUint(tokenId))
+        : encodeCall(SELECTORS.balanceOf, encodeAddress(ownerAddress));
+      const balance = await this.tryCall(chain, contractAddress, data, value => decodeUint(value).toString());
+      result.balance = { ownerAddress, balance, scope: contract.contractType === 'ERC1155' && tokenId !== undefined ? 'token' : 'collection' };
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Trait distributions and rarity ranking for a collection.
+ *
+ * Every trait type counts tokens without it under a "None" value, and the
+ * number of traits a token has is scored as one more trait type, so sparse
+ * tokens are ranked by what they lack as well as what they have. Three
+ * scores are computed:
+ * - statistical: product of the token's trait frequencies (lower is rarer)
+ * - traitNormalized: sum of 1 / frequency, with each trait type weighted so
+ *   types with many values do not dominate (higher is rarer)
+ * - informationContent: information content of the token's traits divided
+ *   by the collection's entropy, as in OpenRarity (higher is rarer)
+ */
+
+export const RARITY_METHODS = ['informationContent', 'traitNormalized', 'statistical'];
+
+export const NONE_VALUE = 'None';
+export const TRAIT_COUNT_TYPE = 'Trait Count';
+
+// Display types for numeric stats, boosts and dates, which are not rarity traits
+const NUMERIC_DISPLAY_TYPES = new Set(['number', 'boost_number', 'boost_percentage', 'date']);
+
+/**
+ * Reduce token metadata attributes (an OpenSea-style list or a plain
+ * key/value object) to [traitType, value] string pairs.
+ */
+export function normalizeAttributes(attributes) {
+  const list = Array.isArray(attributes)
+    ? attributes
+    : Object.entries(attributes || {}).map(([trait_type, value]) => ({ trait_type, value }));
+
+  const traits = new Map();
+  for (const attribute of list) {
+    if (!attribute || typeof attribute !== 'object') continue;
+    if (NUMERIC_DISPLAY_TYPES.has(attribute.display_type)) continue;
+
+    const traitType = attribute.trait_type ?? attribute.traitType ?? attribute.key;
+    const value = attribute.value;
+    if (traitType === undefined || value === undefined || value === null || value === '') continue;
+    traits.set(String(traitType), String(value));
+  }
+  return [...traits];
+}
+
+/**
+ * Count trait values across tokens given as `{ tokenId, traits }` where
+ * `traits` comes from normalizeAttributes.
+ */
+export function buildTraitDistribution(tokens) {
+  const counts = new Map();
+  for (const { traits } of tokens) {
+    for (const [traitType, value] of traits) {
+      if (!counts.has(traitType)) counts.set(traitType, new Map());
+      const values = counts.get(traitType);
+      values.set(value, (values.get(value) || 0) + 1);
+    }
+  }
+
+  for (const values of counts.values()) {
+    const present = [...values.values()].reduce((sum, count) => sum + count, 0);
+    if (present < tokens.length) values.set(NONE_VALUE, tokens.length - present);
+  }
+
+  const traitCounts = new Map();
+  for (const { traits } of tokens) {
+    const key = String(traits.length);
+    traitCounts.set(key, (traitCounts.get(key) || 0) + 1);
+  }
+  counts.set(TRAIT_COUNT_TYPE, traitCounts);
+
+  return { tokenCount: tokens.length, counts };
+}
+
+/**
+ * Serializable view of a distribution, rarest values first.
+ */
+export function describeDistribution({ tokenCount, counts }) {
+  return [...counts].map(([traitType, values]) => ({
+    traitType,
+    distinctValues: values.size,
+    values: [...values]
+      .map(([value, count]) => ({ value, count, frequency: count / tokenCount }))
+      .sort((a, b) => a.count - b.count || a.value.localeCompare(b.value)),
+  }));
+}
+
+function tokenTraitValues(token, counts) {
+  const present = new Map(token.traits);
+  return [...counts.keys()].map(traitType => {
+    if (traitType === TRAIT_COUNT_TYPE) return [traitType, String(token.traits.length)];
+    return [traitType, present.get(traitType) ?? NONE_VALUE];
+  });
+}
+
+function entropy(values, tokenCount) {
+  let sum = 0;
+  for (const count of values.values()) {
+    const p = count / tokenCount;
+    sum -= p * Math.log2(p);
+  }
+  return sum;
+}
+
+/**
+ * Standard competition ranking ("1224"): tied scores share a rank.
+ */
+function rankBy(scores, rarerFirst) {
+  const ordered = [...scores].sort((a, b) => rarerFirst(a[1], b[1]));
+  const ranks = new Map();
+  ordered.forEach(([tokenId, score], index) => {
+    const previous = ordered[index - 1];
+    ranks.set(tokenId, previous && previous[1] === score ? ranks.get(previous[0]) : index + 1);
+  });
+  return ranks;
+}
+
+/**
+ * Score and rank every token with all rarity methods.
+ *
+ * @param {{ tokenId: string, traits: [string, string][] }[]} tokens
+ * @returns {{ distribution, scores: Map<string, object> }} per-token `{ method: { score, rank } }`
+ */
+export function scoreRarity(tokens) {
+  const distribution = buildTraitDistribution(tokens);
+  const { tokenCount, counts } = distribution;
+
+  const averageValues = [...counts.values()].reduce((sum, values) => sum + values.size, 0) / counts.size;
+  const collectionEntropy = [...counts.values()].reduce((sum, values) => sum + entropy(values, tokenCount), 0);
+
+  const raw = { statistical: new Map(), traitNormalized: new Map(), informationContent: new Map() };
+  for (const token of tokens) {
+    let product = 1;
+    let normalized = 0;
+    let information = 0;
+
+    for (const [traitType, value] of tokenTraitValues(token, counts)) {
+      const values = counts.get(traitType);
+      const frequency = values.get(value) / tokenCount;
+      product *= frequency;
+      normalized += (1 / frequency) * (averageValues / values.size);
+      information -= Math.log2(frequency);
+    }
+
+    raw.statistical.set(token.tokenId, product);
+    raw.traitNormalized.set(token.tokenId, normalized);
+    raw.informationContent.set(token.tokenId, collectionEntropy > 0 ? information / collectionEntropy : 0);
+  }
+
+  const ranks = {
+    statistical: rankBy(raw.statistical, (a, b) => a - b),
+    traitNormalized: rankBy(raw.traitNormalized, (a, b) => b - a),
+    informationContent: rankBy(raw.informationContent, (a, b) => b - a),
+  };
+
+  const scores = new Map();
+  for (const token of tokens) {
+    scores.set(token.tokenId, Object.fromEntries(RARITY_METHODS.map(method => [
+      method,
+      { score: raw[method].get(token.tokenId), rank: ranks[method].get(token.tokenId) },
+    ])));
+  }
+
+  return { distribution, scores };
+}
+
+/**
+ * Each of a token's traits with how many tokens share it.
+ */
+export function describeTokenTraits(token, { tokenCount, counts }) {
+  return tokenTraitValues(token, counts).map(([traitType, value]) => {
+    const count = counts.get(traitType).get(value);
+    return { traitType, value, count, frequency: count / tokenCount };
+  });
+}
@@ -0,0 +1,230 @@
+import { chainFamily } from './chains.js';
+import { InvalidArgumentError } from './errors.js';
+import { canonicalTokenId, isEnsName, isSolanaAddress } from './validation.js';
+
+/**
+ * MCP resources: addressable NFT data clients can attach as context rather
+ * than request through a tool call.
+ *
+ *   nft://{chain}/collection/{address}
+ *   nft://{chain}/token/{address}/{tokenId}
+ *   nft://{chain}/wallet/{address}
+ *
+ * Each kind is served by an existing tool so resources share its providers,
+ * cache entries and response shape. On Solana the addresses are base58 and
+ * the token segment is the token's mint address.
+ */
+
+export const RESOURCE_MIME_TYPE = 'application/json';
+
+// Most resources each session remembers for resources/list
+const MAX_RECENT = 50;
+
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+export const RESOURCE_KINDS = {
+  collection: {
+    uriTemplate: 'nft://{chain}/collection/{address}',
+    name: 'NFT collection',
+    description: 'Collection metadata and market stats (getNFTCollectionDetails)',
+    tool: 'getNFTCollectionDetails',
+    segments: ['contractAddress'],
+  },
+  token: {
+    uriTemplate: 'nft://{chain}/token/{address}/{tokenId}',
+    name: 'NFT token',
+    description: 'Token metadata, attributes and owner (getNFTMetadata)',
+    tool: 'getNFTMetadata',
+    segments: ['contractAddress', 'tokenId'],
+  },
+  wallet: {
+    uriTemplate: 'nft://{chain}/wallet/{address}',
+    name: 'Wallet NFTs',
+    description: 'First page of NFTs held by a wallet (getWalletNFTs); use the tool with nextCursor for the rest',
+    tool: 'getWalletNFTs',
+    segments: ['walletAddress'],
+  },
+};
+
+export const RESOURCE_TEMPLATES = Object.values(RESOURCE_KINDS).map(({ uriTemplate, name, description }) => ({
+  uriTemplate,
+  name,
+  description,
+  mimeType: RESOURCE_MIME_TYPE,
+}));
+
+/**
+ * Parse an `nft://` URI into the tool that serves it and that tool's
+ * arguments.
+ *
+ * @param {string} uri
+ * @param {string[]} chains - chains the URI may name
+ * @returns {{ kind: string, tool: string, args: object }}
+ */
+export function parseResourceUri(uri, chains) {
+  const match = /^nft:\/\/([^/]+)\/([^/]+)\/(.+)$/.exec(uri);
+  if (!match) {
+    throw new InvalidArgumentError(`Not an NFT resource URI: ${uri} (expected nft://{chain}/{collection|token|wallet}/...)`);
+  }
+
+  const [, chain, kind, rest] = match;
+  const definition = RESOURCE_KINDS[kind];
+  if (!definition) {
+    throw new InvalidArgumentError(`Unknown resource type "${kind}" (expected one of ${Object.keys(RESOURCE_KINDS).join(', ')})`);
+  }
+  if (!chains.includes(chain)) {
+    throw new InvalidArgumentError(`Unsupported chain "${chain}" (expected one of ${chains.join(', ')})`);
+  }
+
+  let values;
+  try {
+    values = rest.split('/').map(decodeURIComponent);
+  } catch {
+    throw new InvalidArgumentError(`Malformed percent-encoding in resource URI: ${uri}`);
+  }
+  if (values.length !== definition.segments.length) {
+    throw new InvalidArgumentError(`Malformed ${kind} resource URI: ${uri} (expected ${definition.uriTemplate})`);
+  }
+
+  const args = { chain };
+  definition.segments.forEach((segment, index) => {
+    args[segment] = values[index];
+  });
+
+  if (chainFamily(chain) === 'solana') {
+    for (const segment of definition.segments) {
+      if (!isSolanaAddress(args[segment])) {
+        throw new InvalidArgumentError(`Invalid Solana address in resource URI: ${args[segment]}`);
+      }
+    }
+    return { kind, tool: definition.tool, args };
+  }
+
+  if (args.contractAddress !== undefined && !ADDRESS.test(args.contractAddress)) {
+    throw new InvalidArgumentError(`Invalid address in resource URI: ${args.contractAddress}`);
+  }
+  // Wallets may be named by ENS, e.g. nft://ethereum/wallet/vitalik.eth
+  if (args.walletAddress !== undefined && !ADDRESS.test(args.walletAddress) && !isEnsName(args.walletAddress)) {
+    throw new InvalidArgumentError(`Invalid wallet address or ENS name in resource URI: ${args.walletAddress}`);
+  }
+  if (args.tokenId !== undefined && !/^(\d+|0x[0-9a-fA-F]+)$/.test(args.tokenId)) {
+    throw new InvalidArgumentError(`Invalid token ID in resource URI: ${args.tokenId}`);
+  }
+
+  return { kind, tool: definition.tool, args };
+}
+
+/**
+ * Canonical URI for a resource: lowercase addresses and decimal token IDs,
+ * so the same NFT always lists once. Solana's case-sensitive base58
+ * addresses are kept as given.
+ */
+export function resourceUri(kind, { chain, contractAddress, tokenId, walletAddress }) {
+  const address = (value) => (chainFamily(chain) === 'solana' ? value : value.toLowerCase());
+  switch (kind) {
+    case 'collection':
+      return `nft://${chain}/collection/${address(contractAddress)}`;
+    case 'token':
+      return `nft://${chain}/token/${address(contractAddress)}/${canonicalTokenId(tokenId, chain)}`;
+    case 'wallet':
+      return `nft://${chain}/wallet/${address(walletAddress)}`;
+    default:
+      throw new Error(`Unknown resource type: ${kind}`);
+  }
+}
+
+/**
+ * Human-readable name for a resource once its data is known.
+ */
+function describe(kind, args, data) {
+  switch (kind) {
+    case 'collection':
+      return data?.collectionDetails?.name || args.contractAddress;
+    case 'token': {
+      const collection = data?.metadata?.contractMetadata?.name;
+      return data?.metadata?.name || `${collection || args.contractAddress} #${canonicalTokenId(args.tokenId, args.chain)}`;
+    }
+    case 'wallet':
+      return `NFTs held by ${args.walletAddress}`;
+    default:
+      return kind;
+  }
+}
+
+/**
+ * The resources every session can list: pinned URIs from configuration.
+ * Reads are remembered per session, see `session()`.
+ */
+export class ResourceCatalog {
+  /**
+   * @param {object} options
+   * @param {string[]} [options.pinned] - nft:// URIs always listed
+   * @param {string[]} options.chains - chains URIs may name
+   */
+  constructor({ pinned = [], chains }) {
+    this.chains = chains;
+    this.pinned = new Map();
+
+    for (const uri of pinned) {
+      const { kind, args } = parseResourceUri(uri, chains);
+      const canonical = resourceUri(kind, args);
+      this.pinned.set(canonical, this.entry(canonical, kind, args));
+    }
+  }
+
+  entry(uri, kind, args, data) {
+    const definition = RESOURCE_KINDS[kind];
+    return {
+      uri,
+      name: describe(kind, args, data),
+      description: definition.description,
+      mimeType: RESOURCE_MIME_TYPE,
+    };
+  }
+
+  /**
+   * Parse a URI for reading or watching. `uri` is canonical; `requestedUri`
+   * is the form the client used.
+   * @returns {{ uri: string, requestedUri: string, kind: string, tool: string, args: object }}
+   */
+  resolve(uri) {
+    const parsed = parseResourceUri(uri, this.chains);
+    return { ...parsed, uri: resourceUri(parsed.kind, parsed.args), requestedUri: uri };
+  }
+
+  /** A listing for one MCP session, so clients never see each other's reads. */
+  session() {
+    return new SessionResources(this);
+  }
+}
+
+/**
+ * One session's resources/list: the pinned resources first, then the ones
+ * this session read most recently.
+ */
+export class SessionResources {
+  /** @param {ResourceCatalog} catalog */
+  constructor(catalog) {
+    this.catalog = catalog;
+    this.recent = new Map();
+  }
+
+  /** Record a successful read so the resource shows up in this session's listings. */
+  remember({ uri, kind, args }, data) {
+    const entry = this.catalog.entry(uri, kind, args, data);
+    if (this.catalog.pinned.has(uri)) {
+      this.catalog.pinned.set(uri, entry);
+      return;
+    }
+
+    this.recent.delete(uri);
+    this.recent.set(uri, entry);
+    if (this.recent.size > MAX_RECENT) {
+      this.recent.delete(this.recent.keys().next().value);
+    }
+  }
+
+  list() {
+    return [...this.catalog.pinned.values(), ...[...this.recent.values()].reverse()];
+  }
+}
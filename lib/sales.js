@@ -0,0 +1,270 @@
+import { ERROR_CODES, InvalidArgumentError, NFTScannerError, combineFailures, toWarning } from './errors.js';
+import { decodeCursor, encodeCursor } from './pagination.js';
+import { fromBaseUnits, priceSymbol } from './prices.js';
+
+/**
+ * Sales aggregated across every configured sales source.
+ *
+ * Each source is read newest-first and the streams are merged by timestamp.
+ * A sale reported by several sources (same transaction and token) appears
+ * once, listing every source that saw it. The cursor records, per source,
+ * the native cursor of the page holding its next unread sale and how many
+ * sales of that page were already returned, so pages resume exactly.
+ */
+
+export const MARKETPLACES = ['opensea', 'looksrare', 'blur', 'x2y2', 'cryptopunks', 'magiceden', 'tensor'];
+
+// Provider spellings of marketplace names, keyed by their lowercase alphanumerics
+const MARKETPLACE_ALIASES = {
+  opensea: 'opensea',
+  seaport: 'opensea',
+  wyvern: 'opensea',
+  looksrare: 'looksrare',
+  blur: 'blur',
+  blurio: 'blur',
+  x2y2: 'x2y2',
+  cryptopunks: 'cryptopunks',
+  larvalabs: 'cryptopunks',
+  magiceden: 'magiceden',
+  magicedenv2: 'magiceden',
+  tensor: 'tensor',
+  tensortrade: 'tensor',
+};
+
+const CURSOR_PROVIDER = 'sales';
+
+// Pages read per source and call when filtering by marketplace. Not every
+// provider filters upstream, so a rare marketplace could otherwise walk a
+// collection's entire sales history in one call.
+const MARKETPLACE_SCAN_PAGES = 5;
+
+export function normalizeMarketplace(name) {
+  if (!name) return undefined;
+  const key = String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return MARKETPLACE_ALIASES[key] || key;
+}
+
+function saleKey(sale) {
+  if (!sale.transactionHash) return undefined;
+  let tokenId = sale.asset?.tokenId;
+  try {
+    tokenId = BigInt(tokenId).toString();
+  } catch {
+    // keep the provider's representation
+  }
+  return `${sale.transactionHash.toLowerCase()}:${tokenId}`;
+}
+
+const saleTime = (sale) => (sale.timestamp ? Date.parse(sale.timestamp) : -Infinity);
+
+/**
+ * One provider's sales, read page by page. `position` counts sales consumed
+ * from the current page so the source can report where to resume. With
+ * `maxPages` the source stops once that many pages were read, leaving the
+ * rest to the next cursor.
+ */
+class SalesSource {
+  constructor(provider, args, { c, s = 0 } = {}, { maxPages = Infinity } = {}) {
+    this.provider = provider;
+    this.args = args;
+    this.pageCursor = c;
+    this.position = s;
+    this.page = null;
+    this.pagesRead = 0;
+    this.maxPages = maxPages;
+    this.stopped = false;
+  }
+
+  async load(limit) {
+    const page = await this.provider.sales({ ...this.args, limit: this.position + limit, cursor: this.pageCursor });
+    this.page = { items: page.items, next: page.next };
+    this.pagesRead += 1;
+  }
+
+  /** The next unread sale, fetching the following page when this one is used up. */
+  async peek(limit) {
+    if (!this.page) await this.load(limit);
+
+    while (this.position >= this.page.items.length) {
+      if (!this.page.next) return undefined;
+      if (this.pagesRead >= this.maxPages) {
+        this.stopped = true;
+        return undefined;
+      }
+      this.pageCursor = this.page.next;
+      this.position = 0;
+      await this.load(limit);
+    }
+    return this.page.items[this.position];
+  }
+
+  advance() {
+    this.position += 1;
+  }
+
+  /** Resume point for the cursor, or undefined once the source is exhausted. */
+  state() {
+    if (this.page && this.position >= this.page.items.length) {
+      return this.page.next ? { c: this.page.next, s: 0 } : undefined;
+    }
+    return { c: this.pageCursor, s: this.position };
+  }
+}
+
+/**
+ * Add decimal, ETH and USD prices using the payment token's decimals and
+ * current USD rates.
+ */
+export function normalizeSalePrice(sale, usdPrices) {
+  const amount = sale.totalPriceDecimal !== undefined
+    ? Number(sale.totalPriceDecimal)
+    : fromBaseUnits(sale.totalPrice, sale.paymentToken?.decimals ?? 18);
+  if (amount === undefined || Number.isNaN(amount)) return sale;
+
+  const symbol = priceSymbol(sale.paymentToken?.symbol || 'ETH');
+  const tokenUsd = usdPrices.get(symbol);
+  const ethUsd = usdPrices.get('ETH');
+
+  let priceETH;
+  if (symbol === 'ETH') {
+    priceETH = amount;
+  } else if (tokenUsd !== undefined && ethUsd) {
+    priceETH = (amount * tokenUsd) / ethUsd;
+  }
+
+  return {
+    ...sale,
+    totalPriceDecimal: amount,
+    totalPriceETH: priceETH,
+    totalPriceUSD: tokenUsd !== undefined ? amount * tokenUsd : undefined,
+  };
+}
+
+/**
+ * Merge sales from all configured sales providers for a chain.
+ *
+ * @param {import('./providers/index.js').ProviderRegistry} registry
+ * @param {object} args - contractAddress, tokenId, chain and optional fromTime/toTime
+ * @param {object} options
+ * @param {string} [options.marketplace] - only return sales settled on this marketplace
+ * @param {import('./prices.js').PriceOracle} [options.prices] - adds ETH/USD prices when given
+ * @returns {Promise<{ sources: string[], items: object[], nextCursor?: string, truncated: boolean, warnings: object[] }>}
+ */
+export async function aggregateSales(registry, args, { limit, all = false, cursor, maxItems, marketplace, prices }) {
+  if (marketplace && !MARKETPLACES.includes(marketplace)) {
+    throw new InvalidArgumentError(`Unknown marketplace: ${marketplace} (expected one of ${MARKETPLACES.join(', ')})`);
+  }
+
+  const target = all ? maxItems : Math.min(limit, maxItems);
+  const providers = registry.available('sales', args.chain);
+  if (providers.length === 0) {
+    if (registry.resolve('sales', args.chain).length === 0) {
+      throw new InvalidArgumentError(`No provider supports sales on ${args.chain}`);
+    }
+    throw new NFTScannerError(ERROR_CODES.MISSING_CREDENTIALS, `No configured provider supports sales on ${args.chain}`);
+  }
+
+  let states;
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (decoded.provider !== CURSOR_PROVIDER) {
+      throw new InvalidArgumentError(`Invalid cursor: ${cursor}`);
+    }
+    states = decoded.cursor;
+  }
+
+  const sources = providers
+    .filter(provider => !states || states[provider.name])
+    .map(provider => new SalesSource(provider, { ...args, marketplace }, states?.[provider.name], {
+      maxPages: marketplace ? MARKETPLACE_SCAN_PAGES : Infinity,
+    }));
+
+  const warnings = [];
+  const failed = new Set();
+  const seen = new Map();
+  const items = [];
+
+  const peek = async (source) => {
+    if (failed.has(source)) return undefined;
+    try {
+      for (;;) {
+        const sale = await source.peek(target);
+        if (!sale || !marketplace || normalizeMarketplace(sale.marketplace) === marketplace) return sale;
+        source.advance();
+      }
+    } catch (error) {
+      failed.add(source);
+      warnings.push(toWarning(source.provider.label, error));
+      return undefined;
+    }
+  };
+
+  while (items.length < target) {
+    const heads = await Promise.all(sources.map(async (source) => ({ source, sale: await peek(source) })));
+    const newest = heads
+      .filter(head => head.sale)
+      .reduce((best, head) => (!best || saleTime(head.sale) > saleTime(best.sale) ? head : best), undefined);
+    if (!newest) break;
+
+    newest.source.advance();
+    const { sale, source } = newest;
+    const key = saleKey(sale);
+    const existing = key && seen.get(key);
+
+    if (existing) {
+      existing.sources.push(source.provider.name);
+      for (const [field, value] of Object.entries(sale)) {
+        if (existing[field] === undefined) existing[field] = value;
+      }
+      continue;
+    }
+
+    const merged = { ...sale, marketplace: normalizeMarketplace(sale.marketplace), sources: [source.provider.name] };
+    if (key) seen.set(key, merged);
+    items.push(merged);
+  }
+
+  // Skip copies of returned sales sitting at the head of other sources
+  for (const source of sources) {
+    let sale;
+    while ((sale = await peek(source)) && seen.has(saleKey(sale))) {
+      seen.get(saleKey(sale)).sources.push(source.provider.name);
+      source.advance();
+    }
+  }
+
+  if (failed.size === sources.length && sources.length > 0) {
+    throw combineFailures(warnings);
+  }
+
+  for (const source of sources) {
+    if (!source.stopped || failed.has(source)) continue;
+    warnings.push({
+      source: source.provider.label,
+      code: 'TRUNCATED',
+      message: `stopped after ${source.pagesRead} pages without finding enough ${marketplace} sales; continue with nextCursor`,
+    });
+  }
+
+  const nextStates = {};
+  for (const source of sources) {
+    const state = failed.has(source) ? undefined : source.state();
+    if (state) nextStates[source.provider.name] = state;
+  }
+  const hasMore = Object.keys(nextStates).length > 0;
+
+  let priced = items;
+  if (prices && items.length > 0) {
+    const { rates, warnings: priceWarnings } = await prices.getUsdPrices(['ETH', ...items.map(sale => sale.paymentToken?.symbol)]);
+    priced = items.map(sale => normalizeSalePrice(sale, rates));
+    warnings.push(...priceWarnings);
+  }
+
+  return {
+    sources: sources.filter(source => !failed.has(source)).map(source => source.provider.label),
+    items: priced,
+    nextCursor: hasMore ? encodeCursor(CURSOR_PROVIDER, nextStates) : undefined,
+    truncated: Boolean(all && hasMore),
+    warnings,
+  };
+}
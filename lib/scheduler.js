@@ -0,0 +1,246 @@
+import fetch from 'node-fetch';
+import { ERROR_CODES, NFTScannerError, httpError } from './errors.js';
+
+/**
+ * Request scheduler with a separate budget per upstream provider.
+ *
+ * Each provider gets a token bucket for requests per second, an optional
+ * second bucket for compute units per second (Alchemy bills methods in CUs),
+ * and a concurrency cap. 429/503 responses pause the provider for the
+ * `Retry-After` interval, and identical requests already in flight share one
+ * network round trip.
+ */
+
+export const DEFAULT_BUDGETS = {
+  alchemy: { requestsPerSecond: 25, computeUnitsPerSecond: 330, concurrency: 8 },
+  opensea: { requestsPerSecond: 4, concurrency: 2 },
+  nftscan: { requestsPerSecond: 5, concurrency: 2 },
+  rpc: { requestsPerSecond: 10, concurrency: 4 },
+  das: { requestsPerSecond: 10, concurrency: 4 },
+  // Magic Eden's public API allows 120 requests per minute
+  magiceden: { requestsPerSecond: 2, concurrency: 2 },
+  default: { requestsPerSecond: 5, concurrency: 4 },
+};
+
+const MAX_RETRIES = 3;
+
+const BUDGET_KEYS = {
+  rps: 'requestsPerSecond',
+  cups: 'computeUnitsPerSecond',
+  concurrency: 'concurrency',
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const backoff = (attempt) => Math.pow(2, attempt) * 1000;
+
+/**
+ * Parse budget overrides such as "alchemy:rps=10,cups=500;opensea:rps=2,concurrency=1".
+ * Providers and settings not mentioned keep their defaults.
+ */
+export function parseBudgets(value) {
+  const budgets = Object.fromEntries(
+    Object.entries(DEFAULT_BUDGETS).map(([provider, budget]) => [provider, { ...budget }])
+  );
+  if (!value) return budgets;
+
+  for (const entry of value.split(';')) {
+    const [provider, settings] = entry.split(':').map(part => part?.trim());
+    if (!provider || !settings) continue;
+
+    const budget = budgets[provider] || { ...DEFAULT_BUDGETS.default };
+    for (const setting of settings.split(',')) {
+      const [key, amount] = setting.split('=').map(part => part.trim());
+      const number = Number(amount);
+      if (!BUDGET_KEYS[key] || !Number.isFinite(number) || number <= 0) {
+        throw new Error(`Invalid RATE_LIMITS setting for ${provider}: ${setting}`);
+      }
+      budget[BUDGET_KEYS[key]] = number;
+    }
+    budgets[provider] = budget;
+  }
+  return budgets;
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds.
+ */
+export function parseRetryAfter(value) {
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+export class TokenBucket {
+  constructor(ratePerSecond, capacity = ratePerSecond) {
+    this.rate = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  /** Milliseconds until `cost` tokens are available. */
+  delayFor(cost) {
+    this.refill();
+    const needed = Math.min(cost, this.capacity);
+    return this.tokens >= needed ? 0 : Math.ceil(((needed - this.tokens) / this.rate) * 1000);
+  }
+
+  take(cost) {
+    this.refill();
+    this.tokens -= Math.min(cost, this.capacity);
+  }
+}
+
+class ProviderLimiter {
+  constructor({ requestsPerSecond, computeUnitsPerSecond, concurrency }) {
+    this.requests = new TokenBucket(requestsPerSecond);
+    this.computeUnits = computeUnitsPerSecond ? new TokenBucket(computeUnitsPerSecond) : null;
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+  }
+
+  async acquire(cost) {
+    for (;;) {
+      while (this.active >= this.concurrency) {
+        await new Promise(resolve => this.waiting.push(resolve));
+      }
+      const delay = Math.max(
+        this.pausedUntil - Date.now(),
+        this.requests.delayFor(1),
+        this.computeUnits ? this.computeUnits.delayFor(cost) : 0
+      );
+      if (delay <= 0) break;
+      // Pauses and empty buckets are waited out without holding a slot
+      await sleep(delay);
+    }
+
+    this.active += 1;
+    this.requests.take(1);
+    this.computeUnits?.take(cost);
+  }
+
+  release() {
+    this.active -= 1;
+    this.waiting.shift()?.();
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /** Pause until the window resets when the provider reports an exhausted quota. */
+  observe(headers) {
+    const remaining = headers.get('x-ratelimit-remaining') ?? headers.get('ratelimit-remaining');
+    const reset = headers.get('x-ratelimit-reset') ?? headers.get('ratelimit-reset');
+    if (remaining !== null && Number(remaining) === 0 && reset !== null) {
+      const value = Number(reset);
+      // Some providers send an epoch timestamp, others seconds until reset
+      const ms = value > 1e9 ? value * 1000 - Date.now() : value * 1000;
+      if (ms > 0) this.pause(ms);
+    }
+  }
+}
+
+export class RequestScheduler {
+  constructor({ budgets = DEFAULT_BUDGETS, maxRetries = MAX_RETRIES } = {}) {
+    this.budgets = budgets;
+    this.maxRetries = maxRetries;
+    this.limiters = new Map();
+    this.inFlight = new Map();
+  }
+
+  limiter(provider) {
+    if (!this.limiters.has(provider)) {
+      this.limiters.set(provider, new ProviderLimiter(this.budgets[provider] || this.budgets.default));
+    }
+    return this.limiters.get(provider);
+  }
+
+  /**
+   * Schedule a JSON request against a provider's budget.
+   * @param {string} provider - budget to charge, e.g. "alchemy"
+   * @param {string} url
+   * @param {object} [options] - fetch options plus `cost` in compute units
+   */
+  request(provider, url, options = {}) {
+    const { cost = 1, ...fetchOptions } = options;
+    const key = `${provider} ${fetchOptions.method || 'GET'} ${url} ${fetchOptions.body || ''}`;
+
+    if (!this.inFlight.has(key)) {
+      const promise = this.execute(provider, url, fetchOptions, cost)
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, promise);
+    }
+    return this.inFlight.get(key);
+  }
+
+  async execute(provider, url, options, cost) {
+    const limiter = this.limiter(provider);
+
+    for (let attempt = 0; ; attempt++) {
+      const { body, retryIn } = await this.attempt(provider, limiter, url, options, cost, attempt);
+      if (retryIn === undefined) return body;
+      // Back off with the slot released so other requests can use it meanwhile
+      if (retryIn > 0) await sleep(retryIn);
+    }
+  }
+
+  /**
+   * One try, holding a concurrency slot until the response body has been read.
+   * @returns {Promise<{ body?: any, retryIn?: number }>} the parsed body, or milliseconds to wait before retrying
+   */
+  async attempt(provider, limiter, url, options, cost, attempt) {
+    await limiter.acquire(cost);
+    try {
+      let response;
+      try {
+        response = await fetch(url, {
+          ...options,
+          headers: {
+            'Content-Type': 'application/json',
+            ...options.headers,
+          },
+        });
+      } catch (error) {
+        if (attempt >= this.maxRetries) {
+          throw new NFTScannerError(ERROR_CODES.UPSTREAM_UNAVAILABLE, error.message, { provider, cause: error });
+        }
+        return { retryIn: backoff(attempt) };
+      }
+
+      limiter.observe(response.headers);
+
+      if ((response.status === 429 || response.status === 503) && attempt < this.maxRetries) {
+        // The pause holds back every request to this provider, this retry included
+        limiter.pause(parseRetryAfter(response.headers.get('retry-after')) ?? backoff(attempt));
+        return { retryIn: 0 };
+      }
+
+      if (response.status >= 500 && attempt < this.maxRetries) {
+        return { retryIn: backoff(attempt) };
+      }
+
+      if (!response.ok) {
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+        throw httpError(provider, response.status, response.statusText, retryAfter !== undefined ? Math.ceil(retryAfter / 1000) : undefined);
+      }
+
+      return { body: await response.json() };
+    } finally {
+      limiter.release();
+    }
+  }
+}
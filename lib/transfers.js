@@ -0,0 +1,93 @@
+import { InvalidArgumentError } from './errors.js';
+
+/**
+ * Transfer filtering and classification shared by the transfer providers.
+ */
+
+export const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Common burn sinks besides the zero address
+const BURN_ADDRESSES = new Set([
+  ZERO_ADDRESS,
+  '0x000000000000000000000000000000000000dead',
+]);
+
+export const TRANSFER_TYPES = ['mint', 'burn', 'sale', 'transfer'];
+
+/**
+ * Parse a date argument (ISO 8601 string, unix seconds or unix milliseconds)
+ * into unix seconds.
+ */
+export function parseDateInput(value, name = 'date') {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const number = Number(value);
+    // Treat 13-digit values as milliseconds
+    return number > 1e12 ? Math.floor(number / 1000) : number;
+  }
+
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new InvalidArgumentError(`Invalid ${name}: ${value}`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+function sameAddress(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Whether a mapped transfer falls inside the requested block/time window and
+ * matches the address filters. Transfers missing a field pass that check.
+ */
+export function matchesTransferFilters(transfer, { fromBlock, toBlock, fromTime, toTime, fromAddress, toAddress, tokenId }) {
+  if (fromBlock !== undefined && transfer.blockNumber < fromBlock) return false;
+  if (toBlock !== undefined && transfer.blockNumber > toBlock) return false;
+
+  const time = transfer.timestamp ? Date.parse(transfer.timestamp) / 1000 : undefined;
+  if (time !== undefined && fromTime !== undefined && time < fromTime) return false;
+  if (time !== undefined && toTime !== undefined && time > toTime) return false;
+
+  if (fromAddress && !sameAddress(transfer.from, fromAddress)) return false;
+  if (toAddress && !sameAddress(transfer.to, toAddress)) return false;
+
+  if (tokenId !== undefined && transfer.tokenId !== undefined) {
+    try {
+      if (BigInt(transfer.tokenId) !== BigInt(tokenId)) return false;
+    } catch {
+      if (String(transfer.tokenId) !== String(tokenId)) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether a page sorted by `order` has already moved past the requested
+ * window, so later pages cannot contain matches.
+ */
+export function isPastWindow(transfers, { order = 'desc', fromBlock, toBlock, fromTime, toTime }) {
+  const last = transfers[transfers.length - 1];
+  if (!last) return false;
+
+  const time = last.timestamp ? Date.parse(last.timestamp) / 1000 : undefined;
+  if (order === 'desc') {
+    return (fromBlock !== undefined && last.blockNumber < fromBlock) ||
+      (fromTime !== undefined && time !== undefined && time < fromTime);
+  }
+  return (toBlock !== undefined && last.blockNumber > toBlock) ||
+    (toTime !== undefined && time !== undefined && time > toTime);
+}
+
+/**
+ * Label a transfer as a mint, burn, sale (its transaction also carried a
+ * marketplace sale) or plain transfer.
+ */
+export function classifyTransfer(transfer, saleTransactions = new Set()) {
+  if (sameAddress(transfer.from, ZERO_ADDRESS)) return 'mint';
+  if (BURN_ADDRESSES.has(transfer.to?.toLowerCase())) return 'burn';
+  if (transfer.metadata?.eventType?.toLowerCase() === 'sale') return 'sale';
+  if (transfer.transactionHash && saleTransactions.has(transfer.transactionHash.toLowerCase())) return 'sale';
+  return 'transfer';
+}
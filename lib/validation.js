@@ -0,0 +1,289 @@
+import { keccak_256 } from '@noble/hashes/sha3';
+import { chainFamily } from './chains.js';
+import { InvalidArgumentError } from './errors.js';
+
+/**
+ * Tool argument validation and normalization.
+ *
+ * Arguments are checked against each tool's declared `inputSchema` before
+ * any provider is called, so a typo surfaces as a precise message instead of
+ * an upstream HTTP 400. EVM addresses come out EIP-55 checksummed and token
+ * IDs as decimal strings. On Solana, addresses and token IDs (mint addresses)
+ * are base58 public keys and are kept as given, since base58 is case-sensitive.
+ */
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Arguments holding a contract address
+const CONTRACT_FIELDS = ['contractAddress'];
+
+// Arguments holding a list of contract addresses
+const CONTRACT_LIST_FIELDS = ['alsoHolds', 'contractAddresses'];
+
+// Arguments holding a wallet address, which may also be given as an ENS name
+const WALLET_FIELDS = ['walletAddress', 'ownerAddress', 'fromAddress', 'toAddress'];
+
+// Arguments holding a list of wallet addresses or ENS names
+const WALLET_LIST_FIELDS = ['walletAddresses'];
+
+// Arguments holding a list of { contractAddress, tokenId } objects
+const TOKEN_LIST_FIELDS = ['tokens'];
+
+const describeValue = (value) => (typeof value === 'string' ? `"${value.length > 50 ? `${value.slice(0, 50)}...` : value}"` : JSON.stringify(value));
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function checkValue(schema, value, path) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    throw new InvalidArgumentError(`${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}, got ${typeOf(value)} ${describeValue(value)}`);
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new InvalidArgumentError(`${path} must be a finite number`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    throw new InvalidArgumentError(`${path} must be one of ${schema.enum.join(', ')}; got ${describeValue(value)}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    throw new InvalidArgumentError(`${path} must be at least ${schema.minimum}; got ${value}`);
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    throw new InvalidArgumentError(`${path} must be greater than ${schema.exclusiveMinimum}; got ${value}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    throw new InvalidArgumentError(`${path} must be at most ${schema.maximum}; got ${value}`);
+  }
+  if (schema.maxItems !== undefined && Array.isArray(value) && value.length > schema.maxItems) {
+    throw new InvalidArgumentError(`${path} must have at most ${schema.maxItems} items; got ${value.length}`);
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => checkValue(schema.items, item, `${path}[${index}]`));
+  }
+  if (schema.type === 'object' && schema.properties) {
+    checkObject(schema, value, path);
+  }
+}
+
+function checkObject(schema, value, path) {
+  const properties = schema.properties || {};
+  const field = (key) => (path === 'arguments' ? key : `${path}.${key}`);
+
+  for (const key of Object.keys(value)) {
+    if (!(key in properties)) {
+      const known = Object.keys(properties);
+      throw new InvalidArgumentError(`Unknown argument ${field(key)}${known.length ? ` (expected ${known.join(', ')})` : ''}`);
+    }
+  }
+  for (const key of schema.required || []) {
+    if (value[key] === undefined || value[key] === null || value[key] === '') {
+      throw new InvalidArgumentError(`Missing required argument ${field(key)}`);
+    }
+  }
+  for (const [key, item] of Object.entries(value)) {
+    // Explicit nulls mean "use the default"
+    if (item === undefined || item === null) continue;
+    checkValue(properties[key], item, field(key));
+  }
+}
+
+/**
+ * Check tool arguments against a JSON Schema subset: type, enum, required,
+ * minimum/exclusiveMinimum/maximum, array items and maxItems, and nested objects. Unknown arguments are
+ * rejected so misspelled names do not silently fall back to defaults.
+ */
+export function validateArguments(schema, args = {}) {
+  if (typeOf(args) !== 'object') {
+    throw new InvalidArgumentError(`Tool arguments must be an object, got ${typeOf(args)}`);
+  }
+  checkObject(schema, args, 'arguments');
+}
+
+/** EIP-55 mixed-case checksum form of a 20-byte hex address. */
+export function toChecksumAddress(address) {
+  const lower = address.slice(2).toLowerCase();
+  const hash = Buffer.from(keccak_256(lower)).toString('hex');
+  let result = '0x';
+  for (let i = 0; i < lower.length; i += 1) {
+    result += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return result;
+}
+
+/**
+ * Validate a hex address and return it checksummed. All-lowercase and
+ * all-uppercase input carries no checksum and is accepted as is; mixed case
+ * must match EIP-55 exactly, since a mismatch usually means a typo.
+ */
+export function normalizeAddress(value, field = 'address') {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    throw new InvalidArgumentError(`${field} must be a 0x-prefixed 40 character hex address; got ${describeValue(value)}`);
+  }
+
+  const checksummed = toChecksumAddress(value);
+  const body = value.slice(2);
+  const mixedCase = body !== body.toLowerCase() && body !== body.toUpperCase();
+  if (mixedCase && value !== checksummed) {
+    throw new InvalidArgumentError(`${field} ${value} fails its EIP-55 checksum; check it for typos`);
+  }
+  return checksummed;
+}
+
+/**
+ * Parse a decimal or 0x-hex token ID into its decimal string form.
+ */
+export function normalizeTokenId(value, field = 'tokenId') {
+  const text = String(value).trim();
+  if (!/^(\d+|0x[0-9a-fA-F]+)$/.test(text)) {
+    throw new InvalidArgumentError(`${field} must be a decimal or 0x-prefixed hex integer; got ${describeValue(value)}`);
+  }
+
+  const id = BigInt(text);
+  if (id > MAX_UINT256) {
+    throw new InvalidArgumentError(`${field} is larger than a uint256`);
+  }
+  return id.toString();
+}
+
+/** Number of bytes a base58 string decodes to; each leading "1" is a zero byte. */
+function base58Length(value) {
+  let number = 0n;
+  for (const char of value) {
+    number = number * 58n + BigInt(BASE58_ALPHABET.indexOf(char));
+  }
+  const zeros = /^1*/.exec(value)[0].length;
+  return zeros + (number === 0n ? 0 : Math.ceil(number.toString(16).length / 2));
+}
+
+/** Whether a value is a Solana public key: base58 text decoding to 32 bytes. */
+export function isSolanaAddress(value) {
+  if (typeof value !== 'string' || value.length < 32 || value.length > 44) return false;
+  if ([...value].some(char => !BASE58_ALPHABET.includes(char))) return false;
+  return base58Length(value) === 32;
+}
+
+/**
+ * Validate a Solana address (wallet, mint or collection).
+ */
+export function normalizeSolanaAddress(value, field = 'address') {
+  if (!isSolanaAddress(value)) {
+    throw new InvalidArgumentError(`${field} must be a base58 Solana address; got ${describeValue(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Canonical token ID on a chain: decimal on EVM chains, the mint address on
+ * Solana.
+ */
+export function canonicalTokenId(tokenId, chain) {
+  return chainFamily(chain) === 'solana' ? String(tokenId) : normalizeTokenId(tokenId);
+}
+
+/** Whether a wallet argument looks like an ENS name such as "vitalik.eth". */
+export function isEnsName(value) {
+  return typeof value === 'string' && !value.startsWith('0x') && /^[^\s./]+(\.[^\s./]+)+$/.test(value.trim());
+}
+
+/**
+ * Chain family the address arguments belong to. Single-chain tools default
+ * to Ethereum; a multi-chain tool given no chain list follows the wallet's
+ * address format.
+ */
+function addressFamily(schema, args) {
+  const chains = args.chain ? [args.chain] : args.chains || [];
+  const families = new Set(chains.map(chainFamily));
+  if (families.size > 1) {
+    throw new InvalidArgumentError('chains mixes Solana with EVM networks; an address belongs to one or the other');
+  }
+  if (families.size === 1) return [...families][0];
+  return schema.properties?.chains && isSolanaAddress(args.walletAddress?.trim()) ? 'solana' : 'evm';
+}
+
+function normalizeEvmAddress(value, field) {
+  if (isSolanaAddress(value)) {
+    throw new InvalidArgumentError(`${field} ${value} is a Solana address; pass chain "solana"`);
+  }
+  return normalizeAddress(value, field);
+}
+
+/**
+ * Validate and normalize a tool's arguments.
+ *
+ * @param {object} schema - the tool's inputSchema
+ * @param {object} args
+ * @param {object} [options]
+ * @param {(name: string) => Promise<string>} [options.resolveName] - resolves ENS names in EVM wallet arguments
+ * @returns {Promise<{ args: object, resolvedNames: Object<string, { name: string, address: string }> }>}
+ */
+export async function normalizeArguments(schema, args = {}, { resolveName } = {}) {
+  // Token IDs are often sent as JSON numbers; accept those that survive the round trip
+  const idText = (value) => (Number.isSafeInteger(value) && value >= 0 ? String(value) : value);
+  const input = { ...args };
+  if (input.tokenId !== undefined) input.tokenId = idText(input.tokenId);
+  for (const field of TOKEN_LIST_FIELDS) {
+    if (typeOf(input[field]) !== 'array') continue;
+    input[field] = input[field].map(token => (typeOf(token) === 'object' ? { ...token, tokenId: idText(token.tokenId) } : token));
+  }
+
+  validateArguments(schema, input);
+
+  const normalized = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== null && value !== undefined));
+  const resolvedNames = {};
+  const solana = addressFamily(schema, normalized) === 'solana';
+  const checkAddress = solana ? normalizeSolanaAddress : normalizeEvmAddress;
+  const checkTokenId = (value, field) => (solana ? normalizeSolanaAddress(String(value).trim(), field) : normalizeTokenId(value, field));
+
+  const checkWallet = async (value, field) => {
+    if (solana || !isEnsName(value)) return checkAddress(value, field);
+    if (!resolveName) {
+      throw new InvalidArgumentError(`${field} must be a hex address; ENS names are not supported here`);
+    }
+    const address = await resolveName(value);
+    resolvedNames[field] = { name: value.toLowerCase(), address };
+    return address;
+  };
+
+  for (const field of CONTRACT_FIELDS) {
+    if (normalized[field]) normalized[field] = checkAddress(normalized[field].trim(), field);
+  }
+
+  for (const field of CONTRACT_LIST_FIELDS) {
+    if (normalized[field]) normalized[field] = normalized[field].map((value, index) => checkAddress(value.trim(), `${field}[${index}]`));
+  }
+
+  for (const field of TOKEN_LIST_FIELDS) {
+    if (!normalized[field]) continue;
+    normalized[field] = normalized[field].map((token, index) => ({
+      contractAddress: checkAddress(token.contractAddress.trim(), `${field}[${index}].contractAddress`),
+      tokenId: checkTokenId(token.tokenId, `${field}[${index}].tokenId`),
+    }));
+  }
+
+  for (const field of WALLET_FIELDS) {
+    const value = normalized[field]?.trim();
+    if (value) normalized[field] = await checkWallet(value, field);
+  }
+
+  for (const field of WALLET_LIST_FIELDS) {
+    if (!normalized[field]) continue;
+    normalized[field] = await Promise.all(normalized[field].map((value, index) => checkWallet(value.trim(), `${field}[${index}]`)));
+  }
+
+  if (normalized.tokenId !== undefined) {
+    normalized.tokenId = checkTokenId(normalized.tokenId, 'tokenId');
+  }
+
+  return { args: normalized, resolvedNames };
+}
@@ -0,0 +1,268 @@
+import { classifyTransfer } from './transfers.js';
+
+/**
+ * Wash-trade heuristics over a collection's sales and NFT transfers.
+ *
+ * Each sale is checked for signs that its buyer and seller are one party:
+ * - selfTrade: the buyer is the seller
+ * - roundTrip: the token went back to a wallet that sold it within the
+ *   round-trip window, which flags every sale of the loop
+ * - linkedWallets: buyer and seller are joined, directly or through other
+ *   wallets, by NFT transfers outside any sale, by payments between them or
+ *   by trading with each other repeatedly
+ * - sellerFunded: the seller paid the buyer shortly before the sale
+ * - slowRoundTrip: the same loop, closed after the round-trip window
+ * - rapidFlip: the token was resold within the flip window of its last sale
+ * - zeroRoyalty: no royalty was paid on a sale flagged for another reason
+ *
+ * The first four mark a sale as a wash trade and take it out of organic
+ * volume. A slow round trip or a rapid flip alone only marks it as suspect,
+ * since collectors do buy back tokens they sold long ago and legitimate
+ * traders flip too, and zero royalties only corroborate another reason.
+ */
+
+export const WASH_REASONS = ['selfTrade', 'roundTrip', 'linkedWallets', 'sellerFunded'];
+export const SUSPECT_REASONS = ['slowRoundTrip', 'rapidFlip', 'zeroRoyalty'];
+
+export const DEFAULT_FLIP_WINDOW_SECONDS = 24 * 3600;
+export const DEFAULT_ROUND_TRIP_WINDOW_SECONDS = 30 * 24 * 3600;
+
+// How long before a sale a payment from seller to buyer counts as funding it
+export const FUNDING_WINDOW_SECONDS = 7 * 24 * 3600;
+
+// Sales between the same two wallets, either way round, that link them
+const REPEATED_TRADES = 3;
+
+const lower = (address) => address?.toLowerCase();
+const timeOf = (event) => (event.timestamp ? Date.parse(event.timestamp) / 1000 : undefined);
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+function tokenKey(tokenId) {
+  try {
+    return BigInt(tokenId).toString();
+  } catch {
+    return String(tokenId);
+  }
+}
+
+function formatDuration(seconds) {
+  if (seconds < 3600) return `${Math.max(1, Math.round(seconds / 60))} min`;
+  if (seconds < 2 * 86400) return `${Math.round(seconds / 3600)} h`;
+  return `${Math.round(seconds / 86400)} days`;
+}
+
+/** Key for seller-to-buyer payments in the `funding` map. */
+export function fundingKey(seller, buyer) {
+  return `${lower(seller)}>${lower(buyer)}`;
+}
+
+/**
+ * Wallet clusters joined by evidence, a union-find that keeps the first
+ * reason found for each directly linked pair.
+ */
+class WalletLinks {
+  constructor() {
+    this.parent = new Map();
+    this.evidence = new Map();
+  }
+
+  find(wallet) {
+    let root = wallet;
+    while (this.parent.has(root) && this.parent.get(root) !== root) root = this.parent.get(root);
+    this.parent.set(wallet, root);
+    return root;
+  }
+
+  link(a, b, reason) {
+    const [first, second] = [lower(a), lower(b)].sort();
+    if (first === second) return;
+    const pair = `${first}:${second}`;
+    if (!this.evidence.has(pair)) this.evidence.set(pair, reason);
+    this.parent.set(this.find(first), this.find(second));
+  }
+
+  /** Why two wallets are linked, or undefined when they are not. */
+  explain(a, b) {
+    const [first, second] = [lower(a), lower(b)].sort();
+    if (this.find(first) !== this.find(second)) return undefined;
+    return this.evidence.get(`${first}:${second}`) ?? 'linked through other wallets that transferred NFTs, funds or trades between them';
+  }
+}
+
+/**
+ * Seller-to-buyer pairs worth a funding lookup, highest sale value first.
+ * Each pair carries the window its payments would fall in.
+ *
+ * @param {object[]} sales
+ * @param {number} limit
+ * @returns {{ seller: string, buyer: string, fromTime: number, toTime: number, toBlock?: number }[]}
+ */
+export function fundingCandidates(sales, limit) {
+  const pairs = new Map();
+  for (const sale of sales) {
+    const time = timeOf(sale);
+    if (!sale.seller || !sale.buyer || lower(sale.seller) === lower(sale.buyer) || time === undefined) continue;
+
+    const key = fundingKey(sale.seller, sale.buyer);
+    const pair = pairs.get(key) ?? { seller: sale.seller, buyer: sale.buyer, fromTime: time, toTime: time, valueETH: 0 };
+    pair.fromTime = Math.min(pair.fromTime, time);
+    if (time >= pair.toTime) {
+      pair.toTime = time;
+      pair.toBlock = sale.blockNumber;
+    }
+    pair.valueETH += sale.totalPriceETH || 0;
+    pairs.set(key, pair);
+  }
+
+  return [...pairs.values()]
+    .sort((a, b) => b.valueETH - a.valueETH)
+    .slice(0, limit)
+    .map(({ valueETH, fromTime, ...pair }) => ({ ...pair, fromTime: fromTime - FUNDING_WINDOW_SECONDS }));
+}
+
+/**
+ * Flag likely wash trades among a collection's sales.
+ *
+ * @param {object[]} sales - normalized sales, priced with `totalPriceETH`
+ * @param {object} [options]
+ * @param {object[]} [options.transfers] - NFT transfers over the same window
+ * @param {Map<string, object>} [options.funding] - latest payment before the sales per fundingKey(seller, buyer)
+ * @param {number} [options.flipWindowSeconds]
+ * @param {number} [options.roundTripWindowSeconds] - longest loop, first sale to last, counted as a wash trade
+ * @returns {{ flagged: object[], volume: object, reasonCounts: object }}
+ */
+export function analyzeWashTrading(sales, {
+  transfers = [],
+  funding = new Map(),
+  flipWindowSeconds = DEFAULT_FLIP_WINDOW_SECONDS,
+  roundTripWindowSeconds = DEFAULT_ROUND_TRIP_WINDOW_SECONDS,
+} = {}) {
+  const chronological = sales
+    .filter(sale => sale.seller && sale.buyer)
+    .sort((a, b) => (timeOf(a) ?? 0) - (timeOf(b) ?? 0));
+  const saleTransactions = new Set(sales.map(sale => lower(sale.transactionHash)).filter(Boolean));
+
+  const links = new WalletLinks();
+  for (const transfer of transfers) {
+    if (!transfer.from || !transfer.to || classifyTransfer(transfer, saleTransactions) !== 'transfer') continue;
+    links.link(transfer.from, transfer.to, `direct NFT transfer between them in ${transfer.transactionHash}`);
+  }
+  const pairTrades = new Map();
+  for (const sale of chronological) {
+    const pair = [lower(sale.seller), lower(sale.buyer)].sort().join(':');
+    pairTrades.set(pair, (pairTrades.get(pair) || 0) + 1);
+  }
+  for (const [pair, count] of pairTrades) {
+    const [a, b] = pair.split(':');
+    if (count >= REPEATED_TRADES) links.link(a, b, `traded with each other ${count} times`);
+  }
+  for (const payment of funding.values()) {
+    links.link(payment.from, payment.to, `payment between them in ${payment.transactionHash}`);
+  }
+
+  const reasons = new Map();
+  const flag = (sale, code, detail) => {
+    if (!reasons.has(sale)) reasons.set(sale, []);
+    const list = reasons.get(sale);
+    if (!list.some(reason => reason.code === code)) list.push({ code, detail });
+  };
+
+  const history = new Map();
+  for (const sale of chronological) {
+    const token = tokenKey(sale.asset?.tokenId);
+    const previous = history.get(token) ?? [];
+    const time = timeOf(sale);
+    const selfTrade = lower(sale.seller) === lower(sale.buyer);
+
+    if (selfTrade) flag(sale, 'selfTrade', 'buyer and seller are the same wallet');
+
+    // The buyer's latest sale of the token closes the tightest loop
+    const loopStart = previous.findLastIndex(prior => lower(prior.seller) === lower(sale.buyer));
+    if (!selfTrade && loopStart !== -1) {
+      const loop = [...previous.slice(loopStart), sale];
+      const startedAt = timeOf(loop[0]);
+      const span = startedAt !== undefined && time !== undefined ? time - startedAt : undefined;
+      const quick = span !== undefined && span <= roundTripWindowSeconds;
+      const detail = `token returned to ${sale.buyer} after ${loop.length} sales${span !== undefined ? ` over ${formatDuration(span)}` : ''}`;
+      loop.forEach(member => flag(member, quick ? 'roundTrip' : 'slowRoundTrip', detail));
+    }
+
+    const payment = funding.get(fundingKey(sale.seller, sale.buyer));
+    const paidAt = payment && timeOf(payment);
+    const funded = paidAt !== undefined && time !== undefined && paidAt <= time && time - paidAt <= FUNDING_WINDOW_SECONDS;
+    if (funded) {
+      flag(sale, 'sellerFunded', `seller sent the buyer ${payment.value} ${payment.asset} ${formatDuration(time - paidAt)} before the sale`);
+    }
+
+    // A funded pair is linked by that same payment, which says nothing new
+    const linked = !selfTrade && !funded && links.explain(sale.seller, sale.buyer);
+    if (linked) flag(sale, 'linkedWallets', linked);
+
+    const last = previous[previous.length - 1];
+    const lastTime = last && timeOf(last);
+    if (lastTime !== undefined && time !== undefined && time - lastTime <= flipWindowSeconds) {
+      flag(sale, 'rapidFlip', `resold ${formatDuration(time - lastTime)} after its previous sale`);
+    }
+
+    history.set(token, [...previous, sale]);
+  }
+
+  for (const [sale, list] of reasons) {
+    const royalty = sale.fees?.royalty;
+    const noRoyalty = royalty !== undefined && royalty !== null && Number(royalty) === 0;
+    if (noRoyalty && list.some(reason => WASH_REASONS.includes(reason.code))) {
+      list.push({ code: 'zeroRoyalty', detail: 'no creator royalty was paid' });
+    }
+  }
+
+  const severityOf = (sale) => {
+    const list = reasons.get(sale);
+    if (!list) return undefined;
+    return list.some(reason => WASH_REASONS.includes(reason.code)) ? 'wash' : 'suspect';
+  };
+
+  const volume = { totalETH: 0, washETH: 0, suspectETH: 0, sales: chronological.length, washSales: 0, suspectSales: 0, unpricedSales: 0 };
+  const reasonCounts = Object.fromEntries([...WASH_REASONS, ...SUSPECT_REASONS].map(code => [code, 0]));
+  for (const sale of chronological) {
+    const severity = severityOf(sale);
+    const price = sale.totalPriceETH;
+    if (price === undefined) volume.unpricedSales += 1;
+    volume.totalETH += price || 0;
+    if (severity === 'wash') {
+      volume.washSales += 1;
+      volume.washETH += price || 0;
+    } else if (severity === 'suspect') {
+      volume.suspectSales += 1;
+      volume.suspectETH += price || 0;
+    }
+    for (const { code } of reasons.get(sale) ?? []) reasonCounts[code] += 1;
+  }
+
+  const organicETH = volume.totalETH - volume.washETH;
+  const flagged = [...reasons.keys()]
+    .sort((a, b) => (timeOf(b) ?? 0) - (timeOf(a) ?? 0))
+    .map(sale => ({
+      transactionHash: sale.transactionHash,
+      tokenId: sale.asset?.tokenId,
+      timestamp: sale.timestamp,
+      seller: sale.seller,
+      buyer: sale.buyer,
+      marketplace: sale.marketplace,
+      priceETH: sale.totalPriceETH,
+      severity: severityOf(sale),
+      reasons: reasons.get(sale),
+    }));
+
+  return {
+    flagged,
+    volume: {
+      ...volume,
+      totalETH: round(volume.totalETH),
+      washETH: round(volume.washETH),
+      suspectETH: round(volume.suspectETH),
+      organicETH: round(organicETH),
+      organicShare: volume.totalETH > 0 ? round(organicETH / volume.totalETH) : 1,
+    },
+    reasonCounts,
+  };
+}
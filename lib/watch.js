@@ -0,0 +1,395 @@
+import { InvalidArgumentError, combineFailures, toWarning } from './errors.js';
+import { fetchPages } from './pagination.js';
+import { aggregateSales } from './sales.js';
+import { floorCurrencies, lowestFloor } from './portfolio.js';
+
+/**
+ * Background watches on nft:// resources.
+ *
+ * A `WatchManager` polls each watched resource once per interval no matter
+ * how many clients watch it, diffs the new snapshot against the previous one
+ * and hands the resulting events to every `WatchSession` subscribed to it.
+ * Sessions keep an event log clients can page through with a sequence
+ * number, so nothing is lost while a client is disconnected.
+ *
+ * Events:
+ * - floorChange (collection): lowest floor moved by at least the watch's threshold
+ * - sale (collection): a sale newer than the previous poll
+ * - transfer (token): the token moved
+ * - received / sent (wallet): a token entered or left the wallet
+ */
+
+export const DEFAULT_WATCH_INTERVAL_SECONDS = 60;
+export const DEFAULT_FLOOR_CHANGE_PERCENT = 5;
+
+// Recent activity read on each poll
+const SALES_PER_POLL = 20;
+const TRANSFERS_PER_POLL = 20;
+
+// Wallets holding more than this are only diffed over the first tokens returned
+const WALLET_MAX_TOKENS = 2000;
+
+const MAX_EVENTS = 200;
+const MAX_WATCHES_PER_SESSION = 50;
+
+const saleKey = (sale) => `${sale.transactionHash?.toLowerCase()}:${sale.asset?.tokenId}`;
+const transferKey = (transfer) => `${transfer.transactionHash?.toLowerCase()}:${transfer.tokenId}:${transfer.to?.toLowerCase()}`;
+const holdingKey = (nft) => `${nft.contractAddress.toLowerCase()}:${tokenKey(nft.tokenId)}`;
+
+// Decimal EVM token IDs; Solana mint addresses as given
+function tokenKey(tokenId) {
+  try {
+    return BigInt(tokenId).toString();
+  } catch {
+    return String(tokenId);
+  }
+}
+
+/** Lowest floor in ETH, converting SOL and other non-ETH floors when rates are available. */
+async function floorInETH(floorPrice, prices) {
+  const currencies = floorCurrencies(floorPrice);
+  const usdPrices = prices && currencies.length > 0 ? (await prices.getUsdPrices(['ETH', ...currencies])).rates : undefined;
+  return lowestFloor(floorPrice, usdPrices);
+}
+
+/**
+ * Read the state of a watched resource. Providers are called directly rather
+ * than through the response cache so every poll sees current data.
+ *
+ * @param {import('./providers/index.js').ProviderRegistry} registry
+ * @param {import('./prices.js').PriceOracle} [prices]
+ */
+export function createSnapshotter(registry, prices) {
+  return async ({ kind, args }) => {
+    switch (kind) {
+      case 'collection': {
+        const [floor, sales] = await Promise.allSettled([
+          registry.call('floorPrice', args),
+          aggregateSales(registry, args, { limit: SALES_PER_POLL, maxItems: SALES_PER_POLL, prices }),
+        ]);
+        if (floor.status === 'rejected' && sales.status === 'rejected') {
+          throw combineFailures([toWarning('floorPrice', floor.reason), toWarning('sales', sales.reason)]);
+        }
+        return {
+          floor: floor.status === 'fulfilled' ? await floorInETH(floor.value.data, prices) : undefined,
+          sales: sales.status === 'fulfilled' ? sales.value.items : undefined,
+        };
+      }
+      case 'token': {
+        const page = await fetchPages(registry, 'transfers', { ...args, order: 'desc' }, { limit: TRANSFERS_PER_POLL });
+        return { transfers: page.items };
+      }
+      case 'wallet': {
+        const page = await fetchPages(registry, 'ownership', args, { all: true, maxItems: WALLET_MAX_TOKENS });
+        return {
+          holdings: new Map(page.items.map(nft => [holdingKey(nft), nft])),
+          truncated: page.truncated,
+        };
+      }
+      default:
+        throw new InvalidArgumentError(`Cannot watch resource type: ${kind}`);
+    }
+  };
+}
+
+/**
+ * Events shared by every watcher of a resource. Floor moves depend on each
+ * watch's threshold and are handled per session.
+ */
+export function diffSnapshots(kind, previous, current) {
+  const events = [];
+
+  switch (kind) {
+    case 'collection': {
+      if (!previous.sales || !current.sales) break;
+      const known = new Set(previous.sales.map(saleKey));
+      const newest = Math.max(0, ...previous.sales.map(sale => Date.parse(sale.timestamp) || 0));
+      for (const sale of current.sales) {
+        // Sales that only slid into the window because an older one dropped out are not new
+        if (known.has(saleKey(sale)) || (Date.parse(sale.timestamp) || 0) < newest) continue;
+        events.push({
+          type: 'sale',
+          tokenId: sale.asset?.tokenId,
+          marketplace: sale.marketplace,
+          priceETH: sale.totalPriceETH,
+          priceUSD: sale.totalPriceUSD,
+          buyer: sale.buyer,
+          seller: sale.seller,
+          transactionHash: sale.transactionHash,
+          occurredAt: sale.timestamp,
+        });
+      }
+      break;
+    }
+    case 'token': {
+      const known = new Set(previous.transfers.map(transferKey));
+      for (const transfer of current.transfers) {
+        if (known.has(transferKey(transfer))) continue;
+        events.push({
+          type: 'transfer',
+          from: transfer.from,
+          to: transfer.to,
+          transactionHash: transfer.transactionHash,
+          occurredAt: transfer.timestamp,
+        });
+      }
+      break;
+    }
+    case 'wallet': {
+      // A truncated listing cannot tell a sent token from one past the cutoff
+      if (previous.truncated || current.truncated) break;
+      for (const [key, nft] of current.holdings) {
+        if (!previous.holdings.has(key)) events.push(holdingEvent('received', nft));
+      }
+      for (const [key, nft] of previous.holdings) {
+        if (!current.holdings.has(key)) events.push(holdingEvent('sent', nft));
+      }
+      break;
+    }
+  }
+
+  return events;
+}
+
+function holdingEvent(type, nft) {
+  return {
+    type,
+    contractAddress: nft.contractAddress,
+    tokenId: tokenKey(nft.tokenId),
+    name: nft.name || nft.collection?.name,
+  };
+}
+
+/**
+ * Polls watched resources on a schedule, shared by all sessions.
+ */
+export class WatchManager {
+  /**
+   * @param {object} options
+   * @param {(resource: { kind: string, args: object }) => Promise<object>} options.snapshot
+   * @param {number} [options.intervalSeconds]
+   * @param {(resource: object, events: object[]) => void} [options.onChange] - called whenever a poll finds changes
+   */
+  constructor({ snapshot, intervalSeconds = DEFAULT_WATCH_INTERVAL_SECONDS, onChange = () => {} }) {
+    this.snapshot = snapshot;
+    this.intervalMs = intervalSeconds * 1000;
+    this.onChange = onChange;
+    this.targets = new Map();
+  }
+
+  async subscribe(resource, subscription) {
+    let target = this.targets.get(resource.uri);
+    if (!target) {
+      target = { resource, subscriptions: new Set(), current: undefined, lastPolledAt: undefined, lastError: undefined };
+      this.targets.set(resource.uri, target);
+      target.subscriptions.add(subscription);
+      target.timer = setInterval(() => this.poll(target), this.intervalMs);
+      target.timer.unref();
+      await this.poll(target);
+    } else {
+      target.subscriptions.add(subscription);
+    }
+    subscription.baselineFloor = target.current?.floor?.priceETH;
+    return target;
+  }
+
+  unsubscribe(uri, subscription) {
+    const target = this.targets.get(uri);
+    if (!target) return;
+    target.subscriptions.delete(subscription);
+    if (target.subscriptions.size === 0) {
+      clearInterval(target.timer);
+      this.targets.delete(uri);
+    }
+  }
+
+  status(uri) {
+    const target = this.targets.get(uri);
+    if (!target) return undefined;
+    return {
+      lastPolledAt: target.lastPolledAt,
+      lastError: target.lastError,
+      floorETH: target.current?.floor?.priceETH,
+      watchers: target.subscriptions.size,
+    };
+  }
+
+  async poll(target) {
+    if (target.polling) return;
+    target.polling = true;
+
+    try {
+      const next = await this.snapshot(target.resource);
+      const previous = target.current;
+      target.current = next;
+      target.lastPolledAt = new Date().toISOString();
+      target.lastError = undefined;
+
+      // The first poll only records a baseline
+      if (!previous) return;
+
+      const shared = diffSnapshots(target.resource.kind, previous, next);
+      const changed = shared.length > 0 || next.floor?.priceETH !== previous.floor?.priceETH;
+      for (const subscription of target.subscriptions) {
+        const events = [...shared];
+        const floorEvent = subscription.floorEvent(next.floor);
+        if (floorEvent) events.unshift(floorEvent);
+        if (events.length > 0) subscription.session.deliver(target.resource.uri, events);
+      }
+      if (changed) this.onChange(target.resource, shared);
+    } catch (error) {
+      // Watchers hear about a failure once, not on every poll while it lasts
+      const repeated = target.lastError === error.message;
+      target.lastError = error.message;
+      console.warn(`Watch poll failed for ${target.resource.uri}:`, error.message);
+      if (!repeated) {
+        for (const subscription of target.subscriptions) subscription.session.fail(target.resource.uri, error);
+      }
+    } finally {
+      target.polling = false;
+    }
+  }
+
+  close() {
+    for (const target of this.targets.values()) clearInterval(target.timer);
+    this.targets.clear();
+  }
+}
+
+/**
+ * One session's watch on a resource, holding its floor threshold and the
+ * floor it last reported.
+ */
+class Subscription {
+  constructor(session, { floorChangePercent }) {
+    this.session = session;
+    this.floorChangePercent = floorChangePercent;
+    this.baselineFloor = undefined;
+  }
+
+  floorEvent(floor) {
+    const price = floor?.priceETH;
+    if (price === undefined) return undefined;
+    if (this.baselineFloor === undefined) {
+      this.baselineFloor = price;
+      return undefined;
+    }
+
+    const changePercent = ((price - this.baselineFloor) / this.baselineFloor) * 100;
+    if (Math.abs(changePercent) < this.floorChangePercent) return undefined;
+
+    const event = {
+      type: 'floorChange',
+      previousFloorETH: this.baselineFloor,
+      floorETH: price,
+      changePercent: Math.round(changePercent * 100) / 100,
+      marketplace: floor.marketplace,
+    };
+    this.baselineFloor = price;
+    return event;
+  }
+}
+
+/**
+ * A client's watches and event log. Lives as long as the MCP session, so
+ * watches survive transport reconnects within it.
+ */
+export class WatchSession {
+  /**
+   * @param {WatchManager} manager
+   * @param {object} options
+   * @param {(uri: string) => void} options.onUpdate - tells the client a watched resource changed
+   * @param {(uri: string, error: Error) => void} [options.onError] - tells the client a watched resource could not be polled
+   * @param {number} [options.floorChangePercent] - default threshold for new watches
+   */
+  constructor(manager, { onUpdate, onError = () => {}, floorChangePercent = DEFAULT_FLOOR_CHANGE_PERCENT }) {
+    this.manager = manager;
+    this.onUpdate = onUpdate;
+    this.onError = onError;
+    this.floorChangePercent = floorChangePercent;
+    this.watches = new Map();
+    this.events = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * Watch a resource, or update the threshold of an existing watch.
+   * @param {{ uri: string, kind: string, args: object }} resource
+   */
+  async watch(resource, { floorChangePercent } = {}) {
+    if (floorChangePercent !== undefined && !(floorChangePercent > 0)) {
+      throw new InvalidArgumentError(`floorChangePercent must be a positive number, got ${floorChangePercent}`);
+    }
+    const existing = this.watches.get(resource.uri);
+    if (existing) {
+      if (floorChangePercent !== undefined) existing.subscription.floorChangePercent = floorChangePercent;
+      return this.describe(resource.uri);
+    }
+    if (this.watches.size >= MAX_WATCHES_PER_SESSION) {
+      throw new InvalidArgumentError(`Too many watches (limit ${MAX_WATCHES_PER_SESSION}); unwatch something first`);
+    }
+
+    const subscription = new Subscription(this, { floorChangePercent: floorChangePercent ?? this.floorChangePercent });
+    this.watches.set(resource.uri, { resource, subscription, createdAt: new Date().toISOString() });
+    await this.manager.subscribe(resource, subscription);
+    return this.describe(resource.uri);
+  }
+
+  unwatch(uri) {
+    const watch = this.watches.get(uri);
+    if (!watch) return false;
+    this.manager.unsubscribe(uri, watch.subscription);
+    this.watches.delete(uri);
+    return true;
+  }
+
+  describe(uri) {
+    const watch = this.watches.get(uri);
+    return {
+      uri,
+      kind: watch.resource.kind,
+      floorChangePercent: watch.resource.kind === 'collection' ? watch.subscription.floorChangePercent : undefined,
+      createdAt: watch.createdAt,
+      ...this.manager.status(uri),
+    };
+  }
+
+  list() {
+    return [...this.watches.keys()].map(uri => this.describe(uri));
+  }
+
+  deliver(uri, events) {
+    const detectedAt = new Date().toISOString();
+    for (const event of events) {
+      this.events.push({ sequence: ++this.sequence, uri, detectedAt, ...event });
+    }
+    if (this.events.length > MAX_EVENTS) {
+      this.events.splice(0, this.events.length - MAX_EVENTS);
+    }
+    // Notify under the URI the client subscribed with
+    this.onUpdate(this.watches.get(uri)?.resource.requestedUri || uri);
+  }
+
+  fail(uri, error) {
+    this.onError(this.watches.get(uri)?.resource.requestedUri || uri, error);
+  }
+
+  /**
+   * Events after sequence number `since`, oldest first.
+   */
+  eventsSince(since = 0, limit = 100) {
+    const events = this.events.filter(event => event.sequence > since).slice(0, limit);
+    return {
+      events,
+      // Pass back as `since` to continue where this page stopped
+      nextSince: events.length > 0 ? events[events.length - 1].sequence : since,
+      hasMore: events.length > 0 && events[events.length - 1].sequence < this.sequence,
+      // The log only keeps the most recent events
+      missed: this.events.length > 0 && since < this.events[0].sequence - 1,
+    };
+  }
+
+  close() {
+    for (const uri of [...this.watches.keys()]) this.unwatch(uri);
+  }
+}
@@ -5,26 +5,259 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import fetch from "node-fetch";
 import * as dotenv from "dotenv";
+import { parseArgs } from "util";
+import { CAPABILITIES, createProviderRegistry } from "./lib/providers/index.js";
+import { CHAINS, CHAIN_NAMES, MAINNET_CHAINS, chainFamily, describeChains } from "./lib/chains.js";
+import { validateCollection, validateToken } from "./lib/cross-validation.js";
+import { JsonFileStore, MemoryStore, createResponseCache } from "./lib/cache.js";
+import {
+  DEFAULT_HTTP_HOST,
+  DEFAULT_HTTP_PORT,
+  DEFAULT_SESSION_IDLE_MINUTES,
+  HttpTransportServer,
+  parseList,
+} from "./lib/http-transport.js";
+import { listPrompts, renderPrompt } from "./lib/prompts.js";
+import { EnsResolver } from "./lib/ens.js";
+import { isSolanaAddress, normalizeArguments, toChecksumAddress } from "./lib/validation.js";
+import {
+  ERROR_CODES,
+  InvalidArgumentError,
+  NFTScannerError,
+  addWarnings,
+  combineFailures,
+  toScannerError,
+  toWarning,
+  withContext,
+} from "./lib/errors.js";
+import { RESOURCE_MIME_TYPE, RESOURCE_TEMPLATES, ResourceCatalog } from "./lib/resources.js";
+import { RequestScheduler, parseBudgets } from "./lib/scheduler.js";
+import { MAX_BATCH_SIZE, settleBatch } from "./lib/batch.js";
+import { COMPARISON_METRICS, DEFAULT_RANK_METRIC, comparisonRow, holderOverlap, rankRows, renderComparison } from "./lib/compare.js";
+import {
+  DEFAULT_FLOOR_CHANGE_PERCENT,
+  DEFAULT_WATCH_INTERVAL_SECONDS,
+  WatchManager,
+  WatchSession,
+  createSnapshotter,
+} from "./lib/watch.js";
+import { DEFAULT_MAX_ITEMS, fetchPages } from "./lib/pagination.js";
+import { TRANSFER_TYPES, classifyTransfer, parseDateInput } from "./lib/transfers.js";
+import { MARKETPLACES, aggregateSales } from "./lib/sales.js";
+import { PriceOracle, priceSymbol } from "./lib/prices.js";
+import {
+  DEFAULT_ARWEAVE_GATEWAYS,
+  DEFAULT_IPFS_GATEWAYS,
+  DEFAULT_MAX_BYTES,
+  DEFAULT_TIMEOUT_MS,
+  MetadataResolver,
+  parseGatewayList,
+} from "./lib/metadata-resolver.js";
+import {
+  RARITY_METHODS,
+  describeDistribution,
+  describeTokenTraits,
+  normalizeAttributes,
+  scoreRarity,
+} from "./lib/rarity.js";
+import {
+  VALUATION_METHODS,
+  estimateTraitFloors,
+  floorCurrencies,
+  groupHoldings,
+  lowestFloor,
+  summarizePortfolio,
+  traitFloorValue,
+} from "./lib/portfolio.js";
+import { DEFAULT_FLIP_WINDOW_SECONDS, DEFAULT_ROUND_TRIP_WINDOW_SECONDS, analyzeWashTrading, fundingCandidates, fundingKey } from "./lib/wash-trading.js";
+import { DEFAULT_RETENTION_DAYS, FloorHistory, INTERVALS, buildPriceSeries, snapshotCurrencies } from "./lib/price-history.js";
+import {
+  crossHoldings,
+  holdingDurations,
+  mergeOwners,
+  ownersFromTransfers,
+  summarizeHolders,
+} from "./lib/holders.js";
 
 dotenv.config();
 
+// Transport selection; command-line flags override the environment
+const { values: cliOptions } = parseArgs({
+  options: {
+    transport: { type: "string" },
+    port: { type: "string" },
+    host: { type: "string" },
+  },
+  strict: false,
+});
+const MCP_TRANSPORT = cliOptions.transport || process.env.MCP_TRANSPORT || 'stdio'; // stdio | http
+const MCP_HTTP_HOST = cliOptions.host || process.env.MCP_HTTP_HOST || DEFAULT_HTTP_HOST;
+const MCP_HTTP_PORT = Number(cliOptions.port || process.env.MCP_HTTP_PORT) || DEFAULT_HTTP_PORT;
+const MCP_AUTH_TOKENS = parseList(process.env.MCP_AUTH_TOKENS);
+const MCP_CORS_ORIGINS = parseList(process.env.MCP_CORS_ORIGINS);
+const MCP_SESSION_IDLE_MINUTES = Number(process.env.MCP_SESSION_IDLE_MINUTES) || DEFAULT_SESSION_IDLE_MINUTES;
+
 // API Configuration
 const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY;
 const OPENSEA_API_KEY = process.env.OPENSEA_API_KEY;
 const NFTSCAN_API_KEY = process.env.NFTSCAN_API_KEY;
+// Optional: the public Magic Eden API works without a key at a lower rate limit
+const MAGIC_EDEN_API_KEY = process.env.MAGIC_EDEN_API_KEY;
+
+// DAS-enabled Solana RPC endpoint, e.g. "https://mainnet.helius-rpc.com/?api-key=..."
+const SOLANA_DAS_URL = process.env.SOLANA_DAS_URL;
+
+// JSON-RPC endpoints for direct contract reads, e.g. "ethereum=http://127.0.0.1:8545"
+const RPC_URLS = process.env.RPC_URLS;
+// Read chains missing from RPC_URLS through the chain registry's public endpoints
+const PUBLIC_RPC_FALLBACK = process.env.PUBLIC_RPC_FALLBACK === 'true';
+
+// Provider fallback order per capability, e.g. "sales:nftscan,opensea;floorPrice:opensea,alchemy"
+const NFT_PROVIDER_PRIORITY = process.env.NFT_PROVIDER_PRIORITY;
+
+// Response cache configuration
+const CACHE_STORE = process.env.CACHE_STORE || 'memory'; // memory | file
+const CACHE_FILE = process.env.CACHE_FILE;
+const CACHE_TTLS = process.env.CACHE_TTLS; // e.g. "getNFTFloorPrice:15,getNFTMetadata:7200"
+
+// Floor snapshots behind getCollectionPriceHistory; kept in memory unless a file is set
+const FLOOR_HISTORY_FILE = process.env.FLOOR_HISTORY_FILE;
+const FLOOR_HISTORY_DAYS = Number(process.env.FLOOR_HISTORY_DAYS) || DEFAULT_RETENTION_DAYS;
+
+// Token URI resolution: gateways tried in order, plus per-download limits
+const IPFS_GATEWAYS = process.env.IPFS_GATEWAYS; // e.g. "https://ipfs.io,https://dweb.link"
+const ARWEAVE_GATEWAYS = process.env.ARWEAVE_GATEWAYS;
+const METADATA_TIMEOUT_MS = Number(process.env.METADATA_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+const METADATA_MAX_BYTES = Number(process.env.METADATA_MAX_BYTES) || DEFAULT_MAX_BYTES;
+// Hosts token URIs may point at even when they resolve to private addresses
+const METADATA_ALLOWED_HOSTS = parseList(process.env.METADATA_ALLOWED_HOSTS);
+
+// Per-provider rate limits, e.g. "alchemy:rps=10,cups=500,concurrency=4;opensea:rps=2"
+const RATE_LIMITS = process.env.RATE_LIMITS;
+
+// Most items a single `all: true` call will collect
+const PAGINATION_MAX_ITEMS = Number(process.env.PAGINATION_MAX_ITEMS) || DEFAULT_MAX_ITEMS;
+
+// Most tokens read when building a collection's trait index for rarity
+const RARITY_MAX_TOKENS = Number(process.env.RARITY_MAX_TOKENS) || 20000;
+
+// nft:// resources always offered by resources/list, e.g. "nft://ethereum/collection/0xbc4c..."
+const NFT_PINNED_RESOURCES = parseList(process.env.NFT_PINNED_RESOURCES);
+
+// Background polling for watched resources
+const WATCH_INTERVAL_SECONDS = Math.max(10, Number(process.env.WATCH_INTERVAL_SECONDS) || DEFAULT_WATCH_INTERVAL_SECONDS);
+const WATCH_FLOOR_CHANGE_PERCENT = Number(process.env.WATCH_FLOOR_CHANGE_PERCENT) || DEFAULT_FLOOR_CHANGE_PERCENT;
+
+// Tools that act on the caller's own watches and are never cached
+const WATCH_TOOLS = ["watchNFT", "unwatchNFT", "listWatches", "getWatchEvents"];
+
+// Most tokens a portfolio valuation looks up individual last sales for
+const LAST_SALE_LOOKUP_LIMIT = 100;
+
+// Recent collection sales used to estimate trait floors
+const TRAIT_FLOOR_SALES = 500;
+
+// Most sales fetched to link transfers to marketplace sales
+const SALE_LINK_LIMIT = 1000;
+
+// Most seller-to-buyer pairs a wash-trading scan checks for funding payments
+const FUNDING_LOOKUP_LIMIT = 25;
+
+// Most shared holders listed by getCollectionHolders for alsoHolds
+const CROSS_HOLDER_LIMIT = 1000;
+
+// Most buckets one price history may span
+const MAX_HISTORY_BUCKETS = 1000;
+
+// Range covered by getCollectionPriceHistory when fromDate is omitted
+const DEFAULT_HISTORY_RANGE = { hour: 48 * 3600, day: 30 * 86400 };
 
-// Rate limiting configuration
-const RATE_LIMIT_DELAY = 1000; // 1 second between requests
-const MAX_RETRIES = 3;
+// Most collections compareCollections takes, addresses and queries together
+const MAX_COMPARED = 10;
 
 class NFTScannerServer {
   constructor() {
-    this.server = new Server(
+    this.scheduler = new RequestScheduler({ budgets: parseBudgets(RATE_LIMITS) });
+
+    this.providers = createProviderRegistry({
+      alchemyApiKey: ALCHEMY_API_KEY,
+      openSeaApiKey: OPENSEA_API_KEY,
+      nftScanApiKey: NFTSCAN_API_KEY,
+      magicEdenApiKey: MAGIC_EDEN_API_KEY,
+      rpcUrls: RPC_URLS,
+      publicRpc: PUBLIC_RPC_FALLBACK,
+      solanaDasUrl: SOLANA_DAS_URL,
+      priority: NFT_PROVIDER_PRIORITY,
+      request: (provider, url, options) => this.scheduler.request(provider, url, options),
+    });
+
+    // USD rates for sale payment tokens come from Alchemy's Prices API
+    this.prices = new PriceOracle({
+      apiKey: ALCHEMY_API_KEY,
+      request: (url, options) => this.scheduler.request('alchemy', url, options),
+    });
+
+    this.metadataResolver = new MetadataResolver({
+      ipfsGateways: parseGatewayList(IPFS_GATEWAYS, DEFAULT_IPFS_GATEWAYS),
+      arweaveGateways: parseGatewayList(ARWEAVE_GATEWAYS, DEFAULT_ARWEAVE_GATEWAYS),
+      timeoutMs: METADATA_TIMEOUT_MS,
+      maxBytes: METADATA_MAX_BYTES,
+      allowedHosts: METADATA_ALLOWED_HOSTS,
+    });
+
+    this.cache = createResponseCache({
+      store: CACHE_STORE,
+      filePath: CACHE_FILE,
+      ttlOverrides: CACHE_TTLS,
+    });
+
+    // Every floor a provider returns, whichever tool or watch asked, becomes a snapshot
+    this.floorHistory = new FloorHistory({
+      store: FLOOR_HISTORY_FILE ? new JsonFileStore({ filePath: FLOOR_HISTORY_FILE }) : new MemoryStore(),
+      retentionDays: FLOOR_HISTORY_DAYS,
+    });
+    this.providers.observe('floorPrice', ({ chain, contractAddress }, floorPrice) => {
+      this.floorHistory.record(chain, contractAddress, floorPrice);
+    });
+
+    this.ens = new EnsResolver({ call: (to, data) => this.ensCall(to, data) });
+    this.tools = new Map(this.getToolDefinitions().map(tool => [tool.name, tool]));
+
+    this.resources = new ResourceCatalog({ pinned: NFT_PINNED_RESOURCES, chains: CHAIN_NAMES });
+
+    // One poller per watched resource, however many sessions watch it
+    this.watchManager = new WatchManager({
+      snapshot: createSnapshotter(this.providers, this.prices),
+      intervalSeconds: WATCH_INTERVAL_SECONDS,
+      // Reads after an update notification must not be served stale from the cache
+      onChange: (resource) => this.cache.invalidate(resource.tool, resource.args),
+    });
+
+    process.on("SIGINT", async () => {
+      this.cache.flush();
+      this.floorHistory.flush();
+      await this.transport?.close();
+      process.exit(0);
+    });
+  }
+
+  /**
+   * Build an MCP server bound to this scanner's shared providers, cache and
+   * rate limits. Stdio uses one; HTTP creates one per client session.
+   */
+  createMcpServer() {
+    const server = new Server(
       {
         name: "nft-scanner-mcp",
         version: "1.0.0",
@@ -32,234 +265,845 @@ class NFTScannerServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true },
+          prompts: {},
+          logging: {},
         },
       }
     );
 
-    this.setupToolHandlers();
-    
-    // Error handling
-    this.server.onerror = (error) => console.error("[MCP Error]", error);
-    process.on("SIGINT", async () => {
-      await this.server.close();
-      process.exit(0);
+    const watches = new WatchSession(this.watchManager, {
+      floorChangePercent: WATCH_FLOOR_CHANGE_PERCENT,
+      onUpdate: (uri) => {
+        server.sendResourceUpdated({ uri }).catch(error => console.warn('Resource update notification failed:', error.message));
+      },
+      onError: (uri, error) => {
+        const { code, message } = toScannerError(error);
+        server.sendLoggingMessage({ level: 'warning', logger: 'watch', data: { uri, code, message: `Watch poll failed: ${message}` } })
+          .catch(error => console.warn('Watch failure notification failed:', error.message));
+      },
     });
+
+    this.setupToolHandlers(server, watches);
+    this.setupResourceHandlers(server, watches, this.resources.session());
+    this.setupPromptHandlers(server);
+    server.onerror = (error) => console.error("[MCP Error]", error);
+    server.onclose = () => watches.close();
+    return server;
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-      tools: [
-        {
-          name: "getNFTCollectionDetails",
-          description: "Get detailed information about an NFT collection including floor price, volume, and stats",
-          inputSchema: {
-            type: "object",
-            properties: {
-              contractAddress: {
-                type: "string",
-                description: "The contract address of the NFT collection (e.g., 0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D for BAYC)",
-              },
-              chain: {
-                type: "string",
-                description: "Blockchain network (ethereum, polygon, arbitrum, optimism)",
-                default: "ethereum",
-              },
+  getToolDefinitions() {
+    // RPC_URLS may name chains (local forks, devnets) the registry does not know
+    const evmChains = CHAIN_NAMES.filter(chain => chainFamily(chain) === 'evm');
+    const onChainChains = [...new Set([...evmChains, ...Object.keys(this.providers.get('rpc').urls)])];
+
+    return [
+      {
+        name: "getNFTCollectionDetails",
+        description: "Get detailed information about an NFT collection including floor price, volume, and stats",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The contract address of the NFT collection (e.g., 0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D for BAYC); on Solana, the collection mint address",
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+            validate: {
+              type: "boolean",
+              description: "Cross-check supply, owners and floor price against NFTScan and report discrepancies",
+              default: false,
             },
-            required: ["contractAddress"],
           },
+          required: ["contractAddress"],
         },
-        {
-          name: "getNFTMetadata",
-          description: "Get metadata and ownership details for a specific NFT token",
-          inputSchema: {
-            type: "object",
-            properties: {
-              contractAddress: {
-                type: "string",
-                description: "The contract address of the NFT collection",
-              },
-              tokenId: {
-                type: "string",
-                description: "The token ID of the specific NFT",
-              },
-              chain: {
-                type: "string",
-                description: "Blockchain network (ethereum, polygon, arbitrum, optimism)",
-                default: "ethereum",
-              },
+      },
+      {
+        name: "getNFTMetadata",
+        description: "Get metadata and ownership details for a specific NFT token",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The contract address of the NFT collection; on Solana, the collection mint address (or the token's own mint when it has no collection)",
+            },
+            tokenId: {
+              type: "string",
+              description: "The token ID of the specific NFT; on Solana, the token's mint address",
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+            validate: {
+              type: "boolean",
+              description: "Cross-check owner, name and token URI against NFTScan and report discrepancies",
+              default: false,
+            },
+            resolveMetadata: {
+              type: "boolean",
+              description: "Fetch the token URI directly (IPFS/Arweave gateways, data: URIs) and prefer it over indexed metadata. By default the URI is only resolved when the indexer returned no metadata; false never resolves it",
             },
-            required: ["contractAddress", "tokenId"],
           },
+          required: ["contractAddress", "tokenId"],
         },
-        {
-          name: "getNFTTransfers",
-          description: "Get transfer history and transaction data for an NFT collection or specific token",
-          inputSchema: {
-            type: "object",
-            properties: {
-              contractAddress: {
-                type: "string",
-                description: "The contract address of the NFT collection",
-              },
-              tokenId: {
-                type: "string",
-                description: "Optional: Specific token ID to get transfers for",
-              },
-              limit: {
-                type: "number",
-                description: "Number of transfers to return (default: 50, max: 100)",
-                default: 50,
-              },
-              chain: {
-                type: "string",
-                description: "Blockchain network (ethereum, polygon, arbitrum, optimism)",
-                default: "ethereum",
-              },
+      },
+      {
+        name: "getNFTTransfers",
+        description: "Get transfer history for an NFT collection, token or wallet with block timestamps and mint/burn/sale/transfer classification",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The contract address of the NFT collection",
+            },
+            tokenId: {
+              type: "string",
+              description: "Optional: Specific token ID to get transfers for",
+            },
+            fromAddress: {
+              type: "string",
+              description: "Optional: Only transfers sent from this address",
+            },
+            toAddress: {
+              type: "string",
+              description: "Optional: Only transfers received by this address",
+            },
+            fromBlock: {
+              type: "number",
+              description: "Optional: First block to include",
+            },
+            toBlock: {
+              type: "number",
+              description: "Optional: Last block to include",
+            },
+            fromDate: {
+              type: "string",
+              description: "Optional: Earliest transfer time (ISO 8601 date or unix seconds)",
+            },
+            toDate: {
+              type: "string",
+              description: "Optional: Latest transfer time (ISO 8601 date or unix seconds)",
+            },
+            order: {
+              type: "string",
+              enum: ["asc", "desc"],
+              description: "Chronological order: asc (oldest first) or desc (newest first)",
+              default: "desc",
+            },
+            limit: {
+              type: "number",
+              minimum: 1,
+              description: "Number of transfers to return (default: 50, max: 1000)",
+              default: 50,
+            },
+            cursor: {
+              type: "string",
+              description: "Opaque cursor from a previous response's nextCursor to continue from",
+            },
+            all: {
+              type: "boolean",
+              description: "Walk every page internally (up to the server's pagination ceiling) instead of stopping at limit",
+              default: false,
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
             },
-            required: ["contractAddress"],
           },
+          required: ["contractAddress"],
         },
-        {
-          name: "getNFTSales",
-          description: "Get recent sales data and marketplace activity for NFT collections",
-          inputSchema: {
-            type: "object",
-            properties: {
-              contractAddress: {
-                type: "string",
-                description: "The contract address of the NFT collection",
-              },
-              tokenId: {
-                type: "string",
-                description: "Optional: Specific token ID to get sales for",
-              },
-              marketplace: {
-                type: "string",
-                description: "Filter by marketplace (opensea, looksrare, blur, x2y2)",
-              },
-              limit: {
-                type: "number",
-                description: "Number of sales to return (default: 50, max: 100)",
-                default: 50,
-              },
-              chain: {
-                type: "string",
-                description: "Blockchain network (ethereum, polygon, arbitrum, optimism)",
-                default: "ethereum",
-              },
+      },
+      {
+        name: "getNFTSales",
+        description: "Get recent sales merged across marketplaces and sources, deduplicated, with prices in the payment token, ETH and USD",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The contract address of the NFT collection",
+            },
+            tokenId: {
+              type: "string",
+              description: "Optional: Specific token ID to get sales for",
+            },
+            marketplace: {
+              type: "string",
+              enum: MARKETPLACES,
+              description: "Only return sales settled on this marketplace",
+            },
+            limit: {
+              type: "number",
+              minimum: 1,
+              description: "Number of sales to return (default: 50, max: 1000)",
+              default: 50,
+            },
+            cursor: {
+              type: "string",
+              description: "Opaque cursor from a previous response's nextCursor to continue from",
+            },
+            all: {
+              type: "boolean",
+              description: "Walk every page internally (up to the server's pagination ceiling) instead of stopping at limit",
+              default: false,
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
             },
-            required: ["contractAddress"],
           },
+          required: ["contractAddress"],
         },
-        {
-          name: "getWalletNFTs",
-          description: "Get all NFTs owned by a specific wallet address",
-          inputSchema: {
-            type: "object",
-            properties: {
-              walletAddress: {
-                type: "string",
-                description: "The wallet address to check for NFT ownership",
-              },
-              chain: {
-                type: "string",
-                description: "Blockchain network (ethereum, polygon, arbitrum, optimism)",
-                default: "ethereum",
-              },
-              limit: {
-                type: "number",
-                description: "Number of NFTs to return (default: 100, max: 500)",
-                default: 100,
-              },
+      },
+      {
+        name: "getNFTOrders",
+        description: "Get listing and offer events for an NFT collection or token from OpenSea, newest first, with prices in the payment token",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The contract address of the NFT collection",
+            },
+            tokenId: {
+              type: "string",
+              description: "Optional: Specific token ID to get listings and offers for",
+            },
+            type: {
+              type: "string",
+              enum: ["listing", "offer", "all"],
+              description: "Listings, offers (item, collection and trait offers) or both",
+              default: "all",
+            },
+            fromDate: {
+              type: "string",
+              description: "Optional: Earliest event time (ISO 8601 date or unix seconds)",
+            },
+            toDate: {
+              type: "string",
+              description: "Optional: Latest event time (ISO 8601 date or unix seconds)",
+            },
+            limit: {
+              type: "number",
+              minimum: 1,
+              description: "Number of events to return (default: 50, max: 1000)",
+              default: 50,
+            },
+            cursor: {
+              type: "string",
+              description: "Opaque cursor from a previous response's nextCursor to continue from",
+            },
+            all: {
+              type: "boolean",
+              description: "Walk every page internally (up to the server's pagination ceiling) instead of stopping at limit",
+              default: false,
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
             },
-            required: ["walletAddress"],
           },
+          required: ["contractAddress"],
         },
-        {
-          name: "getNFTFloorPrice",
-          description: "Get current floor price and market statistics for an NFT collection",
-          inputSchema: {
-            type: "object",
-            properties: {
-              contractAddress: {
-                type: "string",
-                description: "The contract address of the NFT collection",
-              },
-              marketplace: {
-                type: "string",
-                description: "Specific marketplace to check (opensea, looksrare, blur)",
-                default: "opensea",
-              },
-              chain: {
-                type: "string",
-                description: "Blockchain network (ethereum, polygon, arbitrum, optimism)",
-                default: "ethereum",
-              },
+      },
+      {
+        name: "getWalletNFTs",
+        description: "Get all NFTs owned by a specific wallet address",
+        inputSchema: {
+          type: "object",
+          properties: {
+            walletAddress: {
+              type: "string",
+              description: "The wallet address to check for NFT ownership (a base58 address on Solana)",
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+            limit: {
+              type: "number",
+              minimum: 1,
+              description: "Number of NFTs to return (default: 100, max: 500)",
+              default: 100,
+            },
+            cursor: {
+              type: "string",
+              description: "Opaque cursor from a previous response's nextCursor to continue from",
+            },
+            all: {
+              type: "boolean",
+              description: "Walk every page internally (up to the server's pagination ceiling) instead of stopping at limit",
+              default: false,
             },
-            required: ["contractAddress"],
           },
+          required: ["walletAddress"],
         },
-        {
-          name: "searchNFTCollections",
-          description: "Search for NFT collections by name or description",
-          inputSchema: {
-            type: "object",
-            properties: {
-              query: {
-                type: "string",
-                description: "Search term for collection name or description",
-              },
-              limit: {
-                type: "number",
-                description: "Number of results to return (default: 20, max: 50)",
-                default: 20,
-              },
-              chain: {
-                type: "string",
-                description: "Blockchain network (ethereum, polygon, arbitrum, optimism)",
-                default: "ethereum",
+      },
+      {
+        name: "getWalletPortfolioValue",
+        description: "Value a wallet's NFTs across chains: holdings grouped by collection, priced in ETH and USD, with totals and the share of value that is illiquid",
+        inputSchema: {
+          type: "object",
+          properties: {
+            walletAddress: {
+              type: "string",
+              description: "The wallet address to value: a 0x address or ENS name for EVM chains, a base58 address for Solana",
+            },
+            chains: {
+              type: "array",
+              items: { type: "string", enum: CHAIN_NAMES },
+              description: "Chains to include, all EVM or just solana (default: every EVM mainnet for a 0x address, solana for a Solana address)",
+            },
+            valuation: {
+              type: "string",
+              enum: VALUATION_METHODS,
+              description: "floor (collection floor), lastSale (each token's last sale, falling back to floor) or traitFloor (highest floor among the token's traits, estimated from recent sales)",
+              default: "floor",
+            },
+          },
+          required: ["walletAddress"],
+        },
+      },
+      {
+        name: "getOnChainNFTData",
+        description: "Read an NFT contract directly over JSON-RPC: ERC-721/1155 detection, name, symbol, total supply, token owner, token URI, ERC-2981 royalty and wallet balance",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The NFT contract address",
+            },
+            tokenId: {
+              type: "string",
+              description: "Optional: token to read owner, URI and royalty for",
+            },
+            ownerAddress: {
+              type: "string",
+              description: "Optional: address to read the balance of (of the token for ERC-1155 when tokenId is given, otherwise of the collection)",
+            },
+            chain: {
+              type: "string",
+              enum: onChainChains,
+              description: "Blockchain network with a configured RPC URL (or any registry chain when PUBLIC_RPC_FALLBACK is on)",
+              default: "ethereum",
+            },
+          },
+          required: ["contractAddress"],
+        },
+      },
+      {
+        name: "getNFTFloorPrice",
+        description: "Get current floor price and market statistics for an NFT collection",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The contract address of the NFT collection",
+            },
+            marketplace: {
+              type: "string",
+              description: "Specific marketplace to check (opensea, looksrare, blur; magiceden on Solana)",
+              default: "opensea",
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+          },
+          required: ["contractAddress"],
+        },
+      },
+      {
+        name: "searchNFTCollections",
+        description: "Search for NFT collections by name or description",
+        inputSchema: {
+          type: "object",
+          properties: {
+            query: {
+              type: "string",
+              description: "Search term for collection name or description",
+            },
+            limit: {
+              type: "number",
+              minimum: 1,
+              description: "Number of results to return (default: 20, max: 50)",
+              default: 20,
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+          },
+          required: ["query"],
+        },
+      },
+      {
+        name: "getCollectionTraits",
+        description: "Get the trait distribution of an NFT collection: every trait type and value with token counts and frequencies",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The contract address of the NFT collection",
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+          },
+          required: ["contractAddress"],
+        },
+      },
+      {
+        name: "getNFTRarity",
+        description: "Get the rarity rank and scores of an NFT within its collection, with the frequency of each of its traits",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The contract address of the NFT collection",
+            },
+            tokenId: {
+              type: "string",
+              description: "The token ID to rank",
+            },
+            method: {
+              type: "string",
+              enum: RARITY_METHODS,
+              description: "Score used for the headline rank (informationContent, traitNormalized or statistical)",
+              default: "informationContent",
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+          },
+          required: ["contractAddress", "tokenId"],
+        },
+      },
+      {
+        name: "detectWashTrading",
+        description: "Flag likely wash trades in a collection's sales (self-trades, round trips, linked or seller-funded wallets, rapid flips, zero-royalty trades) with the reasons for each, and report organic volume with the wash trades removed",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The contract address of the NFT collection",
+            },
+            fromDate: {
+              type: "string",
+              description: "Only analyze sales at or after this date (ISO 8601 or unix seconds)",
+            },
+            toDate: {
+              type: "string",
+              description: "Only analyze sales at or before this date (ISO 8601 or unix seconds)",
+            },
+            limit: {
+              type: "number",
+              minimum: 1,
+              description: "Most recent sales to analyze (default: 500, capped by the server's pagination ceiling)",
+              default: 500,
+            },
+            flipWindowHours: {
+              type: "number",
+              minimum: 0,
+              description: "Resales of a token within this many hours of its previous sale count as rapid flips",
+              default: DEFAULT_FLIP_WINDOW_SECONDS / 3600,
+            },
+            roundTripWindowDays: {
+              type: "number",
+              minimum: 0,
+              description: "Tokens that return to an earlier seller within this many days count as wash round trips; slower loops are only suspect",
+              default: DEFAULT_ROUND_TRIP_WINDOW_SECONDS / 86400,
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+          },
+          required: ["contractAddress"],
+        },
+      },
+      {
+        name: "getCollectionHolders",
+        description: "Get every holder of a collection: holder count, top holders with balances, concentration (Gini, top-10 share), how long tokens have been held, and which holders also own other collections",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The contract address of the NFT collection (the collection mint on Solana)",
+            },
+            topN: {
+              type: "number",
+              minimum: 1,
+              maximum: 1000,
+              description: "Number of largest holders to list (default: 20)",
+              default: 20,
+            },
+            alsoHolds: {
+              type: "array",
+              items: { type: "string" },
+              maxItems: 10,
+              description: "Other collections on the same chain; holders owning any of them are listed under crossHoldings",
+            },
+            includeHoldingDurations: {
+              type: "boolean",
+              description: "Date each holder's tokens from the collection's transfer history (up to the server's pagination ceiling of transfers)",
+              default: true,
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+          },
+          required: ["contractAddress"],
+        },
+      },
+      {
+        name: "getCollectionPriceHistory",
+        description: "Get a collection's floor, volume, sales count and average price per hour or day over a date range, from sales history and floor snapshots the server has recorded, with percent change, moving averages and volatility",
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddress: {
+              type: "string",
+              description: "The contract address of the NFT collection",
+            },
+            interval: {
+              type: "string",
+              enum: Object.keys(INTERVALS),
+              description: "Bucket size",
+              default: "day",
+            },
+            fromDate: {
+              type: "string",
+              description: "Start of the range (ISO 8601 or unix seconds; default: 30 days ago for day, 48 hours ago for hour)",
+            },
+            toDate: {
+              type: "string",
+              description: "End of the range (ISO 8601 or unix seconds; default: now)",
+            },
+            movingAverageWindow: {
+              type: "number",
+              minimum: 1,
+              description: "Buckets in each moving average (default: 7)",
+              default: 7,
+            },
+            excludeWashTrades: {
+              type: "boolean",
+              description: "Drop sales detectWashTrading would flag as wash trades, with its default windows, from sales-based figures (self-trades, round trips, wallets linked by transfers, payments or repeated trades, seller-funded buyers); checks that cannot run are listed in warnings",
+              default: false,
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+          },
+          required: ["contractAddress"],
+        },
+      },
+      {
+        name: "getNFTCollectionDetailsBatch",
+        description: `Get getNFTCollectionDetails for up to ${MAX_BATCH_SIZE} collections in one call, with a result or error per collection`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddresses: {
+              type: "array",
+              items: { type: "string" },
+              maxItems: MAX_BATCH_SIZE,
+              description: "Contract addresses of the collections; on Solana, collection mint addresses",
+            },
+            validate: {
+              type: "boolean",
+              description: "Cross-check each collection between providers (see getNFTCollectionDetails)",
+              default: false,
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+          },
+          required: ["contractAddresses"],
+        },
+      },
+      {
+        name: "getNFTMetadataBatch",
+        description: `Get getNFTMetadata for up to ${MAX_BATCH_SIZE} tokens in one call, fetched together where the provider has a batch endpoint, with a result or error per token`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            tokens: {
+              type: "array",
+              maxItems: MAX_BATCH_SIZE,
+              items: {
+                type: "object",
+                properties: {
+                  contractAddress: {
+                    type: "string",
+                    description: "The contract address of the NFT collection",
+                  },
+                  tokenId: {
+                    type: "string",
+                    description: "The token ID (decimal or 0x hex); on Solana, the token's mint address",
+                  },
+                },
+                required: ["contractAddress", "tokenId"],
               },
+              description: "Tokens to look up; they may come from different collections",
+            },
+            resolveMetadata: {
+              type: "boolean",
+              description: "Fetch each token URI's content (see getNFTMetadata); default: only for tokens the indexer has no metadata for",
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
             },
-            required: ["query"],
           },
+          required: ["tokens"],
         },
-      ],
+      },
+      {
+        name: "getNFTFloorPriceBatch",
+        description: `Get getNFTFloorPrice for up to ${MAX_BATCH_SIZE} collections in one call, with a result or error per collection`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddresses: {
+              type: "array",
+              items: { type: "string" },
+              maxItems: MAX_BATCH_SIZE,
+              description: "Contract addresses of the collections",
+            },
+            marketplace: {
+              type: "string",
+              description: "Marketplace to check (opensea, looksrare, x2y2)",
+              default: "opensea",
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+          },
+          required: ["contractAddresses"],
+        },
+      },
+      {
+        name: "getWalletNFTsBatch",
+        description: `Get the first page of getWalletNFTs for up to ${MAX_BATCH_SIZE} wallets in one call, with a result or error per wallet`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            walletAddresses: {
+              type: "array",
+              items: { type: "string" },
+              maxItems: MAX_BATCH_SIZE,
+              description: "Wallet addresses or ENS names (e.g., vitalik.eth)",
+            },
+            limit: {
+              type: "number",
+              minimum: 1,
+              maximum: 500,
+              description: "Maximum number of NFTs returned per wallet",
+              default: 100,
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+          },
+          required: ["walletAddresses"],
+        },
+      },
+      {
+        name: "compareCollections",
+        description: `Compare up to ${MAX_COMPARED} collections side by side (floor, volume windows, holders, supply, listing ratio, royalty, holder overlap) and rank them by one metric; returns JSON and a Markdown table`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            contractAddresses: {
+              type: "array",
+              items: { type: "string" },
+              maxItems: MAX_COMPARED,
+              description: "Contract addresses of the collections; on Solana, collection mint addresses",
+            },
+            queries: {
+              type: "array",
+              items: { type: "string" },
+              maxItems: MAX_COMPARED,
+              description: "Collection names to look up with searchNFTCollections; the top match of each is compared",
+            },
+            rankBy: {
+              type: "string",
+              enum: Object.keys(COMPARISON_METRICS),
+              description: "Metric to rank by",
+              default: DEFAULT_RANK_METRIC,
+            },
+            order: {
+              type: "string",
+              enum: ["desc", "asc"],
+              description: "Rank the highest (desc) or lowest (asc) value first",
+              default: "desc",
+            },
+            includeHolderOverlap: {
+              type: "boolean",
+              description: "Load every collection's owners to count the holders they share (one owner scan per collection)",
+              default: true,
+            },
+            chain: {
+              type: "string",
+              enum: CHAIN_NAMES,
+              description: describeChains(),
+              default: "ethereum",
+            },
+          },
+        },
+      },
+      {
+        name: "listSupportedChains",
+        description: "List the chains the server can query with their chain IDs, native currency, explorer and which providers serve each capability there",
+        inputSchema: {
+          type: "object",
+          properties: {
+            includeTestnets: {
+              type: "boolean",
+              description: "Include testnets such as Sepolia and Holesky",
+              default: true,
+            },
+          },
+        },
+      },
+      {
+        name: "watchNFT",
+        description: "Watch a collection, token or wallet in the background. The server polls it and sends notifications/resources/updated plus an entry in getWatchEvents when the floor moves past the threshold, a sale happens, or a token transfers",
+        inputSchema: {
+          type: "object",
+          properties: {
+            uri: {
+              type: "string",
+              description: "Resource to watch: nft://{chain}/collection/{address}, nft://{chain}/token/{address}/{tokenId} or nft://{chain}/wallet/{address}",
+            },
+            floorChangePercent: {
+              type: "number",
+              exclusiveMinimum: 0,
+              description: `Collections only: report floor moves of at least this percent (default ${WATCH_FLOOR_CHANGE_PERCENT})`,
+            },
+          },
+          required: ["uri"],
+        },
+      },
+      {
+        name: "unwatchNFT",
+        description: "Stop watching a resource",
+        inputSchema: {
+          type: "object",
+          properties: {
+            uri: {
+              type: "string",
+              description: "The nft:// URI passed to watchNFT",
+            },
+          },
+          required: ["uri"],
+        },
+      },
+      {
+        name: "listWatches",
+        description: "List this session's watches with their last poll time and current floor",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "getWatchEvents",
+        description: "Read the watch event log (floorChange, sale, transfer, received, sent), oldest first. Pass nextSince back as since to continue",
+        inputSchema: {
+          type: "object",
+          properties: {
+            since: {
+              type: "number",
+              description: "Only return events after this sequence number",
+              default: 0,
+            },
+            limit: {
+              type: "number",
+              minimum: 1,
+              description: "Maximum number of events to return",
+              default: 50,
+            },
+          },
+        },
+      },
+    ];
+  }
+
+  setupToolHandlers(server, watches) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: [...this.tools.values()],
     }));
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name } = request.params;
+      const tool = this.tools.get(name);
+      if (!tool) {
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+      }
 
       try {
-        let result;
-        
-        switch (name) {
-          case "getNFTCollectionDetails":
-            result = await this.getNFTCollectionDetails(args);
-            break;
-          case "getNFTMetadata":
-            result = await this.getNFTMetadata(args);
-            break;
-          case "getNFTTransfers":
-            result = await this.getNFTTransfers(args);
-            break;
-          case "getNFTSales":
-            result = await this.getNFTSales(args);
-            break;
-          case "getWalletNFTs":
-            result = await this.getWalletNFTs(args);
-            break;
-          case "getNFTFloorPrice":
-            result = await this.getNFTFloorPrice(args);
-            break;
-          case "searchNFTCollections":
-            result = await this.searchNFTCollections(args);
-            break;
-          default:
-            throw new McpError(
-              ErrorCode.MethodNotFound,
-              `Unknown tool: ${name}`
-            );
-        }
+        const { args, resolvedNames } = await this.normalizeArguments(tool.inputSchema, request.params.arguments);
+        const { value, cache } = WATCH_TOOLS.includes(name)
+          ? { value: await this.callWatchTool(watches, name, args) }
+          : await this.cache.wrap(name, args, () => this.callTool(name, args));
+        // A tool's Markdown rendering goes in a second block for chat display
+        const { markdown, ...data } = value;
+        const result = { ...data, resolvedNames: Object.keys(resolvedNames).length > 0 ? resolvedNames : undefined, cache };
 
         return {
           content: [
@@ -267,450 +1111,1468 @@ class NFTScannerServer {
               type: "text",
               text: JSON.stringify(result, null, 2),
             },
+            ...(markdown ? [{ type: "text", text: markdown }] : []),
           ],
         };
       } catch (error) {
-        if (error instanceof McpError) throw error;
-        
+        return this.toolError(error);
+      }
+    });
+  }
+
+  setupResourceHandlers(server, watches, listing) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: listing.list(),
+    }));
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: RESOURCE_TEMPLATES,
+    }));
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      try {
+        await watches.watch(await this.resolveResource(request.params.uri));
+        return {};
+      } catch (error) {
+        throw this.resourceError(error);
+      }
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      try {
+        watches.unwatch(this.resources.resolve(request.params.uri || '').uri);
+        return {};
+      } catch (error) {
+        throw this.resourceError(error);
+      }
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      try {
+        const resource = await this.resolveResource(request.params.uri);
+
+        // Same cache entries as the backing tool, so a resource read after a tool call is free
+        const { value, cache } = await this.cache.wrap(resource.tool, resource.args, () => this.callTool(resource.tool, resource.args));
+        listing.remember(resource, value);
+
+        return {
+          contents: [
+            {
+              uri: request.params.uri,
+              mimeType: RESOURCE_MIME_TYPE,
+              text: JSON.stringify({ ...value, cache }, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        throw this.resourceError(error);
+      }
+    });
+  }
+
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: listPrompts(),
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      try {
+        return renderPrompt(request.params.name, request.params.arguments, CHAIN_NAMES);
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+    });
+  }
+
+  /**
+   * Validate tool arguments against a schema, checksum addresses, normalize
+   * token IDs and resolve ENS names given for wallets.
+   */
+  normalizeArguments(schema, args) {
+    return normalizeArguments(schema, args, { resolveName: (name) => this.ens.resolve(name) });
+  }
+
+  /**
+   * eth_call on Ethereum mainnet for ENS lookups, through the configured RPC
+   * node when there is one, then Alchemy, then the public endpoint if allowed.
+   */
+  async ensCall(to, data) {
+    const rpc = this.providers.get('rpc');
+    if (Object.hasOwn(rpc.urls, 'ethereum')) return rpc.ethCall('ethereum', to, data);
+
+    const alchemy = this.providers.get('alchemy');
+    if (alchemy.isConfigured()) {
+      return alchemy.rpc('ethereum', 'eth_call', [{ to, data }, 'latest']);
+    }
+    if (rpc.supportsChain('ethereum')) return rpc.ethCall('ethereum', to, data);
+    throw new NFTScannerError(ERROR_CODES.MISSING_CREDENTIALS, 'ENS resolution needs ALCHEMY_API_KEY or an ethereum entry in RPC_URLS');
+  }
+
+  /**
+   * Tool result for a failed call. Failures are reported in the result with
+   * `isError` rather than as protocol errors, so the model sees the code and
+   * can fix its input, suggest configuring a key or retry later.
+   */
+  toolError(error) {
+    const typed = toScannerError(error);
+    if (typed.code === ERROR_CODES.INTERNAL_ERROR) {
+      console.error('Unexpected tool failure:', typed.cause ?? typed);
+    }
+
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ error: typed }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /** JSON-RPC error for a failed resource request, carrying the typed error as data. */
+  resourceError(error) {
+    if (error instanceof McpError) return error;
+    const typed = toScannerError(error);
+    const code = typed.code === ERROR_CODES.INVALID_INPUT ? ErrorCode.InvalidParams : ErrorCode.InternalError;
+    return new McpError(code, typed.message, typed.toJSON());
+  }
+
+  /** Parse an nft:// URI and normalize the arguments of the tool behind it. */
+  async resolveResource(uri) {
+    const resource = this.resources.resolve(uri || '');
+    const { args } = await this.normalizeArguments(this.tools.get(resource.tool).inputSchema, resource.args);
+    return { ...resource, args };
+  }
+
+  async callWatchTool(watches, name, args = {}) {
+    switch (name) {
+      case "watchNFT":
+        try {
+          return { watch: await watches.watch(await this.resolveResource(args.uri), { floorChangePercent: args.floorChangePercent }) };
+        } catch (error) {
+          throw withContext(error, `Failed to watch ${args.uri}`);
+        }
+      case "unwatchNFT": {
+        const { uri } = this.resources.resolve(args.uri);
+        return { uri, removed: watches.unwatch(uri) };
+      }
+      case "listWatches":
+        return { intervalSeconds: WATCH_INTERVAL_SECONDS, watches: watches.list() };
+      case "getWatchEvents":
+        return watches.eventsSince(Number(args.since) || 0, Math.min(Number(args.limit) || 50, 200));
+    }
+  }
+
+  async callTool(name, args) {
+    switch (name) {
+      case "getNFTCollectionDetails":
+        return this.getNFTCollectionDetails(args);
+      case "getNFTMetadata":
+        return this.getNFTMetadata(args);
+      case "getNFTTransfers":
+        return this.getNFTTransfers(args);
+      case "getNFTSales":
+        return this.getNFTSales(args);
+      case "getNFTOrders":
+        return this.getNFTOrders(args);
+      case "getWalletNFTs":
+        return this.getWalletNFTs(args);
+      case "getWalletPortfolioValue":
+        return this.getWalletPortfolioValue(args);
+      case "getOnChainNFTData":
+        return this.getOnChainNFTData(args);
+      case "getNFTFloorPrice":
+        return this.getNFTFloorPrice(args);
+      case "searchNFTCollections":
+        return this.searchNFTCollections(args);
+      case "getCollectionTraits":
+        return this.getCollectionTraits(args);
+      case "getNFTRarity":
+        return this.getNFTRarity(args);
+      case "detectWashTrading":
+        return this.detectWashTrading(args);
+      case "getCollectionHolders":
+        return this.getCollectionHolders(args);
+      case "getCollectionPriceHistory":
+        return this.getCollectionPriceHistory(args);
+      case "getNFTCollectionDetailsBatch":
+        return this.getNFTCollectionDetailsBatch(args);
+      case "getNFTMetadataBatch":
+        return this.getNFTMetadataBatch(args);
+      case "getNFTFloorPriceBatch":
+        return this.getNFTFloorPriceBatch(args);
+      case "getWalletNFTsBatch":
+        return this.getWalletNFTsBatch(args);
+      case "compareCollections":
+        return this.compareCollections(args);
+      case "listSupportedChains":
+        return this.listSupportedChains(args);
+      default:
         throw new McpError(
-          ErrorCode.InternalError,
-          `NFT Scanner error: ${error.message}`
+          ErrorCode.MethodNotFound,
+          `Unknown tool: ${name}`
         );
+    }
+  }
+
+  async getNFTCollectionDetails({ contractAddress, chain = 'ethereum', validate = false }) {
+    try {
+      // Metadata and market stats come from separate sources; either one is worth returning alone
+      const [metadataResult, statsResult] = await Promise.allSettled([
+        this.providers.call('collectionMetadata', { contractAddress, chain }),
+        this.providers.call('collectionStats', { contractAddress, chain }),
+      ]);
+      if (metadataResult.status === 'rejected' && statsResult.status === 'rejected') {
+        throw combineFailures([
+          toWarning('collectionMetadata', metadataResult.reason),
+          toWarning('collectionStats', statsResult.reason),
+        ]);
       }
-    });
+
+      const warnings = [];
+      const metadata = metadataResult.value;
+      const stats = statsResult.value;
+      if (!metadata) warnings.push(toWarning('collectionMetadata', metadataResult.reason));
+      if (!stats) warnings.push(toWarning('collectionStats', statsResult.reason));
+
+      const result = {
+        timestamp: new Date().toISOString(),
+        contractAddress,
+        chain,
+        collectionDetails: {
+          name: metadata?.data.name || 'Unknown Collection',
+          description: metadata?.data.description,
+          totalSupply: metadata?.data.totalSupply,
+          symbol: metadata?.data.symbol,
+          contractType: metadata?.data.contractType,
+          verified: metadata?.data.verified || false,
+          marketStats: stats?.data,
+          social: metadata?.data.social,
+          royalties: metadata?.data.royalties,
+        },
+        dataSource: [metadata, stats].filter(Boolean).map(({ provider }) => provider.label).join(' + '),
+        partial: warnings.length > 0,
+        warnings,
+        lastUpdated: new Date().toISOString()
+      };
+
+      if (validate) {
+        result.validation = await validateCollection(this.providers, { contractAddress, chain }, { metadata, stats });
+      }
+      return result;
+    } catch (error) {
+      throw withContext(error, 'Failed to get collection details');
+    }
+  }
+
+  /**
+   * `prefetched` is the token's tokenMetadata result when getNFTMetadataBatch
+   * already fetched it.
+   */
+  async getNFTMetadata({ contractAddress, tokenId, chain = 'ethereum', validate = false, resolveMetadata }, prefetched) {
+    try {
+      const warnings = [];
+      const token = prefetched ?? await this.providers.call('tokenMetadata', { contractAddress, tokenId, chain });
+      let { rawMetadata, ...metadata } = token.data;
+
+      const indexed = Boolean(rawMetadata || metadata.name || metadata.attributes?.length);
+      const shouldResolve = resolveMetadata ?? !indexed;
+
+      // Indexers often omit the owner or token URI; ask the contract when an RPC endpoint is configured
+      let ownerSource = metadata.owner ? token.provider.label : undefined;
+      const needsReads = !metadata.owner || (shouldResolve && !metadata.tokenUri);
+      if (needsReads && token.provider.name !== 'rpc' && this.providers.available('contractReads', chain).length > 0) {
+        try {
+          const reads = await this.providers.call('contractReads', { contractAddress, tokenId, chain });
+          if (!metadata.owner && reads.data.token?.owner) {
+            metadata.owner = reads.data.token.owner;
+            ownerSource = reads.provider.label;
+          }
+          metadata.tokenUri = metadata.tokenUri || reads.data.token?.tokenUri;
+        } catch (error) {
+          warnings.push(toWarning('contractReads', error));
+        }
+      }
+
+      let resolution;
+      if (shouldResolve && !metadata.tokenUri) {
+        resolution = { status: 'skipped', reason: 'no token URI available' };
+      } else if (shouldResolve) {
+        try {
+          const resolved = await this.metadataResolver.resolve(metadata.tokenUri, tokenId);
+          const fetched = resolved.metadata || {};
+          // An explicit request prefers the token URI's content over the indexer's copy
+          const pick = (current, fresh) => (resolveMetadata ? fresh ?? current : current ?? fresh);
+
+          metadata.name = pick(metadata.name, fetched.name);
+          metadata.description = pick(metadata.description, fetched.description);
+          metadata.image = pick(metadata.image, resolved.image?.url);
+          if (fetched.attributes && (resolveMetadata || !metadata.attributes?.length)) {
+            metadata.attributes = fetched.attributes;
+          }
+          rawMetadata = pick(rawMetadata, resolved.metadata);
+
+          resolution = {
+            status: 'resolved',
+            tokenUri: resolved.tokenUri,
+            resolvedUrl: resolved.resolvedUrl,
+            gateway: resolved.gateway,
+            failedAttempts: resolved.attempts,
+            image: resolved.image,
+          };
+        } catch (error) {
+          resolution = { status: 'failed', tokenUri: metadata.tokenUri, error: error.message };
+        }
+      }
+
+      const result = {
+        timestamp: new Date().toISOString(),
+        contractAddress,
+        tokenId,
+        chain,
+        metadata,
+        rawMetadata,
+        ownerSource,
+        resolution,
+        dataSource: token.provider.label,
+        partial: warnings.length > 0,
+        warnings,
+        lastUpdated: new Date().toISOString()
+      };
+
+      if (validate) {
+        result.validation = await validateToken(this.providers, { contractAddress, tokenId, chain }, { metadata: token });
+      }
+      return result;
+    } catch (error) {
+      throw withContext(error, 'Failed to get NFT metadata');
+    }
+  }
+
+  async getNFTTransfers({
+    contractAddress,
+    tokenId,
+    limit = 50,
+    cursor,
+    all = false,
+    chain = 'ethereum',
+    fromAddress,
+    toAddress,
+    fromBlock,
+    toBlock,
+    fromDate,
+    toDate,
+    order = 'desc',
+  }) {
+    try {
+      const filters = {
+        fromAddress,
+        toAddress,
+        fromBlock,
+        toBlock,
+        fromTime: parseDateInput(fromDate, 'fromDate'),
+        toTime: parseDateInput(toDate, 'toDate'),
+        order,
+      };
+
+      const page = await fetchPages(
+        this.providers,
+        'transfers',
+        { contractAddress, tokenId, chain, ...filters },
+        { limit: Math.min(limit, 1000), all, cursor, maxItems: PAGINATION_MAX_ITEMS }
+      );
+
+      const saleLinkage = await this.findSaleTransactions({ contractAddress, tokenId, chain }, page.items);
+      const transfers = page.items.map(transfer => ({
+        ...transfer,
+        type: classifyTransfer(transfer, saleLinkage.transactions),
+      }));
+
+      const typeCounts = Object.fromEntries(TRANSFER_TYPES.map(type => [type, 0]));
+      transfers.forEach(transfer => typeCounts[transfer.type]++);
+
+      return {
+        timestamp: new Date().toISOString(),
+        contractAddress,
+        tokenId: tokenId || 'all',
+        chain,
+        order,
+        filters: {
+          fromAddress,
+          toAddress,
+          fromBlock,
+          toBlock,
+          fromDate: filters.fromTime && new Date(filters.fromTime * 1000).toISOString(),
+          toDate: filters.toTime && new Date(filters.toTime * 1000).toISOString(),
+        },
+        transferCount: transfers.length,
+        typeCounts,
+        saleLinkage: saleLinkage.status,
+        transfers,
+        nextCursor: page.nextCursor,
+        truncated: page.truncated,
+        dataSource: page.provider.label,
+        warnings: saleLinkage.warnings,
+        lastUpdated: new Date().toISOString()
+      };
+    } catch (error) {
+      throw withContext(error, 'Failed to get NFT transfers');
+    }
+  }
+
+  /**
+   * Collect transaction hashes of marketplace sales in the time span covered
+   * by `transfers`, so transfers that settled a sale can be labelled as such.
+   */
+  async findSaleTransactions({ contractAddress, tokenId, chain }, transfers) {
+    const times = transfers
+      .map(transfer => Date.parse(transfer.timestamp) / 1000)
+      .filter(Number.isFinite);
+    if (times.length === 0) {
+      return { status: 'skipped', transactions: new Set(), warnings: [] };
+    }
+
+    try {
+      const sales = await aggregateSales(
+        this.providers,
+        {
+          contractAddress,
+          tokenId,
+          chain,
+          fromTime: Math.floor(Math.min(...times)) - 1,
+          toTime: Math.ceil(Math.max(...times)) + 1,
+        },
+        { limit: SALE_LINK_LIMIT, maxItems: SALE_LINK_LIMIT }
+      );
+      return {
+        status: sales.nextCursor || sales.warnings.length > 0 ? 'partial' : 'complete',
+        transactions: new Set(sales.items.map(sale => sale.transactionHash?.toLowerCase()).filter(Boolean)),
+        warnings: sales.warnings.map(warning => ({ ...warning, source: `sales (${warning.source})` })),
+      };
+    } catch (error) {
+      return { status: 'unavailable', transactions: new Set(), warnings: [toWarning('sales', error)] };
+    }
+  }
+
+  async getNFTSales({ contractAddress, tokenId, marketplace, limit = 50, cursor, all = false, chain = 'ethereum' }) {
+    try {
+      const page = await aggregateSales(
+        this.providers,
+        { contractAddress, tokenId, chain },
+        {
+          limit: Math.min(limit, 1000),
+          all,
+          cursor,
+          maxItems: PAGINATION_MAX_ITEMS,
+          marketplace: marketplace?.toLowerCase(),
+          prices: this.prices,
+        }
+      );
+
+      return {
+        timestamp: new Date().toISOString(),
+        contractAddress,
+        tokenId: tokenId || 'all',
+        chain,
+        marketplace: marketplace || 'all',
+        salesCount: page.items.length,
+        sales: page.items,
+        nextCursor: page.nextCursor,
+        truncated: page.truncated,
+        dataSources: page.sources,
+        warnings: page.warnings,
+        lastUpdated: new Date().toISOString()
+      };
+    } catch (error) {
+      throw withContext(error, 'Failed to get NFT sales');
+    }
   }
 
-  async makeRequest(url, options = {}, retries = 0) {
+  async getNFTOrders({ contractAddress, tokenId, type = 'all', fromDate, toDate, limit = 50, cursor, all = false, chain = 'ethereum' }) {
     try {
-      await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
-      
-      const response = await fetch(url, {
-        ...options,
-        headers: {
-          'Content-Type': 'application/json',
-          ...options.headers,
-        },
-      });
-
-      if (response.status === 429 && retries < MAX_RETRIES) {
-        const delay = Math.pow(2, retries) * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this.makeRequest(url, options, retries + 1);
-      }
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      const page = await fetchPages(
+        this.providers,
+        'orders',
+        { contractAddress, tokenId, chain, type, fromTime: parseDateInput(fromDate, 'fromDate'), toTime: parseDateInput(toDate, 'toDate') },
+        { limit: Math.min(limit, 1000), all, cursor, maxItems: PAGINATION_MAX_ITEMS }
+      );
 
-      return await response.json();
+      return {
+        timestamp: new Date().toISOString(),
+        contractAddress,
+        tokenId: tokenId || 'all',
+        chain,
+        type,
+        orderCount: page.items.length,
+        orders: page.items,
+        nextCursor: page.nextCursor,
+        truncated: page.truncated,
+        dataSource: page.provider.label,
+        lastUpdated: new Date().toISOString()
+      };
     } catch (error) {
-      if (retries < MAX_RETRIES) {
-        const delay = Math.pow(2, retries) * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this.makeRequest(url, options, retries + 1);
-      }
-      throw error;
+      throw withContext(error, 'Failed to get NFT orders');
     }
   }
 
-  getChainId(chain) {
-    const chainMap = {
-      'ethereum': 'eth-mainnet',
-      'polygon': 'polygon-mainnet',
-      'arbitrum': 'arb-mainnet',
-      'optimism': 'opt-mainnet',
-    };
-    return chainMap[chain] || 'eth-mainnet';
-  }
-
-  async getNFTCollectionDetails({ contractAddress, chain = 'ethereum' }) {
+  async detectWashTrading({
+    contractAddress,
+    fromDate,
+    toDate,
+    limit = 500,
+    flipWindowHours = DEFAULT_FLIP_WINDOW_SECONDS / 3600,
+    roundTripWindowDays = DEFAULT_ROUND_TRIP_WINDOW_SECONDS / 86400,
+    chain = 'ethereum',
+  }) {
     try {
-      const alchemyData = await this.getAlchemyCollectionDetails(contractAddress, chain);
-      const openSeaData = await this.getOpenSeaCollectionStats(contractAddress);
-      
+      const fromTime = parseDateInput(fromDate, 'fromDate');
+      const toTime = parseDateInput(toDate, 'toDate');
+      const maxSales = Math.min(limit, PAGINATION_MAX_ITEMS);
+
+      const sales = await aggregateSales(
+        this.providers,
+        { contractAddress, chain, fromTime, toTime },
+        { limit: maxSales, all: true, maxItems: maxSales, prices: this.prices }
+      );
+      const warnings = [...sales.warnings];
+
+      const { windowStart, windowEnd, transfers, funding } = await this.washTradingEvidence(
+        { contractAddress, chain, sales: sales.items, fromTime, toTime, maxTransfers: Math.min(maxSales * 2, PAGINATION_MAX_ITEMS) },
+        warnings
+      );
+      const analysis = analyzeWashTrading(sales.items, {
+        transfers,
+        funding: funding.payments,
+        flipWindowSeconds: Math.max(0, Number(flipWindowHours) || 0) * 3600,
+        roundTripWindowSeconds: Math.max(0, Number(roundTripWindowDays) || 0) * 86400,
+      });
+
       return {
         timestamp: new Date().toISOString(),
         contractAddress,
         chain,
-        collectionDetails: {
-          name: alchemyData.name || openSeaData.collection?.name || 'Unknown Collection',
-          description: alchemyData.description || openSeaData.collection?.description,
-          totalSupply: alchemyData.totalSupply,
-          symbol: alchemyData.symbol,
-          contractType: alchemyData.tokenType,
-          verified: openSeaData.collection?.verified || false,
-          marketStats: {
-            floorPrice: openSeaData.stats?.floor_price,
-            floorPriceETH: openSeaData.stats?.floor_price,
-            totalVolume: openSeaData.stats?.total_volume,
-            totalSales: openSeaData.stats?.total_sales,
-            averagePrice: openSeaData.stats?.average_price,
-            marketCap: openSeaData.stats?.market_cap,
-            numOwners: openSeaData.stats?.num_owners,
-            oneDayVolume: openSeaData.stats?.one_day_volume,
-            oneDayChange: openSeaData.stats?.one_day_change,
-            sevenDayVolume: openSeaData.stats?.seven_day_volume,
-            sevenDayChange: openSeaData.stats?.seven_day_change,
-          },
-          social: {
-            website: openSeaData.collection?.external_url,
-            discord: openSeaData.collection?.discord_url,
-            twitter: openSeaData.collection?.twitter_username,
-            instagram: openSeaData.collection?.instagram_username,
-          },
-          royalties: {
-            sellerFeeBasisPoints: openSeaData.collection?.dev_seller_fee_basis_points,
-            royaltyRecipient: openSeaData.collection?.payout_address,
-          }
+        window: {
+          fromDate: windowStart !== undefined ? new Date(windowStart * 1000).toISOString() : undefined,
+          toDate: windowEnd !== undefined ? new Date(windowEnd * 1000).toISOString() : undefined,
         },
-        dataSource: 'Alchemy + OpenSea API',
+        salesAnalyzed: sales.items.length,
+        transfersAnalyzed: transfers.length,
+        fundingPairsChecked: funding.checked,
+        flaggedCount: analysis.flagged.length,
+        volume: analysis.volume,
+        reasonCounts: analysis.reasonCounts,
+        flagged: analysis.flagged,
+        truncated: sales.truncated,
+        dataSources: sales.sources,
+        warnings,
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to get collection details: ${error.message}`);
+      throw withContext(error, 'Failed to detect wash trading');
     }
   }
 
-  async getAlchemyCollectionDetails(contractAddress, chain) {
-    if (!ALCHEMY_API_KEY) {
-      throw new Error('Alchemy API key not configured');
-    }
+  /**
+   * Transfers and seller payments over the span the sales cover, the
+   * evidence analyzeWashTrading needs beyond the sales themselves. Lookups
+   * that fail leave their heuristics unchecked and add a warning.
+   * @returns {Promise<{ windowStart?: number, windowEnd?: number, transfers: object[], funding: { payments: Map<string, object>, checked: number } }>}
+   */
+  async washTradingEvidence({ contractAddress, chain, sales, fromTime, toTime, maxTransfers }, warnings) {
+    // Transfers are only needed over the span the analyzed sales cover
+    const times = sales.map(sale => Date.parse(sale.timestamp) / 1000).filter(Number.isFinite);
+    const windowStart = times.length > 0 ? Math.floor(Math.min(...times)) : fromTime;
+    const windowEnd = toTime ?? (times.length > 0 ? Math.ceil(Math.max(...times)) : undefined);
 
-    const chainId = this.getChainId(chain);
-    const url = `https://${chainId}.g.alchemy.com/nft/v2/${ALCHEMY_API_KEY}/getContractMetadata`;
-    
-    const params = new URLSearchParams({
-      contractAddress: contractAddress,
-    });
+    let transfers = [];
+    if (sales.length > 0) {
+      try {
+        const page = await fetchPages(
+          this.providers,
+          'transfers',
+          { contractAddress, chain, fromTime: windowStart, toTime: windowEnd, order: 'desc' },
+          { limit: 1000, all: true, maxItems: maxTransfers }
+        );
+        transfers = page.items;
+        if (page.truncated) {
+          warnings.push({ source: 'transfers', code: 'TRUNCATED', message: `only the latest ${transfers.length} transfers were checked for direct links between wallets` });
+        }
+      } catch (error) {
+        const { code, message } = toScannerError(error);
+        warnings.push({ source: 'transfers', code, message: `wallet links through direct transfers not checked (${message})` });
+      }
+    }
 
-    const response = await this.makeRequest(`${url}?${params}`);
-    return response.contractMetadata;
+    const funding = await this.findSellerFunding(chain, fundingCandidates(sales, FUNDING_LOOKUP_LIMIT), warnings);
+    return { windowStart, windowEnd, transfers, funding };
   }
 
-  async getOpenSeaCollectionStats(contractAddress) {
-    const url = `https://api.opensea.io/api/v1/collection/${contractAddress}/stats`;
-    
-    const headers = {};
-    if (OPENSEA_API_KEY) {
-      headers['X-API-KEY'] = OPENSEA_API_KEY;
+  /**
+   * The latest payment from seller to buyer before each candidate pair's
+   * sales, keyed by fundingKey. Lookups that fail leave the pair unchecked
+   * and add one warning.
+   * @returns {Promise<{ payments: Map<string, object>, checked: number }>}
+   */
+  async findSellerFunding(chain, candidates, warnings) {
+    const funding = { payments: new Map(), checked: 0 };
+    if (candidates.length === 0) return funding;
+
+    if (this.providers.available('valueTransfers', chain).length === 0) {
+      warnings.push({
+        source: 'valueTransfers',
+        code: this.providers.resolve('valueTransfers', chain).length === 0 ? ERROR_CODES.INVALID_INPUT : ERROR_CODES.MISSING_CREDENTIALS,
+        message: `seller funding not checked: no configured provider reports wallet payments on ${chain} (Alchemy covers EVM chains)`,
+      });
+      return funding;
+    }
+
+    const failures = [];
+    await Promise.all(candidates.map(async ({ seller, buyer, fromTime, toTime, toBlock }) => {
+      try {
+        const { data } = await this.providers.call('valueTransfers', { fromAddress: seller, toAddress: buyer, chain, toBlock, limit: 20 });
+        funding.checked += 1;
+        const payment = data.items.find(item => {
+          const time = Date.parse(item.timestamp) / 1000;
+          return time >= fromTime && time <= toTime;
+        });
+        if (payment) funding.payments.set(fundingKey(seller, buyer), payment);
+      } catch (error) {
+        failures.push(toScannerError(error));
+      }
+    }));
+
+    if (failures.length > 0) {
+      warnings.push({
+        source: 'valueTransfers',
+        code: failures[0].code,
+        message: `seller funding lookup failed for ${failures.length} of ${candidates.length} wallet pair(s) (${failures[0].message})`,
+      });
     }
+    return funding;
+  }
 
+  async getWalletNFTs({ walletAddress, chain = 'ethereum', limit = 100, cursor, all = false }) {
     try {
-      return await this.makeRequest(url, { headers });
+      const page = await fetchPages(
+        this.providers,
+        'ownership',
+        { walletAddress, chain },
+        { limit: Math.min(limit, 500), all, cursor, maxItems: PAGINATION_MAX_ITEMS }
+      );
+
+      return {
+        timestamp: new Date().toISOString(),
+        walletAddress,
+        chain,
+        totalNFTs: page.totalCount,
+        nftsReturned: page.items.length,
+        nfts: page.items,
+        nextCursor: page.nextCursor,
+        truncated: page.truncated,
+        dataSource: page.provider.label,
+        lastUpdated: new Date().toISOString()
+      };
     } catch (error) {
-      // If OpenSea fails, try getting collection info directly
-      const collectionUrl = `https://api.opensea.io/api/v1/asset_contract/${contractAddress}`;
-      return await this.makeRequest(collectionUrl, { headers });
+      throw withContext(error, 'Failed to get wallet NFTs');
     }
   }
 
-  async getNFTMetadata({ contractAddress, tokenId, chain = 'ethereum' }) {
+  async getWalletPortfolioValue({ walletAddress, chains, valuation = 'floor' }) {
     try {
-      if (!ALCHEMY_API_KEY) {
-        throw new Error('Alchemy API key not configured');
+      if (!chains) {
+        const family = isSolanaAddress(walletAddress) ? 'solana' : 'evm';
+        chains = MAINNET_CHAINS.filter(chain => chainFamily(chain) === family);
+      }
+      if (!VALUATION_METHODS.includes(valuation)) {
+        throw new InvalidArgumentError(`Unknown valuation method: ${valuation} (expected one of ${VALUATION_METHODS.join(', ')})`);
+      }
+      const unknown = chains.filter(chain => !CHAIN_NAMES.includes(chain));
+      if (unknown.length > 0) {
+        throw new InvalidArgumentError(`Unsupported chain: ${unknown.join(', ')}`);
       }
 
-      const chainId = this.getChainId(chain);
-      const url = `https://${chainId}.g.alchemy.com/nft/v2/${ALCHEMY_API_KEY}/getNFTMetadata`;
-      
-      const params = new URLSearchParams({
-        contractAddress: contractAddress,
-        tokenId: tokenId,
-      });
+      const warnings = [];
+      const budget = { lastSaleLookups: LAST_SALE_LOOKUP_LIMIT };
+      const perChain = await Promise.all(chains.map(async (chain) => {
+        try {
+          return await this.valueChainHoldings({ walletAddress, chain, valuation, budget, warnings });
+        } catch (error) {
+          warnings.push(toWarning(chain, error));
+          return null;
+        }
+      }));
+      if (perChain.every(result => result === null)) {
+        throw combineFailures(warnings);
+      }
+
+      const collections = perChain.filter(Boolean).flat().sort((a, b) => (b.valueETH || 0) - (a.valueETH || 0));
+      const ethPrice = await this.prices.getUsdPrices(['ETH']);
+      addWarnings(warnings, ethPrice.warnings);
+      const ethUsd = ethPrice.rates.get('ETH');
+      for (const collection of collections) {
+        if (collection.valueETH !== undefined && ethUsd) {
+          collection.valueUSD = Math.round(collection.valueETH * ethUsd * 100) / 100;
+        }
+      }
 
-      const response = await this.makeRequest(`${url}?${params}`);
-      
       return {
         timestamp: new Date().toISOString(),
-        contractAddress,
-        tokenId,
-        chain,
-        metadata: {
-          name: response.title || response.metadata?.name,
-          description: response.description || response.metadata?.description,
-          image: response.metadata?.image || response.media?.[0]?.gateway,
-          attributes: response.metadata?.attributes || [],
-          tokenType: response.tokenType,
-          tokenUri: response.tokenUri,
-          owner: response.ownerships?.[0]?.ownerAddress,
-          mintedAt: response.timeLastUpdated,
-          contractMetadata: {
-            name: response.contract?.name,
-            symbol: response.contract?.symbol,
-            totalSupply: response.contract?.totalSupply,
-          }
-        },
-        rawMetadata: response.metadata,
-        dataSource: 'Alchemy NFT API',
+        walletAddress,
+        chains,
+        valuation,
+        ethUsd,
+        summary: summarizePortfolio(collections, ethUsd),
+        collections,
+        warnings,
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to get NFT metadata: ${error.message}`);
+      throw withContext(error, 'Failed to value wallet portfolio');
     }
   }
 
-  async getNFTTransfers({ contractAddress, tokenId, limit = 50, chain = 'ethereum' }) {
-    try {
-      if (!ALCHEMY_API_KEY) {
-        throw new Error('Alchemy API key not configured');
+  /**
+   * Value one chain's holdings per collection. `budget` caps per-token sale
+   * lookups across all chains of the call.
+   */
+  async valueChainHoldings({ walletAddress, chain, valuation, budget, warnings }) {
+    const holdings = await fetchPages(
+      this.providers,
+      'ownership',
+      { walletAddress, chain },
+      { all: true, maxItems: PAGINATION_MAX_ITEMS }
+    );
+    if (holdings.truncated) {
+      warnings.push({ source: chain, code: 'TRUNCATED', message: `wallet holds more than ${PAGINATION_MAX_ITEMS} NFTs; only the first ones were valued` });
+    }
+
+    // A collection no marketplace knows simply has no floor; other failures are reported
+    const skipped = (source) => (error) => {
+      const warning = toWarning(source, error);
+      if (warning.code !== ERROR_CODES.NOT_FOUND) warnings.push(warning);
+      return undefined;
+    };
+
+    // Floors quoted in SOL (or another token) are converted to ETH through USD rates
+    const unpriced = new Set();
+    const floorInETH = async (floorPrice) => {
+      const currencies = floorCurrencies(floorPrice);
+      if (currencies.length === 0) return lowestFloor(floorPrice);
+
+      const { rates: usdPrices, warnings: priceWarnings } = await this.prices.getUsdPrices(['ETH', ...currencies]);
+      addWarnings(warnings, priceWarnings);
+      for (const currency of currencies) {
+        if (!usdPrices.has('ETH') || !usdPrices.has(priceSymbol(currency))) unpriced.add(currency);
       }
+      return lowestFloor(floorPrice, usdPrices);
+    };
 
-      const chainId = this.getChainId(chain);
-      const url = `https://${chainId}.g.alchemy.com/nft/v2/${ALCHEMY_API_KEY}/getAssetTransfers`;
-      
-      const requestBody = {
-        fromBlock: "0x0",
-        toBlock: "latest",
-        contractAddresses: [contractAddress],
-        category: ["erc721", "erc1155"],
-        maxCount: Math.min(limit, 100),
-        excludeZeroValue: true,
+    const collections = await Promise.all([...groupHoldings(holdings.items).values()].map(async (group) => {
+      const { contractAddress } = group;
+      const [floor, stats] = await Promise.all([
+        this.providers.call('floorPrice', { contractAddress, chain })
+          .then(({ data }) => floorInETH(data))
+          .catch(skipped(`${chain} ${contractAddress} floorPrice`)),
+        this.providers.call('collectionStats', { contractAddress, chain })
+          .then(({ data }) => data)
+          .catch(skipped(`${chain} ${contractAddress} collectionStats`)),
+      ]);
+
+      const floorPriceETH = floor?.priceETH ?? (Number(stats?.floorPriceETH) || undefined);
+      const collection = {
+        chain,
+        contractAddress,
+        name: group.name,
+        tokenCount: group.tokenCount,
+        floorPriceETH,
+        floorSource: floor?.marketplace ?? (floorPriceETH !== undefined ? 'collectionStats' : undefined),
+        sevenDayVolume: stats?.sevenDayVolume,
+        liquid: floorPriceETH !== undefined && !(stats && Number(stats.sevenDayVolume) === 0),
+        valuation,
       };
 
-      if (tokenId) {
-        requestBody.tokenId = tokenId;
+      if (valuation === 'floor') {
+        collection.valueETH = floorPriceETH !== undefined ? floorPriceETH * group.tokenCount : undefined;
+        return collection;
+      }
+
+      const tokens = valuation === 'lastSale'
+        ? await this.valueTokensByLastSale(group, { chain, floorPriceETH, budget, warnings })
+        : await this.valueTokensByTraitFloor(group, { chain, floorPriceETH, warnings });
+
+      const priced = tokens.filter(token => token.valueETH !== undefined);
+      collection.valueETH = priced.length > 0
+        ? priced.reduce((sum, token) => sum + token.valueETH, 0)
+        : undefined;
+      collection.tokens = tokens;
+      return collection;
+    }));
+
+    if (unpriced.size > 0) {
+      warnings.push({ source: chain, code: 'UNPRICED', message: `no USD rate to convert ${[...unpriced].join(', ')} floors to ETH (rates come from Alchemy's Prices API); those collections are unpriced` });
+    }
+    return collections;
+  }
+
+  async valueTokensByLastSale(group, { chain, floorPriceETH, budget, warnings }) {
+    const failures = [];
+    const tokens = await Promise.all(group.tokens.map(async ({ tokenId, balance }) => {
+      if (budget.lastSaleLookups > 0) {
+        budget.lastSaleLookups -= 1;
+        try {
+          const { items: [sale] } = await aggregateSales(
+            this.providers,
+            { contractAddress: group.contractAddress, tokenId, chain },
+            { limit: 1, maxItems: 1, prices: this.prices }
+          );
+          if (sale?.totalPriceETH !== undefined) {
+            const unitPrice = sale.totalPriceETH / (Number(sale.quantity) || 1);
+            return { tokenId, balance, valueETH: unitPrice * balance, basis: 'lastSale', lastSaleAt: sale.timestamp };
+          }
+        } catch (error) {
+          // fall back to the floor below
+          failures.push(toScannerError(error));
+        }
       }
+      return {
+        tokenId,
+        balance,
+        valueETH: floorPriceETH !== undefined ? floorPriceETH * balance : undefined,
+        basis: 'floor',
+      };
+    }));
 
-      const response = await this.makeRequest(url, {
-        method: 'POST',
-        body: JSON.stringify(requestBody),
+    if (failures.length > 0) {
+      warnings.push({
+        source: `${chain} ${group.contractAddress} sales`,
+        code: failures[0].code,
+        message: `last sale lookup failed for ${failures.length} token(s), valued at floor (${failures[0].message})`,
       });
+    }
+    return tokens;
+  }
 
-      const transfers = response.transfers.map(transfer => ({
-        blockNumber: parseInt(transfer.blockNum, 16),
-        transactionHash: transfer.hash,
-        from: transfer.from,
-        to: transfer.to,
-        tokenId: transfer.tokenId,
-        value: transfer.value,
-        asset: transfer.asset,
-        category: transfer.category,
-        rawContract: transfer.rawContract,
-        metadata: transfer.metadata,
-        timestamp: new Date().toISOString() // Note: Alchemy doesn't provide timestamp, would need additional call
-      }));
+  async valueTokensByTraitFloor(group, { chain, floorPriceETH, warnings }) {
+    let traitFloors = new Map();
+    let traitsById = new Map();
+    try {
+      const [index, sales] = await Promise.all([
+        this.loadTraitIndex({ contractAddress: group.contractAddress, chain }),
+        aggregateSales(
+          this.providers,
+          { contractAddress: group.contractAddress, chain },
+          { limit: TRAIT_FLOOR_SALES, maxItems: TRAIT_FLOOR_SALES, prices: this.prices }
+        ),
+      ]);
+      traitFloors = estimateTraitFloors(sales.items, index.tokens);
+      traitsById = new Map(index.tokens.map(token => [token.tokenId, token.traits]));
+    } catch (error) {
+      const { code, message } = toScannerError(error);
+      warnings.push({ source: `${chain} ${group.contractAddress} traitFloors`, code, message: `trait floors unavailable, valued at floor (${message})` });
+    }
+
+    return group.tokens.map(({ tokenId, balance }) => {
+      const { priceETH, trait } = traitFloorValue(traitsById.get(tokenId), traitFloors, floorPriceETH ?? 0);
+      return {
+        tokenId,
+        balance,
+        valueETH: priceETH > 0 ? priceETH * balance : undefined,
+        basis: trait ? 'traitFloor' : 'floor',
+        trait,
+      };
+    });
+  }
+
+  async getOnChainNFTData({ contractAddress, tokenId, ownerAddress, chain = 'ethereum' }) {
+    try {
+      if (this.providers.available('contractReads', chain).length === 0) {
+        throw new NFTScannerError(ERROR_CODES.MISSING_CREDENTIALS, `No RPC URL configured for ${chain} (set RPC_URLS)`);
+      }
+      const { provider, data } = await this.providers.call('contractReads', { contractAddress, tokenId, ownerAddress, chain });
 
       return {
         timestamp: new Date().toISOString(),
         contractAddress,
-        tokenId: tokenId || 'all',
         chain,
-        transferCount: transfers.length,
-        transfers,
-        dataSource: 'Alchemy Transfers API',
+        ...data,
+        dataSource: provider.label,
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to get NFT transfers: ${error.message}`);
+      throw withContext(error, 'Failed to read contract');
     }
   }
 
-  async getNFTSales({ contractAddress, tokenId, marketplace, limit = 50, chain = 'ethereum' }) {
+  async getNFTFloorPrice({ contractAddress, marketplace = 'opensea', chain = 'ethereum' }) {
     try {
-      // Using multiple approaches to get sales data
-      const openSeaSales = await this.getOpenSeaSales(contractAddress, tokenId, limit);
+      const { provider, data: floorPrice } = await this.providers.call('floorPrice', { contractAddress, chain });
       
       return {
         timestamp: new Date().toISOString(),
         contractAddress,
-        tokenId: tokenId || 'all',
         chain,
-        marketplace: marketplace || 'all',
-        salesCount: openSeaSales.length,
-        sales: openSeaSales,
-        dataSource: 'OpenSea Events API',
+        marketplace,
+        floorPrice,
+        dataSource: provider.label,
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to get NFT sales: ${error.message}`);
+      throw withContext(error, 'Failed to get floor price');
     }
   }
 
-  async getOpenSeaSales(contractAddress, tokenId, limit) {
-    const url = 'https://api.opensea.io/api/v1/events';
-    
-    const params = new URLSearchParams({
-      asset_contract_address: contractAddress,
-      event_type: 'successful',
-      only_opensea: 'false',
-      limit: Math.min(limit, 100).toString(),
-    });
+  async searchNFTCollections({ query, limit = 20, chain = 'ethereum' }) {
+    try {
+      const { provider, data: { items: collections, warnings } } = await this.providers.call('search', { query, limit, chain });
 
-    if (tokenId) {
-      params.append('token_id', tokenId);
+      return {
+        timestamp: new Date().toISOString(),
+        query,
+        chain,
+        resultCount: collections.length,
+        collections,
+        partial: warnings.length > 0,
+        warnings,
+        dataSource: provider.label,
+        lastUpdated: new Date().toISOString()
+      };
+    } catch (error) {
+      throw withContext(error, 'Failed to search collections');
     }
+  }
 
-    const headers = {};
-    if (OPENSEA_API_KEY) {
-      headers['X-API-KEY'] = OPENSEA_API_KEY;
-    }
+  /**
+   * Token IDs and traits of a whole collection. Walking every token is
+   * expensive, so the index has its own long-lived cache entry shared by
+   * both rarity tools.
+   */
+  async loadTraitIndex({ contractAddress, chain }) {
+    const { value } = await this.cache.wrap('traitIndex', { contractAddress, chain }, async () => {
+      const page = await fetchPages(
+        this.providers,
+        'collectionTokens',
+        { contractAddress, chain },
+        { all: true, maxItems: RARITY_MAX_TOKENS }
+      );
+      return {
+        dataSource: page.provider.label,
+        complete: !page.truncated,
+        builtAt: new Date().toISOString(),
+        tokens: page.items.map(token => ({
+          tokenId: token.tokenId,
+          traits: normalizeAttributes(token.attributes),
+        })),
+      };
+    });
+    return value;
+  }
 
+  async getCollectionTraits({ contractAddress, chain = 'ethereum' }) {
     try {
-      const response = await this.makeRequest(`${url}?${params}`, { headers });
-      
-      return response.asset_events.map(event => ({
-        eventType: event.event_type,
-        auctionType: event.auction_type,
-        totalPrice: event.total_price,
-        paymentToken: {
-          symbol: event.payment_token?.symbol,
-          address: event.payment_token?.address,
-          decimals: event.payment_token?.decimals,
-        },
-        seller: event.seller?.address,
-        buyer: event.winner_account?.address || event.to_account?.address,
-        quantity: event.quantity,
-        transactionHash: event.transaction?.transaction_hash,
-        blockHash: event.transaction?.block_hash,
-        blockNumber: event.transaction?.block_number,
-        timestamp: event.transaction?.timestamp,
-        asset: {
-          tokenId: event.asset?.token_id,
-          name: event.asset?.name,
-          imageUrl: event.asset?.image_url,
-        },
-        marketplace: 'OpenSea',
-      }));
+      const index = await this.loadTraitIndex({ contractAddress, chain });
+      const { distribution } = scoreRarity(index.tokens);
+
+      return {
+        timestamp: new Date().toISOString(),
+        contractAddress,
+        chain,
+        tokenCount: distribution.tokenCount,
+        indexComplete: index.complete,
+        traitTypes: describeDistribution(distribution),
+        dataSource: index.dataSource,
+        indexBuiltAt: index.builtAt,
+        lastUpdated: new Date().toISOString()
+      };
     } catch (error) {
-      console.warn('OpenSea sales API error:', error.message);
-      return [];
+      throw withContext(error, 'Failed to get collection traits');
     }
   }
 
-  async getWalletNFTs({ walletAddress, chain = 'ethereum', limit = 100 }) {
+  async getNFTRarity({ contractAddress, tokenId, method = 'informationContent', chain = 'ethereum' }) {
     try {
-      if (!ALCHEMY_API_KEY) {
-        throw new Error('Alchemy API key not configured');
+      if (!RARITY_METHODS.includes(method)) {
+        throw new InvalidArgumentError(`Unknown rarity method: ${method} (expected one of ${RARITY_METHODS.join(', ')})`);
       }
 
-      const chainId = this.getChainId(chain);
-      const url = `https://${chainId}.g.alchemy.com/nft/v2/${ALCHEMY_API_KEY}/getNFTs`;
-      
-      const params = new URLSearchParams({
-        owner: walletAddress,
-        pageSize: Math.min(limit, 100).toString(),
-        withMetadata: 'true',
-      });
+      const index = await this.loadTraitIndex({ contractAddress, chain });
+      const { distribution, scores } = scoreRarity(index.tokens);
 
-      const response = await this.makeRequest(`${url}?${params}`);
-      
-      const nfts = response.ownedNfts.map(nft => ({
-        contractAddress: nft.contract.address,
-        tokenId: nft.id.tokenId,
-        tokenType: nft.id.tokenMetadata?.tokenType,
-        name: nft.title || nft.metadata?.name,
-        description: nft.description || nft.metadata?.description,
-        image: nft.metadata?.image || nft.media?.[0]?.gateway,
-        attributes: nft.metadata?.attributes || [],
-        collection: {
-          name: nft.contract.name,
-          symbol: nft.contract.symbol,
-        },
-        balance: nft.balance,
-        rawMetadata: nft.metadata,
-      }));
+      let normalizedId = String(tokenId);
+      try {
+        normalizedId = BigInt(tokenId).toString();
+      } catch {
+        // non-numeric IDs are matched as given
+      }
+      const token = index.tokens.find(candidate => candidate.tokenId === normalizedId);
+      if (!token) {
+        throw new NFTScannerError(ERROR_CODES.NOT_FOUND, `Token ${tokenId} is not among the ${index.tokens.length} indexed tokens`);
+      }
+
+      const tokenScores = scores.get(token.tokenId);
+      const { rank, score } = tokenScores[method];
 
       return {
         timestamp: new Date().toISOString(),
-        walletAddress,
+        contractAddress,
+        tokenId: token.tokenId,
         chain,
-        totalNFTs: response.totalCount,
-        nftsReturned: nfts.length,
-        nfts,
-        pageKey: response.pageKey,
-        dataSource: 'Alchemy NFT API',
+        method,
+        rank,
+        score,
+        tokenCount: distribution.tokenCount,
+        topPercent: Math.round((rank / distribution.tokenCount) * 10000) / 100,
+        scores: tokenScores,
+        traits: describeTokenTraits(token, distribution).sort((a, b) => a.frequency - b.frequency),
+        indexComplete: index.complete,
+        dataSource: index.dataSource,
+        indexBuiltAt: index.builtAt,
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to get wallet NFTs: ${error.message}`);
+      throw withContext(error, 'Failed to get NFT rarity');
     }
   }
 
-  async getNFTFloorPrice({ contractAddress, marketplace = 'opensea', chain = 'ethereum' }) {
+  /**
+   * Every holder of a collection from the collectionOwners capability,
+   * merged per wallet. `truncated` means the owner list hit the pagination
+   * ceiling.
+   */
+  async loadCollectionOwners({ contractAddress, chain }) {
+    const page = await fetchPages(
+      this.providers,
+      'collectionOwners',
+      { contractAddress, chain },
+      { limit: PAGINATION_MAX_ITEMS, all: true, maxItems: PAGINATION_MAX_ITEMS }
+    );
+    return {
+      holders: mergeOwners(page.items),
+      // Alchemy pages hold up to 50,000 owners, so a single page can overflow the ceiling
+      truncated: page.truncated || page.items.length >= PAGINATION_MAX_ITEMS,
+      source: page.provider.label,
+    };
+  }
+
+  async getCollectionHolders({ contractAddress, topN = 20, alsoHolds = [], includeHoldingDurations = true, chain = 'ethereum' }) {
     try {
-      if (!ALCHEMY_API_KEY) {
-        throw new Error('Alchemy API key not configured');
+      const warnings = [];
+      let owners;
+      let ownersError;
+      try {
+        owners = await this.loadCollectionOwners({ contractAddress, chain });
+      } catch (error) {
+        ownersError = error;
       }
 
-      const chainId = this.getChainId(chain);
-      const url = `https://${chainId}.g.alchemy.com/nft/v2/${ALCHEMY_API_KEY}/getFloorPrice`;
-      
-      const params = new URLSearchParams({
-        contractAddress: contractAddress,
-      });
+      // The transfer history dates holdings, and stands in for a missing owner list when complete
+      let history;
+      if (includeHoldingDurations || ownersError) {
+        try {
+          const page = await fetchPages(
+            this.providers,
+            'transfers',
+            { contractAddress, chain, order: 'desc' },
+            { limit: 1000, all: true, maxItems: PAGINATION_MAX_ITEMS }
+          );
+          history = { items: page.items, complete: !page.truncated, source: page.provider.label };
+        } catch (error) {
+          const { code, message } = toScannerError(error);
+          warnings.push({ source: 'transfers', code, message: `holding durations unavailable (${message})` });
+        }
+      }
+
+      if (ownersError) {
+        if (!history?.complete) throw ownersError;
+        const { code, message } = toScannerError(ownersError);
+        warnings.push({ source: 'collectionOwners', code, message: `owner list unavailable, holders replayed from the full transfer history (${message})` });
+        owners = { holders: mergeOwners(ownersFromTransfers(history.items)), truncated: false, source: history.source };
+      }
+      if (owners.truncated) {
+        warnings.push({ source: 'collectionOwners', code: 'TRUNCATED', message: `owner list stopped at ${PAGINATION_MAX_ITEMS} entries; counts and concentration cover those holders only` });
+      }
+
+      const { holders } = owners;
+      const summary = summarizeHolders(holders);
+
+      let holdingDuration;
+      let acquiredAt = new Map();
+      if (includeHoldingDurations && history) {
+        ({ durations: holdingDuration, acquiredAt } = holdingDurations(holders, history.items, { complete: history.complete }));
+      }
+
+      let shared;
+      if (alsoHolds.length > 0) {
+        const others = await Promise.all(alsoHolds.map(async (other) => {
+          try {
+            const otherOwners = await this.loadCollectionOwners({ contractAddress: other, chain });
+            if (otherOwners.truncated) {
+              warnings.push({ source: `${other} owners`, code: 'TRUNCATED', message: `owner list stopped at ${PAGINATION_MAX_ITEMS} entries` });
+            }
+            return { contractAddress: other, holders: otherOwners.holders };
+          } catch (error) {
+            warnings.push(toWarning(`${other} owners`, error));
+            return undefined;
+          }
+        }));
+        shared = crossHoldings(holders, others.filter(Boolean), CROSS_HOLDER_LIMIT);
+      }
 
-      const response = await this.makeRequest(`${url}?${params}`);
-      
       return {
         timestamp: new Date().toISOString(),
         contractAddress,
         chain,
-        marketplace,
-        floorPrice: {
-          openSea: response.openSea,
-          looksRare: response.looksRare,
-          blur: response.blur,
+        ...summary,
+        topHolders: holders.slice(0, topN).map(holder => {
+          const since = acquiredAt.get(holder.address.toLowerCase());
+          return {
+            address: holder.address,
+            balance: holder.balance,
+            tokenCount: holder.tokens.length,
+            share: summary.tokensHeld > 0 ? Math.round((holder.balance / summary.tokensHeld) * 1e6) / 1e6 : 0,
+            heldSince: since !== undefined ? new Date(since * 1000).toISOString() : undefined,
+          };
+        }),
+        holdingDuration,
+        crossHoldings: shared,
+        dataSources: {
+          owners: owners.source,
+          transfers: history?.source,
         },
-        dataSource: 'Alchemy Floor Price API',
+        warnings,
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to get floor price: ${error.message}`);
+      throw withContext(error, 'Failed to get collection holders');
     }
   }
 
-  async searchNFTCollections({ query, limit = 20, chain = 'ethereum' }) {
+  async getCollectionPriceHistory({
+    contractAddress,
+    interval = 'day',
+    fromDate,
+    toDate,
+    movingAverageWindow = 7,
+    excludeWashTrades = false,
+    chain = 'ethereum',
+  }) {
     try {
-      // Using OpenSea search endpoint
-      const url = 'https://api.opensea.io/api/v1/collections';
-      
-      const params = new URLSearchParams({
-        limit: Math.min(limit, 50).toString(),
-        search: query,
-      });
+      const toTime = parseDateInput(toDate, 'toDate') ?? Math.floor(Date.now() / 1000);
+      const fromTime = parseDateInput(fromDate, 'fromDate') ?? toTime - DEFAULT_HISTORY_RANGE[interval];
+      if (fromTime >= toTime) {
+        throw new InvalidArgumentError('fromDate must be before toDate');
+      }
+      if ((toTime - fromTime) / INTERVALS[interval] > MAX_HISTORY_BUCKETS) {
+        throw new InvalidArgumentError(`Range spans more than ${MAX_HISTORY_BUCKETS} ${interval}s; narrow it or use a larger interval`);
+      }
 
-      const headers = {};
-      if (OPENSEA_API_KEY) {
-        headers['X-API-KEY'] = OPENSEA_API_KEY;
+      const sales = await aggregateSales(
+        this.providers,
+        { contractAddress, chain, fromTime, toTime },
+        { limit: PAGINATION_MAX_ITEMS, all: true, maxItems: PAGINATION_MAX_ITEMS, prices: this.prices }
+      );
+      const warnings = [...sales.warnings];
+      if (sales.truncated) {
+        const oldest = sales.items[sales.items.length - 1]?.timestamp;
+        warnings.push({ source: 'sales', code: 'TRUNCATED', message: `sales stop at ${PAGINATION_MAX_ITEMS} items, reaching back to ${oldest}; earlier buckets are incomplete` });
       }
 
-      const response = await this.makeRequest(`${url}?${params}`, { headers });
-      
-      const collections = response.collections?.map(collection => ({
-        slug: collection.slug,
-        name: collection.name,
-        description: collection.description,
-        imageUrl: collection.image_url,
-        contractAddress: collection.primary_asset_contracts?.[0]?.address,
-        totalSupply: collection.stats?.total_supply,
-        floorPrice: collection.stats?.floor_price,
-        totalVolume: collection.stats?.total_volume,
-        numOwners: collection.stats?.num_owners,
-        verified: collection.verified,
-        externalUrl: collection.external_url,
-        discordUrl: collection.discord_url,
-        twitterUsername: collection.twitter_username,
-        createdDate: collection.created_date,
-      })) || [];
+      let items = sales.items;
+      let washTradesExcluded = 0;
+      if (excludeWashTrades) {
+        const { transfers, funding } = await this.washTradingEvidence(
+          { contractAddress, chain, sales: items, fromTime, toTime, maxTransfers: PAGINATION_MAX_ITEMS },
+          warnings
+        );
+        const { flagged } = analyzeWashTrading(items, { transfers, funding: funding.payments });
+        const wash = new Set(flagged.filter(sale => sale.severity === 'wash').map(sale => `${sale.transactionHash}:${sale.tokenId}`));
+        items = items.filter(sale => !wash.has(`${sale.transactionHash}:${sale.asset?.tokenId}`));
+        washTradesExcluded = sales.items.length - items.length;
+      }
+
+      const snapshots = this.floorHistory.snapshots(chain, contractAddress, fromTime, toTime);
+      const currencies = snapshotCurrencies(snapshots);
+      let usdPrices;
+      if (currencies.length > 0) {
+        const lookup = await this.prices.getUsdPrices(['ETH', ...currencies]);
+        addWarnings(warnings, lookup.warnings);
+        usdPrices = lookup.rates;
+      }
+      const series = buildPriceSeries({ sales: items, snapshots, fromTime, toTime, interval, movingAverageWindow, usdPrices });
 
       return {
         timestamp: new Date().toISOString(),
-        query,
+        contractAddress,
         chain,
-        resultCount: collections.length,
-        collections,
-        dataSource: 'OpenSea Collections API',
+        interval,
+        fromDate: new Date(fromTime * 1000).toISOString(),
+        toDate: new Date(toTime * 1000).toISOString(),
+        movingAverageWindow,
+        salesAnalyzed: items.length,
+        washTradesExcluded: excludeWashTrades ? washTradesExcluded : undefined,
+        floorSnapshots: snapshots.length,
+        indicators: series.indicators,
+        buckets: series.buckets,
+        truncated: sales.truncated,
+        dataSources: sales.sources,
+        warnings,
+        lastUpdated: new Date().toISOString()
+      };
+    } catch (error) {
+      throw withContext(error, 'Failed to get collection price history');
+    }
+  }
+
+  /**
+   * Run a single-item tool for each item of a batch. Items go through the
+   * response cache under the single tool's name, so batch and single calls
+   * share entries.
+   */
+  async runBatch(tool, { chain, items, describe, run = (args) => this.callTool(tool, args) }) {
+    const batch = await settleBatch(items, args => this.cache.wrap(tool, args, () => run(args)), describe);
+    return {
+      timestamp: new Date().toISOString(),
+      chain,
+      ...batch,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  getNFTCollectionDetailsBatch({ contractAddresses, validate, chain = 'ethereum' }) {
+    return this.runBatch('getNFTCollectionDetails', {
+      chain,
+      items: contractAddresses.map(contractAddress => ({ contractAddress, chain, validate })),
+      describe: ({ contractAddress }) => ({ contractAddress }),
+    });
+  }
+
+  async getNFTMetadataBatch({ tokens, resolveMetadata, chain = 'ethereum' }) {
+    const items = tokens.map(({ contractAddress, tokenId }) => ({ contractAddress, tokenId, chain, resolveMetadata }));
+
+    // Tokens not already cached are fetched in as few requests as the provider allows
+    const warnings = [];
+    const prefetched = new Map();
+    const missing = items.filter(item => !this.cache.has('getNFTMetadata', item));
+    if (missing.length > 0 && this.providers.available('tokenMetadataBatch', chain).length > 0) {
+      try {
+        const { provider, data } = await this.providers.call('tokenMetadataBatch', { tokens: missing, chain });
+        data.forEach((metadata, index) => {
+          if (metadata) prefetched.set(missing[index], { provider, data: metadata });
+        });
+      } catch (error) {
+        // Each token is then looked up on its own
+        warnings.push(toWarning('tokenMetadataBatch', error));
+      }
+    }
+
+    const batch = await this.runBatch('getNFTMetadata', {
+      chain,
+      items,
+      describe: ({ contractAddress, tokenId }) => ({ contractAddress, tokenId }),
+      run: (item) => this.getNFTMetadata(item, prefetched.get(item)),
+    });
+    return { ...batch, warnings };
+  }
+
+  getNFTFloorPriceBatch({ contractAddresses, marketplace, chain = 'ethereum' }) {
+    return this.runBatch('getNFTFloorPrice', {
+      chain,
+      items: contractAddresses.map(contractAddress => ({ contractAddress, chain, marketplace })),
+      describe: ({ contractAddress }) => ({ contractAddress }),
+    });
+  }
+
+  getWalletNFTsBatch({ walletAddresses, limit, chain = 'ethereum' }) {
+    return this.runBatch('getWalletNFTs', {
+      chain,
+      items: walletAddresses.map(walletAddress => ({ walletAddress, chain, limit })),
+      describe: ({ walletAddress }) => ({ walletAddress }),
+    });
+  }
+
+  /** A tool's value through the response cache, sharing entries with direct calls. */
+  async cachedCall(tool, args) {
+    const { value } = await this.cache.wrap(tool, args, () => this.callTool(tool, args));
+    return value;
+  }
+
+  async compareCollections({
+    contractAddresses = [],
+    queries = [],
+    rankBy = DEFAULT_RANK_METRIC,
+    order = 'desc',
+    includeHolderOverlap = true,
+    chain = 'ethereum',
+  }) {
+    try {
+      if (contractAddresses.length + queries.length === 0) {
+        throw new InvalidArgumentError('Pass contractAddresses, queries or both');
+      }
+      if (contractAddresses.length + queries.length > MAX_COMPARED) {
+        throw new InvalidArgumentError(`At most ${MAX_COMPARED} collections can be compared at once`);
+      }
+
+      const warnings = [];
+      const detailFailures = [];
+      const resolvedQueries = await Promise.all(queries.map(async (query) => {
+        try {
+          const { collections } = await this.cachedCall('searchNFTCollections', { query, limit: 1, chain });
+          const match = collections.find(collection => collection.contractAddress);
+          if (!match) {
+            warnings.push({ source: `query "${query}"`, code: ERROR_CODES.NOT_FOUND, message: 'no collection with a contract address matched' });
+            return { query };
+          }
+          const contractAddress = chainFamily(chain) === 'evm' ? toChecksumAddress(match.contractAddress) : match.contractAddress;
+          return { query, contractAddress, name: match.name };
+        } catch (error) {
+          warnings.push(toWarning(`query "${query}"`, error));
+          return { query };
+        }
+      }));
+
+      // A query may name a collection that was also given by address
+      const addresses = [...new Map(
+        [...contractAddresses, ...resolvedQueries.map(({ contractAddress }) => contractAddress).filter(Boolean)]
+          .map(address => [address.toLowerCase(), address])
+      ).values()];
+      if (addresses.length === 0) {
+        throw combineFailures(warnings);
+      }
+
+      const collections = await Promise.all(addresses.map(async (contractAddress) => {
+        const [details, floorPrice, owners] = await Promise.all([
+          this.cachedCall('getNFTCollectionDetails', { contractAddress, chain }).catch(error => {
+            detailFailures.push(toWarning(contractAddress, error));
+            return undefined;
+          }),
+          this.cachedCall('getNFTFloorPrice', { contractAddress, chain }).catch(error => {
+            // Stats may still carry a floor; only unexpected failures are worth a warning
+            if (toScannerError(error).code !== ERROR_CODES.NOT_FOUND) warnings.push(toWarning(`${contractAddress} floor`, error));
+            return undefined;
+          }),
+          includeHolderOverlap && addresses.length > 1
+            ? this.loadCollectionOwners({ contractAddress, chain }).catch(error => {
+              warnings.push(toWarning(`${contractAddress} owners`, error));
+              return undefined;
+            })
+            : undefined,
+        ]);
+
+        // Floors quoted in SOL (or another token) are converted to ETH through USD rates
+        const quotes = floorPrice?.floorPrice;
+        const currencies = floorCurrencies(quotes);
+        let usdPrices;
+        if (currencies.length > 0) {
+          const lookup = await this.prices.getUsdPrices(['ETH', ...currencies]);
+          addWarnings(warnings, lookup.warnings);
+          usdPrices = lookup.rates;
+        }
+        const floor = lowestFloor(quotes, usdPrices);
+        if (owners?.truncated) {
+          warnings.push({ source: `${contractAddress} owners`, code: 'TRUNCATED', message: `more than ${PAGINATION_MAX_ITEMS} owners; holder overlap counts only the first ones` });
+        }
+        return { contractAddress, details, floor, owners };
+      }));
+
+      // Without any collection's details there is nothing to compare
+      if (collections.every(({ details }) => !details)) {
+        throw combineFailures(detailFailures);
+      }
+      warnings.push(...detailFailures);
+
+      const overlap = holderOverlap(collections
+        .filter(({ owners }) => owners)
+        .map(({ contractAddress, owners }) => ({ contractAddress, holders: owners.holders })));
+      const rows = rankRows(collections.map(({ contractAddress, details, floor, owners }) => comparisonRow({
+        contractAddress,
+        details,
+        floor,
+        overlap: overlap.byCollection.get(contractAddress.toLowerCase()),
+        holderCount: owners && !owners.truncated ? owners.holders.length : undefined,
+      })), rankBy, order);
+
+      return {
+        timestamp: new Date().toISOString(),
+        chain,
+        rankBy,
+        order,
+        resolvedQueries: queries.length > 0 ? resolvedQueries : undefined,
+        collections: rows,
+        holderOverlap: overlap.pairs.length > 0 ? overlap.pairs : undefined,
+        partial: warnings.length > 0,
+        warnings,
+        markdown: renderComparison({ rows, rankBy, pairs: overlap.pairs }),
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to search collections: ${error.message}`);
+      throw withContext(error, 'Failed to compare collections');
     }
   }
 
+  listSupportedChains({ includeTestnets = true }) {
+    const rpc = this.providers.get('rpc');
+    const chains = CHAIN_NAMES
+      .filter(chain => includeTestnets || !CHAINS[chain].testnet)
+      .map((chain) => {
+        const { chainId, name, nativeCurrency, explorerUrl, rpcUrl, testnet = false, alchemy, opensea, nftscan } = CHAINS[chain];
+        const capabilities = {};
+        for (const capability of CAPABILITIES) {
+          const providers = this.providers.resolve(capability, chain);
+          if (providers.length === 0) continue;
+          capabilities[capability] = {
+            available: providers.filter(provider => provider.isConfigured()).map(provider => provider.name),
+            unconfigured: providers.filter(provider => !provider.isConfigured()).map(provider => provider.name),
+          };
+        }
+
+        return {
+          chain,
+          chainId,
+          name,
+          family: chainFamily(chain),
+          testnet,
+          nativeCurrency,
+          explorerUrl,
+          publicRpcUrl: rpcUrl,
+          rpcSource: Object.hasOwn(rpc.urls, chain) ? 'RPC_URLS' : (rpc.supportsChain(chain) ? 'public' : undefined),
+          upstreamIds: { alchemy, opensea, nftscan },
+          capabilities,
+        };
+      });
+
+    return {
+      timestamp: new Date().toISOString(),
+      chainCount: chains.length,
+      chains,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
   async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    console.error("NFT Scanner MCP Server running on stdio");
+    switch (MCP_TRANSPORT) {
+      case "stdio": {
+        const server = this.createMcpServer();
+        this.transport = server;
+        await server.connect(new StdioServerTransport());
+        console.error("NFT Scanner MCP Server running on stdio");
+        break;
+      }
+      case "http": {
+        this.transport = new HttpTransportServer({
+          createServer: () => this.createMcpServer(),
+          host: MCP_HTTP_HOST,
+          port: MCP_HTTP_PORT,
+          authTokens: MCP_AUTH_TOKENS,
+          corsOrigins: MCP_CORS_ORIGINS,
+          sessionIdleMinutes: MCP_SESSION_IDLE_MINUTES,
+        });
+        const { address, port } = await this.transport.listen();
+        console.error(`NFT Scanner MCP Server listening on http://${address}:${port} (Streamable HTTP at /mcp, SSE at /sse)`);
+        break;
+      }
+      default:
+        throw new Error(`Unknown MCP transport: ${MCP_TRANSPORT} (expected stdio or http)`);
+    }
   }
 }
 
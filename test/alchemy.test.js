@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlchemyProvider } from '../lib/providers/alchemy.js';
+
+const BAYC = '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
+
+// A chain of 1,000,000 blocks, one every 12 seconds from unix time 0
+const HEAD = 1_000_000;
+const BLOCK_SECONDS = 12;
+
+/**
+ * Provider answering JSON-RPC block lookups from the chain above and
+ * getNFTSales with two pages. Every request is recorded.
+ */
+function fakeAlchemy() {
+  const requests = [];
+  const provider = new AlchemyProvider({
+    apiKey: 'test-key',
+    request: async (url, options) => {
+      if (options?.body) {
+        const { method, params } = JSON.parse(options.body);
+        requests.push({ method, params });
+        if (method === 'eth_blockNumber') return { result: `0x${HEAD.toString(16)}` };
+        return { result: { timestamp: `0x${(parseInt(params[0], 16) * BLOCK_SECONDS).toString(16)}` } };
+      }
+      const query = new URL(url).searchParams;
+      requests.push({ method: 'getNFTSales', query });
+      return query.has('pageKey')
+        ? { nftSales: [] }
+        : { nftSales: [], pageKey: 'page-2' };
+    },
+  });
+  return { provider, requests };
+}
+
+describe('AlchemyProvider', () => {
+  it('searches for the block bounds of a date window on the first page only', async () => {
+    const { provider, requests } = fakeAlchemy();
+    const args = { contractAddress: BAYC, chain: 'ethereum', limit: 10, fromTime: 1_200_000, toTime: 2_400_000 };
+
+    const first = await provider.sales(args);
+    const searches = requests.filter(request => request.method !== 'getNFTSales').length;
+    assert.ok(searches > 0);
+    assert.deepEqual(first.next.blocks, { from: 100_000, to: 200_000 });
+
+    await provider.sales({ ...args, cursor: first.next });
+    const [, second] = requests.filter(request => request.method === 'getNFTSales');
+    assert.equal(requests.length - searches, 2, 'the second page made no block lookups');
+    assert.equal(second.query.get('pageKey'), 'page-2');
+    assert.equal(second.query.get('fromBlock'), '100000');
+    assert.equal(second.query.get('toBlock'), '200000');
+  });
+
+  it('keeps plain page keys for scans without a date window', async () => {
+    const { provider } = fakeAlchemy();
+    const { next } = await provider.sales({ contractAddress: BAYC, chain: 'ethereum', limit: 10 });
+    assert.equal(next, 'page-2');
+  });
+});
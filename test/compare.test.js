@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { comparisonRow, holderOverlap, rankRows, renderComparison } from '../lib/compare.js';
+
+const details = (name, marketStats, { totalSupply = 10000, royalty } = {}) => ({
+  collectionDetails: { name, totalSupply, marketStats, royalties: { sellerFeeBasisPoints: royalty } },
+});
+
+describe('comparisonRow', () => {
+  it('derives ratios from stats and supply', () => {
+    const row = comparisonRow({
+      contractAddress: '0xa',
+      details: details('A', { numOwners: 5000, listedCount: '250', sevenDayVolume: 120 }, { royalty: 250 }),
+      floor: { priceETH: 1.23456789, marketplace: 'opensea' },
+    });
+
+    assert.equal(row.floorETH, 1.234568);
+    assert.equal(row.holderRatio, 0.5);
+    assert.equal(row.listingRatio, 0.025);
+    assert.equal(row.royaltyBasisPoints, 250);
+    assert.equal(row.volumeCurrency, 'ETH');
+    assert.equal(row.holderOverlap, null);
+  });
+
+  it('falls back to the counted owners when stats carry none', () => {
+    const row = comparisonRow({ contractAddress: '0xa', details: details('A', {}), holderCount: 40 });
+    assert.equal(row.holders, 40);
+    assert.equal(row.floorETH, null);
+  });
+});
+
+describe('holderOverlap', () => {
+  const holders = (...addresses) => addresses.map(address => ({ address, balance: 1 }));
+
+  it('reports each collection\'s shared holders and each pair once', () => {
+    const { byCollection, pairs } = holderOverlap([
+      { contractAddress: '0xA', holders: holders('1', '2', '3', '4') },
+      { contractAddress: '0xB', holders: holders('1', '2') },
+      { contractAddress: '0xC', holders: holders('4', '5') },
+    ]);
+
+    assert.deepEqual(byCollection.get('0xa'), { sharedHolders: 3, share: 0.75 });
+    assert.deepEqual(byCollection.get('0xc'), { sharedHolders: 1, share: 0.5 });
+    assert.deepEqual(pairs, [
+      { contractAddresses: ['0xA', '0xB'], sharedHolders: 2 },
+      { contractAddresses: ['0xA', '0xC'], sharedHolders: 1 },
+      { contractAddresses: ['0xB', '0xC'], sharedHolders: 0 },
+    ]);
+  });
+
+  it('has nothing to report for a single collection', () => {
+    const { byCollection, pairs } = holderOverlap([{ contractAddress: '0xA', holders: holders('1') }]);
+    assert.equal(byCollection.size, 0);
+    assert.deepEqual(pairs, []);
+  });
+});
+
+describe('rankRows', () => {
+  const rows = [{ name: 'a', floorETH: 2 }, { name: 'b', floorETH: null }, { name: 'c', floorETH: 5 }];
+
+  it('ranks by the metric and puts rows without it last, unranked', () => {
+    assert.deepEqual(rankRows(rows, 'floorETH', 'desc').map(row => [row.name, row.rank]), [['c', 1], ['a', 2], ['b', null]]);
+    assert.deepEqual(rankRows(rows, 'floorETH', 'asc').map(row => [row.name, row.rank]), [['a', 1], ['c', 2], ['b', null]]);
+  });
+});
+
+describe('renderComparison', () => {
+  it('renders the ranked table with only the metrics some row has', () => {
+    const rows = rankRows([
+      comparisonRow({ contractAddress: '0xa', details: details('Apes | Club', { sevenDayVolume: 1234.56, numOwners: 5500 }, { royalty: 250 }) }),
+      comparisonRow({ contractAddress: '0x0000000000000000000000000000000000000b0b', details: details(undefined, { sevenDayVolume: 80 }) }),
+    ], 'sevenDayVolume', 'desc');
+
+    const lines = renderComparison({ rows, rankBy: 'sevenDayVolume' }).split('\n');
+
+    assert.equal(lines[0], '| # | Collection | **7d volume (ETH)** | Holders | Supply | Holders/supply | Royalty |');
+    assert.equal(lines[2], '| 1 | Apes \\| Club | 1,235 | 5,500 | 10,000 | 55.0% | 2.5% |');
+    assert.equal(lines[3], '| 2 | 0x0000…0b0b | 80 | – | 10,000 | – | – |');
+  });
+
+  it('adds a table of holders shared by each pair', () => {
+    const rows = [{ contractAddress: '0xa', name: 'A', rank: 1 }, { contractAddress: '0xb', name: 'B', rank: 2 }];
+    const markdown = renderComparison({ rows, rankBy: 'floorETH', pairs: [{ contractAddresses: ['0xA', '0xB'], sharedHolders: 1234 }] });
+
+    assert.match(markdown, /\| Collections \| Shared holders \|\n\| --- \| ---: \|\n\| A \/ B \| 1,234 \|$/);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  crossHoldings,
+  giniCoefficient,
+  holdingDurations,
+  mergeOwners,
+  ownersFromTransfers,
+  summarizeHolders,
+} from '../lib/holders.js';
+import { ZERO_ADDRESS } from '../lib/transfers.js';
+
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const BOB = '0x0000000000000000000000000000000000000b0b';
+const CAROL = '0x000000000000000000000000000000000000ca01';
+
+const DAY = 86400;
+const NOW = 1_720_000_000;
+const at = (daysAgo) => new Date((NOW - daysAgo * DAY) * 1000).toISOString();
+
+describe('mergeOwners', () => {
+  it('merges repeated wallets case-insensitively, largest balance first', () => {
+    const holders = mergeOwners([
+      { ownerAddress: ALICE, tokens: [{ tokenId: '1', balance: 1 }] },
+      { ownerAddress: BOB, tokens: [{ tokenId: '2', balance: 1 }, { tokenId: '3', balance: 1 }] },
+      { ownerAddress: ALICE.toUpperCase().replace('0X', '0x'), tokens: [{ tokenId: '4', balance: 2 }] },
+      { ownerAddress: CAROL, tokens: [{ tokenId: '5', balance: 0 }] },
+    ]);
+
+    assert.deepEqual(holders.map(holder => [holder.address, holder.balance]), [[ALICE, 3], [BOB, 2]]);
+    assert.deepEqual(holders[0].tokens.map(token => token.tokenId), ['1', '4']);
+  });
+});
+
+describe('ownersFromTransfers', () => {
+  it('replays mints, transfers and burns in block order', () => {
+    const owners = ownersFromTransfers([
+      { blockNumber: 3, from: ALICE, to: BOB, tokenId: '0x1' },
+      { blockNumber: 1, from: ZERO_ADDRESS, to: ALICE, tokenId: '1' },
+      { blockNumber: 2, from: ZERO_ADDRESS, to: ALICE, tokenId: '2' },
+      { blockNumber: 4, from: ALICE, to: ZERO_ADDRESS, tokenId: '2' },
+      { blockNumber: 5, from: ZERO_ADDRESS, to: CAROL, tokenId: '7', value: '0x3' },
+    ]);
+
+    assert.deepEqual(owners, [
+      { ownerAddress: BOB, tokens: [{ tokenId: '1', balance: 1 }] },
+      { ownerAddress: CAROL, tokens: [{ tokenId: '7', balance: 3 }] },
+    ]);
+  });
+});
+
+describe('giniCoefficient', () => {
+  it('is 0 for equal balances and grows with concentration', () => {
+    assert.equal(giniCoefficient([2, 2, 2, 2]), 0);
+    assert.equal(giniCoefficient([]), 0);
+    assert.equal(giniCoefficient([0, 0, 0, 4]), 0);
+    assert.ok(Math.abs(giniCoefficient([1, 1, 1, 9]) - 0.5) < 1e-9);
+  });
+});
+
+describe('summarizeHolders', () => {
+  it('reports concentration and the balance distribution', () => {
+    const holders = [30, 5, 1, 1, 1].map((balance, index) => ({ address: `0x${index}`, balance, tokens: [] }));
+    const summary = summarizeHolders(holders);
+
+    assert.equal(summary.holderCount, 5);
+    assert.equal(summary.tokensHeld, 38);
+    assert.equal(summary.concentration.top1Share, 0.789474);
+    assert.equal(summary.concentration.medianBalance, 1);
+    assert.deepEqual(summary.balanceDistribution.map(bucket => [bucket.label, bucket.holders, bucket.tokens]), [
+      ['1', 3, 3],
+      ['2-5', 1, 5],
+      ['6-20', 0, 0],
+      ['21+', 1, 30],
+    ]);
+  });
+});
+
+describe('holdingDurations', () => {
+  const holders = [
+    { address: ALICE, balance: 2, tokens: [{ tokenId: '1', balance: 1 }, { tokenId: '2', balance: 1 }] },
+    { address: BOB, balance: 1, tokens: [{ tokenId: '3', balance: 1 }] },
+  ];
+  const transfers = [
+    { to: ALICE, tokenId: '1', timestamp: at(400) },
+    { to: ALICE, tokenId: '0x2', timestamp: at(3) },
+    { to: CAROL, tokenId: '3', timestamp: at(20) },
+  ];
+
+  it('dates each holder by its longest-held token', () => {
+    const { acquiredAt, durations } = holdingDurations(holders, transfers, { complete: false, now: NOW });
+
+    assert.equal(acquiredAt.get(ALICE), NOW - 400 * DAY);
+    const byLabel = Object.fromEntries(durations.buckets.map(bucket => [bucket.label, [bucket.holders, bucket.tokens]]));
+    assert.deepEqual(byLabel['over 1 year'], [1, 1]);
+    assert.deepEqual(byLabel['under 1 week'], [0, 1]);
+  });
+
+  it('leaves holders whose tokens the scan did not reach unresolved', () => {
+    const { acquiredAt, durations } = holdingDurations(holders, transfers, { complete: false, now: NOW });
+
+    assert.equal(acquiredAt.has(BOB), false);
+    assert.deepEqual(durations.unresolved, { tokens: 1, holders: 1 });
+    assert.equal(durations.transfersScanned, 3);
+    assert.equal(durations.coverageSince, at(400));
+  });
+});
+
+describe('crossHoldings', () => {
+  it('counts holders shared with each other collection', () => {
+    const holders = [ALICE, BOB, CAROL].map((address, index) => ({ address, balance: 3 - index, tokens: [] }));
+    const others = [
+      { contractAddress: '0xaaa', holders: [{ address: ALICE.toUpperCase().replace('0X', '0x') }, { address: BOB }] },
+      { contractAddress: '0xbbb', holders: [{ address: ALICE }] },
+    ];
+
+    const result = crossHoldings(holders, others, 1);
+
+    assert.deepEqual(result.collections.map(({ contractAddress, sharedHolders, shareOfHolders }) => [contractAddress, sharedHolders, shareOfHolders]), [
+      ['0xaaa', 2, 0.666667],
+      ['0xbbb', 1, 0.333333],
+    ]);
+    assert.equal(result.sharedHolderCount, 2);
+    assert.equal(result.holdersOfAll, 1);
+    assert.deepEqual(result.holders, [{ address: ALICE, balance: 3, alsoHolds: ['0xaaa', '0xbbb'] }]);
+    assert.equal(result.truncated, true);
+  });
+});
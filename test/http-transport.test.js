@@ -0,0 +1,138 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { HttpTransportServer } from '../lib/http-transport.js';
+import { WatchManager, WatchSession } from '../lib/watch.js';
+
+const RESOURCE = { uri: 'nft://ethereum/collection/0xabc', kind: 'collection', args: {} };
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+};
+
+describe('HttpTransportServer idle sweep', () => {
+  let manager;
+  let transport;
+  let base;
+  const watchSessions = [];
+
+  beforeEach(async () => {
+    manager = new WatchManager({ snapshot: async () => ({ floor: { priceETH: 1 } }), intervalSeconds: 3600 });
+    transport = new HttpTransportServer({
+      port: 0,
+      sessionIdleMinutes: 1,
+      createServer: () => {
+        const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: {} });
+        const watches = new WatchSession(manager, { onUpdate: () => {} });
+        watchSessions.push(watches);
+        server.onclose = () => watches.close();
+        return server;
+      },
+    });
+    const { port } = await transport.listen();
+    base = `http://127.0.0.1:${port}/mcp`;
+  });
+
+  afterEach(async () => {
+    await transport.close();
+    manager.close();
+    watchSessions.length = 0;
+  });
+
+  async function openSession() {
+    const res = await fetch(base, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify(INITIALIZE),
+    });
+    await res.text();
+    return res.headers.get('mcp-session-id');
+  }
+
+  const abandon = (sessionId) => {
+    transport.sessions.get(sessionId).lastSeen = Date.now() - 2 * 60 * 1000;
+  };
+
+  it('closes an abandoned session that has a watch and stops its watch', async () => {
+    const sessionId = await openSession();
+    await watchSessions[0].watch(RESOURCE);
+    assert.equal(manager.targets.size, 1);
+
+    abandon(sessionId);
+    transport.closeIdleSessions();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(transport.sessions.has(sessionId), false);
+    assert.equal(watchSessions[0].watches.size, 0);
+    assert.equal(manager.targets.size, 0);
+  });
+
+  it('keeps a quiet session while its notification stream is open', async () => {
+    const sessionId = await openSession();
+    const stream = new AbortController();
+    await fetch(base, {
+      headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId, 'Mcp-Protocol-Version': '2025-03-26' },
+      signal: stream.signal,
+    });
+
+    abandon(sessionId);
+    transport.closeIdleSessions();
+    assert.equal(transport.sessions.has(sessionId), true);
+    stream.abort();
+  });
+});
+
+describe('HttpTransportServer access', () => {
+  let transport;
+  let port;
+
+  beforeEach(async () => {
+    transport = new HttpTransportServer({
+      port: 0,
+      authTokens: ['alice-token', 'bob-token'],
+      createServer: () => new Server({ name: 'test', version: '1.0.0' }, { capabilities: {} }),
+    });
+    ({ port } = await transport.listen());
+  });
+
+  afterEach(() => transport.close());
+
+  /** POST a JSON-RPC message with raw headers, since fetch will not send a foreign Host. */
+  function post(message, headers) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port,
+        path: '/mcp',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+      }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res));
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify(message));
+    });
+  }
+
+  it('refuses requests addressed to another host name', async () => {
+    const res = await post(INITIALIZE, { Authorization: 'Bearer alice-token', Host: `rebound.example:${port}` });
+    assert.equal(res.statusCode, 403);
+    assert.equal(transport.sessions.size, 0);
+  });
+
+  it('serves a session only to the token that created it', async () => {
+    const created = await post(INITIALIZE, { Authorization: 'Bearer alice-token' });
+    const sessionId = created.headers['mcp-session-id'];
+    assert.ok(sessionId);
+
+    const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+    const headers = { 'Mcp-Session-Id': sessionId, 'Mcp-Protocol-Version': '2025-03-26' };
+    assert.equal((await post(ping, { ...headers, Authorization: 'Bearer bob-token' })).statusCode, 404);
+    assert.equal((await post(ping, { ...headers, Authorization: 'Bearer alice-token' })).statusCode, 200);
+  });
+});
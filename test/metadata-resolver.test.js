@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetadataResolver, decodeDataUri, isPrivateAddress, substituteTokenId } from '../lib/metadata-resolver.js';
+
+describe('decodeDataUri', () => {
+  const json = '{"name":"Punk #1","description":"100% on-chain"}';
+
+  it('decodes base64 payloads, with or without a charset', () => {
+    const base64 = Buffer.from(json).toString('base64');
+    assert.deepEqual(decodeDataUri(`data:application/json;base64,${base64}`), { mimeType: 'application/json', text: json });
+    assert.deepEqual(decodeDataUri(`data:application/json;charset=utf-8;base64,${base64}`), { mimeType: 'application/json', text: json });
+    assert.equal(decodeDataUri(`data:application/json;charset=UTF-8;BASE64,${base64}`).text, json);
+  });
+
+  it('decodes URL-encoded payloads', () => {
+    assert.equal(decodeDataUri(`data:application/json,${encodeURIComponent(json)}`).text, json);
+  });
+
+  it('keeps unencoded payloads with bare percent signs as they are', () => {
+    assert.equal(decodeDataUri(`data:application/json;utf8,${json}`).text, json);
+  });
+
+  it('rejects URIs without a payload separator', () => {
+    assert.throws(() => decodeDataUri('data:application/json'), /Malformed/);
+  });
+});
+
+describe('substituteTokenId', () => {
+  it('fills ERC-1155 {id} placeholders with 64 hex characters', () => {
+    assert.equal(substituteTokenId('https://x.io/{id}.json', '255'), `https://x.io/${'0'.repeat(62)}ff.json`);
+    assert.equal(substituteTokenId('https://x.io/1.json', '255'), 'https://x.io/1.json');
+  });
+
+  it('substitutes IDs that are not integers as given', () => {
+    assert.equal(substituteTokenId('https://x.io/{id}.json', 'abc-1'), 'https://x.io/abc-1.json');
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it('blocks loopback, private, link-local and mapped addresses', () => {
+    for (const address of ['127.0.0.1', '10.0.0.8', '172.20.1.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd12::1', 'fe80::1', '::ffff:10.0.0.1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('allows public addresses', () => {
+    for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', 'example.com']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('MetadataResolver', () => {
+  it('resolves data: URIs without fetching', async () => {
+    const result = await new MetadataResolver().resolve('data:application/json;utf8,{"name":"A","image":"ipfs://Qm/1.png"}');
+
+    assert.deepEqual(result.metadata, { name: 'A', image: 'ipfs://Qm/1.png' });
+    assert.equal(result.image.url, 'https://ipfs.io/ipfs/Qm/1.png');
+  });
+
+  it('tries every gateway for ipfs:// URIs', () => {
+    const resolver = new MetadataResolver({ ipfsGateways: ['https://a.example', 'https://b.example'] });
+    assert.deepEqual(resolver.candidates('ipfs://ipfs/Qm/1.json').map(candidate => candidate.url), [
+      'https://a.example/ipfs/Qm/1.json',
+      'https://b.example/ipfs/Qm/1.json',
+    ]);
+  });
+
+  it('refuses token URIs pointing at private addresses', async () => {
+    const resolver = new MetadataResolver({ timeoutMs: 1000 });
+    for (const uri of ['http://127.0.0.1:9/metadata.json', 'http://[::1]:9/1', 'http://169.254.169.254/latest/meta-data']) {
+      await assert.rejects(resolver.resolve(uri), /refusing to fetch private address/, uri);
+    }
+  });
+});
@@ -0,0 +1,269 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  OpenSeaClient,
+  mapCollectionMetadata,
+  mapCollectionStats,
+  mapOrderEvent,
+  mapSaleEvent,
+  mapSearchResult,
+  mapTransferEvent,
+} from '../lib/opensea-client.js';
+import { ERROR_CODES, httpError } from '../lib/errors.js';
+import { OpenSeaProvider } from '../lib/providers/opensea.js';
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/opensea/${name}.json`, import.meta.url), 'utf8'));
+
+const BAYC = '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D';
+
+/**
+ * Client whose requests are answered from fixtures by URL path. Every
+ * request is recorded as a parsed URL plus its options.
+ */
+function fixtureClient(routes, { apiKey = 'test-key' } = {}) {
+  const requests = [];
+  const client = new OpenSeaClient({
+    apiKey,
+    request: async (url, options) => {
+      const parsed = new URL(url);
+      requests.push({ url: parsed, options });
+      const route = routes[parsed.pathname];
+      if (!route) throw new Error(`No fixture for ${parsed.pathname}`);
+      return typeof route === 'function' ? route(parsed) : route;
+    },
+  });
+  return { client, requests };
+}
+
+describe('OpenSeaClient', () => {
+  it('resolves a contract to its collection slug once', async () => {
+    const { client, requests } = fixtureClient({
+      [`/api/v2/chain/ethereum/contract/${BAYC}`]: fixture('contract'),
+    });
+
+    assert.equal(await client.resolveCollectionSlug('ethereum', BAYC), 'boredapeyachtclub');
+    assert.equal(await client.resolveCollectionSlug('ethereum', BAYC.toLowerCase()), 'boredapeyachtclub');
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].options.headers['X-API-KEY'], 'test-key');
+  });
+
+  it('reports a contract without a collection as not found', async () => {
+    const { client } = fixtureClient({
+      [`/api/v2/chain/ethereum/contract/${BAYC}`]: { ...fixture('contract'), collection: null },
+    });
+
+    await assert.rejects(client.resolveCollectionSlug('ethereum', BAYC), { code: ERROR_CODES.NOT_FOUND });
+  });
+
+  it('rejects chains OpenSea does not serve', () => {
+    const { client } = fixtureClient({});
+    assert.equal(client.supportsChain('ethereum'), true);
+    assert.throws(() => client.getChain('solana'), { code: ERROR_CODES.INVALID_INPUT });
+  });
+
+  it('follows event cursors, asking each page only for what is still wanted', async () => {
+    const { client, requests } = fixtureClient({
+      '/api/v2/events/collection/boredapeyachtclub': (url) => fixture(url.searchParams.get('next') ? 'events-page-2' : 'events-page-1'),
+    });
+
+    const { items, next } = await client.collectEvents({ slug: 'boredapeyachtclub', eventTypes: ['sale', 'transfer'], after: 1717400000 }, 3);
+
+    assert.equal(items.length, 3);
+    assert.equal(next, undefined);
+    assert.deepEqual(requests.map(({ url }) => url.searchParams.get('limit')), ['3', '1']);
+    assert.deepEqual(requests[0].url.searchParams.getAll('event_type'), ['sale', 'transfer']);
+    assert.equal(requests[0].url.searchParams.get('after'), '1717400000');
+    assert.equal(requests[1].url.searchParams.get('next'), fixture('events-page-1').next);
+  });
+
+  it('returns the cursor of the last page when the limit is reached', async () => {
+    const { client, requests } = fixtureClient({
+      '/api/v2/events/collection/boredapeyachtclub': fixture('events-page-1'),
+    });
+
+    const { items, next } = await client.collectEvents({ slug: 'boredapeyachtclub' }, 2);
+
+    assert.equal(items.length, 2);
+    assert.equal(next, fixture('events-page-1').next);
+    assert.equal(requests.length, 1);
+  });
+
+  it('rejects event types OpenSea does not know', () => {
+    const { client } = fixtureClient({});
+    assert.throws(() => client.getEvents({ slug: 'boredapeyachtclub', eventTypes: ['bid'] }), { code: ERROR_CODES.INVALID_INPUT });
+  });
+
+  it('caps event page sizes at 50', async () => {
+    const { client, requests } = fixtureClient({
+      '/api/v2/events/collection/boredapeyachtclub': { asset_events: [], next: null },
+    });
+
+    await client.collectEvents({ slug: 'boredapeyachtclub' }, 500);
+    assert.equal(requests[0].url.searchParams.get('limit'), '50');
+  });
+
+  it('reads single-token events from the NFT endpoint', async () => {
+    const path = `/api/v2/events/chain/ethereum/contract/${BAYC}/nfts/8817`;
+    const { client } = fixtureClient({ [path]: { ...fixture('events-page-1'), next: null } });
+
+    const { items } = await client.collectEvents({ chain: 'ethereum', contractAddress: BAYC, tokenId: '8817' }, 10);
+    assert.equal(items.length, 2);
+  });
+
+  it('searches by slug first, then by name across the collection list', async () => {
+    const { client } = fixtureClient({
+      '/api/v2/collections/pudgy-penguins': () => {
+        throw httpError('opensea', 404, 'Not Found');
+      },
+      '/api/v2/collections': fixture('collections'),
+    });
+
+    const results = await client.searchCollections({ query: 'Pudgy Penguins', chain: 'ethereum', limit: 5 });
+    assert.deepEqual(results.map(collection => collection.collection), ['pudgypenguins']);
+  });
+
+  it('reports a failed slug lookup instead of scanning the collection list', async () => {
+    const { client, requests } = fixtureClient({
+      '/api/v2/collections/pudgy-penguins': () => {
+        throw httpError('opensea', 429, 'Too Many Requests', 30);
+      },
+      '/api/v2/collections': fixture('collections'),
+    });
+
+    await assert.rejects(
+      client.searchCollections({ query: 'Pudgy Penguins', chain: 'ethereum', limit: 5 }),
+      { code: ERROR_CODES.RATE_LIMITED }
+    );
+    assert.equal(requests.some(request => request.url.pathname === '/api/v2/collections'), false);
+  });
+
+  it('finds a collection by contract address', async () => {
+    const { client } = fixtureClient({
+      [`/api/v2/chain/ethereum/contract/${BAYC}`]: fixture('contract'),
+      '/api/v2/collections/boredapeyachtclub': fixture('collection'),
+      '/api/v2/collections': { collections: [], next: null },
+    });
+
+    const results = await client.searchCollections({ query: BAYC, chain: 'ethereum', limit: 1 });
+    assert.deepEqual(results.map(collection => collection.collection), ['boredapeyachtclub']);
+  });
+});
+
+describe('OpenSea v2 mapping', () => {
+  it('maps collection metadata, keeping the OpenSea fee out of royalties', () => {
+    const metadata = mapCollectionMetadata(fixture('collection'), fixture('contract'));
+
+    assert.equal(metadata.name, 'Bored Ape Yacht Club');
+    assert.equal(metadata.slug, 'boredapeyachtclub');
+    assert.equal(metadata.contractType, 'ERC721');
+    assert.equal(metadata.totalSupply, 10000);
+    assert.equal(metadata.verified, true);
+    assert.equal(metadata.social.twitter, 'BoredApeYC');
+    assert.deepEqual(metadata.royalties, {
+      sellerFeeBasisPoints: 250,
+      royaltyRecipient: '0xa858ddc0445d8131dac4d1de01f834ffcba52ef1',
+    });
+  });
+
+  it('maps collection stats and their intervals', () => {
+    assert.deepEqual(mapCollectionStats(fixture('stats')), {
+      floorPrice: 11.8425,
+      floorPriceETH: 11.8425,
+      totalVolume: 1462375.82,
+      totalSales: 51843,
+      averagePrice: 28.2078,
+      marketCap: 118425.3,
+      numOwners: 5512,
+      oneDayVolume: 142.31,
+      oneDayChange: -0.1983,
+      sevenDayVolume: 1204.77,
+      sevenDayChange: 0.2116,
+      thirtyDayVolume: 5320.12,
+    });
+  });
+
+  it('leaves floorPriceETH unset for floors in other currencies', () => {
+    const stats = fixture('stats');
+    stats.total.floor_price_symbol = 'MATIC';
+    assert.equal(mapCollectionStats(stats).floorPriceETH, undefined);
+  });
+
+  it('maps sale events', () => {
+    const [sale] = fixture('events-page-1').asset_events;
+    const mapped = mapSaleEvent(sale);
+
+    assert.equal(mapped.totalPrice, '12100000000000000000');
+    assert.deepEqual(mapped.paymentToken, { symbol: 'ETH', address: '0x0000000000000000000000000000000000000000', decimals: 18 });
+    assert.equal(mapped.seller, '0x29469395eaf6f95920e59f858042f0e28d98a20b');
+    assert.equal(mapped.timestamp, '2024-06-03T16:00:11.000Z');
+    assert.equal(mapped.asset.tokenId, '8817');
+    assert.equal(mapped.marketplace, 'OpenSea');
+  });
+
+  it('maps transfer events', () => {
+    const transfer = fixture('events-page-1').asset_events[1];
+    const mapped = mapTransferEvent(transfer);
+
+    assert.equal(mapped.from, '0x29469395eaf6f95920e59f858042f0e28d98a20b');
+    assert.equal(mapped.to, '0x1d7b9a5b1a2e3d8b8e0e1b4d9c5a3f2e1d0c9b8a');
+    assert.equal(mapped.tokenId, '8817');
+    assert.equal(mapped.category, 'erc721');
+    assert.equal(mapped.rawContract.address, '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d');
+  });
+
+  it('maps listing and offer events', () => {
+    const [listing, offer] = fixture('events-orders').asset_events.map(mapOrderEvent);
+
+    assert.equal(listing.type, 'listing');
+    assert.equal(listing.priceDecimal, 13.5);
+    assert.equal(listing.asset.tokenId, '8817');
+    assert.equal(listing.expirationDate, '2024-06-10T16:10:00.000Z');
+
+    assert.equal(offer.type, 'offer');
+    assert.equal(offer.eventType, 'collection_offer');
+    assert.equal(offer.priceDecimal, 34.5);
+    assert.equal(offer.paymentToken.symbol, 'WETH');
+    assert.equal(offer.asset.tokenId, undefined);
+  });
+
+  it('maps search results', () => {
+    const [pudgy] = fixture('collections').collections;
+    assert.deepEqual(mapSearchResult(pudgy), {
+      slug: 'pudgypenguins',
+      name: 'Pudgy Penguins',
+      description: 'Pudgy Penguins is a collection of 8,888 NFTs.',
+      imageUrl: pudgy.image_url,
+      contractAddress: '0xbd3531da5cf5857e7cfaa92426877b022e612cf8',
+      totalSupply: 8888,
+      verified: true,
+      externalUrl: 'https://www.pudgypenguins.com/',
+      discordUrl: 'https://discord.gg/pudgypenguins',
+      twitterUsername: 'pudgy_penguins',
+      createdDate: undefined,
+    });
+  });
+});
+
+describe('OpenSeaProvider', () => {
+  it('reads listings and offers through the events endpoint', async () => {
+    const requests = [];
+    const provider = new OpenSeaProvider({
+      apiKey: 'test-key',
+      request: async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        requests.push(searchParams);
+        return pathname.endsWith(`/contract/${BAYC}`) ? fixture('contract') : fixture('events-orders');
+      },
+    });
+
+    const { items, next } = await provider.orders({ contractAddress: BAYC, chain: 'ethereum', limit: 10 });
+
+    assert.deepEqual(items.map(order => order.type), ['listing', 'offer']);
+    assert.equal(next, undefined);
+    assert.deepEqual(requests[1].getAll('event_type'), ['listing', 'offer']);
+
+    await provider.orders({ contractAddress: BAYC, chain: 'ethereum', type: 'offer', limit: 10 });
+    assert.deepEqual(requests[2].getAll('event_type'), ['offer']);
+  });
+});
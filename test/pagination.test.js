@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeCursor, encodeCursor, fetchPages } from '../lib/pagination.js';
+import { ERROR_CODES } from '../lib/errors.js';
+
+const ITEMS = Array.from({ length: 12 }, (_, index) => index);
+
+/**
+ * Provider serving ITEMS in pages of `pageSize` behind numeric cursors. With
+ * `respectLimit` off it returns whole pages whatever the limit, as Alchemy's
+ * owner endpoint does.
+ */
+function pagedProvider({ pageSize = 5, respectLimit = false } = {}) {
+  const calls = [];
+  const provider = {
+    name: 'fake',
+    supports: () => true,
+    async ownership({ limit, cursor }) {
+      calls.push({ limit, cursor });
+      const start = cursor ? Number(cursor) : 0;
+      const end = start + (respectLimit ? Math.min(pageSize, limit) : pageSize);
+      return { items: ITEMS.slice(start, end), next: end < ITEMS.length ? String(end) : undefined, totalCount: ITEMS.length };
+    },
+  };
+  const registry = {
+    get: (name) => (name === 'fake' ? provider : undefined),
+    call: async (capability, args) => ({ provider, data: await provider[capability](args) }),
+  };
+  return { registry, calls };
+}
+
+async function readAll(registry, limit) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await fetchPages(registry, 'ownership', {}, { limit, cursor });
+    pages.push(page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+describe('cursors', () => {
+  it('round-trip the provider, native cursor and offset', () => {
+    assert.deepEqual(decodeCursor(encodeCursor('alchemy', 'abc', 3)), { provider: 'alchemy', cursor: 'abc', skip: 3 });
+    assert.deepEqual(decodeCursor(encodeCursor('alchemy', null, 2)), { provider: 'alchemy', cursor: undefined, skip: 2 });
+    assert.deepEqual(decodeCursor(encodeCursor('nftscan', { ercType: 'erc721', next: 'x' })), {
+      provider: 'nftscan',
+      cursor: { ercType: 'erc721', next: 'x' },
+      skip: 0,
+    });
+  });
+
+  it('reject tokens that are not cursors', () => {
+    assert.throws(() => decodeCursor('not-a-cursor'), { code: ERROR_CODES.INVALID_INPUT });
+    const negative = Buffer.from(JSON.stringify({ p: 'alchemy', c: 'x', s: -1 })).toString('base64url');
+    assert.throws(() => decodeCursor(negative), { code: ERROR_CODES.INVALID_INPUT });
+  });
+});
+
+describe('fetchPages', () => {
+  it('walks pages until the limit is reached', async () => {
+    const { registry, calls } = pagedProvider({ respectLimit: true });
+    const page = await fetchPages(registry, 'ownership', {}, { limit: 7 });
+
+    assert.deepEqual(page.items, [0, 1, 2, 3, 4, 5, 6]);
+    assert.equal(page.pagesFetched, 2);
+    assert.equal(page.totalCount, 12);
+    assert.deepEqual(calls.map(call => call.limit), [7, 2]);
+  });
+
+  it('resumes inside a page that held more than the limit', async () => {
+    const { registry } = pagedProvider();
+    const pages = await readAll(registry, 3);
+
+    assert.deepEqual(pages, [[0, 1, 2], [3, 4, 5], [6, 7, 8], [9, 10, 11]]);
+  });
+
+  it('loses nothing when limits and page sizes line up differently', async () => {
+    for (const limit of [1, 4, 5, 6, 11, 12]) {
+      const { registry } = pagedProvider();
+      assert.deepEqual((await readAll(registry, limit)).flat(), ITEMS, `limit ${limit}`);
+    }
+  });
+
+  it('marks collect-all results truncated at the ceiling', async () => {
+    const { registry } = pagedProvider();
+    const page = await fetchPages(registry, 'ownership', {}, { all: true, maxItems: 7 });
+
+    assert.deepEqual(page.items, [0, 1, 2, 3, 4, 5, 6]);
+    assert.equal(page.truncated, true);
+    assert.ok(page.nextCursor);
+  });
+
+  it('omits the cursor once the last item is returned', async () => {
+    const { registry } = pagedProvider();
+    const page = await fetchPages(registry, 'ownership', {}, { all: true, maxItems: 100 });
+
+    assert.equal(page.items.length, 12);
+    assert.equal(page.nextCursor, undefined);
+    assert.equal(page.truncated, false);
+  });
+
+  it('rejects cursors from providers that cannot serve the capability', async () => {
+    const { registry } = pagedProvider();
+    await assert.rejects(
+      fetchPages(registry, 'ownership', {}, { limit: 5, cursor: encodeCursor('opensea', 'x') }),
+      { code: ERROR_CODES.INVALID_INPUT }
+    );
+  });
+});
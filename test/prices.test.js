@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PriceOracle } from '../lib/prices.js';
+import { ERROR_CODES, httpError } from '../lib/errors.js';
+
+const RESPONSE = {
+  data: [{ symbol: 'ETH', prices: [{ currency: 'usd', value: '3000.5' }] }],
+};
+
+describe('PriceOracle', () => {
+  it('returns a failed lookup as a warning', async () => {
+    const prices = new PriceOracle({
+      apiKey: 'test-key',
+      request: async () => {
+        throw httpError('alchemy', 429, 'Too Many Requests');
+      },
+    });
+
+    const { rates, warnings } = await prices.getUsdPrices(['ETH', 'USDC']);
+    assert.equal(rates.has('ETH'), false);
+    assert.equal(rates.get('USDC'), 1);
+    assert.deepEqual(warnings.map(warning => warning.code), [ERROR_CODES.RATE_LIMITED]);
+  });
+
+  it('says so when it serves a price it could not refresh', async (t) => {
+    let fail = false;
+    const prices = new PriceOracle({
+      apiKey: 'test-key',
+      request: async () => {
+        if (fail) throw httpError('alchemy', 503, 'Service Unavailable');
+        return RESPONSE;
+      },
+    });
+
+    const fresh = await prices.getUsdPrices(['WETH']);
+    assert.equal(fresh.rates.get('ETH'), 3000.5);
+    assert.deepEqual(fresh.warnings, []);
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 2 * 60 * 1000 });
+    fail = true;
+    const stale = await prices.getUsdPrices(['ETH']);
+    assert.equal(stale.rates.get('ETH'), 3000.5);
+    assert.deepEqual(stale.warnings.map(warning => warning.code), [ERROR_CODES.UPSTREAM_UNAVAILABLE, 'STALE']);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NONE_VALUE,
+  TRAIT_COUNT_TYPE,
+  buildTraitDistribution,
+  describeDistribution,
+  describeTokenTraits,
+  normalizeAttributes,
+  scoreRarity,
+} from '../lib/rarity.js';
+
+const token = (tokenId, attributes) => ({ tokenId, traits: normalizeAttributes(attributes) });
+
+// Four tokens: #4 has the only gold background and lacks a hat
+const TOKENS = [
+  token('1', { Background: 'Blue', Hat: 'Cap' }),
+  token('2', { Background: 'Blue', Hat: 'Cap' }),
+  token('3', { Background: 'Blue', Hat: 'Crown' }),
+  token('4', { Background: 'Gold' }),
+];
+
+describe('normalizeAttributes', () => {
+  it('reads OpenSea-style lists and skips numeric stats and empty values', () => {
+    assert.deepEqual(normalizeAttributes([
+      { trait_type: 'Fur', value: 'Brown' },
+      { trait_type: 'Level', value: 5, display_type: 'number' },
+      { trait_type: 'Eyes', value: '' },
+      { traitType: 'Mouth', value: 7 },
+      null,
+    ]), [['Fur', 'Brown'], ['Mouth', '7']]);
+  });
+
+  it('reads plain key/value objects', () => {
+    assert.deepEqual(normalizeAttributes({ Fur: 'Brown', Hat: null }), [['Fur', 'Brown']]);
+    assert.deepEqual(normalizeAttributes(undefined), []);
+  });
+});
+
+describe('buildTraitDistribution', () => {
+  it('counts missing traits as None and adds a trait count type', () => {
+    const { tokenCount, counts } = buildTraitDistribution(TOKENS);
+
+    assert.equal(tokenCount, 4);
+    assert.deepEqual(Object.fromEntries(counts.get('Hat')), { Cap: 2, Crown: 1, [NONE_VALUE]: 1 });
+    assert.deepEqual(Object.fromEntries(counts.get('Background')), { Blue: 3, Gold: 1 });
+    assert.deepEqual(Object.fromEntries(counts.get(TRAIT_COUNT_TYPE)), { 2: 3, 1: 1 });
+  });
+
+  it('lists the rarest values first when described', () => {
+    const hat = describeDistribution(buildTraitDistribution(TOKENS)).find(entry => entry.traitType === 'Hat');
+    assert.deepEqual(hat.values.map(value => value.value), ['Crown', NONE_VALUE, 'Cap']);
+    assert.equal(hat.distinctValues, 3);
+    assert.equal(hat.values[2].frequency, 0.5);
+  });
+});
+
+describe('scoreRarity', () => {
+  const { scores, distribution } = scoreRarity(TOKENS);
+
+  it('ranks the token with the rarest traits first under every method', () => {
+    for (const method of ['informationContent', 'traitNormalized', 'statistical']) {
+      assert.equal(scores.get('4')[method].rank, 1, method);
+    }
+  });
+
+  it('gives identical tokens the same rank and skips the next ("1224")', () => {
+    const ranks = ['1', '2', '3', '4'].map(id => scores.get(id).informationContent.rank);
+    assert.deepEqual(ranks, [3, 3, 2, 1]);
+  });
+
+  it('scores statistical rarity as the product of trait frequencies', () => {
+    // Background 3/4, Hat 2/4, Trait Count 3/4
+    assert.equal(scores.get('1').statistical.score, 0.75 * 0.5 * 0.75);
+  });
+
+  it('describes a token\'s traits with their counts', () => {
+    assert.deepEqual(describeTokenTraits(TOKENS[3], distribution), [
+      { traitType: 'Background', value: 'Gold', count: 1, frequency: 0.25 },
+      { traitType: 'Hat', value: NONE_VALUE, count: 1, frequency: 0.25 },
+      { traitType: TRAIT_COUNT_TYPE, value: '1', count: 1, frequency: 0.25 },
+    ]);
+  });
+
+  it('scores every token zero information when all are alike', () => {
+    const { scores: alike } = scoreRarity([token('1', { Fur: 'Brown' }), token('2', { Fur: 'Brown' })]);
+    assert.equal(alike.get('1').informationContent.score, 0);
+    assert.equal(alike.get('2').informationContent.rank, 1);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResourceCatalog, parseResourceUri } from '../lib/resources.js';
+import { ERROR_CODES } from '../lib/errors.js';
+
+const CHAINS = ['ethereum', 'base'];
+const BAYC = 'nft://ethereum/collection/0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
+const WALLET = 'nft://ethereum/wallet/0xd8da6bf26964af9d7eed9e03e53415d37aa96045';
+
+describe('ResourceCatalog', () => {
+  it('lists pinned resources to every session and reads only to the session that made them', () => {
+    const catalog = new ResourceCatalog({ pinned: [BAYC], chains: CHAINS });
+    const alice = catalog.session();
+    const bob = catalog.session();
+
+    alice.remember(catalog.resolve(WALLET), {});
+    bob.remember(catalog.resolve(BAYC), { collectionDetails: { name: 'Bored Ape Yacht Club' } });
+
+    assert.deepEqual(alice.list().map(resource => resource.uri), [BAYC, WALLET]);
+    assert.deepEqual(bob.list().map(resource => resource.uri), [BAYC]);
+    assert.equal(alice.list()[0].name, 'Bored Ape Yacht Club');
+  });
+
+  it('lists the most recent reads first', () => {
+    const catalog = new ResourceCatalog({ chains: CHAINS });
+    const session = catalog.session();
+
+    session.remember(catalog.resolve(BAYC), {});
+    session.remember(catalog.resolve(WALLET), {});
+    session.remember(catalog.resolve(BAYC), {});
+
+    assert.deepEqual(session.list().map(resource => resource.uri), [BAYC, WALLET]);
+  });
+});
+
+describe('parseResourceUri', () => {
+  it('rejects malformed percent-encoding as invalid input', () => {
+    assert.throws(() => parseResourceUri('nft://ethereum/wallet/%E0%A4%A', CHAINS), { code: ERROR_CODES.INVALID_INPUT });
+  });
+
+  it('decodes percent-encoded segments', () => {
+    const { args } = parseResourceUri('nft://ethereum/wallet/vitalik%2Eeth', CHAINS);
+    assert.equal(args.walletAddress, 'vitalik.eth');
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateSales, normalizeMarketplace, normalizeSalePrice } from '../lib/sales.js';
+import { ERROR_CODES, NFTScannerError } from '../lib/errors.js';
+
+const hour = (n) => new Date(Date.UTC(2024, 5, 1, n)).toISOString();
+
+function sale(hash, hourOf, extra = {}) {
+  return {
+    transactionHash: hash,
+    timestamp: hour(hourOf),
+    asset: { tokenId: '1' },
+    totalPrice: '1000000000000000000',
+    paymentToken: { symbol: 'ETH', decimals: 18 },
+    marketplace: 'OpenSea',
+    ...extra,
+  };
+}
+
+/** Sales provider serving `sales` newest first, `pageSize` at a time. */
+function salesProvider(name, sales, { pageSize = 2, fail } = {}) {
+  return {
+    name,
+    label: `${name} API`,
+    async sales({ cursor }) {
+      if (fail) throw fail;
+      const start = cursor ? Number(cursor) : 0;
+      const end = start + pageSize;
+      return { items: sales.slice(start, end), next: end < sales.length ? String(end) : undefined };
+    },
+  };
+}
+
+function registryOf(...providers) {
+  return {
+    available: () => providers,
+    resolve: () => providers,
+  };
+}
+
+const ARGS = { contractAddress: '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d', chain: 'ethereum' };
+
+describe('aggregateSales', () => {
+  it('merges sources newest first and lists every source that saw a sale', async () => {
+    const registry = registryOf(
+      salesProvider('opensea', [sale('0xa', 10), sale('0xc', 6)]),
+      salesProvider('alchemy', [sale('0xA', 10, { marketplace: 'seaport', blockNumber: 123 }), sale('0xb', 8, { marketplace: 'Blur' })])
+    );
+
+    const { items, sources, warnings } = await aggregateSales(registry, ARGS, { limit: 10, maxItems: 100 });
+
+    assert.deepEqual(items.map(item => item.transactionHash), ['0xa', '0xb', '0xc']);
+    assert.deepEqual(items[0].sources, ['opensea', 'alchemy']);
+    assert.equal(items[0].blockNumber, 123, 'fields only the second source had are filled in');
+    assert.equal(items[0].marketplace, 'opensea');
+    assert.equal(items[1].marketplace, 'blur');
+    assert.deepEqual(sources, ['opensea API', 'alchemy API']);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('resumes every source exactly where the cursor left it', async () => {
+    const a = [10, 9, 8, 7, 6].map(n => sale(`0xa${n}`, n));
+    const b = [10, 8, 5].map(n => sale(`0xb${n}`, n));
+    const registry = registryOf(salesProvider('opensea', a), salesProvider('alchemy', b));
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = await aggregateSales(registry, ARGS, { limit: 3, maxItems: 100, cursor });
+      seen.push(...page.items.map(item => item.transactionHash));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen.sort(), [...a, ...b].map(item => item.transactionHash).sort());
+  });
+
+  it('filters by marketplace', async () => {
+    const registry = registryOf(salesProvider('alchemy', [sale('0x1', 9, { marketplace: 'Blur' }), sale('0x2', 8), sale('0x3', 7, { marketplace: 'blur.io' })]));
+
+    const { items } = await aggregateSales(registry, ARGS, { limit: 10, maxItems: 100, marketplace: 'blur' });
+    assert.deepEqual(items.map(item => item.transactionHash), ['0x1', '0x3']);
+  });
+
+  it('stops scanning for a rare marketplace after a few pages and resumes from the cursor', async () => {
+    const sales = Array.from({ length: 30 }, (_, n) => sale(`0x${n}`, 30 - n));
+    sales[14].marketplace = 'x2y2';
+    const provider = salesProvider('nftscan', sales);
+    let calls = 0;
+    const counting = { ...provider, sales: (args) => { calls += 1; return provider.sales(args); } };
+
+    const first = await aggregateSales(registryOf(counting), ARGS, { limit: 10, maxItems: 100, marketplace: 'x2y2' });
+    assert.deepEqual(first.items, []);
+    assert.equal(calls, 5);
+    assert.equal(first.warnings[0].code, 'TRUNCATED');
+    assert.ok(first.nextCursor);
+
+    const second = await aggregateSales(registryOf(counting), ARGS, { limit: 10, maxItems: 100, marketplace: 'x2y2', cursor: first.nextCursor });
+    assert.deepEqual(second.items.map(item => item.transactionHash), ['0x14']);
+  });
+
+  it('rejects unknown marketplaces', async () => {
+    await assert.rejects(
+      aggregateSales(registryOf(), ARGS, { limit: 10, maxItems: 100, marketplace: 'ebay' }),
+      { code: ERROR_CODES.INVALID_INPUT }
+    );
+  });
+
+  it('returns the sources that answered and warns about the rest', async () => {
+    const down = new NFTScannerError(ERROR_CODES.UPSTREAM_UNAVAILABLE, 'HTTP 503: Service Unavailable');
+    const registry = registryOf(salesProvider('opensea', [], { fail: down }), salesProvider('alchemy', [sale('0x1', 9)]));
+
+    const { items, warnings } = await aggregateSales(registry, ARGS, { limit: 10, maxItems: 100 });
+    assert.equal(items.length, 1);
+    assert.deepEqual(warnings, [{ source: 'opensea API', code: ERROR_CODES.UPSTREAM_UNAVAILABLE, message: 'HTTP 503: Service Unavailable' }]);
+  });
+
+  it('fails when every source fails', async () => {
+    const down = new NFTScannerError(ERROR_CODES.RATE_LIMITED, 'HTTP 429');
+    const registry = registryOf(salesProvider('opensea', [], { fail: down }), salesProvider('alchemy', [], { fail: down }));
+
+    await assert.rejects(aggregateSales(registry, ARGS, { limit: 10, maxItems: 100 }), { code: ERROR_CODES.RATE_LIMITED });
+  });
+
+  it('prices sales in ETH and USD when given a price oracle', async () => {
+    const prices = { getUsdPrices: async () => ({ rates: new Map([['ETH', 3000], ['USDC', 1]]), warnings: [] }) };
+    const registry = registryOf(salesProvider('alchemy', [
+      sale('0x1', 9),
+      sale('0x2', 8, { totalPrice: '1500000000', paymentToken: { symbol: 'USDC', decimals: 6 } }),
+    ]));
+
+    const { items } = await aggregateSales(registry, ARGS, { limit: 10, maxItems: 100, prices });
+    assert.equal(items[0].totalPriceETH, 1);
+    assert.equal(items[0].totalPriceUSD, 3000);
+    assert.equal(items[1].totalPriceDecimal, 1500);
+    assert.equal(items[1].totalPriceETH, 0.5);
+  });
+
+  it('lists a failed price lookup in warnings', async () => {
+    const failure = { source: 'prices', code: ERROR_CODES.RATE_LIMITED, message: 'HTTP 429' };
+    const prices = { getUsdPrices: async () => ({ rates: new Map(), warnings: [failure] }) };
+    const registry = registryOf(salesProvider('alchemy', [sale('0x1', 9)]));
+
+    const { items, warnings } = await aggregateSales(registry, ARGS, { limit: 10, maxItems: 100, prices });
+    assert.equal(items[0].totalPriceUSD, undefined);
+    assert.deepEqual(warnings, [failure]);
+  });
+});
+
+describe('normalizeMarketplace', () => {
+  it('maps provider spellings to one name', () => {
+    assert.equal(normalizeMarketplace('Seaport'), 'opensea');
+    assert.equal(normalizeMarketplace('Larva Labs'), 'cryptopunks');
+    assert.equal(normalizeMarketplace('Magic Eden V2'), 'magiceden');
+    assert.equal(normalizeMarketplace('SomeNewMarket'), 'somenewmarket');
+    assert.equal(normalizeMarketplace(undefined), undefined);
+  });
+});
+
+describe('normalizeSalePrice', () => {
+  it('leaves ETH prices unset without a rate for the payment token', () => {
+    const priced = normalizeSalePrice(sale('0x1', 1, { totalPrice: '5', paymentToken: { symbol: 'XYZ', decimals: 0 } }), new Map([['ETH', 3000]]));
+    assert.equal(priced.totalPriceDecimal, 5);
+    assert.equal(priced.totalPriceETH, undefined);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canonicalTokenId,
+  isEnsName,
+  isSolanaAddress,
+  normalizeAddress,
+  normalizeArguments,
+  normalizeTokenId,
+  toChecksumAddress,
+  validateArguments,
+} from '../lib/validation.js';
+import { ERROR_CODES } from '../lib/errors.js';
+
+const BAYC = '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D';
+const WSOL = 'So11111111111111111111111111111111111111112';
+const invalid = (pattern) => ({ code: ERROR_CODES.INVALID_INPUT, message: pattern });
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    contractAddress: { type: 'string' },
+    tokenId: { type: 'string' },
+    walletAddress: { type: 'string' },
+    limit: { type: 'number', minimum: 1, maximum: 100 },
+    threshold: { type: 'number', exclusiveMinimum: 0 },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    contractAddresses: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    tokens: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { contractAddress: { type: 'string' }, tokenId: { type: 'string' } },
+        required: ['contractAddress', 'tokenId'],
+      },
+    },
+    chain: { type: 'string' },
+  },
+  required: ['contractAddress'],
+};
+
+describe('validateArguments', () => {
+  it('accepts arguments matching the schema', () => {
+    assert.doesNotThrow(() => validateArguments(SCHEMA, { contractAddress: BAYC, limit: 5, order: 'asc', threshold: 0.5 }));
+  });
+
+  it('treats null as "use the default"', () => {
+    assert.doesNotThrow(() => validateArguments(SCHEMA, { contractAddress: BAYC, limit: null }));
+  });
+
+  it('names the argument that is wrong', () => {
+    assert.throws(() => validateArguments(SCHEMA, {}), invalid(/Missing required argument contractAddress/));
+    assert.throws(() => validateArguments(SCHEMA, { contractAddress: BAYC, limt: 5 }), invalid(/Unknown argument limt/));
+    assert.throws(() => validateArguments(SCHEMA, { contractAddress: BAYC, limit: '5' }), invalid(/limit must be a number, got string/));
+    assert.throws(() => validateArguments(SCHEMA, { contractAddress: BAYC, limit: 500 }), invalid(/limit must be at most 100/));
+    assert.throws(() => validateArguments(SCHEMA, { contractAddress: BAYC, limit: 0 }), invalid(/limit must be at least 1/));
+    assert.throws(() => validateArguments(SCHEMA, { contractAddress: BAYC, threshold: 0 }), invalid(/threshold must be greater than 0/));
+    assert.throws(() => validateArguments(SCHEMA, { contractAddress: BAYC, order: 'up' }), invalid(/order must be one of asc, desc/));
+    assert.throws(() => validateArguments(SCHEMA, { contractAddress: BAYC, contractAddresses: ['a', 'b', 'c'] }), invalid(/at most 2 items/));
+    assert.throws(() => validateArguments(SCHEMA, { contractAddress: BAYC, tokens: [{ contractAddress: BAYC }] }), invalid(/tokens\[0\]\.tokenId/));
+  });
+
+  it('rejects non-object arguments', () => {
+    assert.throws(() => validateArguments(SCHEMA, ['x']), invalid(/must be an object, got array/));
+  });
+});
+
+describe('addresses and token IDs', () => {
+  it('checksums addresses per EIP-55', () => {
+    assert.equal(toChecksumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed'), '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+    assert.equal(normalizeAddress(BAYC.toLowerCase()), BAYC);
+    assert.equal(normalizeAddress(`0x${BAYC.slice(2).toUpperCase()}`), BAYC);
+  });
+
+  it('rejects mixed-case addresses with a bad checksum', () => {
+    const typo = BAYC.replace('EdA', 'eDA');
+    assert.throws(() => normalizeAddress(typo, 'contractAddress'), invalid(/fails its EIP-55 checksum/));
+    assert.throws(() => normalizeAddress('0x123'), invalid(/40 character hex address/));
+  });
+
+  it('parses decimal and hex token IDs up to uint256', () => {
+    assert.equal(normalizeTokenId('0x1f'), '31');
+    assert.equal(normalizeTokenId(' 42 '), '42');
+    assert.throws(() => normalizeTokenId('-1'), invalid(/decimal or 0x-prefixed hex/));
+    assert.throws(() => normalizeTokenId(`0x1${'0'.repeat(64)}`), invalid(/larger than a uint256/));
+  });
+
+  it('keeps Solana mint addresses as token IDs', () => {
+    assert.equal(isSolanaAddress(WSOL), true);
+    assert.equal(isSolanaAddress(BAYC), false);
+    assert.equal(isSolanaAddress('O0000000000000000000000000000000'), false);
+    assert.equal(canonicalTokenId(WSOL, 'solana'), WSOL);
+    assert.equal(canonicalTokenId('0x0a', 'ethereum'), '10');
+  });
+
+  it('recognizes ENS names', () => {
+    assert.equal(isEnsName('vitalik.eth'), true);
+    assert.equal(isEnsName('sub.name.eth'), true);
+    assert.equal(isEnsName(BAYC), false);
+    assert.equal(isEnsName('no-dot'), false);
+  });
+});
+
+describe('normalizeArguments', () => {
+  it('checksums addresses and turns numeric token IDs into strings', async () => {
+    const { args } = await normalizeArguments(SCHEMA, {
+      contractAddress: ` ${BAYC.toLowerCase()} `,
+      tokenId: 1234,
+      tokens: [{ contractAddress: BAYC.toLowerCase(), tokenId: 7 }],
+      limit: null,
+    });
+
+    assert.deepEqual(args, {
+      contractAddress: BAYC,
+      tokenId: '1234',
+      tokens: [{ contractAddress: BAYC, tokenId: '7' }],
+    });
+  });
+
+  it('resolves ENS wallet names and reports them', async () => {
+    const resolveName = async (name) => (name === 'vitalik.eth' ? '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045' : undefined);
+    const { args, resolvedNames } = await normalizeArguments(SCHEMA, { contractAddress: BAYC, walletAddress: 'Vitalik.eth' }, {
+      resolveName: (name) => resolveName(name.toLowerCase()),
+    });
+
+    assert.equal(args.walletAddress, '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045');
+    assert.deepEqual(resolvedNames, { walletAddress: { name: 'vitalik.eth', address: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045' } });
+  });
+
+  it('rejects ENS names where no resolver is available', async () => {
+    await assert.rejects(normalizeArguments(SCHEMA, { contractAddress: BAYC, walletAddress: 'vitalik.eth' }), invalid(/ENS names are not supported/));
+  });
+
+  it('validates addresses for the chain family', async () => {
+    await assert.rejects(normalizeArguments(SCHEMA, { contractAddress: WSOL }), invalid(/is a Solana address; pass chain "solana"/));
+
+    const { args } = await normalizeArguments(SCHEMA, { contractAddress: WSOL, tokenId: WSOL, chain: 'solana' });
+    assert.equal(args.contractAddress, WSOL);
+    assert.equal(args.tokenId, WSOL);
+  });
+
+  it('names the list item that is wrong', async () => {
+    await assert.rejects(
+      normalizeArguments(SCHEMA, { contractAddress: BAYC, contractAddresses: [BAYC, '0xnope'] }),
+      invalid(/contractAddresses\[1\]/)
+    );
+  });
+});
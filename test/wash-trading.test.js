@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeWashTrading, fundingCandidates, fundingKey } from '../lib/wash-trading.js';
+
+const [A, B, C, D, E] = ['a', 'b', 'c', 'd', 'e'].map(letter => `0x${letter.repeat(40)}`);
+
+const HOUR = 3600;
+const START = Date.UTC(2024, 0, 1) / 1000;
+const at = (hours) => new Date((START + hours * HOUR) * 1000).toISOString();
+
+let hashes = 0;
+function sale(seller, buyer, hours, { tokenId = '1', royalty, ...options } = {}) {
+  hashes += 1;
+  return {
+    transactionHash: `0x${hashes.toString(16).padStart(64, '0')}`,
+    asset: { tokenId },
+    seller,
+    buyer,
+    timestamp: at(hours),
+    // An explicit undefined price stands for an unpriced sale
+    totalPriceETH: 'priceETH' in options ? options.priceETH : 1,
+    fees: royalty === undefined ? undefined : { royalty },
+  };
+}
+
+const codesOf = (result, sale) => result.flagged.find(flag => flag.transactionHash === sale.transactionHash)?.reasons.map(reason => reason.code) ?? [];
+const severityOf = (result, sale) => result.flagged.find(flag => flag.transactionHash === sale.transactionHash)?.severity;
+
+describe('analyzeWashTrading', () => {
+  it('flags a wallet trading with itself', () => {
+    const self = sale(A, A.toUpperCase().replace('0X', '0x'), 1);
+    const result = analyzeWashTrading([self]);
+
+    assert.deepEqual(codesOf(result, self), ['selfTrade']);
+    assert.equal(result.volume.washETH, 1);
+    assert.equal(result.volume.organicShare, 0);
+  });
+
+  it('flags every sale of a round trip back to an earlier seller', () => {
+    const sales = [sale(A, B, 0), sale(B, C, 100), sale(C, A, 200)];
+    const result = analyzeWashTrading(sales);
+
+    for (const member of sales) assert.ok(codesOf(result, member).includes('roundTrip'));
+    assert.equal(result.reasonCounts.roundTrip, 3);
+  });
+
+  it('treats a round trip slower than the window as suspect, not wash', () => {
+    const sales = [sale(A, B, 0), sale(B, C, 24 * 200), sale(C, A, 24 * 400)];
+    const result = analyzeWashTrading(sales);
+
+    for (const member of sales) assert.deepEqual(codesOf(result, member), ['slowRoundTrip']);
+    assert.equal(severityOf(result, sales[2]), 'suspect');
+    assert.equal(result.volume.washETH, 0);
+    assert.match(result.flagged[0].reasons[0].detail, /over 400 days/);
+
+    assert.deepEqual(codesOf(analyzeWashTrading(sales, { roundTripWindowSeconds: 500 * 24 * HOUR }), sales[0]), ['roundTrip']);
+  });
+
+  it('measures the loop from the buyer\'s latest sale of the token', () => {
+    const sales = [sale(A, B, 0), sale(B, A, 24 * 400), sale(A, C, 24 * 403), sale(C, A, 24 * 406)];
+    const result = analyzeWashTrading(sales);
+
+    assert.deepEqual(codesOf(result, sales[2]), ['roundTrip']);
+    assert.deepEqual(codesOf(result, sales[3]), ['roundTrip']);
+    assert.deepEqual(codesOf(result, sales[0]), ['slowRoundTrip']);
+  });
+
+  it('links buyer and seller through NFT transfers outside any sale', () => {
+    const linked = sale(A, C, 10, { tokenId: '2' });
+    const transfers = [
+      { from: A, to: B, tokenId: '9', transactionHash: '0xt1' },
+      { from: B, to: C, tokenId: '9', transactionHash: '0xt2' },
+    ];
+    const result = analyzeWashTrading([linked], { transfers });
+
+    assert.deepEqual(codesOf(result, linked), ['linkedWallets']);
+    assert.match(result.flagged[0].reasons[0].detail, /through other wallets/);
+  });
+
+  it('does not count transfers inside a sale transaction as links', () => {
+    const trade = sale(A, B, 10);
+    const transfers = [{ from: A, to: B, tokenId: '1', transactionHash: trade.transactionHash }];
+
+    assert.deepEqual(analyzeWashTrading([trade], { transfers }).flagged, []);
+  });
+
+  it('links wallets that keep trading with each other', () => {
+    const sales = [sale(A, B, 0, { tokenId: '1' }), sale(B, A, 100, { tokenId: '2' }), sale(A, B, 200, { tokenId: '3' })];
+    const result = analyzeWashTrading(sales);
+
+    for (const member of sales) assert.ok(codesOf(result, member).includes('linkedWallets'));
+  });
+
+  it('flags a sale the seller funded shortly before', () => {
+    const funded = sale(A, B, 48);
+    const funding = new Map([[fundingKey(A, B), { from: A, to: B, value: 2, asset: 'ETH', transactionHash: '0xpay', timestamp: at(24) }]]);
+    const result = analyzeWashTrading([funded], { funding });
+
+    assert.deepEqual(codesOf(result, funded), ['sellerFunded']);
+    assert.match(result.flagged[0].reasons[0].detail, /24 h before the sale/);
+  });
+
+  it('treats a quick resale alone as suspect, not wash', () => {
+    const first = sale(A, B, 0);
+    const flip = sale(B, C, 2);
+    const result = analyzeWashTrading([first, flip]);
+
+    assert.deepEqual(codesOf(result, flip), ['rapidFlip']);
+    assert.equal(severityOf(result, flip), 'suspect');
+    assert.equal(result.volume.suspectETH, 1);
+    assert.equal(result.volume.organicETH, 2);
+  });
+
+  it('adds zero royalties only as corroboration', () => {
+    const self = sale(A, A, 1, { royalty: 0 });
+    const clean = sale(B, C, 1, { tokenId: '2', royalty: 0 });
+    const result = analyzeWashTrading([self, clean]);
+
+    assert.deepEqual(codesOf(result, self), ['selfTrade', 'zeroRoyalty']);
+    assert.deepEqual(codesOf(result, clean), []);
+  });
+
+  it('totals organic volume and counts unpriced sales', () => {
+    const result = analyzeWashTrading([
+      sale(A, B, 0, { priceETH: 3 }),
+      sale(D, D, 1, { tokenId: '2', priceETH: 1 }),
+      sale(C, E, 2, { tokenId: '3', priceETH: undefined }),
+    ]);
+
+    assert.equal(result.volume.totalETH, 4);
+    assert.equal(result.volume.washETH, 1);
+    assert.equal(result.volume.organicETH, 3);
+    assert.equal(result.volume.organicShare, 0.75);
+    assert.equal(result.volume.unpricedSales, 1);
+  });
+});
+
+describe('fundingCandidates', () => {
+  it('lists seller-to-buyer pairs by value with a lookback window', () => {
+    const candidates = fundingCandidates([
+      sale(A, B, 10, { priceETH: 1 }),
+      sale(A, B, 20, { priceETH: 1 }),
+      sale(C, D, 5, { priceETH: 5 }),
+      sale(E, E, 5),
+    ], 5);
+
+    assert.deepEqual(candidates.map(({ seller, buyer }) => [seller, buyer]), [[C, D], [A, B]]);
+    assert.equal(candidates[1].toTime, START + 20 * HOUR);
+    assert.equal(candidates[1].fromTime, START + 10 * HOUR - 7 * 24 * HOUR);
+  });
+});
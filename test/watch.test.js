@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WatchManager, WatchSession } from '../lib/watch.js';
+
+const RESOURCE = { uri: 'nft://ethereum/collection/0xabc', kind: 'collection', args: {} };
+
+describe('WatchManager', () => {
+  it('tells each watcher about a failing poll once, until it recovers', async () => {
+    let failure;
+    const manager = new WatchManager({
+      snapshot: async () => {
+        if (failure) throw failure;
+        return { floor: { priceETH: 1 } };
+      },
+      intervalSeconds: 3600,
+    });
+    const reported = [];
+    const session = new WatchSession(manager, { onUpdate: () => {}, onError: (uri, error) => reported.push([uri, error.message]) });
+    await session.watch(RESOURCE);
+    const target = manager.targets.get(RESOURCE.uri);
+
+    failure = new Error('HTTP 503: Service Unavailable');
+    await manager.poll(target);
+    await manager.poll(target);
+    assert.deepEqual(reported, [[RESOURCE.uri, 'HTTP 503: Service Unavailable']]);
+    assert.equal(session.describe(RESOURCE.uri).lastError, 'HTTP 503: Service Unavailable');
+
+    failure = undefined;
+    await manager.poll(target);
+    failure = new Error('HTTP 503: Service Unavailable');
+    await manager.poll(target);
+    assert.equal(reported.length, 2);
+
+    manager.close();
+  });
+});